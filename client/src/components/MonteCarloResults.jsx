@@ -1,14 +1,55 @@
 import { useState, useEffect } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Area, AreaChart } from 'recharts';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Area, AreaChart, ComposedChart } from 'recharts';
 import { TrendingUp, TrendingDown, DollarSign, Target, Loader2, AlertCircle } from 'lucide-react';
 import axios from 'axios';
 
 const API_URL = 'https://farther-prism-production.up.railway.app';
 
+// Follow a background job's event stream until it finishes
+function waitForJob(jobId, onProgress) {
+  return new Promise((resolve, reject) => {
+    const events = new EventSource(`${API_URL}/api/v1/jobs/${jobId}/events`);
+    events.addEventListener('progress', (e) => {
+      onProgress(JSON.parse(e.data).progressPercentage);
+    });
+    events.addEventListener('done', (e) => {
+      events.close();
+      const job = JSON.parse(e.data);
+      if (job.status === 'complete') resolve(job.result);
+      else if (job.status === 'cancelled') reject(new Error('Simulation cancelled'));
+      else reject(new Error(job.errorMessage || 'Simulation failed'));
+    });
+    events.onerror = () => {
+      // The browser reconnects on its own; give up only once the stream is closed
+      if (events.readyState === EventSource.CLOSED) reject(new Error('Lost connection to simulation'));
+    };
+  });
+}
+
+// Percentile rows ({ dimension, time_period, percentile, value }) -> one point per year
+function toFanChart(rows = [], dimension = 'portfolio_value') {
+  const years = new Map();
+  for (const row of rows) {
+    if (row.dimension !== dimension || row.percentile == null) continue;
+    const year = row.time_period.substring(0, 4);
+    if (!years.has(year)) years.set(year, { year });
+    years.get(year)[`p${row.percentile}`] = Number(row.value);
+  }
+  return [...years.values()].map(point => ({
+    ...point,
+    band5_95: [point.p5, point.p95],
+    band10_90: [point.p10, point.p90],
+    band25_75: [point.p25, point.p75],
+  }));
+}
+
 export default function MonteCarloResults({ data, onUpdate, onNext, onPrev }) {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [results, setResults] = useState(data.monteCarloResults);
+  const [progress, setProgress] = useState(0);
+  const [jobId, setJobId] = useState(null);
+  const [fanChart, setFanChart] = useState(data.monteCarloResults?.fanChart || []);
 
   useEffect(() => {
     if (!results) {
@@ -16,9 +57,18 @@ export default function MonteCarloResults({ data, onUpdate, onNext, onPrev }) {
     }
   }, []);
 
+  // A stored plan run has its bands in the run's timeseries
+  useEffect(() => {
+    if (!data.planRunId) return;
+    axios.get(`${API_URL}/api/v1/plans/runs/${data.planRunId}/timeseries`, { params: { dimension: 'portfolio_value' } })
+      .then(response => setFanChart(toFanChart(response.data)))
+      .catch(err => console.error('Monte Carlo timeseries error:', err));
+  }, [data.planRunId]);
+
   const runSimulation = async () => {
     setLoading(true);
     setError(null);
+    setProgress(0);
 
     try {
       const { clientData, portfolioData } = data;
@@ -62,9 +112,12 @@ export default function MonteCarloResults({ data, onUpdate, onNext, onPrev }) {
         scenario,
         simulations: 10000,
         years: Math.max(yearsToRetirement, 30), // At least 30 years
+        background: true, // Runs on the worker; progress streams back over SSE
       };
 
-      const response = await axios.post(`${API_URL}/api/v1/monte-carlo/run`, payload);
+      const queued = await axios.post(`${API_URL}/api/v1/monte-carlo/run`, payload);
+      setJobId(queued.data.jobId);
+      const response = { data: await waitForJob(queued.data.jobId, setProgress) };
       const resultData = response.data.result;
       
       // Transform to expected format
@@ -82,15 +135,27 @@ export default function MonteCarloResults({ data, onUpdate, onNext, onPrev }) {
           volatility: 0.18,
           years: payload.years,
         },
+        fanChart: toFanChart(resultData.timeseries),
       };
       
       setResults(transformed);
+      setFanChart(transformed.fanChart);
       onUpdate('monteCarloResults', transformed);
     } catch (err) {
       setError(err.message || 'Failed to run simulation');
       console.error('Monte Carlo Error:', err);
     } finally {
       setLoading(false);
+      setJobId(null);
+    }
+  };
+
+  const cancelSimulation = async () => {
+    if (!jobId) return;
+    try {
+      await axios.post(`${API_URL}/api/v1/jobs/${jobId}/cancel`);
+    } catch (err) {
+      console.error('Monte Carlo cancel error:', err);
     }
   };
 
@@ -99,7 +164,18 @@ export default function MonteCarloResults({ data, onUpdate, onNext, onPrev }) {
       <div className="text-center py-20">
         <Loader2 className="w-16 h-16 animate-spin text-blue-600 mx-auto mb-4" />
         <h3 className="text-2xl font-bold text-[#FCFDFC] mb-2">Running Monte Carlo Simulation</h3>
-        <p className="text-[#FCFDFC] opacity-80">Analyzing 10,000 possible scenarios...</p>
+        <p className="text-[#FCFDFC] opacity-80">Analyzing 10,000 possible scenarios... {progress}%</p>
+        <div className="w-64 h-2 bg-gray-700 rounded-full mx-auto mt-4 overflow-hidden">
+          <div className="h-full bg-blue-600 transition-all" style={{ width: `${progress}%` }} />
+        </div>
+        {jobId && (
+          <button
+            onClick={cancelSimulation}
+            className="mt-6 px-6 py-3 border border-[#FCFDFC] text-[#FCFDFC] rounded-lg hover:bg-gray-800"
+          >
+            Cancel
+          </button>
+        )}
       </div>
     );
   }
@@ -221,6 +297,28 @@ export default function MonteCarloResults({ data, onUpdate, onNext, onPrev }) {
         </div>
       </div>
 
+      {/* Fan Chart */}
+      {fanChart.length > 0 && (
+        <div className="bg-white p-6 rounded-lg border-2 border-slate-200 shadow-sm mb-8">
+          <h3 className="font-bold text-[#FCFDFC] mb-4">Projected Portfolio Value</h3>
+          <ResponsiveContainer width="100%" height={320}>
+            <ComposedChart data={fanChart}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="year" />
+              <YAxis tickFormatter={(v) => `$${(v / 1000000).toFixed(1)}M`} />
+              <Tooltip formatter={(v) => Array.isArray(v)
+                ? v.map(x => `$${(x / 1000000).toFixed(2)}M`).join(' – ')
+                : `$${(v / 1000000).toFixed(2)}M`} />
+              <Legend />
+              <Area dataKey="band5_95" name="5th–95th" stroke="none" fill="#2563eb" fillOpacity={0.15} />
+              <Area dataKey="band10_90" name="10th–90th" stroke="none" fill="#2563eb" fillOpacity={0.2} />
+              <Area dataKey="band25_75" name="25th–75th" stroke="none" fill="#2563eb" fillOpacity={0.3} />
+              <Line dataKey="p50" name="Median" stroke="#1d4ed8" strokeWidth={2} dot={false} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
       {/* Portfolio Parameters */}
       <div className="bg-slate-50 p-6 rounded-lg border border-slate-200 mb-8">
         <h3 className="font-bold text-[#FCFDFC] mb-4">Simulation Parameters</h3>
@@ -169,6 +169,7 @@ CREATE TABLE households (
     name VARCHAR(255) NOT NULL,
     primary_advisor_id UUID,  -- Foreign key to advisors (not shown)
     service_tier VARCHAR(50),
+    tax_locality VARCHAR(100),  -- Local income tax: 'NYC', 'Yonkers', 'Philadelphia', Ohio city, Maryland county
     status VARCHAR(50) DEFAULT 'active',
     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
@@ -197,10 +197,10 @@ INSERT INTO tax_rule_sets (
     '{
         "flat_rate": 0.025,
         "standard_deduction": {
-            "single": 13850,
-            "married_joint": 27700,
-            "married_separate": 13850,
-            "head_of_household": 20800
+            "single": 14600,
+            "married_joint": 29200,
+            "married_separate": 14600,
+            "head_of_household": 21900
         },
         "personal_exemption": {
             "taxpayer": 2300,
@@ -237,37 +237,39 @@ INSERT INTO tax_rule_sets (
     '{
         "brackets": {
             "single": [
-                {"min": 0, "max": 10412, "rate": 0.01},
-                {"min": 10412, "max": 24684, "rate": 0.02},
-                {"min": 24684, "max": 38959, "rate": 0.04},
-                {"min": 38959, "max": 54081, "rate": 0.06},
-                {"min": 54081, "max": 68350, "rate": 0.08},
-                {"min": 68350, "max": 349137, "rate": 0.093},
-                {"min": 349137, "max": 418961, "rate": 0.103},
-                {"min": 418961, "max": 698271, "rate": 0.113},
-                {"min": 698271, "max": null, "rate": 0.123}
+                {"min": 0, "max": 10756, "rate": 0.01},
+                {"min": 10756, "max": 25499, "rate": 0.02},
+                {"min": 25499, "max": 40245, "rate": 0.04},
+                {"min": 40245, "max": 55866, "rate": 0.06},
+                {"min": 55866, "max": 70606, "rate": 0.08},
+                {"min": 70606, "max": 360659, "rate": 0.093},
+                {"min": 360659, "max": 432787, "rate": 0.103},
+                {"min": 432787, "max": 721314, "rate": 0.113},
+                {"min": 721314, "max": 1000000, "rate": 0.123},
+                {"min": 1000000, "max": null, "rate": 0.133}
             ],
             "married_joint": [
-                {"min": 0, "max": 20824, "rate": 0.01},
-                {"min": 20824, "max": 49368, "rate": 0.02},
-                {"min": 49368, "max": 77918, "rate": 0.04},
-                {"min": 77918, "max": 108162, "rate": 0.06},
-                {"min": 108162, "max": 136700, "rate": 0.08},
-                {"min": 136700, "max": 698274, "rate": 0.093},
-                {"min": 698274, "max": 837922, "rate": 0.103},
-                {"min": 837922, "max": 1396542, "rate": 0.113},
-                {"min": 1396542, "max": null, "rate": 0.123}
+                {"min": 0, "max": 21512, "rate": 0.01},
+                {"min": 21512, "max": 50998, "rate": 0.02},
+                {"min": 50998, "max": 80490, "rate": 0.04},
+                {"min": 80490, "max": 111732, "rate": 0.06},
+                {"min": 111732, "max": 141212, "rate": 0.08},
+                {"min": 141212, "max": 721318, "rate": 0.093},
+                {"min": 721318, "max": 865574, "rate": 0.103},
+                {"min": 865574, "max": 1000000, "rate": 0.113},
+                {"min": 1000000, "max": 1442628, "rate": 0.123},
+                {"min": 1442628, "max": null, "rate": 0.133}
             ]
         },
         "standard_deduction": {
-            "single": 5363,
-            "married_joint": 10726,
-            "married_separate": 5363,
-            "head_of_household": 10775
+            "single": 5540,
+            "married_joint": 11080,
+            "married_separate": 5540,
+            "head_of_household": 11080
         },
         "sdi_rate": 0.009,
         "sdi_wage_base": 153164,
-        "social_security_exempt": false
+        "social_security_exempt": true
     }'::jsonb,
     '2024-01-01',
     '2024-12-31',
@@ -0,0 +1,7 @@
+-- Add tax locality to households
+-- Drives local income taxes (NYC, Yonkers, Philadelphia, Ohio municipal, Maryland county)
+
+ALTER TABLE households
+  ADD COLUMN IF NOT EXISTS tax_locality VARCHAR(100);
+
+COMMENT ON COLUMN households.tax_locality IS 'Local income tax jurisdiction: NYC, Yonkers, Philadelphia, Ohio city, Maryland county';
@@ -0,0 +1,28 @@
+-- Migration 013: Account transactions imported from custodian statements
+-- Year-to-date distributions drive RMD tracking
+
+CREATE TABLE IF NOT EXISTS account_transactions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  transaction_date DATE NOT NULL,
+  transaction_type VARCHAR(50) NOT NULL, -- BUY, SELL, DIVIDEND, INTEREST, DEPOSIT, WITHDRAWAL, TRANSFER_IN, ...
+  symbol VARCHAR(50),
+  quantity NUMERIC(15,6),
+  price NUMERIC(15,4),
+  amount NUMERIC(15,2),
+  source VARCHAR(50) DEFAULT 'statement_import',
+  source_file_hash VARCHAR(64), -- SHA-256 of the uploaded statement (uploaded_statements.file_hash)
+  source_line INTEGER,          -- Position of the transaction within that statement
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  metadata JSONB DEFAULT '{}'::jsonb
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_transactions_account_date ON account_transactions(account_id, transaction_date);
+CREATE INDEX IF NOT EXISTS idx_account_transactions_type ON account_transactions(transaction_type);
+
+-- Re-importing the same statement must not double count; identical
+-- transactions on different lines are distinct
+CREATE UNIQUE INDEX IF NOT EXISTS idx_account_transactions_source
+  ON account_transactions(account_id, source_file_hash, source_line);
+
+COMMENT ON TABLE account_transactions IS 'Transactions parsed from uploaded statements (RMD year-to-date tracking)';
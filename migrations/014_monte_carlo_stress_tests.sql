@@ -0,0 +1,18 @@
+-- Migration 014: Monte Carlo return method and historical stress tests
+-- Also adds the summary columns MonteCarloService.storeResults writes
+
+ALTER TABLE monte_carlo_results
+  ALTER COLUMN num_simulations DROP NOT NULL,
+  ADD COLUMN IF NOT EXISTS simulations_run INT,
+  ADD COLUMN IF NOT EXISTS median_ending_value NUMERIC(15,2),
+  ADD COLUMN IF NOT EXISTS percentile_5 NUMERIC(15,2),
+  ADD COLUMN IF NOT EXISTS percentile_95 NUMERIC(15,2),
+  ADD COLUMN IF NOT EXISTS average_ending_value NUMERIC(15,2),
+  ADD COLUMN IF NOT EXISTS probability_depleted NUMERIC(5,4),
+  ADD COLUMN IF NOT EXISTS probability_doubled NUMERIC(5,4),
+  ADD COLUMN IF NOT EXISTS probability_preserved NUMERIC(5,4),
+  ADD COLUMN IF NOT EXISTS return_method VARCHAR(20) DEFAULT 'parametric',
+  ADD COLUMN IF NOT EXISTS stress_tests JSONB DEFAULT '[]'::jsonb;
+
+COMMENT ON COLUMN monte_carlo_results.return_method IS 'parametric (return model draws) or bootstrap (historical blocks)';
+COMMENT ON COLUMN monte_carlo_results.stress_tests IS 'Historical sequence replays: [{ id, label, startYear, success, endingValue, yearsLasted }]';
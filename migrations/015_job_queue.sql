@@ -0,0 +1,70 @@
+-- Migration 015: Background job queue
+-- Plan runs and Monte Carlo simulations execute in a worker process (src/worker.js)
+-- Workers claim jobs with FOR UPDATE SKIP LOCKED; NOTIFY wakes workers and pushes status to clients
+
+CREATE TABLE IF NOT EXISTS job_queue (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_type VARCHAR(50) NOT NULL, -- plan_run, monte_carlo
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  plan_run_id UUID, -- plan_runs row executed by plan_run jobs
+
+  status VARCHAR(20) NOT NULL DEFAULT 'queued', -- queued, running, complete, failed, cancelled
+  progress_percentage INT NOT NULL DEFAULT 0,
+  cancel_requested BOOLEAN NOT NULL DEFAULT FALSE,
+
+  -- Retry
+  attempts INT NOT NULL DEFAULT 0,
+  max_attempts INT NOT NULL DEFAULT 3,
+  run_after TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  -- Worker lease
+  locked_by VARCHAR(255),
+  locked_at TIMESTAMPTZ,
+  heartbeat_at TIMESTAMPTZ,
+
+  result JSONB,
+  error_message TEXT,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT job_queue_status_check CHECK (status IN ('queued', 'running', 'complete', 'failed', 'cancelled')),
+  CONSTRAINT job_queue_progress_check CHECK (progress_percentage BETWEEN 0 AND 100)
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_queue_ready ON job_queue(run_after, created_at) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_job_queue_running ON job_queue(heartbeat_at) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_job_queue_plan_run ON job_queue(plan_run_id);
+
+-- job_queue_ready wakes idle workers; job_events carries status and progress to API listeners
+CREATE OR REPLACE FUNCTION notify_job_queue() RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at := NOW();
+  IF NEW.status = 'queued' THEN
+    PERFORM pg_notify('job_queue_ready', NEW.id::text);
+  END IF;
+  IF TG_OP = 'INSERT' OR NEW.status IS DISTINCT FROM OLD.status
+     OR NEW.progress_percentage IS DISTINCT FROM OLD.progress_percentage
+     OR NEW.cancel_requested IS DISTINCT FROM OLD.cancel_requested THEN
+    PERFORM pg_notify('job_events', json_build_object(
+      'jobId', NEW.id,
+      'jobType', NEW.job_type,
+      'planRunId', NEW.plan_run_id,
+      'status', NEW.status,
+      'progressPercentage', NEW.progress_percentage,
+      'cancelRequested', NEW.cancel_requested,
+      'attempts', NEW.attempts,
+      'errorMessage', LEFT(NEW.error_message, 500)
+    )::text);
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS job_queue_notify ON job_queue;
+CREATE TRIGGER job_queue_notify BEFORE INSERT OR UPDATE ON job_queue
+  FOR EACH ROW EXECUTE FUNCTION notify_job_queue();
+
+COMMENT ON TABLE job_queue IS 'Durable background jobs (plan runs, Monte Carlo) executed by src/worker.js';
@@ -0,0 +1,8 @@
+-- Migration 016: Reproducible Monte Carlo runs
+-- Paths draw from a PRNG keyed by (seed, path index); storing the seed lets any run be re-run exactly
+
+ALTER TABLE monte_carlo_results
+  ADD COLUMN IF NOT EXISTS random_seed INTEGER;
+
+COMMENT ON COLUMN monte_carlo_results.random_seed IS 'Seed that reproduces this run (same results on any number of worker threads)';
+COMMENT ON COLUMN plan_runs.random_seed IS 'Monte Carlo seed; set when the run is created so retries and audits reproduce it';
@@ -0,0 +1,12 @@
+-- Migration 017: Monte Carlo percentile time series
+-- Yearly percentile bands and representative sample paths, so a stored run can drive a fan chart
+
+ALTER TABLE monte_carlo_results
+  ADD COLUMN IF NOT EXISTS percentile_bands JSONB,
+  ADD COLUMN IF NOT EXISTS sample_paths JSONB;
+
+COMMENT ON COLUMN monte_carlo_results.percentile_bands IS 'Yearly p5/p10/p25/p50/p75/p90/p95 rows per dimension (portfolio_value, spending_funded, taxes_total)';
+COMMENT ON COLUMN monte_carlo_results.sample_paths IS 'Paths ranked at the 10th/25th/50th/75th/90th percentile of ending value, with their yearly series';
+
+
+COMMENT ON COLUMN projection_timeseries.percentile IS 'NULL for deterministic runs; 5/10/25/50/75/90/95 band for Monte Carlo runs, or the ending-value rank of a <dimension>_sample path';
@@ -0,0 +1,17 @@
+-- Migration 018: Withdrawal policies
+-- Monte Carlo spending can follow guardrails instead of a constant real amount; chosen per assumption set
+
+ALTER TABLE assumption_sets
+  ADD COLUMN IF NOT EXISTS withdrawal_policy VARCHAR(50) NOT NULL DEFAULT 'constant',
+  ADD COLUMN IF NOT EXISTS withdrawal_policy_params JSONB NOT NULL DEFAULT '{}';
+
+ALTER TABLE assumption_sets
+  ADD CONSTRAINT assumption_sets_withdrawal_policy_check
+  CHECK (withdrawal_policy IN ('constant', 'guyton_klinger', 'percent_of_portfolio', 'vanguard_dynamic', 'rmd'));
+
+ALTER TABLE monte_carlo_results
+  ADD COLUMN IF NOT EXISTS spending JSONB;
+
+COMMENT ON COLUMN assumption_sets.withdrawal_policy IS 'Monte Carlo spending rule: constant, guyton_klinger, percent_of_portfolio, vanguard_dynamic or rmd';
+COMMENT ON COLUMN assumption_sets.withdrawal_policy_params IS 'Policy parameters (guardrails, floor/ceiling, rate); defaults in calculation/withdrawal-policy.js';
+COMMENT ON COLUMN monte_carlo_results.spending IS 'Distribution of spending cuts below the plan and how often each guardrail fired';
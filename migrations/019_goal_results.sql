@@ -0,0 +1,11 @@
+-- Migration 019: Goal-level Monte Carlo results
+-- Goals are funded in priority order within every path; runs report each goal's probability of being fully funded
+
+ALTER TABLE monte_carlo_results
+  ADD COLUMN IF NOT EXISTS goal_results JSONB;
+
+ALTER TABLE plan_runs
+  ADD COLUMN IF NOT EXISTS goal_results JSONB;
+
+COMMENT ON COLUMN monte_carlo_results.goal_results IS 'Per goal: probability fully funded, expected shortfall, earliest and median failure year';
+COMMENT ON COLUMN plan_runs.goal_results IS 'Per goal: probability fully funded, expected shortfall, earliest and median failure year (Monte Carlo runs)';
@@ -0,0 +1,7 @@
+-- Migration 020: Assumption set tax options
+-- Tax projection settings (indexing, TCJA sunset, ACA, gain harvesting) that plan runs pass to the planning graph
+
+ALTER TABLE assumption_sets
+  ADD COLUMN IF NOT EXISTS tax_options JSONB NOT NULL DEFAULT '{}';
+
+COMMENT ON COLUMN assumption_sets.tax_options IS 'Scenario tax assumptions for plan runs: taxIndexingRate, tcjaSunset, acaEnhancedCredits, gainHarvesting, acaBenchmarkPremium, acaMagiLimit, acaFplTarget, householdSize (see calculation/tax-options.js)';
@@ -3,8 +3,12 @@
  * 
  * Calculates monthly income, expenses, savings, and emergency fund.
  * Institutional-grade: monthly time-stepping, inflation-adjusted.
+ * Pension and annuity streams follow their survivor, COLA and exclusion
+ * terms (see pension-annuity.js).
  */
 
+import { ANNUITY_INCOME_TYPES, getPensionPayment } from './pension-annuity.js';
+
 /**
  * Project monthly cash flows for a household
  * 
@@ -81,6 +85,7 @@ export function projectCashFlows({
         rental: income.rental,
         social_security: income.socialSecurity,
         pension: income.pension,
+        pension_tax_free: income.pensionTaxFree,
         other: income.other,
         total: income.total,
       },
@@ -120,9 +125,17 @@ function calculateMonthlyIncome({ incomeStreams, people, currentDate, yearsSince
   let rental = 0;
   let socialSecurity = 0;
   let pension = 0;
+  let pensionTaxFree = 0;
   let other = 0;
   
   for (const stream of incomeStreams) {
+    if (ANNUITY_INCOME_TYPES.includes(stream.income_type)) {
+      const payment = getPensionPayment(stream, currentDate, { people });
+      pension += payment.amount;
+      pensionTaxFree += payment.taxFree;
+      continue;
+    }
+
     // Check if stream is active this month
     if (currentDate < new Date(stream.start_date) || 
         (stream.end_date && currentDate > new Date(stream.end_date))) {
@@ -153,10 +166,6 @@ function calculateMonthlyIncome({ incomeStreams, people, currentDate, yearsSince
       case 'social_security':
         socialSecurity += adjustedAmount;
         break;
-      case 'pension':
-      case 'annuity':
-        pension += adjustedAmount;
-        break;
       default:
         other += adjustedAmount;
     }
@@ -168,6 +177,7 @@ function calculateMonthlyIncome({ incomeStreams, people, currentDate, yearsSince
     rental,
     socialSecurity,
     pension,
+    pensionTaxFree,
     other,
     total: employment + business + rental + socialSecurity + pension + other,
   };
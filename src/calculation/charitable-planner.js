@@ -0,0 +1,488 @@
+/**
+ * Charitable Giving Planner
+ *
+ * Compares vehicles for a household's multi-year giving goal and reports
+ * the after-tax cost of each dollar that reaches charity.
+ *
+ * Vehicles:
+ * - cash: annual cash gifts (60% of AGI limit)
+ * - qcd: qualified charitable distributions from the IRA at 70½+
+ *   (excluded from income, count toward the RMD, indexed annual limit)
+ * - appreciated_stock: annual gifts of the most-appreciated long-term lots
+ *   (deducted at fair market value, 30% limit, embedded gain never taxed)
+ * - daf_bunching: several years of giving contributed to a donor-advised
+ *   fund in one year (stock first), granted out annually
+ * - crt: charitable remainder unitrust funded with appreciated lots; the
+ *   donor keeps the payouts and charity receives the remainder
+ *
+ * Each vehicle is simulated year by year through the TaxCalculator against
+ * a no-giving baseline, so bunching, the 2026 charitable floor, AGI limits
+ * with carryforwards, IRMAA and Social Security taxation are all priced in.
+ *
+ * After-tax cost = gifts and trust funding - trust payouts - tax savings
+ *   - capital gains tax avoided - deferred income tax avoided (QCDs above
+ *   the RMD), all present-valued.
+ */
+
+import { TaxCalculator, totalCharitableCarryforward } from './tax-calculator.js';
+import { defaultTaxRuleRegistry } from './tax-rules.js';
+import { giftLots, normalizeLot } from './lot-selector.js';
+
+export const GIVING_VEHICLES = ['cash', 'qcd', 'appreciated_stock', 'daf_bunching', 'crt'];
+
+const QCD_AGE = 70.5;
+// IRC §664(d)(2)(D): the remainder must be worth at least 10% of the funding
+const CRT_MIN_REMAINDER = 0.10;
+
+export class CharitablePlanner {
+  constructor({ taxRuleRegistry = defaultTaxRuleRegistry } = {}) {
+    this.taxRuleRegistry = taxRuleRegistry;
+    this.taxCalculators = new Map();
+  }
+
+  getTaxCalculator(taxYear) {
+    if (!this.taxCalculators.has(taxYear)) {
+      this.taxCalculators.set(taxYear, new TaxCalculator(taxYear, { registry: this.taxRuleRegistry }));
+    }
+    return this.taxCalculators.get(taxYear);
+  }
+
+  /**
+   * Compare giving vehicles over the horizon.
+   *
+   * @param {Object} params
+   * @param {number} params.startYear - First tax year
+   * @param {number} params.years - Years of giving
+   * @param {number|Array} params.annualGiving - Gift per year (or one amount per year)
+   * @param {Object} params.household - { state, locality, filingStatus, age1, age2 } (age1 owns the IRA)
+   * @param {Object|Array} params.income - TaxCalculator income excluding RMDs (or one object per year)
+   * @param {number|Array} params.rmd - Required IRA distribution per year
+   * @param {number} params.iraBalance - IRA balance available for QCDs above the RMD
+   *   (null limits QCDs to the RMD)
+   * @param {Object} params.deductions - Other itemized deductions (mortgage, SALT, ...)
+   * @param {Array} params.lots - Taxable lots available to give
+   * @param {Array} params.bunchingYears - DAF bunching cycles to try (e.g. [2, 3])
+   * @param {Object|false} params.crt - { payoutRate, termYears, amount } (false skips the CRT)
+   * @param {number} params.growthRate - Return on lots and trust assets
+   * @param {number} params.discountRate - Rate for present values (defaults to growthRate,
+   *   so trust payouts plus the remainder are worth exactly the funding)
+   * @param {number} params.futureCapitalGainsRate - Rate the donor would pay on gains kept
+   * @param {number} params.futureIncomeTaxRate - Rate on IRA dollars not given as QCDs
+   * @param {Object} params.magiHistory - { [year]: MAGI } before startYear (IRMAA lookback)
+   * @returns {Object} { vehicles, recommended, baseline, assumptions }
+   */
+  compare(params) {
+    const p = this.normalizeParams(params);
+
+    const vehicles = [
+      this.evaluate(p, 'cash', this.cashGifts(p)),
+      this.evaluate(p, 'qcd', this.qcdGifts(p)),
+      this.evaluate(p, 'appreciated_stock', this.stockGifts(p)),
+      this.bestBunchingCycle(p),
+    ];
+    if (p.crt) vehicles.push(this.evaluateCRT(p));
+
+    const feasible = vehicles.filter(v => v.feasible && v.toCharity > 0);
+    const recommended = feasible.length
+      ? feasible.reduce((best, v) => (v.costPerDollar < best.costPerDollar ? v : best))
+      : null;
+
+    return {
+      vehicles,
+      recommended: recommended ? recommended.vehicle : null,
+      recommendation: recommended ? this.describe(recommended, vehicles) : null,
+      baseline: this.summarize(this.simulate(p, [])),
+      assumptions: {
+        startYear: p.startYear,
+        years: p.years,
+        totalGiving: p.annualGiving.reduce((sum, g) => sum + g, 0),
+        growthRate: p.growthRate,
+        discountRate: p.discountRate,
+        futureCapitalGainsRate: p.futureCapitalGainsRate,
+        futureIncomeTaxRate: p.futureIncomeTaxRate,
+      },
+    };
+  }
+
+  normalizeParams(params) {
+    const {
+      startYear = new Date().getFullYear(),
+      years = 5,
+      annualGiving = 0,
+      household = {},
+      income = {},
+      rmd = 0,
+      iraBalance = null,
+      deductions = {},
+      lots = [],
+      bunchingYears = [2, 3],
+      crt = {},
+      growthRate = 0.06,
+      discountRate = growthRate,
+      futureCapitalGainsRate = 0.15,
+      futureIncomeTaxRate = 0.22,
+      magiHistory = {},
+    } = params;
+
+    const horizon = crt ? Math.max(years, (crt.termYears ?? 20) + 1) : years;
+    // Arrays shorter than the horizon repeat their last entry
+    const perYear = (value, length, fallback) => Array.from({ length }, (_, t) => {
+      if (!Array.isArray(value)) return value ?? fallback;
+      return value.length ? value[Math.min(t, value.length - 1)] : fallback;
+    });
+
+    const giving = perYear(annualGiving, years, 0).map(g => Math.max(0, Number(g) || 0));
+
+    return {
+      startYear,
+      years,
+      horizon,
+      annualGiving: giving,
+      household: { state: 'AZ', filingStatus: 'married_joint', age1: 65, age2: null, ...household },
+      income: perYear(income, horizon, {}),
+      rmd: perYear(rmd, horizon, 0).map(r => Math.max(0, Number(r) || 0)),
+      iraBalance,
+      deductions,
+      lots: lots.map(normalizeLot),
+      bunchingYears: bunchingYears.filter(cycle => cycle >= 2 && cycle <= years),
+      crt: crt
+        ? {
+          payoutRate: 0.05,
+          termYears: 20,
+          amount: giving.reduce((sum, g) => sum + g, 0),
+          ...crt,
+        }
+        : null,
+      growthRate,
+      discountRate,
+      futureCapitalGainsRate,
+      futureIncomeTaxRate,
+      magiHistory,
+    };
+  }
+
+  /**
+   * Blank gift record for a year.
+   */
+  emptyYear() {
+    return {
+      cash: 0,
+      dafCash: 0,
+      stock: 0,
+      dafStock: 0,
+      stockBasis: 0,
+      trustDeduction: 0,
+      qcd: 0,
+      payout: { ordinary: 0, longTerm: 0 },
+      toCharity: 0,
+      outlay: 0,
+      receipts: 0,
+      gainAvoided: 0,
+      deferredIncomeAvoided: 0,
+    };
+  }
+
+  cashGifts(p) {
+    return p.annualGiving.map(gift => ({ ...this.emptyYear(), cash: gift, toCharity: gift, outlay: gift }));
+  }
+
+  /**
+   * QCDs up to the limit once age1 reaches 70½; the rest is given in cash.
+   */
+  qcdGifts(p) {
+    let iraLeft = p.iraBalance;
+
+    const gifts = p.annualGiving.map((gift, t) => {
+      const year = p.startYear + t;
+      const age = p.household.age1 + t;
+      const limit = this.getTaxCalculator(year).rules.qcdLimit;
+      const capacity = iraLeft === null ? p.rmd[t] : Math.max(p.rmd[t], iraLeft);
+      const qcd = age >= QCD_AGE ? Math.min(gift, limit, capacity) : 0;
+      if (iraLeft !== null) iraLeft = Math.max(0, (iraLeft - Math.max(qcd, p.rmd[t])) * (1 + p.growthRate));
+
+      return {
+        ...this.emptyYear(),
+        qcd,
+        cash: gift - qcd,
+        toCharity: gift,
+        outlay: gift,
+        deferredIncomeAvoided: Math.max(0, qcd - p.rmd[t]),
+      };
+    });
+
+    const used = gifts.some(g => g.qcd > 0);
+    return { gifts, feasible: used, reason: used ? null : `No QCDs: IRA owner under ${QCD_AGE} or no IRA distributions` };
+  }
+
+  /**
+   * Give the most-appreciated long-term lots each year; cash covers the rest.
+   */
+  stockGifts(p) {
+    let lots = p.lots;
+
+    const gifts = p.annualGiving.map((gift, t) => {
+      const result = giftLots(lots, gift, { saleDate: `${p.startYear + t}-12-31` });
+      lots = this.growLots(result.remainingLots, p.growthRate);
+      return {
+        ...this.emptyYear(),
+        stock: result.value,
+        stockBasis: result.basis,
+        cash: gift - result.value,
+        toCharity: gift,
+        outlay: gift,
+        gainAvoided: result.gain,
+      };
+    });
+
+    const used = gifts.some(g => g.stock > 0);
+    return { gifts, feasible: used, reason: used ? null : 'No appreciated long-term lots to give' };
+  }
+
+  /**
+   * Contribute `cycle` years of giving to a DAF in the first year of each
+   * cycle (appreciated lots first); grants reach charity every year.
+   */
+  dafGifts(p, cycle) {
+    let lots = p.lots;
+
+    const gifts = p.annualGiving.map((gift, t) => {
+      const entry = { ...this.emptyYear(), toCharity: gift };
+      if (t % cycle === 0) {
+        const contribution = p.annualGiving.slice(t, t + cycle).reduce((sum, g) => sum + g, 0);
+        const result = giftLots(lots, contribution, { saleDate: `${p.startYear + t}-12-31` });
+        lots = result.remainingLots;
+        Object.assign(entry, {
+          dafStock: result.value,
+          stockBasis: result.basis,
+          dafCash: contribution - result.value,
+          outlay: contribution,
+          gainAvoided: result.gain,
+        });
+      }
+      lots = this.growLots(lots, p.growthRate);
+      return entry;
+    });
+
+    return { gifts, feasible: true, reason: null };
+  }
+
+  bestBunchingCycle(p) {
+    const cycles = p.bunchingYears.map(cycle => ({
+      ...this.evaluate(p, 'daf_bunching', this.dafGifts(p, cycle)),
+      cycleYears: cycle,
+    }));
+
+    if (!cycles.length) {
+      return {
+        ...this.evaluate(p, 'daf_bunching', { gifts: this.cashGifts(p), feasible: false }),
+        feasible: false,
+        reason: 'Horizon too short to bunch',
+      };
+    }
+
+    const best = cycles.reduce((a, b) => (b.costPerDollar < a.costPerDollar ? b : a));
+    return {
+      ...best,
+      cycles: cycles.map(c => ({ cycleYears: c.cycleYears, afterTaxCost: c.afterTaxCost, costPerDollar: c.costPerDollar })),
+    };
+  }
+
+  /**
+   * Charitable remainder unitrust funded in the first year.
+   *
+   * Payouts are made at the start of each year, so the remainder factor
+   * is (1 - payoutRate)^termYears. Payouts are taxed as long-term gain
+   * until the contributed gain is carried out, then as ordinary income
+   * (the gain is credited as avoided and the payout tax charged as it comes
+   * out, so the trust earns the deferral). The remainder interest is deducted under the 30% property limit.
+   */
+  evaluateCRT(p) {
+    const { payoutRate, termYears, amount } = p.crt;
+    const remainderFactor = Math.pow(1 - payoutRate, termYears);
+
+    if (payoutRate < 0.05 || payoutRate > 0.5 || remainderFactor < CRT_MIN_REMAINDER) {
+      return {
+        ...this.evaluate(p, 'crt', { gifts: [], feasible: false }, p.horizon),
+        reason: `Remainder factor ${(remainderFactor * 100).toFixed(1)}% is below 10% or payout outside 5-50%`,
+        remainderFactor,
+      };
+    }
+
+    const funding = giftLots(p.lots, amount, { saleDate: `${p.startYear}-12-31` });
+    let trustValue = amount;
+    let gainToDistribute = funding.gain;
+    const gifts = [];
+
+    for (let t = 0; t < termYears; t++) {
+      const payout = trustValue * payoutRate;
+      trustValue = (trustValue - payout) * (1 + p.growthRate);
+      const longTerm = Math.min(payout, gainToDistribute);
+      gainToDistribute -= longTerm;
+
+      gifts.push({
+        ...this.emptyYear(),
+        ...(t === 0
+          ? { trustDeduction: amount * remainderFactor, stockBasis: funding.basis, outlay: amount, gainAvoided: funding.gain }
+          : {}),
+        payout: { ordinary: payout - longTerm, longTerm },
+        receipts: payout,
+      });
+    }
+    // The trust terminates at the start of the year after the term
+    gifts.push({ ...this.emptyYear(), toCharity: trustValue });
+
+    return {
+      ...this.evaluate(p, 'crt', { gifts, feasible: true }, termYears + 1),
+      remainderFactor,
+      funding: { amount, fromLots: funding.value, basis: funding.basis, embeddedGain: funding.gain },
+      remainderToCharity: trustValue,
+    };
+  }
+
+  growLots(lots, growthRate) {
+    return lots.map(lot => ({ ...lot, marketValue: lot.marketValue * (1 + growthRate) }));
+  }
+
+  /**
+   * Simulate taxes for a gift schedule (empty schedule = no giving).
+   */
+  simulate(p, gifts, years = p.years) {
+    const magi = { ...p.magiHistory };
+    let carryforward = [];
+    const rows = [];
+
+    for (let t = 0; t < years; t++) {
+      const year = p.startYear + t;
+      const calculator = this.getTaxCalculator(year);
+      const gift = gifts[t] || this.emptyYear();
+      const base = p.income[t];
+
+      const rmdTaxable = Math.max(0, p.rmd[t] - gift.qcd);
+      const income = {
+        ...base,
+        ordinaryIncome: (base.ordinaryIncome || 0) + rmdTaxable + gift.payout.ordinary,
+        retirementDistributions: (base.retirementDistributions || 0) + rmdTaxable,
+        longTermCapitalGains: (base.longTermCapitalGains || 0) + gift.payout.longTerm,
+      };
+
+      const hasStock = gift.stock + gift.dafStock + gift.trustDeduction > 0;
+      const deductions = {
+        ...p.deductions,
+        charitableCash: (p.deductions.charitableCash || 0) + gift.cash,
+        dafCash: (p.deductions.dafCash || 0) + gift.dafCash,
+        charitableStock: (p.deductions.charitableStock || 0) + gift.stock + gift.trustDeduction,
+        dafStock: (p.deductions.dafStock || 0) + gift.dafStock,
+        appreciatedStockBasis: hasStock ? gift.stockBasis : null,
+        charitableCarryforward: carryforward,
+      };
+
+      const household = { ...p.household, age1: p.household.age1 + t, age2: p.household.age2 ? p.household.age2 + t : null };
+      const taxes = calculator.calculateTax(income, household, {
+        deductions,
+        irmaaMagi: magi[year - 2] ?? null,
+      });
+      magi[year] = taxes.magi;
+      carryforward = taxes.deduction.method === 'itemized' ? taxes.deduction.charitableCarryforward : [];
+
+      rows.push({
+        year,
+        agi: taxes.agi,
+        deductionMethod: taxes.deduction.method,
+        charitableDeduction: taxes.deduction.method === 'itemized'
+          ? taxes.deduction.itemizedDetail.charitable.deductible
+          : taxes.deduction.nonItemizerCharitable,
+        carryforward: totalCharitableCarryforward(carryforward),
+        totalTax: taxes.totalTax,
+        gift,
+      });
+    }
+
+    return { years: rows };
+  }
+
+  /**
+   * Score a gift schedule against the no-giving baseline.
+   */
+  evaluate(p, vehicle, plan, years = p.years) {
+    const { gifts, feasible = true, reason = null } = Array.isArray(plan) ? { gifts: plan } : plan;
+    const baseline = this.simulate(p, [], years);
+    const result = this.simulate(p, gifts, years);
+    const pv = (t) => 1 / Math.pow(1 + p.discountRate, t);
+
+    const totals = {
+      toCharity: 0, outlay: 0, receipts: 0, taxSavings: 0,
+      capitalGainsTaxAvoided: 0, deferredTaxAvoided: 0, nominalTaxSavings: 0,
+    };
+    const schedule = result.years.map((row, t) => {
+      const taxSavings = baseline.years[t].totalTax - row.totalTax;
+      const { gift } = row;
+      totals.toCharity += gift.toCharity * pv(t);
+      totals.outlay += gift.outlay * pv(t);
+      totals.receipts += gift.receipts * pv(t);
+      totals.taxSavings += taxSavings * pv(t);
+      totals.nominalTaxSavings += taxSavings;
+      totals.capitalGainsTaxAvoided += gift.gainAvoided * p.futureCapitalGainsRate * pv(t);
+      totals.deferredTaxAvoided += gift.deferredIncomeAvoided * p.futureIncomeTaxRate * pv(t);
+
+      return {
+        year: row.year,
+        given: gift.cash + gift.dafCash + gift.stock + gift.dafStock + gift.qcd + (gift.trustDeduction ? gift.outlay : 0),
+        qcd: gift.qcd,
+        stock: gift.stock + gift.dafStock,
+        toCharity: gift.toCharity,
+        deductionMethod: row.deductionMethod,
+        charitableDeduction: row.charitableDeduction,
+        carryforward: row.carryforward,
+        trustPayout: gift.receipts,
+        taxSavings,
+      };
+    });
+
+    const afterTaxCost = totals.outlay - totals.receipts - totals.taxSavings
+      - totals.capitalGainsTaxAvoided - totals.deferredTaxAvoided;
+
+    return {
+      vehicle,
+      feasible,
+      reason,
+      toCharity: totals.toCharity,
+      outlay: totals.outlay,
+      trustPayouts: totals.receipts,
+      taxSavings: totals.taxSavings,
+      nominalTaxSavings: totals.nominalTaxSavings,
+      capitalGainsTaxAvoided: totals.capitalGainsTaxAvoided,
+      deferredTaxAvoided: totals.deferredTaxAvoided,
+      afterTaxCost,
+      costPerDollar: totals.toCharity > 0 ? afterTaxCost / totals.toCharity : null,
+      schedule,
+    };
+  }
+
+  summarize(simulation) {
+    return {
+      totalTax: simulation.years.reduce((sum, y) => sum + y.totalTax, 0),
+      years: simulation.years.map(y => ({ year: y.year, agi: y.agi, deductionMethod: y.deductionMethod, totalTax: y.totalTax })),
+    };
+  }
+
+  describe(best, vehicles) {
+    const cash = vehicles.find(v => v.vehicle === 'cash');
+    const savingsPerDollar = cash && cash.costPerDollar !== null ? cash.costPerDollar - best.costPerDollar : 0;
+    const labels = {
+      cash: 'Give cash each year',
+      qcd: 'Give through qualified charitable distributions from the IRA',
+      appreciated_stock: 'Give appreciated long-term shares instead of cash',
+      daf_bunching: `Bunch ${best.cycleYears || 2} years of giving into a donor-advised fund`,
+      crt: 'Fund a charitable remainder unitrust with appreciated shares',
+    };
+
+    return {
+      vehicle: best.vehicle,
+      title: labels[best.vehicle],
+      costPerDollar: best.costPerDollar,
+      savingsVsCash: savingsPerDollar * best.toCharity,
+    };
+  }
+}
+
+export default CharitablePlanner;
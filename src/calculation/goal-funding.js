@@ -0,0 +1,181 @@
+/**
+ * Farther Prism - Goal Funding
+ *
+ * Pays a household's goals (education, major purchases, legacy, ...) out of
+ * one simulated path's portfolio, in priority order, and records which
+ * goals were met. Monte Carlo runs one ledger per path and reports the
+ * share of paths that fully funded each goal.
+ *
+ * Schedule per goal (amounts in today's dollars, inflated at the plan's
+ * inflation or metadata.inflationRate):
+ * - target_date's year is the first payment; metadata.years payments of
+ *   metadata.annualAmount (default: target_amount spread over the years,
+ *   one lump sum when neither is set)
+ * - legacy goals take nothing out: target_amount must be left in the
+ *   portfolio at target_date, or at the end of the projection
+ * - retirement goals are the plan's own spending, measured by the
+ *   portfolio success rate, and are not scheduled here
+ *
+ * Each year the living spending comes first. A goal is then paid from what
+ * is left above the reserve for every higher-priority goal's remaining
+ * payments (priority 1 is highest; same priority by date), so a lake house
+ * in year 5 cannot spend money college needs in year 10.
+ */
+
+export const UNSCHEDULED_GOAL_TYPES = ['retirement'];
+
+// Paid within a dollar of the requirement counts as funded
+const FUNDED_TOLERANCE = 1;
+
+/**
+ * Goal from a goals row or a scenario object (camelCase or snake_case).
+ *
+ * @returns {Object} { id, name, type, priority, targetAmount, targetDate, active, metadata }
+ */
+export function normalizeGoal(goal) {
+  const metadata = goal.metadata || {};
+  return {
+    id: goal.id ?? null,
+    name: goal.goal_name ?? goal.goalName ?? goal.name ?? 'Goal',
+    type: goal.goal_type ?? goal.goalType ?? goal.type ?? 'other',
+    priority: Number(goal.priority) || 3,
+    targetAmount: Number(goal.target_amount ?? goal.targetAmount) || 0,
+    targetDate: goal.target_date ?? goal.targetDate ?? null,
+    active: goal.active ?? true,
+    metadata,
+  };
+}
+
+/**
+ * Nominal payments by projection year for each schedulable goal, in
+ * funding order. Payments past the horizon are dropped (inHorizon false);
+ * a goal entirely past it has none and is never evaluated.
+ *
+ * @param {Array} goals - goals rows or scenario goals
+ * @param {Object} options - { startYear, years, inflationRate }
+ * @returns {Array} [{ goal, legacy, inHorizon, payments: [{ yearIndex, amount }] }]
+ */
+export function scheduleGoals(goals = [], { startYear, years, inflationRate = 0.03 }) {
+  return goals
+    .map(normalizeGoal)
+    .filter(goal => !UNSCHEDULED_GOAL_TYPES.includes(goal.type) && goal.active)
+    .map(goal => {
+      const growth = Number(goal.metadata.inflationRate ?? inflationRate);
+      const targetYear = goal.targetDate ? new Date(goal.targetDate).getUTCFullYear() : null;
+      const legacy = goal.type === 'legacy';
+      const firstIndex = targetYear === null
+        ? (legacy ? years - 1 : 0)
+        : Math.max(0, targetYear - startYear);
+
+      const count = legacy ? 1 : Math.max(1, Math.round(Number(goal.metadata.years) || 1));
+      const annual = !legacy && goal.metadata.annualAmount !== undefined
+        ? Number(goal.metadata.annualAmount)
+        : goal.targetAmount / count;
+
+      const payments = Array.from({ length: count }, (_, i) => ({
+        yearIndex: firstIndex + i,
+        amount: Math.max(0, annual) * (1 + growth) ** (firstIndex + i),
+      }));
+      return {
+        goal,
+        legacy,
+        inHorizon: payments.every(p => p.yearIndex < years),
+        // Checked at the end of the projection rather than in a year
+        atEnd: legacy && targetYear === null,
+        payments: payments.filter(p => p.yearIndex < years && p.amount > 0),
+      };
+    })
+    .sort((a, b) => a.goal.priority - b.goal.priority || firstPayment(a) - firstPayment(b));
+}
+
+/**
+ * Ledger for one simulation: fund() once per year in order, finish() with
+ * the ending value, then summarize(). reset() starts the next path.
+ *
+ * @param {Array} goals - goals rows or scenario goals
+ * @param {Object} options - { startYear, years, inflationRate }
+ * @returns {Object} { goals, fund(yearIndex, available), finish(endingValue), reset(), summarize() }
+ */
+export function createGoalLedger(goals = [], options) {
+  const scheduled = scheduleGoals(goals, options);
+  let state = [];
+
+  const reset = () => {
+    state = scheduled.map(() => ({ required: 0, paid: 0, failYear: null }));
+  };
+  reset();
+
+  // Still owed to goals ahead of index i in funding order, from yearIndex on
+  const reserveAhead = (i, yearIndex) => {
+    let reserve = 0;
+    for (let j = 0; j < i; j++) {
+      if (scheduled[j].goal.priority === scheduled[i].goal.priority) continue;
+      for (const payment of scheduled[j].payments) {
+        if (payment.yearIndex >= yearIndex) reserve += payment.amount;
+      }
+    }
+    return reserve;
+  };
+
+  const settle = (i, yearIndex, amount, available) => {
+    const funded = Math.min(amount, Math.max(0, available - reserveAhead(i, yearIndex)));
+    const s = state[i];
+    s.required += amount;
+    s.paid += funded;
+    if (funded < amount - FUNDED_TOLERANCE && s.failYear === null) s.failYear = yearIndex;
+    return funded;
+  };
+
+  return {
+    goals: scheduled.map(({ goal, legacy, inHorizon, payments }) => ({ ...goal, legacy, inHorizon, payments })),
+
+    /**
+     * Pay the goals due in a year from what the portfolio has available
+     * after living spending.
+     *
+     * @returns {Object} { paid, shortfall } - paid out and left unpaid
+     *   (legacy goals are only checked)
+     */
+    fund(yearIndex, available) {
+      let remaining = available;
+      let paid = 0;
+      let shortfall = 0;
+      scheduled.forEach((item, i) => {
+        if (item.atEnd) return;
+        for (const payment of item.payments) {
+          if (payment.yearIndex !== yearIndex) continue;
+          const funded = settle(i, yearIndex, payment.amount, remaining);
+          if (!item.legacy) {
+            remaining -= funded;
+            paid += funded;
+            shortfall += payment.amount - funded;
+          }
+        }
+      });
+      return { paid, shortfall };
+    },
+
+    /**
+     * Check legacy goals that run to the end of the projection.
+     */
+    finish(endingValue) {
+      scheduled.forEach((item, i) => {
+        if (item.atEnd && item.payments.length) settle(i, item.payments[0].yearIndex, item.payments[0].amount, endingValue);
+      });
+    },
+
+    reset,
+
+    /**
+     * Per goal, in funding order: paid and required (nominal), and the
+     * projection year of the first shortfall (null when fully funded).
+     */
+    summarize() {
+      return state.map(({ required, paid, failYear }) => ({ required, paid, failYear }));
+    },
+  };
+}
+
+function firstPayment(item) {
+  return item.payments[0]?.yearIndex ?? Infinity;
+}
@@ -0,0 +1,222 @@
+/**
+ * Historical Returns
+ *
+ * Return histories for block-bootstrap simulation and deterministic
+ * replay of historical sequences (stress tests):
+ * - Annual US history 1928-2024: S&P 500 with dividends, 10-year Treasury
+ *   and 3-month T-bill total returns (Damodaran, NYU Stern) and CPI-U
+ *   (December to December). Each year is spread evenly over its months.
+ * - Monthly returns from daily prices (the market data lake), when loaded.
+ *
+ * Histories are monthly rows { date, returns } with returns indexed like
+ * the history model's assetClasses, so holdings map onto them through
+ * return-model.js. Replays are in real terms: each month's return is
+ * deflated by that month's CPI and re-inflated at the plan's inflation
+ * rate, so high-inflation eras (1966, 1973) hurt as they did.
+ */
+
+export const HISTORICAL_ASSET_CLASSES = ['us_equity_large', 'fixed_income_core', 'cash'];
+
+// [year, S&P 500, 10-year Treasury, 3-month T-bill, CPI]
+const ANNUAL_HISTORY = [
+  [1928, 0.4381, 0.0084, 0.0308, -0.0100], [1929, -0.0830, 0.0420, 0.0316, 0.0060],
+  [1930, -0.2512, 0.0454, 0.0455, -0.0640], [1931, -0.4384, -0.0256, 0.0231, -0.0930],
+  [1932, -0.0864, 0.0879, 0.0107, -0.1030], [1933, 0.4998, 0.0186, 0.0096, 0.0080],
+  [1934, -0.0119, 0.0796, 0.0028, 0.0150], [1935, 0.4674, 0.0447, 0.0017, 0.0300],
+  [1936, 0.3194, 0.0502, 0.0017, 0.0140], [1937, -0.3534, 0.0138, 0.0028, 0.0290],
+  [1938, 0.2928, 0.0421, 0.0007, -0.0280], [1939, -0.0110, 0.0441, 0.0005, 0.0000],
+  [1940, -0.1067, 0.0540, 0.0004, 0.0070], [1941, -0.1277, -0.0202, 0.0013, 0.0990],
+  [1942, 0.1917, 0.0229, 0.0034, 0.0900], [1943, 0.2506, 0.0249, 0.0038, 0.0300],
+  [1944, 0.1903, 0.0258, 0.0038, 0.0230], [1945, 0.3582, 0.0380, 0.0038, 0.0220],
+  [1946, -0.0843, 0.0313, 0.0038, 0.1810], [1947, 0.0520, 0.0092, 0.0060, 0.0880],
+  [1948, 0.0570, 0.0195, 0.0105, 0.0300], [1949, 0.1830, 0.0466, 0.0112, -0.0210],
+  [1950, 0.3081, 0.0043, 0.0120, 0.0590], [1951, 0.2368, -0.0030, 0.0152, 0.0600],
+  [1952, 0.1815, 0.0227, 0.0172, 0.0080], [1953, -0.0121, 0.0414, 0.0189, 0.0070],
+  [1954, 0.5256, 0.0329, 0.0094, -0.0070], [1955, 0.3260, -0.0134, 0.0172, 0.0040],
+  [1956, 0.0744, -0.0226, 0.0262, 0.0300], [1957, -0.1046, 0.0680, 0.0322, 0.0290],
+  [1958, 0.4372, -0.0210, 0.0177, 0.0180], [1959, 0.1206, -0.0265, 0.0339, 0.0170],
+  [1960, 0.0034, 0.1164, 0.0288, 0.0140], [1961, 0.2664, 0.0206, 0.0235, 0.0070],
+  [1962, -0.0881, 0.0569, 0.0277, 0.0130], [1963, 0.2261, 0.0168, 0.0316, 0.0160],
+  [1964, 0.1642, 0.0373, 0.0355, 0.0100], [1965, 0.1240, 0.0072, 0.0395, 0.0190],
+  [1966, -0.0997, 0.0291, 0.0486, 0.0350], [1967, 0.2380, -0.0158, 0.0429, 0.0300],
+  [1968, 0.1081, 0.0327, 0.0534, 0.0470], [1969, -0.0824, -0.0501, 0.0667, 0.0620],
+  [1970, 0.0356, 0.1675, 0.0639, 0.0560], [1971, 0.1422, 0.0979, 0.0433, 0.0330],
+  [1972, 0.1876, 0.0282, 0.0406, 0.0340], [1973, -0.1431, 0.0366, 0.0704, 0.0870],
+  [1974, -0.2590, 0.0199, 0.0785, 0.1230], [1975, 0.3700, 0.0361, 0.0579, 0.0690],
+  [1976, 0.2383, 0.1598, 0.0498, 0.0490], [1977, -0.0698, 0.0129, 0.0526, 0.0670],
+  [1978, 0.0651, -0.0078, 0.0718, 0.0900], [1979, 0.1852, 0.0067, 0.1005, 0.1330],
+  [1980, 0.3174, -0.0299, 0.1139, 0.1250], [1981, -0.0470, 0.0820, 0.1404, 0.0890],
+  [1982, 0.2042, 0.3281, 0.1060, 0.0380], [1983, 0.2234, 0.0320, 0.0862, 0.0380],
+  [1984, 0.0615, 0.1373, 0.0954, 0.0390], [1985, 0.3124, 0.2571, 0.0747, 0.0380],
+  [1986, 0.1849, 0.2428, 0.0597, 0.0110], [1987, 0.0581, -0.0496, 0.0578, 0.0440],
+  [1988, 0.1654, 0.0822, 0.0667, 0.0440], [1989, 0.3148, 0.1769, 0.0811, 0.0460],
+  [1990, -0.0306, 0.0624, 0.0750, 0.0610], [1991, 0.3023, 0.1500, 0.0538, 0.0310],
+  [1992, 0.0749, 0.0936, 0.0343, 0.0290], [1993, 0.0997, 0.1421, 0.0300, 0.0270],
+  [1994, 0.0133, -0.0804, 0.0425, 0.0270], [1995, 0.3720, 0.2348, 0.0549, 0.0250],
+  [1996, 0.2268, 0.0143, 0.0501, 0.0330], [1997, 0.3310, 0.0994, 0.0506, 0.0170],
+  [1998, 0.2834, 0.1492, 0.0478, 0.0160], [1999, 0.2089, -0.0825, 0.0464, 0.0270],
+  [2000, -0.0903, 0.1666, 0.0582, 0.0340], [2001, -0.1185, 0.0557, 0.0340, 0.0160],
+  [2002, -0.2197, 0.1512, 0.0161, 0.0240], [2003, 0.2836, 0.0038, 0.0101, 0.0190],
+  [2004, 0.1074, 0.0449, 0.0137, 0.0330], [2005, 0.0483, 0.0287, 0.0315, 0.0340],
+  [2006, 0.1561, 0.0196, 0.0473, 0.0250], [2007, 0.0548, 0.1021, 0.0436, 0.0410],
+  [2008, -0.3655, 0.2010, 0.0137, 0.0010], [2009, 0.2594, -0.1112, 0.0015, 0.0270],
+  [2010, 0.1482, 0.0846, 0.0014, 0.0150], [2011, 0.0210, 0.1604, 0.0005, 0.0300],
+  [2012, 0.1589, 0.0297, 0.0009, 0.0170], [2013, 0.3215, -0.0910, 0.0006, 0.0150],
+  [2014, 0.1352, 0.1075, 0.0003, 0.0080], [2015, 0.0138, 0.0128, 0.0005, 0.0070],
+  [2016, 0.1177, 0.0069, 0.0032, 0.0210], [2017, 0.2161, 0.0280, 0.0093, 0.0210],
+  [2018, -0.0423, -0.0002, 0.0194, 0.0190], [2019, 0.3121, 0.0964, 0.0206, 0.0230],
+  [2020, 0.1802, 0.1133, 0.0035, 0.0140], [2021, 0.2847, -0.0442, 0.0005, 0.0700],
+  [2022, -0.1804, -0.1783, 0.0202, 0.0650], [2023, 0.2606, 0.0388, 0.0507, 0.0340],
+  [2024, 0.2488, -0.0164, 0.0497, 0.0290],
+];
+
+// Named retiree start years replayed as stress tests
+export const STRESS_SEQUENCES = [
+  { id: '1929', startYear: 1929, label: 'Great Depression' },
+  { id: '1966', startYear: 1966, label: 'Stagflation' },
+  { id: '1973', startYear: 1973, label: '1973-74 bear market and oil shock' },
+  { id: '2000', startYear: 2000, label: 'Dot-com crash and lost decade' },
+  { id: '2008', startYear: 2008, label: 'Global financial crisis' },
+  { id: '2022', startYear: 2022, label: 'Stock and bond drawdown' },
+];
+
+/**
+ * Annual history spread into months: { date, returns, inflation }.
+ */
+export function getHistoricalMonthlyReturns() {
+  const rows = [];
+  for (const [year, stocks, bonds, bills, cpi] of ANNUAL_HISTORY) {
+    const returns = [stocks, bonds, bills].map(monthlyRate);
+    for (let month = 1; month <= 12; month++) {
+      rows.push({
+        date: `${year}-${String(month).padStart(2, '0')}`,
+        returns: Float64Array.from(returns),
+        inflation: monthlyRate(cpi),
+      });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Monthly returns from daily prices by asset class
+ * ({ [assetClass]: [{ date, adjClose }] }), over the months every class
+ * covers. No inflation is recorded, so replays stay nominal.
+ *
+ * @returns {Object} { assetClasses, rows: [{ date, returns, inflation: null }] }
+ */
+export function monthlyReturnsFromPrices(pricesByClass) {
+  const assetClasses = Object.keys(pricesByClass);
+  const monthEnds = assetClasses.map(assetClass => {
+    const closes = new Map();
+    for (const { date, adjClose } of pricesByClass[assetClass]) closes.set(date.substring(0, 7), adjClose);
+    return closes;
+  });
+
+  const months = [...monthEnds[0].keys()].filter(m => monthEnds.every(closes => closes.has(m))).sort();
+  const rows = [];
+  for (let i = 1; i < months.length; i++) {
+    rows.push({
+      date: months[i],
+      returns: Float64Array.from(monthEnds, closes => closes.get(months[i]) / closes.get(months[i - 1]) - 1),
+      inflation: null,
+    });
+  }
+  return { assetClasses, rows };
+}
+
+/**
+ * Convert to real returns re-inflated at the plan's inflation rate.
+ * Rows without inflation are returned unchanged.
+ */
+export function reinflateReturns(rows, inflationRate) {
+  const planInflation = monthlyRate(inflationRate);
+  return rows.map(row => (row.inflation === null ? row : {
+    ...row,
+    returns: row.returns.map(r => ((1 + r) / (1 + row.inflation)) * (1 + planInflation) - 1),
+  }));
+}
+
+/**
+ * A return model (see return-model.js) describing a history: means and
+ * covariance of its calendar-year (12-month compounded) returns, since
+ * spread annual data has no month-to-month variance.
+ */
+export function buildHistoricalModel(rows, assetClasses, name) {
+  const n = assetClasses.length;
+  const years = [];
+  for (let start = 0; start + 12 <= rows.length; start += 12) {
+    years.push(Array.from({ length: n }, (_, i) => rows.slice(start, start + 12).reduce((g, row) => g * (1 + row.returns[i]), 1) - 1));
+  }
+
+  const means = Array.from({ length: n }, (_, i) => years.reduce((sum, y) => sum + y[i], 0) / years.length);
+  const covariance = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => {
+    const sum = years.reduce((acc, y) => acc + (y[i] - means[i]) * (y[j] - means[j]), 0);
+    return sum / Math.max(1, years.length - 1);
+  }));
+
+  return {
+    id: null,
+    name: name ?? `Historical ${rows[0]?.date.substring(0, 4)}-${rows[rows.length - 1]?.date.substring(0, 4)}`,
+    assetClasses,
+    means,
+    covariance,
+    repaired: false,
+    fatTails: { distribution: 'historical' },
+  };
+}
+
+/**
+ * Circular block bootstrap: blocks of blockLength consecutive months from
+ * random starts, which keeps within-block autocorrelation and cross-asset
+ * co-movement. reset() starts a new block (call it per path).
+ *
+ * @param {Array} rows - Monthly history rows
+ * @param {Object} options - { blockLength, random }
+ * @returns {Function} () => monthly returns by asset class
+ */
+export function createBlockBootstrapSampler(rows, { blockLength = 24, random = Math.random } = {}) {
+  let position = 0;
+  let remaining = 0;
+
+  const sampler = () => {
+    if (remaining === 0) {
+      position = Math.floor(random() * rows.length);
+      remaining = blockLength;
+    }
+    const returns = rows[position].returns;
+    position = (position + 1) % rows.length;
+    remaining--;
+    return returns;
+  };
+  sampler.reset = () => { remaining = 0; };
+  return sampler;
+}
+
+/**
+ * Deterministic replay of history from January of startYear. After the
+ * last recorded month the sequence continues at the history's geometric
+ * average returns.
+ *
+ * @returns {Function} () => monthly returns by asset class; reset() rewinds
+ */
+export function createSequenceSampler(rows, startYear) {
+  const start = rows.findIndex(row => row.date >= `${startYear}-01`);
+  if (start < 0) throw new Error(`No return history for ${startYear}`);
+
+  const n = rows[0].returns.length;
+  const average = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    const growth = rows.reduce((sum, row) => sum + Math.log(1 + row.returns[i]), 0);
+    average[i] = Math.exp(growth / rows.length) - 1;
+  }
+
+  let position = start;
+  const sampler = () => (position < rows.length ? rows[position++].returns : average);
+  sampler.reset = () => { position = start; };
+  return sampler;
+}
+
+function monthlyRate(annual) {
+  return Math.pow(1 + annual, 1 / 12) - 1;
+}
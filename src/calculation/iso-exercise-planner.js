@@ -0,0 +1,169 @@
+/**
+ * ISO Exercise Planner
+ *
+ * Sizes incentive stock option (ISO) exercises against the Alternative
+ * Minimum Tax. The bargain element (FMV - strike) of ISOs held past
+ * year-end is an AMT preference item, so exercising too many shares in
+ * one year triggers AMT.
+ *
+ * Features:
+ * - Maximum shares exercisable before AMT (or within an AMT budget)
+ * - Multi-year exercise schedule ahead of option expiration
+ * - Minimum tax credit carryforward threaded year to year
+ */
+
+import { TaxCalculator } from './tax-calculator.js';
+import { defaultTaxRuleRegistry } from './tax-rules.js';
+
+export class ISOExercisePlanner {
+  constructor({ taxRuleRegistry = defaultTaxRuleRegistry } = {}) {
+    this.taxRuleRegistry = taxRuleRegistry;
+    this.taxCalculators = new Map();
+  }
+
+  getTaxCalculator(taxYear) {
+    if (!this.taxCalculators.has(taxYear)) {
+      this.taxCalculators.set(taxYear, new TaxCalculator(taxYear, { registry: this.taxRuleRegistry }));
+    }
+    return this.taxCalculators.get(taxYear);
+  }
+
+  /**
+   * Find the largest number of shares that can be exercised (and held)
+   * in a year while keeping AMT at or below the budget.
+   *
+   * @param {Object} params
+   * @param {Object} params.income - calculateTax income for the year, excluding the exercise
+   * @param {Object} params.household - calculateTax household
+   * @param {Object} params.deductions - Itemized deduction inputs
+   * @param {number} params.taxYear - Tax year
+   * @param {number} params.strikePrice - Option strike price
+   * @param {number} params.fairMarketValue - FMV per share at exercise
+   * @param {number} params.sharesAvailable - Vested, unexercised shares
+   * @param {number} params.amtBudget - AMT the client will accept (0 = avoid AMT)
+   * @param {number} params.amtCreditCarryforward - Prior-year minimum tax credit
+   * @returns {Object} Exercise recommendation
+   */
+  findMaxShares({
+    income = {},
+    household = {},
+    deductions = {},
+    taxYear = 2024,
+    strikePrice,
+    fairMarketValue,
+    sharesAvailable,
+    amtBudget = 0,
+    amtCreditCarryforward = 0,
+  }) {
+    const taxCalculator = this.getTaxCalculator(taxYear);
+    const spreadPerShare = Math.max(0, fairMarketValue - strikePrice);
+
+    const evaluate = (shares) => taxCalculator.calculateTax(
+      { ...income, isoBargainElement: (income.isoBargainElement || 0) + shares * spreadPerShare },
+      household,
+      { deductions, amtCreditCarryforward }
+    );
+
+    const baseline = evaluate(0);
+    let shares = 0;
+
+    if (spreadPerShare === 0) {
+      // Underwater or at-the-money options carry no AMT preference
+      shares = sharesAvailable;
+    } else if (evaluate(sharesAvailable).amt.amt <= amtBudget) {
+      shares = sharesAvailable;
+    } else if (baseline.amt.amt <= amtBudget) {
+      // AMT is monotonic in shares exercised; bisect on whole shares
+      let low = 0;
+      let high = sharesAvailable;
+      while (high - low > 1) {
+        const mid = Math.floor((low + high) / 2);
+        if (evaluate(mid).amt.amt <= amtBudget) low = mid;
+        else high = mid;
+      }
+      shares = low;
+    }
+
+    const result = evaluate(shares);
+
+    return {
+      taxYear,
+      shares,
+      sharesRemaining: sharesAvailable - shares,
+      spreadPerShare,
+      bargainElement: shares * spreadPerShare,
+      costToExercise: shares * strikePrice,
+      amt: result.amt.amt,
+      amtHeadroom: baseline.amt.headroom,
+      federalTaxBefore: baseline.federalTax,
+      federalTaxAfter: result.federalTax,
+      additionalTax: result.federalTax - baseline.federalTax,
+      amtCreditUsed: result.amt.creditUsed,
+      amtCreditGenerated: result.amt.creditGenerated,
+      amtCreditCarryforward: result.amt.creditCarryforward,
+    };
+  }
+
+  /**
+   * Plan exercises across several years, sizing each year to the AMT
+   * budget and exercising everything left in the expiration year.
+   *
+   * @param {Object} params
+   * @param {Object} params.grant - { shares, strikePrice, fairMarketValue, fmvGrowthRate, expirationYear }
+   * @param {Array} params.years - [{ taxYear, income, deductions }] in order
+   * @param {Object} params.household - calculateTax household
+   * @param {number} params.amtBudget - Annual AMT the client will accept
+   * @param {number} params.amtCreditCarryforward - Minimum tax credit entering the first year
+   * @returns {Object} Year-by-year schedule and totals
+   */
+  planExercises({ grant, years = [], household = {}, amtBudget = 0, amtCreditCarryforward = 0 }) {
+    const {
+      shares: totalShares,
+      strikePrice,
+      fairMarketValue,
+      fmvGrowthRate = 0,
+      expirationYear = null,
+    } = grant;
+
+    const schedule = [];
+    let sharesRemaining = totalShares;
+    let creditCarryforward = amtCreditCarryforward;
+    const firstYear = years.length > 0 ? years[0].taxYear : null;
+
+    for (const year of years) {
+      const fmv = fairMarketValue * Math.pow(1 + fmvGrowthRate, year.taxYear - firstYear);
+      const mustExercise = expirationYear !== null && year.taxYear >= expirationYear;
+
+      const exercise = this.findMaxShares({
+        income: year.income || {},
+        household,
+        deductions: year.deductions || {},
+        taxYear: year.taxYear,
+        strikePrice,
+        fairMarketValue: fmv,
+        sharesAvailable: sharesRemaining,
+        amtBudget: mustExercise ? Infinity : amtBudget,
+        amtCreditCarryforward: creditCarryforward,
+      });
+
+      sharesRemaining -= exercise.shares;
+      creditCarryforward = exercise.amtCreditCarryforward;
+
+      schedule.push({ ...exercise, fairMarketValue: fmv, forced: mustExercise && exercise.shares > 0 });
+
+      if (mustExercise) break;
+    }
+
+    return {
+      schedule,
+      sharesExercised: totalShares - sharesRemaining,
+      sharesRemaining,
+      totalAMT: schedule.reduce((sum, y) => sum + y.amt, 0),
+      totalAdditionalTax: schedule.reduce((sum, y) => sum + y.additionalTax, 0),
+      totalCostToExercise: schedule.reduce((sum, y) => sum + y.costToExercise, 0),
+      amtCreditCarryforward: creditCarryforward,
+    };
+  }
+}
+
+export default ISOExercisePlanner;
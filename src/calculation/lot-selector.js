@@ -0,0 +1,317 @@
+/**
+ * Tax Lot Selector
+ *
+ * Chooses which tax lots to sell when funding a withdrawal from a taxable
+ * account and reports the realized gains by holding period.
+ *
+ * Methods:
+ * - hifo: highest basis (per dollar of value) first - smallest gains
+ * - fifo: oldest lots first (custodian default)
+ * - specific_id: caller-listed lots first, then a fallback method
+ * - loss_first: short-term losses, long-term losses, then the smallest
+ *   long-term gains before any short-term gains
+ *
+ * Lots held more than one year at the sale date are long-term (IRC §1222).
+ * harvestGains() realizes long-term gains and resets basis (0% bracket
+ * gain harvesting); giftLots() picks appreciated lots to donate.
+ */
+
+export const LOT_SELECTION_METHODS = ['hifo', 'fifo', 'specific_id', 'loss_first'];
+
+/**
+ * Normalize a `lots` row (or an already-normalized lot).
+ * Missing basis is treated as zero (worst case) and flagged.
+ */
+export function normalizeLot(row) {
+  const quantity = Number(row.quantity) || 0;
+  const marketValue = row.marketValue ?? row.market_value ?? row.current_value
+    ?? (row.current_price !== undefined && row.current_price !== null ? Number(row.current_price) * quantity : 0);
+  const costBasis = row.costBasis ?? row.cost_basis;
+  const acquisitionDate = row.acquisitionDate ?? row.acquisition_date ?? null;
+
+  return {
+    id: row.id,
+    accountId: row.accountId ?? row.account_id ?? null,
+    symbol: row.symbol ?? null,
+    assetClass: row.assetClass ?? row.asset_class ?? null,
+    quantity,
+    marketValue: Number(marketValue) || 0,
+    costBasis: costBasis === null || costBasis === undefined ? 0 : Number(costBasis),
+    basisUnknown: costBasis === null || costBasis === undefined,
+    acquisitionDate: acquisitionDate ? new Date(acquisitionDate) : null,
+  };
+}
+
+/**
+ * 'long' when held more than one year at saleDate. Lots without an
+ * acquisition date are assumed long-term.
+ */
+export function getLotTerm(lot, saleDate) {
+  if (!lot.acquisitionDate) return 'long';
+  const oneYear = new Date(lot.acquisitionDate);
+  oneYear.setFullYear(oneYear.getFullYear() + 1);
+  return new Date(saleDate) > oneYear ? 'long' : 'short';
+}
+
+/**
+ * Order lots for sale under a selection method.
+ */
+export function orderLots(lots, method = 'hifo', { saleDate = new Date(), specificLotIds = [], fallbackMethod = 'hifo' } = {}) {
+  if (!LOT_SELECTION_METHODS.includes(method)) {
+    throw new Error(`Unknown lot selection method: ${method}`);
+  }
+
+  const basisRatio = (lot) => (lot.marketValue > 0 ? lot.costBasis / lot.marketValue : 0);
+  const sorted = lots.filter(lot => lot.marketValue > 0).slice();
+
+  switch (method) {
+    case 'fifo':
+      return sorted.sort((a, b) => (a.acquisitionDate ?? 0) - (b.acquisitionDate ?? 0));
+
+    case 'hifo':
+      return sorted.sort((a, b) => basisRatio(b) - basisRatio(a));
+
+    case 'specific_id': {
+      const chosen = specificLotIds
+        .map(id => sorted.find(lot => lot.id === id))
+        .filter(Boolean);
+      const rest = orderLots(
+        sorted.filter(lot => !specificLotIds.includes(lot.id)),
+        fallbackMethod === 'specific_id' ? 'hifo' : fallbackMethod,
+        { saleDate }
+      );
+      return [...chosen, ...rest];
+    }
+
+    case 'loss_first': {
+      // 0: ST loss, 1: LT loss, 2: LT gain, 3: ST gain; within a group, most tax-efficient first
+      const group = (lot) => {
+        const loss = lot.costBasis > lot.marketValue;
+        const long = getLotTerm(lot, saleDate) === 'long';
+        if (loss) return long ? 1 : 0;
+        return long ? 2 : 3;
+      };
+      return sorted.sort((a, b) => group(a) - group(b) || basisRatio(b) - basisRatio(a));
+    }
+
+    default:
+      return sorted;
+  }
+}
+
+/**
+ * Sell lots to raise `amount` of proceeds.
+ *
+ * @param {Array} lots - Normalized lots (see normalizeLot)
+ * @param {number} amount - Proceeds needed
+ * @param {Object} options
+ * @param {string} options.method - hifo | fifo | specific_id | loss_first
+ * @param {Date|string} options.saleDate - Determines holding period
+ * @param {Array} options.specificLotIds - Lots to sell first for specific_id
+ * @param {string} options.fallbackMethod - Ordering after the specific lots
+ * @returns {Object} { sales, proceeds, basis, shortTermGain, longTermGain, remainingLots, shortfall }
+ */
+export function selectLots(lots, amount, options = {}) {
+  const { method = 'hifo', saleDate = new Date() } = options;
+  const ordered = orderLots(lots, method, options);
+  const remainingById = new Map(lots.map(lot => [lot.id, { ...lot }]));
+
+  const sales = [];
+  let remaining = Math.max(0, amount);
+
+  for (const lot of ordered) {
+    if (remaining <= 0.005) break;
+
+    const fraction = Math.min(1, remaining / lot.marketValue);
+    const proceeds = lot.marketValue * fraction;
+    const basis = lot.costBasis * fraction;
+    const term = getLotTerm(lot, saleDate);
+
+    sales.push({
+      lotId: lot.id,
+      symbol: lot.symbol,
+      quantity: lot.quantity * fraction,
+      proceeds,
+      basis,
+      gain: proceeds - basis,
+      term,
+      acquisitionDate: lot.acquisitionDate,
+      basisUnknown: lot.basisUnknown,
+    });
+    remaining -= proceeds;
+
+    const left = remainingById.get(lot.id);
+    if (fraction >= 1) {
+      remainingById.delete(lot.id);
+    } else {
+      left.quantity -= lot.quantity * fraction;
+      left.marketValue -= proceeds;
+      left.costBasis -= basis;
+    }
+  }
+
+  const sum = (term, field) => sales
+    .filter(sale => term === null || sale.term === term)
+    .reduce((total, sale) => total + sale[field], 0);
+
+  return {
+    method,
+    sales,
+    proceeds: sum(null, 'proceeds'),
+    basis: sum(null, 'basis'),
+    shortTermGain: sum('short', 'gain'),
+    longTermGain: sum('long', 'gain'),
+    remainingLots: [...remainingById.values()],
+    shortfall: Math.max(0, remaining),
+  };
+}
+
+/**
+ * Realize up to `maxGain` of long-term gains by selling and immediately
+ * repurchasing lots (no wash-sale rule applies to gains). Lots with the
+ * most embedded gain per dollar go first; the repurchased shares carry a
+ * basis equal to market value and a new holding period.
+ *
+ * @param {Array} lots - Normalized lots
+ * @param {number} maxGain - Gain to realize
+ * @param {Object} options
+ * @param {Date|string} options.saleDate - Sale/repurchase date
+ * @returns {Object} { sales, proceeds, gain, basisStepUp, lots }
+ */
+export function harvestGains(lots, maxGain, { saleDate = new Date() } = {}) {
+  const basisRatio = (lot) => lot.costBasis / lot.marketValue;
+  const candidates = lots
+    .filter(lot => lot.marketValue > lot.costBasis && !lot.basisUnknown && getLotTerm(lot, saleDate) === 'long')
+    .sort((a, b) => basisRatio(a) - basisRatio(b));
+  const updated = new Map(lots.map(lot => [lot.id, lot]));
+  const repurchased = [];
+  const sales = [];
+  let remaining = Math.max(0, maxGain);
+
+  for (const lot of candidates) {
+    if (remaining <= 0.005) break;
+
+    const lotGain = lot.marketValue - lot.costBasis;
+    const fraction = Math.min(1, remaining / lotGain);
+    const proceeds = lot.marketValue * fraction;
+    const basis = lot.costBasis * fraction;
+
+    sales.push({
+      lotId: lot.id,
+      symbol: lot.symbol,
+      quantity: lot.quantity * fraction,
+      proceeds,
+      basis,
+      gain: proceeds - basis,
+      term: 'long',
+      acquisitionDate: lot.acquisitionDate,
+    });
+    remaining -= proceeds - basis;
+
+    const reset = { quantity: lot.quantity * fraction, marketValue: proceeds, costBasis: proceeds, acquisitionDate: new Date(saleDate) };
+    if (fraction >= 1) {
+      updated.set(lot.id, { ...lot, ...reset });
+    } else {
+      updated.set(lot.id, {
+        ...lot,
+        quantity: lot.quantity - reset.quantity,
+        marketValue: lot.marketValue - proceeds,
+        costBasis: lot.costBasis - basis,
+      });
+      repurchased.push({ ...lot, ...reset, id: `${lot.id}:reset-${new Date(saleDate).getFullYear()}` });
+    }
+  }
+
+  const gain = sales.reduce((sum, sale) => sum + sale.gain, 0);
+
+  return {
+    sales,
+    proceeds: sales.reduce((sum, sale) => sum + sale.proceeds, 0),
+    gain,
+    basisStepUp: gain,
+    lots: [...updated.values(), ...repurchased],
+  };
+}
+
+/**
+ * Choose lots to donate: long-term lots with known basis and the most
+ * embedded gain per dollar first, so the gift avoids the most gain.
+ *
+ * @param {Array} lots - Normalized lots
+ * @param {number} amount - Fair market value to give
+ * @param {Object} options
+ * @param {Date|string} options.saleDate - Gift date (holding period)
+ * @returns {Object} { gifts, value, basis, gain, remainingLots, shortfall }
+ */
+export function giftLots(lots, amount, { saleDate = new Date() } = {}) {
+  const basisRatio = (lot) => lot.costBasis / lot.marketValue;
+  const candidates = lots
+    .filter(lot => lot.marketValue > lot.costBasis && !lot.basisUnknown && getLotTerm(lot, saleDate) === 'long')
+    .sort((a, b) => basisRatio(a) - basisRatio(b));
+  const remainingById = new Map(lots.map(lot => [lot.id, { ...lot }]));
+  const gifts = [];
+  let remaining = Math.max(0, amount);
+
+  for (const lot of candidates) {
+    if (remaining <= 0.005) break;
+
+    const fraction = Math.min(1, remaining / lot.marketValue);
+    const value = lot.marketValue * fraction;
+    const basis = lot.costBasis * fraction;
+    gifts.push({ lotId: lot.id, symbol: lot.symbol, quantity: lot.quantity * fraction, value, basis, gain: value - basis });
+    remaining -= value;
+
+    const left = remainingById.get(lot.id);
+    if (fraction >= 1) {
+      remainingById.delete(lot.id);
+    } else {
+      left.quantity -= lot.quantity * fraction;
+      left.marketValue -= value;
+      left.costBasis -= basis;
+    }
+  }
+
+  const value = gifts.reduce((sum, gift) => sum + gift.value, 0);
+  const basis = gifts.reduce((sum, gift) => sum + gift.basis, 0);
+
+  return {
+    gifts,
+    value,
+    basis,
+    gain: value - basis,
+    remainingLots: [...remainingById.values()],
+    shortfall: Math.max(0, remaining),
+  };
+}
+
+/**
+ * Scale lot market values by `factor` (a market return); basis is unchanged.
+ */
+export function scaleLots(lots, factor) {
+  return lots.map(lot => ({ ...lot, marketValue: lot.marketValue * factor }));
+}
+
+/**
+ * Scale lot market values so they total `targetValue`.
+ */
+export function revalueLots(lots, targetValue) {
+  const current = lots.reduce((sum, lot) => sum + lot.marketValue, 0);
+  if (current <= 0) return lots;
+  return scaleLots(lots, targetValue / current);
+}
+
+/**
+ * Unrealized gain summary by holding period.
+ */
+export function summarizeLots(lots, saleDate = new Date()) {
+  const summary = { marketValue: 0, costBasis: 0, shortTermGain: 0, longTermGain: 0, lotsWithUnknownBasis: 0 };
+  for (const lot of lots) {
+    const gain = lot.marketValue - lot.costBasis;
+    summary.marketValue += lot.marketValue;
+    summary.costBasis += lot.costBasis;
+    if (getLotTerm(lot, saleDate) === 'long') summary.longTermGain += gain;
+    else summary.shortTermGain += gain;
+    if (lot.basisUnknown) summary.lotsWithUnknownBasis += 1;
+  }
+  return summary;
+}
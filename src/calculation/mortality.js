@@ -0,0 +1,143 @@
+/**
+ * Mortality
+ *
+ * When each household member dies in a projection:
+ * - Deterministic: a recorded date of death, deathYear (mid-year) or
+ *   deathAge; people without one live to MAX_PROJECTION_AGE
+ * - Stochastic: a death age drawn from one-year mortality rates (qx),
+ *   conditional on being alive at the projection start
+ *
+ * Rates default to those implied by the IRS Single Life Table (see
+ * rmd-engine.js). An SOA table (Pri-2012, 2012 IAM, ...) can be supplied
+ * as { [age]: qx } or by gender as { male: {...}, female: {...} };
+ * person.mortalityMultiplier scales it for health.
+ */
+
+import { getSurvivalProbability } from './rmd-engine.js';
+
+export const MAX_PROJECTION_AGE = 100;
+const MAX_AGE = 120;
+
+/**
+ * Birth date from dateOfBirth/date_of_birth/birth_date/dob.
+ */
+export function getBirthDate(person) {
+  const birth = person.dateOfBirth ?? person.date_of_birth ?? person.birth_date ?? person.dob;
+  return birth ? new Date(birth) : null;
+}
+
+/**
+ * Date of death from dateOfDeath/date_of_death/dod, deathYear (July 1) or
+ * birth date plus deathAge.
+ */
+export function getDeathDate(person) {
+  if (!person) return null;
+  const recorded = person.dateOfDeath ?? person.date_of_death ?? person.dod;
+  if (recorded) return new Date(recorded);
+  if (person.deathYear) return new Date(`${person.deathYear}-07-01`);
+
+  const birth = getBirthDate(person);
+  if (!birth || person.deathAge === undefined || person.deathAge === null) return null;
+  const death = new Date(birth);
+  death.setFullYear(death.getFullYear() + Math.floor(person.deathAge));
+  death.setMonth(death.getMonth() + Math.round((person.deathAge % 1) * 12));
+  return death;
+}
+
+/**
+ * Alive on a date (people without a death date always are).
+ */
+export function isAlive(person, date) {
+  if (!person) return true;
+  const death = getDeathDate(person);
+  return !death || new Date(date) < death;
+}
+
+/**
+ * One-year probability of dying at an age.
+ *
+ * @param {number} age
+ * @param {Object} options - { table, gender, multiplier }
+ */
+export function getMortalityRate(age, { table = null, gender = null, multiplier = 1 } = {}) {
+  const whole = Math.min(MAX_AGE, Math.max(0, Math.floor(age)));
+  const rates = table && (table[gender] ?? table.unisex ?? table);
+  const qx = typeof rates?.[whole] === 'number' ? rates[whole] : 1 - getSurvivalProbability(whole);
+  return Math.min(1, qx * multiplier);
+}
+
+/**
+ * Draw a death date for someone alive on startDate. One uniform draw per
+ * year decides death in that year and, scaled by qx, when in the year.
+ *
+ * @param {Object} person - { dateOfBirth, gender, mortalityMultiplier }
+ * @param {Date|string} startDate
+ * @param {Object} options - { table, random }
+ * @returns {Date|null} Death date, or null without a birth date
+ */
+export function sampleDeathDate(person, startDate, { table = null, random = Math.random } = {}) {
+  const birth = getBirthDate(person);
+  if (!birth) return null;
+
+  const start = new Date(startDate);
+  const age = (start - birth) / (365.25 * 24 * 60 * 60 * 1000);
+  const rate = { table, gender: person.gender ?? null, multiplier: person.mortalityMultiplier ?? 1 };
+
+  for (let k = 0; age + k < MAX_AGE; k++) {
+    const qx = getMortalityRate(age + k, rate);
+    const u = random();
+    if (u < qx) return addYears(start, k + u / qx);
+  }
+  return addYears(start, MAX_AGE - age);
+}
+
+/**
+ * People with a dateOfDeath for the projection: recorded or configured
+ * dates (deterministic), or a draw for everyone still alive at the start
+ * (stochastic).
+ *
+ * @param {Array} people - Scenario people
+ * @param {string} startDate - Projection start
+ * @param {Object} options - { mortality: 'deterministic'|'stochastic', table, random }
+ * @returns {Array} People with dateOfDeath as 'YYYY-MM-DD' (null when none applies)
+ */
+export function resolveDeathDates(people, startDate, { mortality = 'deterministic', table = null, random = Math.random } = {}) {
+  return people.map(person => {
+    let death = getDeathDate(person);
+    if (mortality === 'stochastic' && (!death || death > new Date(startDate))) {
+      death = sampleDeathDate(person, startDate, { table, random }) ?? death;
+    }
+    return { ...person, dateOfDeath: death ? death.toISOString().split('T')[0] : null };
+  });
+}
+
+/**
+ * Filing status for a tax year after a spouse's death: joint for the year
+ * of death, qualifying surviving spouse (joint rates) for the next two
+ * years with a dependent child, single after that.
+ *
+ * @param {string} baseStatus - The household's status while both are alive
+ * @param {Array} people - Spouses (first two scenario people) with dateOfDeath
+ * @param {number} year - Tax year
+ * @param {Object} options - { dependentChild }
+ * @returns {Object} { filingStatus, label, survivorIndex, deathYear }
+ */
+export function getSurvivorFilingStatus(baseStatus, people, year, { dependentChild = false } = {}) {
+  const deathYears = people.slice(0, 2).map(p => (p.dateOfDeath ? new Date(p.dateOfDeath).getFullYear() : null));
+  const married = baseStatus === 'married_joint' && people.length >= 2;
+  const firstDeath = deathYears.filter(y => y !== null).sort((a, b) => a - b)[0] ?? null;
+
+  if (!married || firstDeath === null || year <= firstDeath) {
+    return { filingStatus: baseStatus, label: baseStatus, survivorIndex: null, deathYear: firstDeath };
+  }
+
+  const survivorIndex = deathYears[0] === firstDeath && deathYears[1] !== firstDeath ? 1 : 0;
+  if (dependentChild && year <= firstDeath + 2) {
+    return { filingStatus: 'married_joint', label: 'qualifying_surviving_spouse', survivorIndex, deathYear: firstDeath };
+  }
+  return { filingStatus: 'single', label: 'single', survivorIndex, deathYear: firstDeath };
+}
+
+function addYears(date, years) {
+  return new Date(date.getTime() + years * 365.25 * 24 * 60 * 60 * 1000);
+}
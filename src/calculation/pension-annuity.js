@@ -0,0 +1,319 @@
+/**
+ * Pensions and Annuities
+ *
+ * Payments and taxation for `pension` and `annuity` income streams:
+ * - Joint-and-survivor options: the survivor percentage applies after the
+ *   annuitant's death, or after either death (joint and 2/3 style) with
+ *   reduceOnFirstDeath; period-certain payments continue in full
+ * - COLA (growthRate, compounded each calendar year) or level payments
+ * - Tax-free return of after-tax investment in the contract: the General
+ *   Rule (IRS Table V expected return multiple) for non-qualified
+ *   annuities, the Simplified Method for qualified plans, until the basis
+ *   is recovered
+ * - Lump-sum vs. annuity comparison (mortality-weighted value, implied
+ *   rate, age at which the lump sum would run out)
+ * - SPIA/DIA quotes priced from Single Life Table mortality, an interest
+ *   rate and an expense load (or a carrier's payout rate)
+ *
+ * Survival comes from the IRS Single Life Table (see rmd-engine.js); deaths
+ * from mortality.js.
+ */
+
+import { getSurvivalProbability } from './rmd-engine.js';
+import { getBirthDate, isAlive } from './mortality.js';
+
+export const ANNUITY_INCOME_TYPES = ['pension', 'annuity'];
+
+/**
+ * IRS Publication 939 Table V: ordinary life annuity, one life,
+ * expected return multiples by age at the annuity starting date.
+ */
+export const EXPECTED_RETURN_MULTIPLES = {
+  50: 33.1, 51: 32.2, 52: 31.3, 53: 30.4, 54: 29.5, 55: 28.6, 56: 27.7,
+  57: 26.8, 58: 25.9, 59: 25.0, 60: 24.2, 61: 23.3, 62: 22.5, 63: 21.6,
+  64: 20.8, 65: 20.0, 66: 19.2, 67: 18.4, 68: 17.6, 69: 16.8, 70: 16.0,
+  71: 15.3, 72: 14.6, 73: 13.9, 74: 13.2, 75: 12.5, 76: 11.9, 77: 11.2,
+  78: 10.6, 79: 10.0, 80: 9.5, 81: 8.9, 82: 8.4, 83: 7.9, 84: 7.4,
+  85: 6.9, 86: 6.5, 87: 6.1, 88: 5.7, 89: 5.3, 90: 5.0,
+};
+
+// Simplified Method anticipated payments (Publication 575)
+const SINGLE_LIFE_PAYMENTS = [[55, 360], [60, 310], [65, 260], [70, 210], [Infinity, 160]];
+const JOINT_LIFE_PAYMENTS = [[110, 410], [120, 360], [130, 310], [140, 260], [Infinity, 210]];
+
+const MAX_AGE = 120;
+
+/**
+ * Normalize a pension/annuity stream: a planning scenario stream
+ * ({ type, amount, frequency, ... }) or an `income_streams` row, whose
+ * survivor, basis and purchase terms live in metadata.
+ */
+export function normalizeAnnuityStream(stream) {
+  if (stream.monthlyAmount !== undefined) return stream;
+
+  const meta = stream.metadata || {};
+  const pick = (camel, snake) => stream[camel] ?? (snake ? stream[snake] : undefined) ?? meta[camel];
+
+  const type = stream.type ?? stream.income_type;
+  const amount = Number(stream.amount ?? stream.base_amount) || 0;
+  let monthlyAmount = (stream.frequency ?? stream.amount_frequency) === 'annual' ? amount / 12 : amount;
+  // cashflow-engine streams carry annual_amount only
+  if (stream.amount === undefined && stream.base_amount === undefined) {
+    monthlyAmount = (Number(stream.annual_amount) || 0) / 12;
+  }
+
+  // Annuities bought inside retirement accounts are qualified; bought with
+  // taxable money the premium is the investment in the contract
+  const purchase = pick('purchase') ?? null;
+  const fromRetirementAccount = Boolean(purchase?.accountType && purchase.accountType !== 'taxable');
+
+  return {
+    id: stream.id,
+    type,
+    personId: pick('personId', 'person_id') ?? null,
+    monthlyAmount,
+    startDate: pick('startDate', 'start_date') ?? null,
+    endDate: pick('endDate', 'end_date') ?? null,
+    colaRate: Number(stream.growthRate ?? stream.growth_rate ?? stream.inflation_rate ?? meta.colaRate) || 0,
+    survivorPercent: Number(pick('survivorPercent')) || 0,
+    survivorPersonId: pick('survivorPersonId') ?? null,
+    reduceOnFirstDeath: Boolean(pick('reduceOnFirstDeath')),
+    periodCertainYears: Number(pick('periodCertainYears')) || 0,
+    qualified: pick('qualified') ?? (type === 'pension' || fromRetirementAccount),
+    costBasis: Number(pick('costBasis') ?? (purchase && !fromRetirementAccount ? purchase.premium : 0)) || 0,
+    purchase,
+  };
+}
+
+/**
+ * Tax-free amount of each monthly payment and the number of payments it
+ * applies to (until the investment in the contract is recovered).
+ */
+export function getMonthlyExclusion(stream, { annuitant = null, survivor = null } = {}) {
+  const s = normalizeAnnuityStream(stream);
+  if (s.costBasis <= 0 || s.monthlyAmount <= 0) return { method: null, monthly: 0, payments: 0 };
+
+  const start = new Date(s.startDate);
+  const age = ageAt(annuitant, start) ?? 65;
+  const survivorAge = survivor && s.survivorPercent > 0 ? ageAt(survivor, start) : null;
+
+  if (s.qualified) {
+    const table = survivorAge !== null ? JOINT_LIFE_PAYMENTS : SINGLE_LIFE_PAYMENTS;
+    const key = survivorAge !== null ? age + survivorAge : age;
+    const payments = table.find(([limit]) => key <= limit)[1];
+    return { method: 'simplified', monthly: s.costBasis / payments, payments };
+  }
+
+  // Joint contracts use the younger life's multiple
+  const multipleAge = Math.min(90, Math.max(50, survivorAge !== null ? Math.min(age, survivorAge) : age));
+  const expectedReturn = s.monthlyAmount * 12 * EXPECTED_RETURN_MULTIPLES[multipleAge];
+  const ratio = Math.min(1, s.costBasis / expectedReturn);
+  const monthly = s.monthlyAmount * ratio;
+  return { method: 'general_rule', exclusionRatio: ratio, monthly, payments: Math.ceil(s.costBasis / monthly) };
+}
+
+/**
+ * Payment for a month.
+ *
+ * @param {Object} stream - Pension/annuity stream (see normalizeAnnuityStream)
+ * @param {Date|string} date - Payment month
+ * @param {Object} options - { people } with dateOfBirth and dateOfDeath/deathAge;
+ *   the annuitant defaults to the first person, the survivor to the other
+ * @returns {Object} { amount, taxable, taxFree, status }
+ */
+export function getPensionPayment(stream, date, { people = [] } = {}) {
+  const s = normalizeAnnuityStream(stream);
+  const when = new Date(date);
+  const none = (status) => ({ amount: 0, taxable: 0, taxFree: 0, status });
+  if (!s.startDate) return none('inactive');
+
+  const start = new Date(s.startDate);
+  if (when < start || (s.endDate && when > new Date(s.endDate))) return none('inactive');
+
+  const annuitant = findPerson(people, s.personId) ?? people[0] ?? null;
+  const survivor = s.survivorPercent > 0
+    ? findPerson(people, s.survivorPersonId) ?? people.find(p => p !== annuitant) ?? null
+    : null;
+  const annuitantAlive = isAlive(annuitant, when);
+  const survivorAlive = survivor ? isAlive(survivor, when) : false;
+
+  let share = 0;
+  let status = 'ended';
+  if (annuitantAlive) {
+    const reduced = survivor && s.reduceOnFirstDeath && !survivorAlive;
+    share = reduced ? s.survivorPercent : 1;
+    status = reduced ? 'reduced' : 'annuitant';
+  } else if (survivorAlive) {
+    share = s.survivorPercent;
+    status = 'survivor';
+  }
+
+  const certainEnd = new Date(start);
+  certainEnd.setFullYear(certainEnd.getFullYear() + s.periodCertainYears);
+  if (share < 1 && when < certainEnd) {
+    share = 1;
+    status = 'period_certain';
+  }
+  if (share === 0) return none('ended');
+
+  const amount = s.monthlyAmount * share * Math.pow(1 + s.colaRate, when.getFullYear() - start.getFullYear());
+  const exclusion = getMonthlyExclusion(s, { annuitant, survivor });
+  const paymentNumber = (when.getFullYear() - start.getFullYear()) * 12 + when.getMonth() - start.getMonth() + 1;
+  const taxFree = paymentNumber <= exclusion.payments ? Math.min(amount, exclusion.monthly) : 0;
+
+  return { amount, taxable: amount - taxFree, taxFree, status };
+}
+
+/**
+ * Lump sum vs. annuity at the annuity starting date.
+ *
+ * @param {Object} params
+ * @param {number} params.lumpSum - Lump-sum offer
+ * @param {Object} params.stream - The annuity it replaces
+ * @param {Array} params.people - Annuitant (and survivor) with dateOfBirth
+ * @param {number} params.discountRate - Return available on the lump sum
+ * @returns {Object} { lumpSum, expectedValue, impliedRate, payoutRate,
+ *   lumpSumDepletionAge, preferred }
+ */
+export function compareLumpSum({ lumpSum, stream, people = [], discountRate = 0.05 }) {
+  const s = normalizeAnnuityStream(stream);
+  const start = new Date(s.startDate);
+  const annuitant = findPerson(people, s.personId) ?? people[0] ?? null;
+  const survivor = s.survivorPercent > 0
+    ? findPerson(people, s.survivorPersonId) ?? people.find(p => p !== annuitant) ?? null
+    : null;
+  const age = ageAt(annuitant, start) ?? 65;
+  const survivorAge = survivor ? ageAt(survivor, start) : null;
+
+  const cashFlows = getExpectedCashFlows(s, age, survivorAge);
+  const presentValue = (rate) => cashFlows.reduce((pv, cf, k) => pv + cf / Math.pow(1 + rate, k + 0.5), 0);
+  const expectedValue = presentValue(discountRate);
+
+  // Rate at which the expected payments are worth the lump sum
+  let low = -0.05;
+  let high = 0.25;
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    if (presentValue(mid) > lumpSum) low = mid;
+    else high = mid;
+  }
+
+  // Drawing the same income from the lump sum invested at discountRate
+  let balance = lumpSum;
+  let depletionAge = null;
+  const monthlyReturn = Math.pow(1 + discountRate, 1 / 12) - 1;
+  for (let m = 0; m < (MAX_AGE - age) * 12; m++) {
+    balance = balance * (1 + monthlyReturn) - s.monthlyAmount * Math.pow(1 + s.colaRate, Math.floor(m / 12));
+    if (balance <= 0) {
+      depletionAge = Math.round((age + m / 12) * 10) / 10;
+      break;
+    }
+  }
+
+  return {
+    lumpSum,
+    monthlyBenefit: s.monthlyAmount,
+    ageAtStart: age,
+    expectedValue,
+    impliedRate: (low + high) / 2,
+    payoutRate: (s.monthlyAmount * 12) / lumpSum,
+    lumpSumDepletionAge: depletionAge,
+    preferred: expectedValue > lumpSum ? 'annuity' : 'lump_sum',
+  };
+}
+
+/**
+ * Quote a single-premium immediate (SPIA) or deferred income (DIA) annuity.
+ *
+ * @param {Object} params
+ * @param {number} params.premium
+ * @param {number} params.age - Age at purchase
+ * @param {number} params.incomeStartAge - First payment age (DIA when later than age)
+ * @param {number} params.survivorAge - Joint annuitant's age at purchase
+ * @param {number} params.survivorPercent - Continuation to the joint annuitant
+ * @param {number} params.colaRate - Annual payment increase
+ * @param {number} params.interestRate - Pricing rate
+ * @param {number} params.expenseLoad - Share of premium not returned as income
+ * @param {number} params.payoutRate - Carrier's annual payout rate (overrides pricing)
+ * @returns {Object} { product, premium, monthlyIncome, annualIncome, payoutRate, annuityFactor, deferralYears }
+ */
+export function quoteAnnuity({
+  premium,
+  age,
+  incomeStartAge = age,
+  survivorAge = null,
+  survivorPercent = 0,
+  colaRate = 0,
+  interestRate = 0.05,
+  expenseLoad = 0.05,
+  payoutRate = null,
+}) {
+  const deferralYears = Math.max(0, incomeStartAge - age);
+  const flows = getExpectedCashFlows(
+    { monthlyAmount: 1 / 12, colaRate, survivorPercent, reduceOnFirstDeath: false, periodCertainYears: 0 },
+    age,
+    survivorPercent > 0 ? survivorAge : null,
+    deferralYears
+  );
+  const annuityFactor = flows.reduce((pv, cf, k) => pv + cf / Math.pow(1 + interestRate, k + 0.5), 0);
+
+  const annualIncome = payoutRate !== null
+    ? premium * payoutRate
+    : (premium * (1 - expenseLoad)) / annuityFactor;
+
+  return {
+    product: deferralYears > 0 ? 'dia' : 'spia',
+    premium,
+    monthlyIncome: annualIncome / 12,
+    annualIncome,
+    payoutRate: annualIncome / premium,
+    annuityFactor,
+    deferralYears,
+  };
+}
+
+/**
+ * Mortality-weighted annual payments by year from the valuation date
+ * (payments assumed mid-year), starting after deferralYears.
+ */
+function getExpectedCashFlows(s, age, survivorAge = null, deferralYears = 0) {
+  const flows = [];
+  for (let k = 0; age + k < MAX_AGE; k++) {
+    if (k < deferralYears) {
+      flows.push(0);
+      continue;
+    }
+
+    const pA = survivalTo(age, k + 0.5);
+    let share = pA;
+    if (survivorAge !== null) {
+      const pS = survivalTo(survivorAge, k + 0.5);
+      share = s.reduceOnFirstDeath
+        ? pA * pS + s.survivorPercent * (pA * (1 - pS) + pS * (1 - pA))
+        : pA + s.survivorPercent * pS * (1 - pA);
+    }
+    if (k - deferralYears < s.periodCertainYears) share = 1;
+
+    flows.push(12 * s.monthlyAmount * Math.pow(1 + s.colaRate, k - deferralYears) * share);
+  }
+  return flows;
+}
+
+function survivalTo(age, years) {
+  let p = 1;
+  const whole = Math.floor(years);
+  for (let j = 0; j < whole; j++) p *= getSurvivalProbability(age + j);
+  return p * Math.pow(getSurvivalProbability(age + whole), years - whole);
+}
+
+function findPerson(people, id) {
+  return id ? people.find(p => p.id === id) ?? null : null;
+}
+
+function ageAt(person, date) {
+  const birth = person ? getBirthDate(person) : null;
+  if (!birth) return null;
+  let age = date.getFullYear() - birth.getFullYear();
+  if (date.getMonth() < birth.getMonth() || (date.getMonth() === birth.getMonth() && date.getDate() < birth.getDate())) age--;
+  return age;
+}
@@ -0,0 +1,77 @@
+/**
+ * Farther Prism - Seeded Random Numbers
+ *
+ * Reproducible uniform draws for Monte Carlo. Each path has its own stream
+ * keyed by (seed, path index): the stream's state is a hash of the two, so
+ * path i draws the same numbers whether it runs first on one thread or
+ * last on the eighth, and a stored seed re-runs a plan exactly.
+ *
+ * Within a path, draws come from sfc32 (Small Fast Counter, 128-bit state
+ * with a 32-bit counter), which passes PractRand and needs only 32-bit
+ * integer math. Doubles carry 53 random bits.
+ */
+
+// plan_runs.random_seed is a Postgres INTEGER
+export const MAX_SEED = 2 ** 31 - 1;
+
+/**
+ * Fresh seed for a run that was not given one.
+ */
+export function createSeed() {
+  return Math.floor(Math.random() * MAX_SEED) + 1;
+}
+
+export function isValidSeed(seed) {
+  return Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED;
+}
+
+/**
+ * Uniform [0, 1) generator for a seed. Call seekPath(i) before simulating
+ * path i; draws until the next seekPath belong to that path.
+ *
+ * @param {number} seed - Integer in [0, MAX_SEED]
+ * @returns {Function} () => number, with seekPath(pathIndex)
+ */
+export function createPathRandom(seed) {
+  if (!isValidSeed(seed)) throw new Error(`Seed must be an integer between 0 and ${MAX_SEED}`);
+
+  const key = hash32(seed ^ 0x5bd1e995);
+  let a = 0;
+  let b = 0;
+  let c = 0;
+  let counter = 0;
+
+  const next32 = () => {
+    const t = (((a + b) | 0) + counter) | 0;
+    counter = (counter + 1) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    c = (c + t) | 0;
+    return t >>> 0;
+  };
+
+  const random = () => ((next32() >>> 5) * 67108864 + (next32() >>> 6)) / 9007199254740992;
+
+  random.seekPath = (pathIndex) => {
+    a = hash32(key ^ hash32(pathIndex));
+    b = hash32(a ^ 0x9e3779b9);
+    c = hash32(b ^ pathIndex ^ seed);
+    counter = 1;
+    // Decorrelate neighbouring keys
+    for (let i = 0; i < 12; i++) next32();
+  };
+  random.seekPath(0);
+
+  return random;
+}
+
+// lowbias32 integer hash (Wellons)
+function hash32(x) {
+  x ^= x >>> 16;
+  x = Math.imul(x, 0x21f0aaad);
+  x ^= x >>> 15;
+  x = Math.imul(x, 0x735a2d97);
+  x ^= x >>> 15;
+  return x >>> 0;
+}
@@ -0,0 +1,381 @@
+/**
+ * Return Models
+ *
+ * Correlated monthly returns by asset class from a capital market
+ * assumption set (return_models rows):
+ * - expected_returns: { [assetClass]: annual mean }
+ * - covariance_matrix: { rows: [assetClass...], matrix: annual covariance }
+ * - fat_tail_params (optional): { distribution: 'normal'|'student_t'|'skewed_t',
+ *   degreesOfFreedom, skew } where skew is a number or { [assetClass]: skew }
+ *   in (-1, 1); negative skew fattens the left tail
+ *
+ * Draws are z = L·e with L the Cholesky factor of the monthly covariance.
+ * Student-t draws scale z by sqrt((ν - 2) / χ²ν) and skewed draws mix in a
+ * shared half-normal factor (Azzalini); both are standardized so each class
+ * keeps its stored mean and variance.
+ *
+ * Holdings (lots with asset_class and market_value) map onto the model's
+ * classes through ASSET_CLASS_ALIASES, so portfolios with different
+ * holdings carry different risk.
+ */
+
+export const FAT_TAIL_DISTRIBUTIONS = ['normal', 'student_t', 'skewed_t'];
+
+// Holdings classes (lots, security_master) -> model classes, in preference order
+export const ASSET_CLASS_ALIASES = {
+  us_equity: ['us_equity_large', 'us_equity'],
+  intl_equity: ['intl_equity_developed', 'intl_equity', 'us_equity_large'],
+  bonds: ['fixed_income_core', 'bonds'],
+  fixed_income: ['fixed_income_core', 'bonds'],
+  real_estate: ['real_estate', 'us_equity_large'],
+  commodities: ['commodities', 'us_equity_large'],
+  alternatives: ['commodities', 'us_equity_large'],
+  cash: ['cash', 'fixed_income_core'],
+};
+
+const EQUITY_CLASS = 'us_equity';
+const BOND_CLASS = 'bonds';
+
+/**
+ * Two-class model matching the legacy generator: stocks at the market
+ * stats, bonds at 4% / 6%, uncorrelated.
+ *
+ * @param {Object} marketStats - { annualMean, annualStdDev }
+ */
+export function buildDefaultReturnModel({ annualMean = 0.08, annualStdDev = 0.18 } = {}) {
+  return normalizeReturnModel({
+    model_name: 'Default (stocks/bonds)',
+    expected_returns: { us_equity_large: annualMean, fixed_income_core: 0.04 },
+    covariance_matrix: {
+      rows: ['us_equity_large', 'fixed_income_core'],
+      matrix: [[annualStdDev * annualStdDev, 0], [0, 0.06 * 0.06]],
+    },
+  });
+}
+
+/**
+ * Validate a return model (return_models row or camelCase fields) and
+ * factor its covariance matrix.
+ *
+ * @param {Object} row - { model_name, expected_returns, covariance_matrix, fat_tail_params }
+ * @returns {Object} { id, name, assetClasses, means, covariance, cholesky, repaired, fatTails }
+ */
+export function normalizeReturnModel(row) {
+  const expected = parseJson(row.expected_returns ?? row.expectedReturns);
+  const covariance = parseJson(row.covariance_matrix ?? row.covarianceMatrix);
+  const fatTails = parseJson(row.fat_tail_params ?? row.fatTailParams) || { distribution: 'normal' };
+
+  const assetClasses = covariance?.rows;
+  const matrix = covariance?.matrix;
+  if (!Array.isArray(assetClasses) || !Array.isArray(matrix) || matrix.length !== assetClasses.length
+    || matrix.some(r => !Array.isArray(r) || r.length !== assetClasses.length)) {
+    throw new Error('Return model covariance matrix must be square and match its rows');
+  }
+  const missing = assetClasses.filter(c => typeof expected?.[c] !== 'number');
+  if (missing.length > 0) {
+    throw new Error(`Return model has no expected return for ${missing.join(', ')}`);
+  }
+
+  const distribution = fatTails.distribution ?? 'normal';
+  if (!FAT_TAIL_DISTRIBUTIONS.includes(distribution)) {
+    throw new Error(`Unknown fat tail distribution: ${distribution}`);
+  }
+  const degreesOfFreedom = distribution === 'normal' ? null : Number(fatTails.degreesOfFreedom ?? 5);
+  if (degreesOfFreedom !== null && !(degreesOfFreedom > 2)) {
+    throw new Error('Fat tail degreesOfFreedom must be greater than 2');
+  }
+  const skew = assetClasses.map(c => {
+    if (distribution !== 'skewed_t') return 0;
+    const value = typeof fatTails.skew === 'object' ? fatTails.skew?.[c] : fatTails.skew;
+    return Math.max(-0.99, Math.min(0.99, Number(value ?? 0)));
+  });
+
+  // Hand-entered matrices are often slightly indefinite; repair rather than reject
+  let cholesky;
+  let repaired = false;
+  let cov = matrix;
+  try {
+    cholesky = choleskyDecompose(cov);
+  } catch (error) {
+    cov = nearestPositiveSemidefinite(matrix);
+    cholesky = choleskyDecompose(cov);
+    repaired = true;
+  }
+
+  return {
+    id: row.id ?? null,
+    name: row.model_name ?? row.modelName ?? null,
+    assetClasses,
+    means: assetClasses.map(c => expected[c]),
+    covariance: cov,
+    cholesky,
+    repaired,
+    fatTails: { distribution, degreesOfFreedom, skew },
+  };
+}
+
+/**
+ * Lower-triangular L with L·Lᵀ = matrix. Tolerates positive semidefinite
+ * matrices (perfectly correlated or riskless classes get a zero pivot).
+ */
+export function choleskyDecompose(matrix) {
+  const n = matrix.length;
+  const scale = Math.max(...matrix.map((r, i) => Math.abs(r[i])), 0);
+  const L = Array.from({ length: n }, () => new Array(n).fill(0));
+
+  for (let j = 0; j < n; j++) {
+    let pivot = matrix[j][j];
+    for (let k = 0; k < j; k++) pivot -= L[j][k] * L[j][k];
+    if (pivot < -1e-10 * Math.max(1, scale)) {
+      throw new Error('Return model covariance matrix is not positive semidefinite');
+    }
+    L[j][j] = pivot > 1e-14 * Math.max(1, scale) ? Math.sqrt(pivot) : 0;
+
+    for (let i = j + 1; i < n; i++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+      L[i][j] = L[j][j] > 0 ? sum / L[j][j] : 0;
+    }
+  }
+  return L;
+}
+
+/**
+ * Closest positive semidefinite matrix with the same variances: negative
+ * eigenvalues are clipped to zero and the result rescaled so each class
+ * keeps its stored volatility.
+ */
+export function nearestPositiveSemidefinite(matrix) {
+  const n = matrix.length;
+  const { values, vectors } = symmetricEigen(matrix);
+  const clipped = values.map(v => Math.max(0, v));
+  const rebuilt = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => {
+    let sum = 0;
+    for (let k = 0; k < n; k++) sum += vectors[i][k] * clipped[k] * vectors[j][k];
+    return sum;
+  }));
+  const scale = rebuilt.map((r, i) => (r[i] > 0 ? Math.sqrt(matrix[i][i] / r[i]) : 0));
+  return rebuilt.map((r, i) => r.map((v, j) => v * scale[i] * scale[j]));
+}
+
+/**
+ * Sampler of monthly returns by asset class (indexed like
+ * model.assetClasses). Monthly mean and volatility are annual / 12 and
+ * annual / √12, as in the legacy generator.
+ *
+ * @param {Object} model - normalizeReturnModel() output
+ * @param {Object} options - { random }
+ * @returns {Function} () => Float64Array of monthly returns; reset() drops
+ *   carried-over state so each path depends only on its own draws
+ */
+export function createReturnSampler(model, { random = Math.random } = {}) {
+  const n = model.assetClasses.length;
+  const L = model.cholesky.map(r => Float64Array.from(r, v => v / Math.sqrt(12)));
+  const means = Float64Array.from(model.means, m => m / 12);
+  const { distribution, degreesOfFreedom: nu, skew } = model.fatTails;
+  const skewed = distribution === 'skewed_t' && skew.some(d => d !== 0);
+  // Skew-normal with shape δ, standardized to mean 0 and variance 1
+  const skewScale = skew.map(d => 1 / Math.sqrt(1 - (2 * d * d) / Math.PI));
+  const skewShift = skew.map(d => d * Math.sqrt(2 / Math.PI));
+  const rowStd = L.map(row => Math.sqrt(row.reduce((sum, v) => sum + v * v, 0)));
+  const normal = createNormal(random);
+  const e = new Float64Array(n);
+
+  const sampler = () => {
+    for (let i = 0; i < n; i++) e[i] = normal();
+    const half = skewed ? Math.abs(normal()) : 0;
+    const tail = nu ? Math.sqrt((nu - 2) / sampleChiSquare(nu, normal, random)) : 1;
+
+    const out = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+      let z = 0;
+      const row = L[i];
+      for (let k = 0; k <= i; k++) z += row[k] * e[k];
+      if (skewed) {
+        const std = rowStd[i];
+        const d = skew[i];
+        z = std * skewScale[i] * (d * half + Math.sqrt(1 - d * d) * (std > 0 ? z / std : 0) - skewShift[i]);
+      }
+      out[i] = means[i] + z * tail;
+    }
+    return out;
+  };
+  sampler.reset = normal.reset;
+  return sampler;
+}
+
+/**
+ * Model asset class for a holdings class: itself when the model has it,
+ * otherwise the first alias the model carries.
+ */
+export function resolveAssetClass(model, assetClass) {
+  if (!assetClass) return null;
+  if (model.assetClasses.includes(assetClass)) return assetClass;
+  return (ASSET_CLASS_ALIASES[assetClass] || []).find(c => model.assetClasses.includes(c)) ?? null;
+}
+
+/**
+ * Weights for an allocation { [assetClass]: weight } (holdings or model
+ * classes). Classes the model cannot place are dropped and the rest
+ * rescaled.
+ *
+ * @returns {Float64Array} Weights indexed like model.assetClasses
+ */
+export function getAllocationWeights(model, allocation) {
+  const weights = new Float64Array(model.assetClasses.length);
+  for (const [assetClass, weight] of Object.entries(allocation)) {
+    const resolved = resolveAssetClass(model, assetClass);
+    if (resolved && weight > 0) weights[model.assetClasses.indexOf(resolved)] += weight;
+  }
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  if (total <= 0) throw new Error('Allocation does not map to any asset class in the return model');
+  return weights.map(w => w / total);
+}
+
+/**
+ * Allocation used for accounts without holdings: assumptions.assetAllocation,
+ * or stockAllocation split between US equity and core bonds.
+ */
+export function getDefaultAllocation(assumptions = {}) {
+  if (assumptions.assetAllocation) return assumptions.assetAllocation;
+  const stocks = assumptions.stockAllocation ?? 0.70;
+  return { [EQUITY_CLASS]: stocks, [BOND_CLASS]: 1 - stocks };
+}
+
+/**
+ * Value-weighted asset class weights for a set of accounts. Holdings come
+ * from account.lots (asset_class, market_value); accounts without lots, and
+ * unclassified lots, use the default allocation.
+ *
+ * @param {Object} model - normalizeReturnModel() output
+ * @param {Array} accounts - Accounts with current_value and optional lots
+ * @param {Object} defaultAllocation - getDefaultAllocation() output
+ * @returns {Float64Array|null} Weights, or null when the accounts hold nothing
+ */
+export function getPortfolioWeights(model, accounts, defaultAllocation) {
+  const fallback = getAllocationWeights(model, defaultAllocation);
+  const weights = new Float64Array(model.assetClasses.length);
+  let total = 0;
+
+  for (const account of accounts) {
+    const accountValue = Number(account.current_value) || 0;
+    let placed = 0;
+    for (const lot of account.lots || []) {
+      const value = Number(lot.market_value ?? lot.marketValue) || 0;
+      const resolved = resolveAssetClass(model, lot.asset_class ?? lot.assetClass);
+      if (!resolved || value <= 0) continue;
+      weights[model.assetClasses.indexOf(resolved)] += value;
+      placed += value;
+    }
+    const unplaced = Math.max(0, (account.lots?.length ? Math.max(accountValue, placed) : accountValue) - placed);
+    fallback.forEach((w, i) => { weights[i] += w * unplaced; });
+    total += placed + unplaced;
+  }
+
+  return total > 0 ? weights.map(w => w / total) : null;
+}
+
+/**
+ * Portfolio return for class returns and weights.
+ */
+export function getPortfolioReturn(weights, classReturns) {
+  let r = 0;
+  for (let i = 0; i < weights.length; i++) r += weights[i] * classReturns[i];
+  return r;
+}
+
+/**
+ * Annual expected return and volatility of a weighting.
+ *
+ * @returns {Object} { expectedReturn, volatility, allocation }
+ */
+export function describePortfolio(model, weights) {
+  let variance = 0;
+  for (let i = 0; i < weights.length; i++) {
+    for (let j = 0; j < weights.length; j++) variance += weights[i] * weights[j] * model.covariance[i][j];
+  }
+  return {
+    expectedReturn: getPortfolioReturn(weights, model.means),
+    volatility: Math.sqrt(Math.max(0, variance)),
+    allocation: Object.fromEntries(model.assetClasses.map((c, i) => [c, weights[i]]).filter(([, w]) => w > 0)),
+  };
+}
+
+// Jacobi eigenvalue iteration (asset class matrices are small)
+function symmetricEigen(matrix) {
+  const n = matrix.length;
+  const a = matrix.map(r => [...r]);
+  const v = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+
+  for (let sweep = 0; sweep < 100; sweep++) {
+    let off = 0;
+    for (let p = 0; p < n; p++) for (let q = p + 1; q < n; q++) off += a[p][q] * a[p][q];
+    if (off < 1e-24) break;
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (a[p][q] === 0) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+  return { values: a.map((r, i) => r[i]), vectors: v };
+}
+
+function createNormal(random) {
+  let spare = null;
+  const normal = () => {
+    if (spare !== null) {
+      const z = spare;
+      spare = null;
+      return z;
+    }
+    const u = 1 - random();
+    const v = random();
+    const r = Math.sqrt(-2 * Math.log(u));
+    spare = r * Math.sin(2 * Math.PI * v);
+    return r * Math.cos(2 * Math.PI * v);
+  };
+  normal.reset = () => { spare = null; };
+  return normal;
+}
+
+// χ²(ν) = 2·Gamma(ν/2), Gamma by Marsaglia-Tsang
+function sampleChiSquare(nu, normal, random) {
+  const shape = nu / 2;
+  const boost = shape < 1 ? Math.pow(random(), 1 / shape) : 1;
+  const d = (shape < 1 ? shape + 1 : shape) - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    const x = normal();
+    const v = Math.pow(1 + c * x, 3);
+    if (v <= 0) continue;
+    const u = random();
+    if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) return 2 * d * v * boost;
+  }
+}
+
+function parseJson(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
@@ -0,0 +1,276 @@
+/**
+ * RMD Distribution Planner
+ *
+ * Turns per-account RMDs into a distribution plan for the year:
+ * - Aggregation groups: a person's own IRAs (traditional, SEP, SIMPLE)
+ *   combine, as do their 403(b)s; each 401(k)/457 stands alone; inherited
+ *   IRAs combine only with IRAs inherited from the same decedent under the
+ *   same rule
+ * - Year-to-date distributions from imported transactions
+ * - Which accounts should fund what remains in each aggregatable group:
+ *   - highest_cash: accounts holding the most cash first, selling only once
+ *     the group's cash is used
+ *   - least_tax_efficient: accounts with the largest share of tax-inefficient
+ *     holdings (bonds, real estate, alternatives) first
+ *   - pro_rata: in proportion to each account's own RMD
+ * - Shortfall alerts with excise tax exposure (25%, or 10% if corrected
+ *   within the correction window, SECURE 2.0 §302)
+ *
+ * The first RMD may be delayed to April 1 of the following year.
+ */
+
+import { calculateRMDs, getInheritance, getRMDStartAge } from './rmd-engine.js';
+
+export const DISTRIBUTION_STRATEGIES = ['highest_cash', 'least_tax_efficient', 'pro_rata'];
+
+const TAX_INEFFICIENT_CLASSES = ['bonds', 'real_estate', 'alternatives'];
+const DISTRIBUTION_TYPES = ['WITHDRAWAL', 'DISTRIBUTION', 'QCD'];
+const MISSED_RMD_PENALTY = 0.25;
+const CORRECTED_RMD_PENALTY = 0.10;
+// Flag unsatisfied groups this close to the deadline
+const AT_RISK_DAYS = 60;
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Aggregation group for an account's RMD.
+ */
+export function getAggregationGroup(rmd, account) {
+  const type = account.account_type || '';
+  if (rmd.is_inherited) {
+    const inheritance = getInheritance(account) || {};
+    return type.includes('ira')
+      ? `inherited_ira:${inheritance.decedentDeathDate}:${inheritance.decedentBirthDate}:${rmd.rule}`
+      : `plan:${account.id}`;
+  }
+  if (type.includes('ira')) return 'ira';
+  if (type.includes('403b')) return '403b';
+  return `plan:${account.id}`;
+}
+
+/**
+ * Year-to-date distributions by account from imported transactions
+ * ({ account_id, transaction_date, transaction_type, amount }).
+ */
+export function summarizeDistributions(transactions, year, asOfDate = null) {
+  const byAccount = new Map();
+  for (const tx of transactions) {
+    const type = String(tx.transaction_type ?? tx.type ?? '').toUpperCase();
+    const date = new Date(tx.transaction_date ?? tx.date);
+    if (!DISTRIBUTION_TYPES.includes(type) || date.getFullYear() !== year) continue;
+    if (asOfDate && date > new Date(asOfDate)) continue;
+
+    const accountId = tx.account_id ?? tx.accountId;
+    byAccount.set(accountId, (byAccount.get(accountId) || 0) + Math.abs(Number(tx.amount) || 0));
+  }
+  return byAccount;
+}
+
+/**
+ * Cash and tax-inefficient share of each account's holdings (lots rows).
+ */
+export function summarizeHoldings(lots) {
+  const byAccount = new Map();
+  for (const lot of lots) {
+    const accountId = lot.account_id ?? lot.accountId;
+    const value = Number(lot.market_value ?? lot.marketValue) || 0;
+    const assetClass = lot.asset_class ?? lot.assetClass;
+    const entry = byAccount.get(accountId) || { value: 0, cash: 0, taxInefficient: 0 };
+    entry.value += value;
+    if (assetClass === 'cash') entry.cash += value;
+    if (TAX_INEFFICIENT_CLASSES.includes(assetClass)) entry.taxInefficient += value;
+    byAccount.set(accountId, entry);
+  }
+  return byAccount;
+}
+
+/**
+ * Plan the year's distributions.
+ *
+ * @param {Object} params
+ * @param {number} params.year - Distribution year
+ * @param {Date|string} params.asOfDate - Plan date (year-to-date cutoff)
+ * @param {Array} params.people - Household members
+ * @param {Array} params.accounts - Accounts; balance = prior year-end, current_value = today
+ * @param {Array} params.lots - Holdings (account_id, asset_class, market_value)
+ * @param {Array} params.transactions - Imported transactions
+ * @param {string} params.strategy - highest_cash | least_tax_efficient | pro_rata
+ * @returns {Object} { year, asOfDate, strategy, groups, totals, alerts }
+ */
+export function planRMDDistributions({
+  year,
+  asOfDate = new Date(),
+  people,
+  accounts,
+  lots = [],
+  transactions = [],
+  strategy = 'highest_cash',
+}) {
+  if (!DISTRIBUTION_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown distribution strategy: ${strategy}`);
+  }
+
+  const planDate = new Date(asOfDate);
+  const rmds = calculateRMDs({ asOfDate: new Date(year - 1, 11, 31), year, people, accounts });
+  const taken = summarizeDistributions(transactions, year, planDate);
+  const holdings = summarizeHoldings(lots);
+  const accountsById = new Map(accounts.map(acc => [acc.id, acc]));
+
+  const groups = new Map();
+  for (const rmd of rmds) {
+    const account = accountsById.get(rmd.account_id);
+    const key = `${rmd.person_id}:${getAggregationGroup(rmd, account)}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        person_id: rmd.person_id,
+        person_name: rmd.person_name,
+        group: getAggregationGroup(rmd, account),
+        deadline: getDeadline(rmd, people, year),
+        accounts: [],
+      });
+    }
+
+    const held = holdings.get(account.id) || { value: 0, cash: 0, taxInefficient: 0 };
+    const balance = Number(account.current_value ?? account.balance) || 0;
+    groups.get(key).accounts.push({
+      account_id: account.id,
+      account_name: account.account_name,
+      account_type: account.account_type,
+      required: rmd.rmd_amount,
+      taken: taken.get(account.id) || 0,
+      balance,
+      cash: held.cash,
+      tax_inefficient_share: held.value > 0 ? held.taxInefficient / held.value : 0,
+    });
+  }
+
+  const planned = [...groups.values()].map(group => planGroup(group, strategy, planDate, year));
+  const sum = (field) => planned.reduce((total, g) => total + g[field], 0);
+
+  return {
+    year,
+    asOfDate: planDate,
+    strategy,
+    groups: planned,
+    totals: {
+      required: sum('required'),
+      taken: sum('taken'),
+      remaining: sum('remaining'),
+      penaltyExposure: planned.reduce((total, g) => total + g.penalty_exposure.full, 0),
+    },
+    alerts: planned.filter(g => g.status !== 'satisfied').map(g => buildAlert(g, year)),
+  };
+}
+
+/**
+ * Required beginning date for a first-year RMD, otherwise December 31.
+ */
+function getDeadline(rmd, people, year) {
+  if (!rmd.is_inherited) {
+    const person = people.find(p => p.id === rmd.person_id);
+    const birthYear = new Date(person.birth_date ?? person.date_of_birth).getFullYear();
+    if (year - birthYear === getRMDStartAge(birthYear)) return new Date(year + 1, 3, 1);
+  }
+  return new Date(year, 11, 31);
+}
+
+function planGroup(group, strategy, planDate, year) {
+  const aggregatable = group.group === 'ira' || group.group === '403b' || group.group.startsWith('inherited_ira');
+  const required = group.accounts.reduce((sum, a) => sum + a.required, 0);
+  const taken = group.accounts.reduce((sum, a) => sum + a.taken, 0);
+  const remaining = Math.max(0, required - taken);
+
+  const proposals = aggregatable
+    ? allocate(group.accounts, remaining, strategy)
+    : new Map(group.accounts.map(a => [a.account_id, Math.max(0, a.required - a.taken)]));
+
+  const accounts = group.accounts.map(a => {
+    const proposed = proposals.get(a.account_id) || 0;
+    return {
+      ...a,
+      proposed,
+      from_cash: Math.min(proposed, a.cash),
+      requires_sale: proposed > a.cash + 0.5,
+    };
+  });
+
+  const daysRemaining = Math.ceil((group.deadline - planDate) / DAY_MS);
+  let status = 'on_track';
+  if (remaining <= 0.5) status = 'satisfied';
+  else if (daysRemaining < 0) status = 'missed';
+  else if (daysRemaining <= AT_RISK_DAYS) status = 'at_risk';
+
+  return {
+    person_id: group.person_id,
+    person_name: group.person_name,
+    group: group.group,
+    aggregatable,
+    deadline: group.deadline,
+    days_remaining: daysRemaining,
+    required,
+    taken,
+    remaining: status === 'satisfied' ? 0 : remaining,
+    status,
+    penalty_exposure: {
+      full: status === 'satisfied' ? 0 : remaining * MISSED_RMD_PENALTY,
+      corrected: status === 'satisfied' ? 0 : remaining * CORRECTED_RMD_PENALTY,
+      correction_deadline: new Date(year + 2, 11, 31),
+    },
+    accounts,
+  };
+}
+
+/**
+ * Spread an aggregate shortfall across a group's accounts.
+ */
+function allocate(accounts, remaining, strategy) {
+  const proposals = new Map();
+  if (remaining <= 0) return proposals;
+
+  if (strategy === 'pro_rata') {
+    const total = accounts.reduce((sum, a) => sum + a.required, 0);
+    accounts.forEach(a => proposals.set(a.account_id, total > 0 ? remaining * (a.required / total) : 0));
+    return proposals;
+  }
+
+  const ranked = accounts.slice().sort(strategy === 'highest_cash'
+    ? (a, b) => b.cash - a.cash || b.balance - a.balance
+    : (a, b) => b.tax_inefficient_share - a.tax_inefficient_share || b.balance - a.balance);
+
+  // highest_cash spends cash across the group before any sale
+  let left = remaining;
+  const passes = strategy === 'highest_cash' ? ['cash', 'balance'] : ['balance'];
+  for (const field of passes) {
+    for (const a of ranked) {
+      if (left <= 0.005) break;
+      const used = proposals.get(a.account_id) || 0;
+      const amount = Math.min(left, Math.max(0, a[field] - used));
+      if (amount > 0) {
+        proposals.set(a.account_id, used + amount);
+        left -= amount;
+      }
+    }
+  }
+  return proposals;
+}
+
+function buildAlert(group, year) {
+  const amount = `$${Math.round(group.remaining).toLocaleString()}`;
+  const penalty = `$${Math.round(group.penalty_exposure.full).toLocaleString()}`;
+  const corrected = `$${Math.round(group.penalty_exposure.corrected).toLocaleString()}`;
+  const label = `${group.person_name || group.person_id} (${group.group.split(':')[0]})`;
+
+  const message = group.status === 'missed'
+    ? `${label}: ${amount} of the ${year} RMD was not taken; ${penalty} excise tax (${corrected} if corrected by ${group.penalty_exposure.correction_deadline.getFullYear()})`
+    : `${label}: ${amount} of the ${year} RMD remains with ${group.days_remaining} days left; missing it risks a ${penalty} excise tax (${corrected} if corrected)`;
+
+  return {
+    type: 'rmd_shortfall',
+    severity: group.status === 'on_track' ? 'info' : 'warning',
+    status: group.status,
+    person_id: group.person_id,
+    group: group.group,
+    remaining: group.remaining,
+    penalty_exposure: group.penalty_exposure,
+    message,
+  };
+}
@@ -3,20 +3,35 @@
  * 
  * Calculates mandatory withdrawals from tax-deferred accounts.
  * 
- * Rules (as of SECURE 2.0):
+ * Rules (as of SECURE 2.0 and the 2024 final regulations):
  * - RMDs start at age 73 (born 1951-1959) or 75 (born 1960+)
- * - Based on IRS Uniform Lifetime Table
- * - Calculate RMD = Account Balance / Life Expectancy Factor
+ * - Owners use the Uniform Lifetime Table, or the Joint and Last Survivor
+ *   table when the sole beneficiary is a spouse more than 10 years younger
+ * - Calculate RMD = Prior year-end balance / Life Expectancy Factor
  * - Penalty for not taking RMD: 25% of shortfall (reduced from 50% in 2023)
- * - Can aggregate IRAs but must take separately from 401(k)s
- * - Inherited IRAs: 10-year rule (must distribute within 10 years)
+ * - Can aggregate IRAs but must take separately from 401(k)s; inherited
+ *   accounts are never aggregated with the beneficiary's own (see
+ *   rmd-distribution-planner.js for per-group plans)
+ * - Roth 401(k)/403(b) accounts are exempt from lifetime RMDs from 2024
+ * - Inherited accounts (deaths after 2019):
+ *   - Spouse: roll over (treated as own) or remain beneficiary (Single Life
+ *     Table, recalculated each year)
+ *   - Eligible designated beneficiaries: Single Life Table, reduced by one
+ *     each year; minor children switch to the 10-year rule at 21
+ *   - Designated beneficiaries: empty by the 10th year after death, with
+ *     annual RMDs in years 1-9 when the decedent had started RMDs
+ *     (enforced from 2025; IRS Notice 2024-35 waived 2021-2024)
+ *   - No designated beneficiary: 5-year rule, or the decedent's remaining
+ *     life expectancy if RMDs had started
  */
 
+import { getQCDLimit } from './tax-rules.js';
+
 /**
  * IRS Uniform Lifetime Table (2022 - current)
  * Maps age to distribution period (life expectancy factor)
  */
-const UNIFORM_LIFETIME_TABLE = {
+export const UNIFORM_LIFETIME_TABLE = {
   72: 27.4, 73: 26.5, 74: 25.5, 75: 24.6, 76: 23.7, 77: 22.9,
   78: 22.0, 79: 21.1, 80: 20.2, 81: 19.4, 82: 18.5, 83: 17.7,
   84: 16.8, 85: 16.0, 86: 15.2, 87: 14.4, 88: 13.7, 89: 12.9,
@@ -28,45 +43,277 @@ const UNIFORM_LIFETIME_TABLE = {
   120: 2.0,
 };
 
+/**
+ * IRS Single Life Table (2022 - current), Treas. Reg. §1.401(a)(9)-9(b)
+ * Maps age to remaining life expectancy (beneficiaries)
+ */
+export const SINGLE_LIFE_TABLE = {
+  0: 84.6, 1: 83.7, 2: 82.8, 3: 81.8, 4: 80.8, 5: 79.8, 6: 78.8, 7: 77.9,
+  8: 76.9, 9: 75.9, 10: 74.9, 11: 73.9, 12: 72.9, 13: 71.9, 14: 70.9, 15: 69.9,
+  16: 69.0, 17: 68.0, 18: 67.0, 19: 66.0, 20: 65.0, 21: 64.1, 22: 63.1, 23: 62.1,
+  24: 61.1, 25: 60.2, 26: 59.2, 27: 58.2, 28: 57.3, 29: 56.3, 30: 55.3, 31: 54.4,
+  32: 53.4, 33: 52.5, 34: 51.5, 35: 50.5, 36: 49.6, 37: 48.6, 38: 47.7, 39: 46.7,
+  40: 45.7, 41: 44.8, 42: 43.8, 43: 42.9, 44: 41.9, 45: 41.0, 46: 40.0, 47: 39.0,
+  48: 38.1, 49: 37.1, 50: 36.2, 51: 35.3, 52: 34.3, 53: 33.4, 54: 32.5, 55: 31.6,
+  56: 30.6, 57: 29.8, 58: 28.9, 59: 28.0, 60: 27.1, 61: 26.2, 62: 25.4, 63: 24.5,
+  64: 23.7, 65: 22.9, 66: 22.0, 67: 21.2, 68: 20.4, 69: 19.6, 70: 18.8, 71: 18.0,
+  72: 17.2, 73: 16.4, 74: 15.6, 75: 14.8, 76: 14.1, 77: 13.3, 78: 12.6, 79: 11.9,
+  80: 11.2, 81: 10.5, 82: 9.9,  83: 9.3,  84: 8.7,  85: 8.1,  86: 7.6,  87: 7.1,
+  88: 6.6,  89: 6.1,  90: 5.7,  91: 5.3,  92: 4.9,  93: 4.6,  94: 4.3,  95: 4.0,
+  96: 3.7,  97: 3.4,  98: 3.2,  99: 3.0,  100: 2.8, 101: 2.6, 102: 2.5, 103: 2.3,
+  104: 2.2, 105: 2.1, 106: 2.1, 107: 2.1, 108: 2.0, 109: 2.0, 110: 2.0, 111: 2.0,
+  112: 2.0, 113: 1.9, 114: 1.9, 115: 1.8, 116: 1.8, 117: 1.6, 118: 1.4, 119: 1.1,
+  120: 1.0,
+};
+
+// Deaths before 2020 keep the pre-SECURE Act stretch
+const SECURE_ACT_YEAR = 2020;
+// Annual RMDs inside the 10-year window were waived for 2021-2024
+const TEN_YEAR_ANNUAL_RMD_START = 2025;
+// SECURE 2.0 §325: designated Roth plan accounts have no lifetime RMDs from 2024
+const ROTH_PLAN_EXEMPT_YEAR = 2024;
+const MINOR_CHILD_MAJORITY_AGE = 21;
+
+export const BENEFICIARY_TYPES = ['spouse', 'eligible_designated', 'designated', 'non_designated'];
+
+/**
+ * Single Life Table factor (ages past 120 use the last entry).
+ */
+export function getSingleLifeFactor(age) {
+  return SINGLE_LIFE_TABLE[Math.min(120, Math.max(0, age))];
+}
+
+// One-year survival implied by the Single Life Table:
+// e(x) - 0.5 = p(x) * (e(x+1) + 0.5)
+const SURVIVAL = Array.from({ length: 121 }, (_, age) => (age === 120
+  ? 0
+  : Math.min(1, (SINGLE_LIFE_TABLE[age] - 0.5) / (SINGLE_LIFE_TABLE[age + 1] + 0.5))));
+
+/**
+ * One-year survival probability at an age (Single Life Table mortality).
+ */
+export function getSurvivalProbability(age) {
+  return SURVIVAL[Math.min(120, Math.max(0, Math.floor(age)))];
+}
+
+const jointFactors = new Map();
+
+/**
+ * Joint and Last Survivor factor for an owner and spouse beneficiary.
+ *
+ * Computed from the mortality implied by the Single Life Table (the basis
+ * of all three IRS tables): e(xy) = e(x) + e(y) - e(x:y). Reproduces the
+ * Uniform Lifetime Table (owner with a beneficiary 10 years younger) to
+ * within 0.1 at every age.
+ */
+export function getJointLifeFactor(ownerAge, spouseAge) {
+  const key = `${ownerAge}:${spouseAge}`;
+  if (jointFactors.has(key)) return jointFactors.get(key);
+
+  let survivorX = 1;
+  let survivorY = 1;
+  let expectancy = 0.5;
+  for (let k = 0; k <= 120; k++) {
+    survivorX *= SURVIVAL[Math.min(120, ownerAge + k)] ?? 0;
+    survivorY *= SURVIVAL[Math.min(120, spouseAge + k)] ?? 0;
+    if (survivorX + survivorY === 0) break;
+    expectancy += survivorX + survivorY - survivorX * survivorY;
+  }
+
+  const factor = Math.round(expectancy * 10) / 10;
+  jointFactors.set(key, factor);
+  return factor;
+}
+
+/**
+ * Owner's lifetime divisor: Joint and Last Survivor when the spouse is the
+ * sole beneficiary and more than 10 years younger, otherwise Uniform.
+ */
+export function getLifetimeDivisor(ownerAge, { spouseAge = null, spouseSoleBeneficiary = false } = {}) {
+  const uniform = UNIFORM_LIFETIME_TABLE[Math.min(120, ownerAge)];
+  if (spouseSoleBeneficiary && spouseAge !== null && ownerAge - spouseAge > 10) {
+    return { table: 'joint_life', factor: getJointLifeFactor(ownerAge, spouseAge) };
+  }
+  return { table: 'uniform_lifetime', factor: uniform };
+}
+
 /**
  * Calculate RMD starting age based on birth year
  */
-function getRMDStartAge(birthYear) {
+export function getRMDStartAge(birthYear) {
   if (birthYear <= 1950) return 72; // Old rule
   if (birthYear <= 1959) return 73; // SECURE 2.0
   return 75; // Born 1960+
 }
 
+/**
+ * Required beginning date: April 1 after the year the owner reaches the
+ * RMD start age.
+ */
+export function getRequiredBeginningDate(birthYear) {
+  return new Date(birthYear + getRMDStartAge(birthYear) + 1, 3, 1);
+}
+
+/**
+ * Whether an owner's own account has lifetime RMDs in `year`.
+ * Roth IRAs never do; Roth 401(k)/403(b) accounts only before 2024.
+ */
+export function isSubjectToLifetimeRMD(account, year) {
+  const type = account.account_type || '';
+  const planType = /401k|403b|457/.test(type);
+  if (type.includes('roth')) return planType && year < ROTH_PLAN_EXEMPT_YEAR;
+  return account.tax_treatment === 'tax_deferred' && (type.includes('ira') || planType);
+}
+
+/**
+ * Inheritance details for an account: account.inherited or
+ * account.metadata.inherited.
+ *
+ * { decedentBirthDate, decedentDeathDate, beneficiaryType, eligibleReason,
+ *   spousalElection: 'rollover' | 'remain_beneficiary', decedentStartedRMDs }
+ */
+export function getInheritance(account) {
+  return account.inherited ?? account.metadata?.inherited ?? null;
+}
+
+/**
+ * A spouse who rolled the account over treats it as their own.
+ */
+function isSpousalRollover(inheritance) {
+  return inheritance?.beneficiaryType === 'spouse' && inheritance.spousalElection === 'rollover';
+}
+
+/**
+ * Required distribution from an inherited account for one year.
+ *
+ * @param {Object} account - Inherited account (balance = prior year-end)
+ * @param {Object} beneficiary - Person who inherited ({ birth_date | date_of_birth })
+ * @param {number} year - Distribution year
+ * @returns {Object} { rule, factor, rmd_amount, must_empty_by, final_distribution, waived, ... }
+ */
+export function calculateInheritedRMD(account, beneficiary, year) {
+  const inheritance = getInheritance(account);
+  const balance = Number(account.balance ?? account.current_value ?? 0);
+  const deathDate = new Date(inheritance.decedentDeathDate);
+  const deathYear = deathDate.getFullYear();
+  const decedentBirthYear = new Date(inheritance.decedentBirthDate).getFullYear();
+  const beneficiaryBirthYear = new Date(beneficiary.birth_date ?? beneficiary.date_of_birth).getFullYear();
+  const beneficiaryType = inheritance.beneficiaryType || 'designated';
+  const roth = (account.account_type || '').includes('roth');
+
+  // Roth owners are treated as dying before their required beginning date
+  const decedentStarted = !roth
+    && (inheritance.decedentStartedRMDs ?? deathDate >= getRequiredBeginningDate(decedentBirthYear));
+
+  // Remaining life expectancies (non-recalculated: reduced by one each year)
+  const reduce = (factor, years) => Math.round((factor - years) * 10) / 10;
+  const decedentRemaining = reduce(getSingleLifeFactor(deathYear - decedentBirthYear), year - deathYear);
+  const beneficiaryRemaining = reduce(getSingleLifeFactor(deathYear + 1 - beneficiaryBirthYear), year - deathYear - 1);
+  const lifeExpectancy = decedentStarted ? Math.max(decedentRemaining, beneficiaryRemaining) : beneficiaryRemaining;
+
+  let rule;
+  let factor = null;
+  let mustEmptyBy = null;
+  let startYear = deathYear + 1;
+  let waived = false;
+
+  if (beneficiaryType === 'non_designated') {
+    rule = decedentStarted ? 'decedent_life_expectancy' : 'five_year';
+    if (decedentStarted) factor = decedentRemaining;
+    else mustEmptyBy = deathYear + 5;
+  } else if (beneficiaryType === 'spouse') {
+    rule = 'spouse_beneficiary';
+    const recalculated = getSingleLifeFactor(year - beneficiaryBirthYear);
+    factor = decedentStarted ? Math.max(recalculated, decedentRemaining) : recalculated;
+    if (!decedentStarted) startYear = Math.max(startYear, decedentBirthYear + getRMDStartAge(decedentBirthYear));
+  } else if (beneficiaryType === 'eligible_designated' || deathYear < SECURE_ACT_YEAR) {
+    rule = 'life_expectancy';
+    factor = lifeExpectancy;
+    if (inheritance.eligibleReason === 'minor_child' && deathYear >= SECURE_ACT_YEAR) {
+      rule = 'minor_child';
+      mustEmptyBy = beneficiaryBirthYear + MINOR_CHILD_MAJORITY_AGE + 10;
+    }
+  } else {
+    mustEmptyBy = deathYear + 10;
+    rule = decedentStarted ? 'ten_year_annual' : 'ten_year';
+    if (decedentStarted) {
+      factor = lifeExpectancy;
+      waived = year < TEN_YEAR_ANNUAL_RMD_START;
+    }
+  }
+
+  const finalDistribution = (mustEmptyBy !== null && year >= mustEmptyBy) || (factor !== null && factor <= 1);
+  let rmdAmount = 0;
+  if (finalDistribution) rmdAmount = balance;
+  else if (year >= startYear && factor !== null && !waived) rmdAmount = balance / factor;
+
+  return {
+    person_id: beneficiary.id,
+    person_name: beneficiary.legal_name,
+    age: year - beneficiaryBirthYear,
+    account_id: account.id,
+    account_name: account.account_name,
+    account_type: account.account_type,
+    prior_year_balance: balance,
+    beneficiary_type: beneficiaryType,
+    rule,
+    life_expectancy_factor: factor !== null && year >= startYear ? Math.max(1, factor) : null,
+    rmd_amount: rmdAmount,
+    first_rmd_year: startYear,
+    must_empty_by: mustEmptyBy,
+    final_distribution: finalDistribution,
+    waived,
+    decedent_started_rmds: decedentStarted,
+    is_inherited: true,
+  };
+}
+
 /**
  * Calculate RMDs for all eligible accounts
  * 
  * @param {Object} params
  * @param {Date} params.asOfDate - Typically December 31 of prior year
+ * @param {number} params.year - Distribution year (defaults to the year after asOfDate)
  * @param {Array} params.people - Household members
  * @param {Array} params.accounts - All accounts
  * @returns {Array} RMD requirements by account
  */
-export function calculateRMDs({ asOfDate, people, accounts }) {
+export function calculateRMDs({ asOfDate, year = new Date(asOfDate).getFullYear() + 1, people, accounts }) {
   const rmds = [];
   
   for (const person of people) {
-    const age = calculateAge(person.birth_date, asOfDate);
-    const birthYear = new Date(person.birth_date).getFullYear();
-    const rmdStartAge = getRMDStartAge(birthYear);
+    const birthYear = new Date(person.birth_date ?? person.date_of_birth).getFullYear();
+    // Age attained by December 31 of the distribution year
+    const age = year - birthYear;
+    const owned = accounts.filter(acc => acc.owner_person_id === person.id);
+
+    // Inherited accounts follow the beneficiary rules regardless of age
+    for (const account of owned) {
+      const inheritance = getInheritance(account);
+      if (!account.is_inherited && !inheritance) continue;
+      if (isSpousalRollover(inheritance)) continue;
+      if (!inheritance?.decedentDeathDate) {
+        console.warn(`[RMD] Inherited account ${account.id} has no decedent details`);
+        continue;
+      }
+      rmds.push(calculateInheritedRMD(account, person, year));
+    }
     
     // Not yet subject to RMDs
-    if (age < rmdStartAge) continue;
+    if (age < getRMDStartAge(birthYear)) continue;
     
-    // Get all tax-deferred accounts owned by this person
-    const taxDeferredAccounts = accounts.filter(acc =>
-      acc.owner_person_id === person.id &&
-      (acc.tax_treatment === 'tax_deferred') &&
-      (acc.account_type.includes('ira') || acc.account_type.includes('401k'))
+    // Own tax-deferred accounts (including spousal rollovers)
+    const ownAccounts = owned.filter(acc =>
+      (isSpousalRollover(getInheritance(acc)) || (!acc.is_inherited && !getInheritance(acc))) &&
+      isSubjectToLifetimeRMD(acc, year)
     );
+    const spouse = findSpouse(person, people);
+    const spouseAge = spouse ? year - new Date(spouse.birth_date ?? spouse.date_of_birth).getFullYear() : null;
     
     // Calculate RMD for each account
-    for (const account of taxDeferredAccounts) {
-      const lifeFactor = UNIFORM_LIFETIME_TABLE[age];
+    for (const account of ownAccounts) {
+      const spouseSoleBeneficiary = Boolean(account.spouse_sole_beneficiary ?? account.metadata?.spouseSoleBeneficiary);
+      const { table, factor: lifeFactor } = getLifetimeDivisor(age, { spouseAge, spouseSoleBeneficiary });
       
       if (!lifeFactor) {
         console.warn(`[RMD] No life expectancy factor for age ${age}`);
@@ -74,7 +321,8 @@ export function calculateRMDs({ asOfDate, people, accounts }) {
       }
       
       // RMD = Prior year-end balance / Life expectancy factor
-      const rmdAmount = account.balance / lifeFactor;
+      const balance = Number(account.balance ?? account.current_value ?? 0);
+      const rmdAmount = balance / lifeFactor;
       
       rmds.push({
         person_id: person.id,
@@ -83,10 +331,11 @@ export function calculateRMDs({ asOfDate, people, accounts }) {
         account_id: account.id,
         account_name: account.account_name,
         account_type: account.account_type,
-        prior_year_balance: account.balance,
+        prior_year_balance: balance,
+        life_expectancy_table: table,
         life_expectancy_factor: lifeFactor,
         rmd_amount: rmdAmount,
-        is_inherited: account.is_inherited || false,
+        is_inherited: false,
       });
     }
   }
@@ -94,6 +343,16 @@ export function calculateRMDs({ asOfDate, people, accounts }) {
   return rmds;
 }
 
+/**
+ * Spouse of a household member (primary <-> spouse).
+ */
+function findSpouse(person, people) {
+  if (person.relationship === 'spouse') {
+    return people.find(p => p.id !== person.id && (p.is_primary || p.relationship === 'primary')) || null;
+  }
+  return people.find(p => p.id !== person.id && p.relationship === 'spouse') || null;
+}
+
 /**
  * Project RMDs over multiple years
  * 
@@ -102,7 +361,8 @@ export function calculateRMDs({ asOfDate, people, accounts }) {
  * @param {Date} params.endDate
  * @param {Array} params.people
  * @param {Array} params.accountBalances - Output from account tracker
- * @returns {Array} Annual RMD schedules
+ * @returns {Array} Annual RMD schedules; `inherited` lists each inherited
+ *   account's requirement separately
  */
 export function projectRMDs({ startDate, endDate, people, accountBalances }) {
   const results = [];
@@ -121,6 +381,7 @@ export function projectRMDs({ startDate, endDate, people, accountBalances }) {
     // Calculate RMDs for this year
     const rmds = calculateRMDs({
       asOfDate: priorYearEnd,
+      year,
       people,
       accounts: priorYearBalances.accounts.map(acc => ({
         ...acc,
@@ -136,6 +397,7 @@ export function projectRMDs({ startDate, endDate, people, accountBalances }) {
       rmd_year: year,
       calculation_date: priorYearEnd,
       rmds: aggregated,
+      inherited: rmds.filter(r => r.is_inherited),
       total_rmd: aggregated.reduce((sum, r) => sum + r.total_rmd, 0),
     });
   }
@@ -144,7 +406,38 @@ export function projectRMDs({ startDate, endDate, people, accountBalances }) {
 }
 
 /**
- * Aggregate RMDs by person (IRAs only, 401(k)s must be taken separately)
+ * Year-by-year schedule for one inherited account, growing the balance
+ * net of each required distribution.
+ *
+ * @param {Object} account - Inherited account with prior year-end balance
+ * @param {Object} beneficiary - Person who inherited
+ * @param {Object} options - { startYear, endYear, growthRate }
+ * @returns {Array} [{ year, rule, factor, prior_year_balance, rmd_amount, must_empty_by, waived }]
+ */
+export function projectInheritedRMDs(account, beneficiary, { startYear, endYear, growthRate = 0.05 }) {
+  const schedule = [];
+  let balance = Number(account.balance ?? account.current_value ?? 0);
+
+  for (let year = startYear; year <= endYear && balance > 0.005; year++) {
+    const rmd = calculateInheritedRMD({ ...account, balance }, beneficiary, year);
+    schedule.push({
+      year,
+      rule: rmd.rule,
+      factor: rmd.life_expectancy_factor,
+      prior_year_balance: balance,
+      rmd_amount: rmd.rmd_amount,
+      must_empty_by: rmd.must_empty_by,
+      waived: rmd.waived,
+    });
+    balance = (balance - rmd.rmd_amount) * (1 + growthRate);
+  }
+
+  return schedule;
+}
+
+/**
+ * Aggregate RMDs by person (IRAs only, 401(k)s must be taken separately;
+ * inherited accounts are listed on their own)
  */
 function aggregateRMDsByPerson(rmds) {
   const byPerson = {};
@@ -157,6 +450,7 @@ function aggregateRMDsByPerson(rmds) {
         age: rmd.age,
         ira_accounts: [],
         fourOhOneK_accounts: [],
+        inherited_accounts: [],
         total_rmd: 0,
       };
     }
@@ -164,9 +458,11 @@ function aggregateRMDsByPerson(rmds) {
     const personRMD = byPerson[rmd.person_id];
     
     // IRAs can be aggregated
-    if (rmd.account_type.includes('ira')) {
+    if (rmd.is_inherited) {
+      personRMD.inherited_accounts.push(rmd);
+    } else if (rmd.account_type.includes('ira')) {
       personRMD.ira_accounts.push(rmd);
-    } else if (rmd.account_type.includes('401k')) {
+    } else {
       personRMD.fourOhOneK_accounts.push(rmd);
     }
     
@@ -179,7 +475,7 @@ function aggregateRMDsByPerson(rmds) {
 /**
  * QCD (Qualified Charitable Distribution) opportunity check
  * 
- * QCDs allow direct IRA → charity transfers (up to $105K in 2024) that:
+ * QCDs allow direct IRA → charity transfers (up to $108K in 2025, indexed) that:
  * - Satisfy RMD
  * - Are not taxable income
  * - Available at age 70.5+
@@ -187,16 +483,16 @@ function aggregateRMDsByPerson(rmds) {
  * @param {Object} rmd - RMD requirement
  * @param {Number} age - Current age
  * @param {Number} charityGoal - Annual charity target (if any)
+ * @param {Number} taxYear - Year of the distribution (sets the QCD limit)
  * @returns {Object} QCD recommendation
  */
-export function calculateQCDOpportunity(rmd, age, charityGoal = 0) {
+export function calculateQCDOpportunity(rmd, age, charityGoal = 0, taxYear = new Date().getFullYear()) {
   // QCDs available at 70.5+
   if (age < 70.5) {
     return { eligible: false, reason: 'Under age 70.5' };
   }
   
-  const qcdLimit2024 = 105000;
-  const maxQCD = Math.min(rmd.rmd_amount, qcdLimit2024, charityGoal);
+  const maxQCD = Math.min(rmd.rmd_amount, getQCDLimit(taxYear), charityGoal);
   
   if (maxQCD <= 0) {
     return { eligible: true, recommended_amount: 0, reason: 'No charity goal' };
@@ -215,26 +511,41 @@ export function calculateQCDOpportunity(rmd, age, charityGoal = 0) {
 }
 
 /**
- * Inherited IRA 10-year rule check
+ * Inherited IRA deadline check
  * 
- * SECURE Act requires non-spouse beneficiaries to distribute inherited
- * IRAs within 10 years of original owner's death.
+ * SECURE Act requires most non-spouse beneficiaries to empty inherited
+ * IRAs by December 31 of the 10th year after the owner's death; when the
+ * account has inheritance details the annual requirement is included.
  * 
  * @param {Object} account - Inherited IRA
  * @param {Date} ownerDeathDate - Date of original owner's death
  * @param {Date} currentDate - Current date
+ * @param {Object} beneficiary - Person who inherited (for the annual RMD)
  * @returns {Object} Distribution requirements
  */
-export function checkInheritedIRARule(account, ownerDeathDate, currentDate) {
-  const yearsSinceDeath = 
-    (currentDate - new Date(ownerDeathDate)) / (1000 * 60 * 60 * 24 * 365.25);
-  
-  const yearsRemaining = Math.max(0, 10 - yearsSinceDeath);
+export function checkInheritedIRARule(account, ownerDeathDate, currentDate, beneficiary = null) {
+  const year = new Date(currentDate).getFullYear();
+  const inheritance = getInheritance(account);
+  const annual = inheritance && beneficiary
+    ? calculateInheritedRMD({ ...account, inherited: { decedentDeathDate: ownerDeathDate, ...inheritance } }, beneficiary, year)
+    : null;
+  const deadlineYear = annual ? annual.must_empty_by : new Date(ownerDeathDate).getFullYear() + 10;
+  const requirement = annual
+    ? { rule: annual.rule, annual_rmd: annual.rmd_amount, must_empty_by: deadlineYear }
+    : { must_empty_by: deadlineYear };
+
+  // Life expectancy payouts have no deadline
+  if (deadlineYear === null) {
+    return { status: 'compliant', ...requirement, message: 'Take the annual RMD each year' };
+  }
+
+  const yearsRemaining = deadlineYear - year + 1; // Distribution years left, including this one
   
   if (yearsRemaining <= 0) {
     return {
       status: 'overdue',
-      message: '10-year period expired - full distribution required immediately',
+      ...requirement,
+      message: `${deadlineYear} distribution deadline passed - full distribution required immediately`,
       penalty_risk: 'Penalty applies for missed distribution',
     };
   }
@@ -242,24 +553,17 @@ export function checkInheritedIRARule(account, ownerDeathDate, currentDate) {
   if (yearsRemaining <= 2) {
     return {
       status: 'urgent',
-      message: `${yearsRemaining.toFixed(1)} years remaining - plan distribution now`,
+      ...requirement,
+      message: `${yearsRemaining} distribution year${yearsRemaining === 1 ? '' : 's'} remaining - plan distribution now`,
       suggested_annual_withdrawal: account.balance / yearsRemaining,
     };
   }
   
   return {
     status: 'compliant',
+    ...requirement,
     years_remaining: yearsRemaining,
     suggested_annual_withdrawal: account.balance / yearsRemaining,
     message: 'On track - consider spreading distributions for tax efficiency',
   };
 }
-
-/**
- * Helper: Calculate age
- */
-function calculateAge(birthDate, asOfDate) {
-  const birth = new Date(birthDate);
-  const diff = asOfDate - birth;
-  return Math.floor(diff / (1000 * 60 * 60 * 24 * 365.25));
-}
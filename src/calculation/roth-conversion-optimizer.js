@@ -0,0 +1,464 @@
+/**
+ * Roth Conversion Optimizer
+ *
+ * Chooses a Roth conversion amount for every year of the planning horizon
+ * to minimize lifetime taxes plus the tax heirs pay on inherited
+ * traditional balances.
+ *
+ * Horizon phases:
+ * - Before Social Security starts (lowest-income years)
+ * - After Social Security, before RMDs
+ * - RMD years
+ * - Survivor years (single filing after the first death)
+ *
+ * Search:
+ * 1. Per-phase policy: fill ordinary income to the top of a bracket in
+ *    each phase (coordinate search over phases)
+ * 2. Per-year refinement of the best policy's schedule
+ *
+ * Every candidate is scored by a full year-by-year simulation through the
+ * TaxCalculator (state tax, NIIT, IRMAA with the two-year lookback), with
+ * conversions optionally capped at an IRMAA tier and/or limited to what
+ * taxable cash can pay.
+ */
+
+import { TaxCalculator } from './tax-calculator.js';
+import { defaultTaxRuleRegistry } from './tax-rules.js';
+import { UNIFORM_LIFETIME_TABLE, getRMDStartAge } from './rmd-engine.js';
+
+const PHASES = ['pre_social_security', 'pre_rmd', 'rmd', 'survivor'];
+
+// Unmet spending is weighted above taxes so no schedule "saves" tax by running out of money
+const SHORTFALL_PENALTY = 2;
+
+export class RothConversionOptimizer {
+  constructor({ taxRuleRegistry = defaultTaxRuleRegistry } = {}) {
+    this.taxRuleRegistry = taxRuleRegistry;
+    this.taxCalculators = new Map();
+  }
+
+  getTaxCalculator(taxYear) {
+    if (!this.taxCalculators.has(taxYear)) {
+      this.taxCalculators.set(taxYear, new TaxCalculator(taxYear, { registry: this.taxRuleRegistry }));
+    }
+    return this.taxCalculators.get(taxYear);
+  }
+
+  /**
+   * Optimize conversions across the horizon.
+   *
+   * @param {Object} params
+   * @param {number} params.startYear - First tax year
+   * @param {number} params.years - Years to project
+   * @param {Object} params.household - { state, locality, filingStatus, age1, age2 }
+   * @param {Object} params.accounts - { taxable, taxableBasis, ira_traditional, ira_roth }
+   * @param {Array} params.socialSecurity - [{ person: 1|2, startAge, annualBenefit }] (today's dollars)
+   * @param {Array} params.otherIncome - [{ amount, startYear, endYear, type: 'pension'|'ordinary', cola, survivorPercent }]
+   * @param {number} params.annualSpending - Spending need in today's dollars
+   * @param {Object} params.survivor - { deceased: 1|2, deathYear } (filing single after deathYear)
+   * @param {number} params.growthRate - Annual portfolio return
+   * @param {number} params.inflationRate - Spending and Social Security COLA
+   * @param {number} params.heirsTaxRate - Heirs' marginal rate on inherited traditional balances
+   * @param {number} params.discountRate - Rate for present-valuing taxes (defaults to growthRate)
+   * @param {boolean} params.payTaxFromCash - Conversion tax must come from the taxable account
+   * @param {number} params.maxIRMAATier - Keep MAGI within this IRMAA tier (null = priced in, not capped)
+   * @param {number} params.maxBracketRate - Highest bracket conversions may fill (e.g. 0.24)
+   * @param {Object} params.magiHistory - MAGI for the two years before startYear
+   * @returns {Object} { schedule, strategy (by phase), withConversions, withoutConversions, savings }
+   */
+  optimize(params) {
+    const p = this.normalizeParams(params);
+
+    const baseline = this.simulate(p, () => 0);
+
+    // Phase 1: per-phase bracket targets (null = no conversions)
+    const targets = [null, ...this.getCandidateBrackets(p)];
+    let policy = Object.fromEntries(PHASES.map(phase => [phase, null]));
+    let best = baseline;
+
+    for (let pass = 0; pass < 2; pass++) {
+      let improved = false;
+      for (const phase of PHASES) {
+        if (!best.years.some(y => y.phase === phase)) continue;
+        for (const target of targets) {
+          if (target === policy[phase]) continue;
+          const candidate = { ...policy, [phase]: target };
+          const result = this.simulate(p, this.bracketPolicy(candidate));
+          if (result.objective < best.objective - 1) {
+            best = result;
+            policy = candidate;
+            improved = true;
+          }
+        }
+      }
+      if (!improved) break;
+    }
+
+    // Phase 2: refine individual years around the policy's schedule
+    let schedule = best.years.map(y => y.conversion);
+    for (const step of [25000, 10000, 2500]) {
+      let improved = true;
+      for (let pass = 0; pass < 3 && improved; pass++) {
+        improved = false;
+        for (let t = 0; t < schedule.length; t++) {
+          const year = best.years[t];
+          const options = [
+            schedule[t] + step,
+            schedule[t] - step,
+            0,
+            ...year.bracketFill,
+          ].filter(amount => amount >= 0 && Math.abs(amount - schedule[t]) > 1);
+
+          for (const amount of options) {
+            const candidate = schedule.slice();
+            candidate[t] = amount;
+            const result = this.simulate(p, ({ t: i }) => candidate[i]);
+            if (result.objective < best.objective - 1) {
+              best = result;
+              // Caps (balance, IRMAA, cash) may have trimmed the request
+              schedule = result.years.map(y => y.conversion);
+              improved = true;
+            }
+          }
+        }
+      }
+    }
+
+    return {
+      schedule: best.years,
+      strategy: this.describeStrategy(best.years),
+      withConversions: this.summarize(best),
+      withoutConversions: this.summarize(baseline),
+      savings: {
+        lifetimeTax: baseline.lifetimeTax - best.lifetimeTax,
+        heirsTax: baseline.heirsTax - best.heirsTax,
+        total: (baseline.lifetimeTax + baseline.heirsTax) - (best.lifetimeTax + best.heirsTax),
+        presentValue: baseline.objective - best.objective,
+        afterTaxLegacy: best.afterTaxLegacy - baseline.afterTaxLegacy,
+      },
+    };
+  }
+
+  normalizeParams(params) {
+    const {
+      startYear = new Date().getFullYear(),
+      years = 30,
+      household = {},
+      accounts = {},
+      socialSecurity = [],
+      otherIncome = [],
+      annualSpending = 0,
+      survivor = null,
+      growthRate = 0.06,
+      inflationRate = 0.025,
+      heirsTaxRate = 0.24,
+      discountRate = growthRate,
+      payTaxFromCash = false,
+      maxIRMAATier = null,
+      maxBracketRate = null,
+      magiHistory = {},
+    } = params;
+
+    return {
+      startYear,
+      years,
+      household: {
+        state: 'AZ',
+        filingStatus: 'married_joint',
+        age1: 65,
+        age2: null,
+        ...household,
+      },
+      accounts: {
+        taxable: accounts.taxable || 0,
+        taxableBasis: accounts.taxableBasis ?? (accounts.taxable || 0),
+        traditional: (accounts.ira_traditional || 0) + (accounts['401k_traditional'] || 0),
+        roth: (accounts.ira_roth || 0) + (accounts['401k_roth'] || 0),
+      },
+      socialSecurity,
+      otherIncome,
+      annualSpending,
+      survivor,
+      growthRate,
+      inflationRate,
+      heirsTaxRate,
+      discountRate,
+      payTaxFromCash,
+      maxIRMAATier,
+      maxBracketRate,
+      magiHistory,
+    };
+  }
+
+  /**
+   * Bracket indexes conversions may fill to the top of (never the top bracket).
+   */
+  getCandidateBrackets(p) {
+    const brackets = this.getTaxCalculator(p.startYear).federalBrackets[p.household.filingStatus]
+      || this.getTaxCalculator(p.startYear).federalBrackets.single;
+    return brackets
+      .slice(0, -1)
+      .map((bracket, i) => ({ i, rate: bracket.rate }))
+      .filter(({ rate }) => p.maxBracketRate === null || rate <= p.maxBracketRate + 1e-9)
+      .map(({ i }) => i);
+  }
+
+  /**
+   * Policy converting enough to fill ordinary income to the top of the
+   * phase's target bracket.
+   */
+  bracketPolicy(targets) {
+    return ({ phase, bracketFill }) => {
+      const target = targets[phase];
+      return target === null || target === undefined ? 0 : bracketFill[target];
+    };
+  }
+
+  /**
+   * Project the horizon under a conversion policy.
+   *
+   * @param {Object} p - Normalized params
+   * @param {Function} policy - ({ t, year, phase, bracketFill, ... }) => conversion amount
+   * @returns {Object} Year-by-year results and lifetime totals
+   */
+  simulate(p, policy) {
+    const { household, survivor } = p;
+    let { taxable, taxableBasis: basis, traditional, roth } = p.accounts;
+    let taxDue = 0; // Prior year's tax, paid from this year's cash flow
+    const magiHistory = { ...p.magiHistory };
+    const years = [];
+    let pvTax = 0;
+    let pvShortfall = 0;
+
+    for (let t = 0; t < p.years; t++) {
+      const year = p.startYear + t;
+      const calculator = this.getTaxCalculator(year);
+      const inflation = Math.pow(1 + p.inflationRate, t);
+      const discount = Math.pow(1 + p.discountRate, t);
+
+      const ages = [household.age1 + t, household.age2 !== null ? household.age2 + t : null];
+      const deathYear = survivor ? survivor.deathYear : null;
+      const widowed = deathYear !== null && year > deathYear;
+      const alive = [1, 2].map(person => ages[person - 1] !== null
+        && !(survivor && survivor.deceased === person && year > deathYear));
+      const filingStatus = widowed && household.filingStatus === 'married_joint' ? 'single' : household.filingStatus;
+
+      // Social Security (survivor keeps the larger benefit)
+      const benefits = [1, 2].map(person => {
+        const claim = p.socialSecurity.find(s => s.person === person);
+        if (!claim || ages[person - 1] === null) return 0;
+        return ages[person - 1] >= claim.startAge ? claim.annualBenefit * inflation : 0;
+      });
+      const socialSecurity = widowed
+        ? Math.max(...benefits)
+        : benefits.reduce((sum, b, i) => sum + (alive[i] ? b : 0), 0);
+
+      // Pensions and other income
+      let pensionIncome = 0;
+      let otherOrdinary = 0;
+      for (const stream of p.otherIncome) {
+        if (year < (stream.startYear ?? p.startYear) || (stream.endYear && year > stream.endYear)) continue;
+        const colaFactor = Math.pow(1 + (stream.cola || 0), t);
+        const survivorFactor = widowed ? (stream.survivorPercent ?? 1) : 1;
+        const amount = stream.amount * colaFactor * survivorFactor;
+        if (stream.type === 'pension') pensionIncome += amount;
+        else otherOrdinary += amount;
+      }
+
+      // RMD on the surviving owner's age (spousal rollover)
+      const ownerAge = alive[0] ? ages[0] : ages[1];
+      const rmdAge = getRMDStartAge(year - ownerAge);
+      const rmd = ownerAge >= rmdAge
+        ? traditional / (UNIFORM_LIFETIME_TABLE[Math.min(ownerAge, 120)] || UNIFORM_LIFETIME_TABLE[120])
+        : 0;
+      traditional -= rmd;
+
+      const phase = widowed
+        ? 'survivor'
+        : ownerAge >= rmdAge
+          ? 'rmd'
+          : socialSecurity > 0 ? 'pre_rmd' : 'pre_social_security';
+
+      // Spending (plus last year's tax bill) funded from taxable, then traditional, then Roth
+      const need = p.annualSpending * inflation + taxDue;
+      const cash = socialSecurity + pensionIncome + otherOrdinary + rmd;
+      let gap = Math.max(0, need - cash);
+      if (cash > need) {
+        taxable += cash - need;
+        basis += cash - need;
+      }
+
+      const fromTaxable = Math.min(gap, taxable);
+      const basisSold = taxable > 0 ? basis * (fromTaxable / taxable) : 0;
+      const realizedGains = fromTaxable - basisSold;
+      taxable -= fromTaxable;
+      basis -= basisSold;
+      gap -= fromTaxable;
+
+      const fromTraditional = Math.min(gap, traditional);
+      traditional -= fromTraditional;
+      gap -= fromTraditional;
+
+      const fromRoth = Math.min(gap, roth);
+      roth -= fromRoth;
+      gap -= fromRoth;
+      const shortfall = gap;
+
+      const taxHousehold = {
+        state: household.state,
+        locality: household.locality,
+        filingStatus,
+        age1: alive[0] ? ages[0] : ages[1],
+        age2: filingStatus === 'married_joint' ? ages[1] : null,
+      };
+      const distributions = rmd + fromTraditional;
+      const income = {
+        ordinaryIncome: distributions + pensionIncome + otherOrdinary,
+        retirementDistributions: distributions + pensionIncome,
+        pensionIncome,
+        longTermCapitalGains: realizedGains,
+        socialSecurity,
+        rothDistributions: fromRoth,
+      };
+      const taxOptions = { irmaaMagi: magiHistory[year - 2] ?? null };
+      const withConversion = (amount) => calculator.calculateTax(
+        {
+          ...income,
+          ordinaryIncome: income.ordinaryIncome + amount,
+          retirementDistributions: income.retirementDistributions + amount,
+        },
+        taxHousehold,
+        taxOptions
+      );
+
+      const baseTaxes = withConversion(0);
+
+      // Conversion needed to fill each bracket (ordinary income stacks below gains)
+      const brackets = calculator.federalBrackets[filingStatus] || calculator.federalBrackets.single;
+      const ordinaryTaxable = Math.max(0, baseTaxes.taxableIncome - realizedGains);
+      const bracketFill = brackets.slice(0, -1).map((_, i) => Math.max(0, brackets[i + 1].threshold - ordinaryTaxable));
+
+      let conversion = Math.min(traditional, Math.max(0, policy({ t, year, phase, bracketFill, baseTaxes })));
+
+      if (p.maxBracketRate !== null) {
+        const allowed = bracketFill.filter((_, i) => brackets[i].rate <= p.maxBracketRate + 1e-9);
+        conversion = Math.min(conversion, allowed.length > 0 ? allowed[allowed.length - 1] : 0);
+      }
+
+      if (p.maxIRMAATier !== null && baseTaxes.irmaaProximity.applies) {
+        const tiers = calculator.getIRMAAThresholds(year + 2)[filingStatus];
+        const ceiling = (tiers.find(tier => tier.tier >= p.maxIRMAATier) || tiers[tiers.length - 1]).magi;
+        conversion = Math.min(conversion, Math.max(0, ceiling - baseTaxes.magi));
+      }
+
+      let taxes = conversion > 0 ? withConversion(conversion) : baseTaxes;
+      let conversionTax = taxes.totalTax - baseTaxes.totalTax;
+
+      if (p.payTaxFromCash && conversionTax > taxable) {
+        // Largest conversion whose tax the taxable account can cover
+        let low = 0;
+        let high = conversion;
+        for (let i = 0; i < 20 && high - low > 100; i++) {
+          const mid = (low + high) / 2;
+          if (withConversion(mid).totalTax - baseTaxes.totalTax <= taxable) low = mid;
+          else high = mid;
+        }
+        conversion = low;
+        taxes = conversion > 0 ? withConversion(conversion) : baseTaxes;
+        conversionTax = taxes.totalTax - baseTaxes.totalTax;
+      }
+
+      // Conversion tax is paid now: taxable cash first, the rest withheld from the conversion
+      const paidFromCash = Math.min(taxable, conversionTax);
+      if (taxable > 0) basis -= basis * (paidFromCash / taxable);
+      taxable -= paidFromCash;
+      const withheld = conversionTax - paidFromCash;
+      traditional -= conversion;
+      roth += conversion - withheld;
+
+      taxDue = taxes.totalTax - conversionTax;
+      magiHistory[year] = taxes.magi;
+      pvTax += taxes.totalTax / discount;
+      pvShortfall += shortfall / discount;
+
+      years.push({
+        taxYear: year,
+        age1: ages[0],
+        age2: ages[1],
+        phase,
+        filingStatus,
+        conversion,
+        conversionTax,
+        paidFromCash,
+        withheld,
+        rmd,
+        socialSecurity,
+        taxableIncome: taxes.taxableIncome,
+        magi: taxes.magi,
+        marginalRate: taxes.marginalRate,
+        // Bracket the last converted dollar landed in (gains stack above it)
+        ordinaryBracketRate: calculator.getBracketRate(Math.max(0, taxes.taxableIncome - realizedGains - 1), brackets) * 100,
+        // Tier set for premiums two years out (applies once someone is on Medicare)
+        irmaaTier: taxes.irmaaProximity.tier,
+        irmaaApplies: taxes.irmaaProximity.applies,
+        irmaaPaid: taxes.irmaa.totalAnnual,
+        totalTax: taxes.totalTax,
+        shortfall,
+        bracketFill,
+        balances: { taxable, traditional, roth },
+      });
+
+      // Year-end growth
+      taxable *= 1 + p.growthRate;
+      traditional *= 1 + p.growthRate;
+      roth *= 1 + p.growthRate;
+    }
+
+    const endDiscount = Math.pow(1 + p.discountRate, p.years);
+    const heirsTax = traditional * p.heirsTaxRate;
+    const lifetimeTax = years.reduce((sum, y) => sum + y.totalTax, 0);
+
+    return {
+      years,
+      lifetimeTax,
+      heirsTax,
+      totalShortfall: years.reduce((sum, y) => sum + y.shortfall, 0),
+      // The final year's tax is still owed at the horizon
+      afterTaxLegacy: taxable + roth + traditional - heirsTax - taxDue,
+      objective: pvTax + heirsTax / endDiscount + pvShortfall * SHORTFALL_PENALTY,
+      endingBalances: { taxable, traditional, roth },
+    };
+  }
+
+  /**
+   * Conversions and highest bracket filled in each horizon phase.
+   */
+  describeStrategy(years) {
+    return Object.fromEntries(PHASES
+      .filter(phase => years.some(y => y.phase === phase))
+      .map(phase => {
+        const phaseYears = years.filter(y => y.phase === phase);
+        const converting = phaseYears.filter(y => y.conversion > 0);
+        return [phase, {
+          years: phaseYears.map(y => y.taxYear),
+          totalConversions: converting.reduce((sum, y) => sum + y.conversion, 0),
+          topBracketFilled: converting.length > 0 ? Math.max(...converting.map(y => y.ordinaryBracketRate)) : null,
+        }];
+      }));
+  }
+
+  summarize(result) {
+    return {
+      totalConversions: result.years.reduce((sum, y) => sum + y.conversion, 0),
+      lifetimeTax: result.lifetimeTax,
+      heirsTax: result.heirsTax,
+      totalTax: result.lifetimeTax + result.heirsTax,
+      presentValueTax: result.objective,
+      afterTaxLegacy: result.afterTaxLegacy,
+      totalShortfall: result.totalShortfall,
+      endingBalances: result.endingBalances,
+    };
+  }
+}
+
+export default RothConversionOptimizer;
@@ -0,0 +1,331 @@
+/**
+ * Social Security Benefits
+ *
+ * Month-by-month household benefits for a set of claiming ages:
+ * - Full retirement age (FRA) by birth year (65 to 67)
+ * - Own benefit: 5/9% reduction per month for the first 36 months before
+ *   FRA, 5/12% beyond; 2/3% delayed retirement credit per month to age 70
+ * - Spousal benefit: up to 50% of the other spouse's PIA, less the
+ *   spouse's own PIA, once both have filed (deemed filing); 25/36% and
+ *   5/12% reductions, no delayed credits
+ * - Survivor benefit: the larger of the survivor's own benefit and the
+ *   deceased's benefit (at least 82.5% of PIA if they claimed early, PIA
+ *   plus credits earned to death if they had not claimed), reduced to
+ *   71.5% at 60 when taken before the survivor's FRA
+ * - Earnings test before FRA ($1 per $2 over the annual limit, $1 per $3
+ *   in the year FRA is reached); fully withheld months are credited back
+ *   at FRA
+ * - COLA on all benefits from the start year
+ *
+ * PIAs are monthly amounts in start-year dollars. See
+ * services/social-security-service.js for strategy scoring.
+ */
+
+const MIN_CLAIMING_AGE = 62 * 12;
+const MAX_CLAIMING_AGE = 70 * 12;
+const SURVIVOR_MIN_AGE = 60 * 12;
+const DEFAULT_DEATH_AGE = 90;
+
+// Earnings test thresholds: before the FRA year, and in the FRA year
+const EARNINGS_TEST_LIMITS = {
+  2024: { annual: 22320, fraYear: 59520 },
+  2025: { annual: 23400, fraYear: 62160 },
+  2026: { annual: 24480, fraYear: 65160 },
+};
+const LATEST_LIMIT_YEAR = 2026;
+
+/**
+ * Full retirement age in months.
+ */
+export function getFullRetirementAge(birthYear) {
+  if (birthYear <= 1937) return 65 * 12;
+  if (birthYear <= 1942) return 65 * 12 + (birthYear - 1937) * 2;
+  if (birthYear <= 1954) return 66 * 12;
+  if (birthYear <= 1959) return 66 * 12 + (birthYear - 1954) * 2;
+  return 67 * 12;
+}
+
+/**
+ * Share of PIA paid as an own (retirement) benefit when claimed at
+ * claimAge months.
+ */
+export function getRetirementFactor(claimAge, fra) {
+  if (claimAge < fra) {
+    const early = fra - claimAge;
+    return 1 - Math.min(36, early) * (5 / 900) - Math.max(0, early - 36) * (5 / 1200);
+  }
+  return 1 + (Math.min(claimAge, MAX_CLAIMING_AGE) - fra) * (2 / 300);
+}
+
+/**
+ * Share of the full spousal benefit (50% of the other spouse's PIA).
+ */
+export function getSpousalFactor(claimAge, fra) {
+  if (claimAge >= fra) return 1;
+  const early = fra - claimAge;
+  return 1 - Math.min(36, early) * (25 / 3600) - Math.max(0, early - 36) * (5 / 1200);
+}
+
+/**
+ * Share of the deceased's benefit paid to a survivor: 71.5% at 60,
+ * rising evenly to 100% at FRA.
+ */
+export function getSurvivorFactor(claimAge, fra) {
+  if (claimAge >= fra) return 1;
+  const age = Math.max(SURVIVOR_MIN_AGE, claimAge);
+  return 1 - 0.285 * (fra - age) / (fra - SURVIVOR_MIN_AGE);
+}
+
+/**
+ * Earnings test thresholds for a year, wage-indexed past the latest
+ * published year and rounded to $120.
+ */
+export function getEarningsTestLimits(year, { wageIndexRate = 0.03 } = {}) {
+  if (EARNINGS_TEST_LIMITS[year]) return EARNINGS_TEST_LIMITS[year];
+  if (year < 2024) return EARNINGS_TEST_LIMITS[2024];
+
+  const growth = Math.pow(1 + wageIndexRate, year - LATEST_LIMIT_YEAR);
+  const base = EARNINGS_TEST_LIMITS[LATEST_LIMIT_YEAR];
+  return {
+    annual: Math.round(base.annual * growth / 120) * 120,
+    fraYear: Math.round(base.fraYear * growth / 120) * 120,
+  };
+}
+
+/**
+ * Candidate claiming ages (months) for each person: every stepMonths from
+ * the later of 62 and their age at the start of startYear through 70.
+ * People with a fixed claimingAge (already receiving) get that age only.
+ *
+ * @returns {Array<Array<number>>} Claiming-age combinations, one entry per person
+ */
+export function enumerateClaimingStrategies(people, { startYear, stepMonths = 12 } = {}) {
+  const candidates = people.map(person => {
+    if (person.claimingAge !== undefined && person.claimingAge !== null) {
+      return [Math.round(person.claimingAge * 12)];
+    }
+
+    const birth = new Date(person.dateOfBirth);
+    const ageAtStart = startYear * 12 - (birth.getFullYear() * 12 + birth.getMonth());
+    const earliest = Math.max(MIN_CLAIMING_AGE, ageAtStart);
+    if (earliest >= MAX_CLAIMING_AGE) return [earliest];
+
+    const ages = [earliest];
+    for (let age = Math.ceil((earliest + 1) / stepMonths) * stepMonths; age < MAX_CLAIMING_AGE; age += stepMonths) {
+      ages.push(age);
+    }
+    ages.push(MAX_CLAIMING_AGE);
+    return ages;
+  });
+
+  return candidates.reduce(
+    (combos, ages) => combos.flatMap(combo => ages.map(age => [...combo, age])),
+    [[]]
+  );
+}
+
+/**
+ * Project household benefits month by month.
+ *
+ * @param {Object} params
+ * @param {Array} params.people - [{ id, name, dateOfBirth, pia (monthly),
+ *   claimingAge (years, may be fractional), deathAge, earnings: [{ amount
+ *   (annual), startDate, endDate }] }]; the first two are treated as spouses
+ * @param {number} params.startYear - First projected year (PIA dollars)
+ * @param {number} params.endYear - Last projected year (default: last death)
+ * @param {number} params.colaRate - Annual COLA
+ * @param {number} params.wageIndexRate - Earnings test limit indexing
+ * @returns {Object} { people, years, months, lifetimeBenefits }
+ */
+export function projectSocialSecurity({
+  people,
+  startYear,
+  endYear = null,
+  colaRate = 0.025,
+  wageIndexRate = 0.03,
+}) {
+  const members = people.map(person => {
+    const birth = new Date(person.dateOfBirth);
+    const birthMonth = birth.getFullYear() * 12 + birth.getMonth();
+    return {
+      id: person.id,
+      name: person.name,
+      pia: Number(person.pia) || 0,
+      earnings: person.earnings || [],
+      birthMonth,
+      fra: getFullRetirementAge(birth.getFullYear()),
+      claimMonth: birthMonth + Math.round((person.claimingAge ?? 67) * 12),
+      deathMonth: birthMonth + Math.round((person.deathAge ?? DEFAULT_DEATH_AGE) * 12),
+      withheldMonths: 0,
+    };
+  });
+
+  const firstMonth = startYear * 12;
+  const lastMonth = endYear !== null
+    ? endYear * 12 + 11
+    : Math.max(...members.map(m => m.deathMonth)) - 1;
+
+  const months = [];
+  const years = [];
+  let budgets = [];
+  let yearEntry = null;
+
+  for (let t = firstMonth; t <= lastMonth; t++) {
+    const year = Math.floor(t / 12);
+    const cola = Math.pow(1 + colaRate, year - startYear);
+
+    if (t % 12 === 0 || t === firstMonth) {
+      budgets = members.map(m => getEarningsTestWithholding(m, year, wageIndexRate));
+      yearEntry = {
+        year,
+        people: members.map(m => ({
+          id: m.id,
+          age: Math.floor((t - m.birthMonth) / 12),
+          own: 0,
+          spousal: 0,
+          survivor: 0,
+          withheld: 0,
+          total: 0,
+        })),
+        total: 0,
+      };
+      years.push(yearEntry);
+    }
+
+    const amounts = members.map((member, i) => {
+      if (t >= member.deathMonth || t < member.claimMonth) return 0;
+      const other = members.length > 1 ? members[i === 0 ? 1 : 0] : null;
+
+      const own = member.pia * getRetirementFactor(getEffectiveClaimAge(member, t), member.fra);
+      let spousal = 0;
+      let survivor = 0;
+
+      if (other && t >= other.deathMonth) {
+        const survivorStart = Math.max(other.deathMonth, member.claimMonth);
+        const benefit = getDeceasedBenefit(other) * getSurvivorFactor(survivorStart - member.birthMonth, member.fra);
+        survivor = Math.max(0, benefit - own);
+      } else if (other && t >= other.claimMonth) {
+        const spousalStart = Math.max(member.claimMonth, other.claimMonth);
+        const effectiveAge = Math.min(
+          Math.max(spousalStart - member.birthMonth, getEffectiveClaimAge(member, t)),
+          member.fra
+        );
+        spousal = Math.max(0, other.pia / 2 - member.pia) * getSpousalFactor(effectiveAge, member.fra);
+      }
+
+      // Earnings test: withhold whole months before FRA until the year's excess is recovered
+      let gross = (own + spousal) * cola;
+      let withheld = 0;
+      if (budgets[i] > 0 && gross > 0 && t < member.birthMonth + member.fra) {
+        withheld = Math.min(gross, budgets[i]);
+        budgets[i] -= withheld;
+        if (withheld >= gross - 0.005) member.withheldMonths += 1;
+        gross -= withheld;
+      }
+
+      const entry = yearEntry.people[i];
+      entry.own += own * cola - withheld * (own / (own + spousal || 1));
+      entry.spousal += spousal * cola - withheld * (spousal / (own + spousal || 1));
+      entry.survivor += survivor * cola;
+      entry.withheld += withheld;
+      return gross + survivor * cola;
+    });
+
+    amounts.forEach((amount, i) => { yearEntry.people[i].total += amount; });
+    yearEntry.total += amounts.reduce((sum, amount) => sum + amount, 0);
+    months.push({
+      month: formatMonth(t),
+      amounts,
+    });
+  }
+
+  const summaries = members.map((member, i) => {
+    const other = members.length > 1 ? members[i === 0 ? 1 : 0] : null;
+    const spousalStart = other ? Math.max(member.claimMonth, other.claimMonth) : null;
+    const survivorStart = other ? Math.max(other.deathMonth, member.claimMonth) : null;
+
+    return {
+      id: member.id,
+      name: member.name,
+      pia: member.pia,
+      fullRetirementAge: member.fra / 12,
+      claimingAge: (member.claimMonth - member.birthMonth) / 12,
+      claimDate: formatMonth(member.claimMonth),
+      // Start-year dollars, before COLA and earnings test
+      monthlyAtClaim: member.pia * getRetirementFactor(member.claimMonth - member.birthMonth, member.fra),
+      spousalMonthly: other
+        ? Math.max(0, other.pia / 2 - member.pia)
+          * getSpousalFactor(Math.min(spousalStart - member.birthMonth, member.fra), member.fra)
+        : 0,
+      spousalStartDate: other ? formatMonth(spousalStart) : null,
+      survivorMonthly: other
+        ? getDeceasedBenefit(other) * getSurvivorFactor(survivorStart - member.birthMonth, member.fra)
+        : 0,
+      withheldMonths: member.withheldMonths,
+      lifetimeBenefits: years.reduce((sum, y) => sum + y.people[i].total, 0),
+    };
+  });
+
+  return {
+    people: summaries,
+    years,
+    months,
+    lifetimeBenefits: years.reduce((sum, y) => sum + y.total, 0),
+  };
+}
+
+/**
+ * Claiming age (months) for the benefit formula at month t: fully withheld
+ * months are added back once FRA is reached.
+ */
+function getEffectiveClaimAge(member, t) {
+  const claimAge = member.claimMonth - member.birthMonth;
+  if (t < member.birthMonth + member.fra || claimAge >= member.fra) return claimAge;
+  return Math.min(member.fra, claimAge + member.withheldMonths);
+}
+
+/**
+ * Monthly benefit (start-year dollars) a survivor steps up to.
+ */
+function getDeceasedBenefit(member) {
+  const ageAtDeath = member.deathMonth - member.birthMonth;
+  if (member.claimMonth < member.deathMonth) {
+    const received = member.pia * getRetirementFactor(getEffectiveClaimAge(member, member.deathMonth), member.fra);
+    return Math.max(received, member.pia * 0.825);
+  }
+  return ageAtDeath > member.fra ? member.pia * getRetirementFactor(ageAtDeath, member.fra) : member.pia;
+}
+
+/**
+ * Benefits withheld under the earnings test for a calendar year.
+ */
+function getEarningsTestWithholding(member, year, wageIndexRate) {
+  const fraMonth = member.birthMonth + member.fra;
+  const fraYear = Math.floor(fraMonth / 12);
+  if (year > fraYear || member.earnings.length === 0) return 0;
+
+  // Only earnings before the FRA month count in the FRA year
+  const lastMonth = year === fraYear ? fraMonth - 1 : year * 12 + 11;
+  let earned = 0;
+  for (let t = year * 12; t <= lastMonth; t++) {
+    for (const stream of member.earnings) {
+      const start = stream.startDate ? monthIndex(stream.startDate) : -Infinity;
+      const end = stream.endDate ? monthIndex(stream.endDate) : Infinity;
+      if (t >= start && t <= end) earned += (Number(stream.amount) || 0) / 12;
+    }
+  }
+
+  const limits = getEarningsTestLimits(year, { wageIndexRate });
+  return year === fraYear
+    ? Math.max(0, earned - limits.fraYear) / 3
+    : Math.max(0, earned - limits.annual) / 2;
+}
+
+function formatMonth(t) {
+  return `${Math.floor(t / 12)}-${String((t % 12) + 1).padStart(2, '0')}-01`;
+}
+
+function monthIndex(date) {
+  const d = new Date(date);
+  return d.getFullYear() * 12 + d.getMonth();
+}
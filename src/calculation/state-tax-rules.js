@@ -0,0 +1,754 @@
+/**
+ * State & Local Income Tax Rules
+ *
+ * Statutory state tables (tax year 2024) for all 50 states + DC, plus the
+ * local income taxes that matter for planning:
+ * - New York City and Yonkers (resident)
+ * - Philadelphia wage tax / school income tax
+ * - Ohio municipal income taxes (earned income)
+ * - Maryland county income taxes
+ *
+ * Each state describes its starting point (federal AGI or federal taxable
+ * income), standard deduction, personal exemptions (deductions or credits),
+ * Social Security treatment and retirement-income exclusions. Years after
+ * 2024 reuse these tables unless a tax_rule_sets row overrides them.
+ *
+ * References:
+ * - Tax Foundation, State Individual Income Tax Rates and Brackets, 2024
+ * - State revenue department instructions (retirement income subtractions)
+ */
+
+export const STATE_RULES_BASE_YEAR = 2024;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function schedule(rows) {
+  return rows.map(([threshold, rate]) => ({ threshold, rate }));
+}
+
+function scale(rows, factor) {
+  return rows.map(([threshold, rate]) => [Math.round(threshold * factor), rate]);
+}
+
+/**
+ * Progressive schedule. `married_joint` defaults to double the single
+ * thresholds; statuses without a table resolve via `pickByStatus`.
+ */
+function progressive(single, { married_joint, head_of_household, married_separate } = {}) {
+  const brackets = {
+    single: schedule(single),
+    married_joint: schedule(married_joint || scale(single, 2)),
+  };
+  if (head_of_household) brackets.head_of_household = schedule(head_of_household);
+  if (married_separate) brackets.married_separate = schedule(married_separate);
+  return { type: 'progressive', brackets };
+}
+
+/** Same schedule for every filing status. */
+function uniform(rows) {
+  return progressive(rows, { married_joint: rows });
+}
+
+function flat(rate) {
+  return { type: 'flat', rate };
+}
+
+const NONE = { type: 'none' };
+const SS_EXEMPT = { exempt: true };
+const SS_TAXED = { exempt: false };
+
+/**
+ * Resolve a per-status value. Missing statuses fall back the way most
+ * states treat them: qualifying surviving spouse files as joint, MFS and
+ * HOH use the single schedule unless the state defines its own.
+ */
+export function pickByStatus(value, filingStatus) {
+  if (value === null || value === undefined || typeof value !== 'object' || Array.isArray(value)) {
+    return value;
+  }
+  if (value[filingStatus] !== undefined) return value[filingStatus];
+  if (filingStatus === 'qualifying_widow' && value.married_joint !== undefined) return value.married_joint;
+  return value.single;
+}
+
+/**
+ * Reduce an amount as AGI rises above `phaseOut.start` at `phaseOut.rate`
+ * dollars per dollar of excess.
+ */
+export function applyPhaseOut(amount, agi, phaseOut, filingStatus) {
+  if (!phaseOut) return amount;
+  const start = pickByStatus(phaseOut.start, filingStatus);
+  const rate = pickByStatus(phaseOut.rate, filingStatus);
+  return Math.max(0, amount - Math.max(0, agi - start) * rate);
+}
+
+/**
+ * Share of a benefit allowed at this AGI. Tiers are
+ * [{ upTo, percent }] in ascending order; above the last tier nothing.
+ */
+export function agiTierPercent(tiers, agi, filingStatus) {
+  if (!tiers) return 1;
+  for (const tier of tiers) {
+    if (agi <= pickByStatus(tier.upTo, filingStatus)) return tier.percent;
+  }
+  return 0;
+}
+
+// ============================================================================
+// STATE TABLES (2024)
+// ============================================================================
+
+export const STATE_TAX_RULES = {
+  AL: {
+    name: 'Alabama',
+    ...progressive([[0, 0.02], [500, 0.04], [3000, 0.05]]),
+    standardDeduction: { single: 2500, married_joint: 7500, married_separate: 3750, head_of_household: 4700 },
+    personalExemption: { filer: 1500, dependent: 1000 },
+    socialSecurity: SS_EXEMPT,
+    retirementExclusion: { perPerson: 6000, minAge: 65 },
+  },
+  AK: { name: 'Alaska', ...NONE },
+  AZ: {
+    name: 'Arizona',
+    ...flat(0.025),
+    standardDeduction: 'federal',
+    personalExemption: { age65: 2100 },
+    socialSecurity: SS_EXEMPT,
+  },
+  AR: {
+    name: 'Arkansas',
+    ...uniform([[0, 0.02], [4500, 0.039]]),
+    standardDeduction: { single: 2410, married_joint: 4820 },
+    exemptionCredit: { filer: 29, dependent: 29, age65: 29 },
+    socialSecurity: SS_EXEMPT,
+    retirementExclusion: { perPerson: 6000, minAge: 59.5 },
+  },
+  CA: {
+    name: 'California',
+    ...progressive(
+      [[0, 0.01], [10756, 0.02], [25499, 0.04], [40245, 0.06], [55866, 0.08], [70606, 0.093],
+        [360659, 0.103], [432787, 0.113], [721314, 0.123], [1000000, 0.133]],
+      {
+        // Mental Health Services Tax (1% over $1M) is not doubled for joint filers
+        married_joint: [[0, 0.01], [21512, 0.02], [50998, 0.04], [80490, 0.06], [111732, 0.08],
+          [141212, 0.093], [721318, 0.103], [865574, 0.113], [1000000, 0.123], [1442628, 0.133]],
+        head_of_household: [[0, 0.01], [21527, 0.02], [51000, 0.04], [66295, 0.06], [81916, 0.08],
+          [96656, 0.093], [490493, 0.103], [588593, 0.113], [980987, 0.123], [1000000, 0.133]],
+      }
+    ),
+    standardDeduction: { single: 5540, married_joint: 11080, head_of_household: 11080 },
+    exemptionCredit: { filer: 149, dependent: 461, age65: 149 },
+    socialSecurity: SS_EXEMPT,
+  },
+  CO: {
+    name: 'Colorado',
+    ...flat(0.0425),
+    startingPoint: 'federal_taxable_income',
+    socialSecurity: { exempt: true, minAge: 65 },
+    retirementExclusion: {
+      tiers: [{ minAge: 55, perPerson: 20000 }, { minAge: 65, perPerson: 24000 }],
+      includesSocialSecurity: true,
+    },
+  },
+  CT: {
+    name: 'Connecticut',
+    ...progressive(
+      [[0, 0.02], [10000, 0.045], [50000, 0.055], [100000, 0.06], [200000, 0.065], [250000, 0.069], [500000, 0.0699]],
+      {
+        head_of_household: [[0, 0.02], [16000, 0.045], [80000, 0.055], [160000, 0.06], [320000, 0.065],
+          [400000, 0.069], [800000, 0.0699]],
+      }
+    ),
+    personalExemption: {
+      filing: { single: 15000, married_joint: 24000, head_of_household: 19000, married_separate: 12000 },
+      phaseOut: { start: { single: 30000, married_joint: 48000, head_of_household: 38000, married_separate: 24000 }, rate: 1 },
+    },
+    socialSecurity: { exempt: true, agiTiers: [{ upTo: { single: 75000, married_joint: 100000 }, percent: 1 }] },
+    retirementExclusion: {
+      percent: 1,
+      agiTiers: [{ upTo: { single: 75000, married_joint: 100000 }, percent: 1 }],
+    },
+  },
+  DE: {
+    name: 'Delaware',
+    ...uniform([[0, 0], [2000, 0.022], [5000, 0.039], [10000, 0.048], [20000, 0.052], [25000, 0.0555], [60000, 0.066]]),
+    standardDeduction: { single: 3250, married_joint: 6500, married_separate: 3250, head_of_household: 3250 },
+    additionalStandardDeduction: 2500,
+    exemptionCredit: { filer: 110, dependent: 110, age65: 110 },
+    socialSecurity: SS_EXEMPT,
+    retirementExclusion: { perPerson: 12500, minAge: 60 },
+  },
+  DC: {
+    name: 'District of Columbia',
+    ...uniform([[0, 0.04], [10000, 0.06], [40000, 0.065], [60000, 0.085], [250000, 0.0925], [500000, 0.0975], [1000000, 0.1075]]),
+    standardDeduction: 'federal',
+    socialSecurity: SS_EXEMPT,
+  },
+  FL: { name: 'Florida', ...NONE },
+  GA: {
+    name: 'Georgia',
+    ...flat(0.0539),
+    standardDeduction: { single: 12000, married_joint: 24000, married_separate: 12000, head_of_household: 12000 },
+    personalExemption: { dependent: 4000 },
+    socialSecurity: SS_EXEMPT,
+    retirementExclusion: {
+      tiers: [{ minAge: 62, perPerson: 35000 }, { minAge: 65, perPerson: 65000 }],
+    },
+  },
+  HI: {
+    name: 'Hawaii',
+    ...progressive(
+      [[0, 0.014], [2400, 0.032], [4800, 0.055], [9600, 0.064], [14400, 0.068], [19200, 0.072],
+        [24000, 0.076], [36000, 0.079], [48000, 0.0825], [150000, 0.09], [175000, 0.10], [200000, 0.11]],
+      {
+        head_of_household: scale([[0, 0.014], [2400, 0.032], [4800, 0.055], [9600, 0.064], [14400, 0.068],
+          [19200, 0.072], [24000, 0.076], [36000, 0.079], [48000, 0.0825], [150000, 0.09], [175000, 0.10],
+          [200000, 0.11]], 1.5),
+      }
+    ),
+    standardDeduction: { single: 2200, married_joint: 4400, head_of_household: 3212 },
+    personalExemption: { filer: 1144, dependent: 1144, age65: 1144 },
+    socialSecurity: SS_EXEMPT,
+    // Employer pensions are exempt; IRA distributions are taxed
+    retirementExclusion: { percent: 1, appliesTo: 'pension' },
+  },
+  ID: {
+    name: 'Idaho',
+    ...progressive([[0, 0], [4673, 0.05695]]),
+    standardDeduction: 'federal',
+    socialSecurity: SS_EXEMPT,
+  },
+  IL: {
+    name: 'Illinois',
+    ...flat(0.0495),
+    personalExemption: {
+      filer: 2775,
+      dependent: 2775,
+      age65: 1000,
+      agiLimit: { single: 250000, married_joint: 500000 },
+    },
+    socialSecurity: SS_EXEMPT,
+    retirementExclusion: { percent: 1 },
+  },
+  IN: {
+    name: 'Indiana',
+    ...flat(0.0305),
+    personalExemption: { filer: 1000, dependent: 1000, age65: 1000 },
+    socialSecurity: SS_EXEMPT,
+  },
+  IA: {
+    name: 'Iowa',
+    ...progressive([[0, 0.044], [6210, 0.0482], [31050, 0.057]]),
+    startingPoint: 'federal_taxable_income',
+    socialSecurity: SS_EXEMPT,
+    retirementExclusion: { percent: 1, minAge: 55 },
+  },
+  KS: {
+    name: 'Kansas',
+    ...progressive([[0, 0.052], [23000, 0.0558]]),
+    standardDeduction: { single: 3605, married_joint: 8240, married_separate: 4120, head_of_household: 6180 },
+    additionalStandardDeduction: 850,
+    personalExemption: { filer: 9160, dependent: 2320 },
+    socialSecurity: SS_EXEMPT,
+  },
+  KY: {
+    name: 'Kentucky',
+    ...flat(0.04),
+    standardDeduction: { single: 3160, married_joint: 6320 },
+    socialSecurity: SS_EXEMPT,
+    retirementExclusion: { perPerson: 31110 },
+  },
+  LA: {
+    name: 'Louisiana',
+    ...progressive([[0, 0.0185], [12500, 0.035], [50000, 0.0425]]),
+    // Combined standard deduction / personal exemption
+    personalExemption: { filer: 4500, dependent: 1000 },
+    socialSecurity: SS_EXEMPT,
+    retirementExclusion: { perPerson: 6000, minAge: 65 },
+  },
+  ME: {
+    name: 'Maine',
+    ...progressive([[0, 0.058], [26050, 0.0675], [61600, 0.0715]], {
+      head_of_household: [[0, 0.058], [39050, 0.0675], [92450, 0.0715]],
+    }),
+    standardDeduction: 'federal',
+    personalExemption: { filer: 5000, dependent: 5000 },
+    socialSecurity: SS_EXEMPT,
+    // Pension deduction is reduced by Social Security received
+    retirementExclusion: { perPerson: 35000, reducedBySocialSecurity: true },
+  },
+  MD: {
+    name: 'Maryland',
+    ...progressive(
+      [[0, 0.02], [1000, 0.03], [2000, 0.04], [3000, 0.0475], [100000, 0.05], [125000, 0.0525],
+        [150000, 0.055], [250000, 0.0575]],
+      {
+        married_joint: [[0, 0.02], [1000, 0.03], [2000, 0.04], [3000, 0.0475], [150000, 0.05],
+          [175000, 0.0525], [225000, 0.055], [300000, 0.0575]],
+        head_of_household: [[0, 0.02], [1000, 0.03], [2000, 0.04], [3000, 0.0475], [150000, 0.05],
+          [175000, 0.0525], [225000, 0.055], [300000, 0.0575]],
+      }
+    ),
+    standardDeduction: { single: 2700, married_joint: 5450, head_of_household: 5450 },
+    personalExemption: { filer: 3200, dependent: 3200, age65: 1000 },
+    socialSecurity: SS_EXEMPT,
+    // Employer plans only (not IRAs), reduced by Social Security received
+    retirementExclusion: { perPerson: 39500, minAge: 65, appliesTo: 'pension', reducedBySocialSecurity: true },
+  },
+  MA: {
+    name: 'Massachusetts',
+    ...flat(0.05),
+    surtax: { threshold: 1053750, rate: 0.04 },
+    personalExemption: { filer: 4400, dependent: 1000, age65: 700 },
+    socialSecurity: SS_EXEMPT,
+  },
+  MI: {
+    name: 'Michigan',
+    ...flat(0.0425),
+    personalExemption: { filer: 5600, dependent: 5600 },
+    socialSecurity: SS_EXEMPT,
+    // 2024 phase-in: 50% of the $65,897 per-person retirement subtraction
+    retirementExclusion: { perPerson: 32949, minAge: 62 },
+  },
+  MN: {
+    name: 'Minnesota',
+    ...progressive([[0, 0.0535], [31690, 0.068], [104090, 0.0785], [193240, 0.0985]], {
+      married_joint: [[0, 0.0535], [46330, 0.068], [184040, 0.0785], [321450, 0.0985]],
+      head_of_household: [[0, 0.0535], [39010, 0.068], [156760, 0.0785], [256880, 0.0985]],
+    }),
+    standardDeduction: { single: 14575, married_joint: 29150, married_separate: 14575, head_of_household: 21900 },
+    socialSecurity: {
+      exempt: true,
+      agiTiers: [
+        { upTo: { single: 82190, married_joint: 105380 }, percent: 1 },
+        { upTo: { single: 102190, married_joint: 125380 }, percent: 0.5 },
+      ],
+    },
+  },
+  MS: {
+    name: 'Mississippi',
+    ...uniform([[0, 0], [10000, 0.047]]),
+    standardDeduction: { single: 2300, married_joint: 4600, married_separate: 2300, head_of_household: 3400 },
+    personalExemption: { filer: 6000, dependent: 1500, age65: 1500 },
+    socialSecurity: SS_EXEMPT,
+    retirementExclusion: { percent: 1 },
+  },
+  MO: {
+    name: 'Missouri',
+    ...uniform([[0, 0], [1273, 0.02], [2546, 0.025], [3819, 0.03], [5092, 0.035], [6365, 0.04], [7638, 0.045], [8911, 0.048]]),
+    standardDeduction: 'federal',
+    socialSecurity: SS_EXEMPT,
+    retirementExclusion: { perPerson: 6000, appliesTo: 'pension' },
+  },
+  MT: {
+    name: 'Montana',
+    ...progressive([[0, 0.047], [20500, 0.059]], {
+      head_of_household: [[0, 0.047], [30750, 0.059]],
+    }),
+    startingPoint: 'federal_taxable_income',
+    socialSecurity: SS_TAXED,
+    ageDeduction: { perPerson: 5500, minAge: 65 },
+  },
+  NE: {
+    name: 'Nebraska',
+    ...progressive([[0, 0.0246], [3900, 0.0351], [23370, 0.0501], [37670, 0.0584]], {
+      married_joint: [[0, 0.0246], [7790, 0.0351], [46730, 0.0501], [75340, 0.0584]],
+    }),
+    standardDeduction: { single: 8300, married_joint: 16600, married_separate: 8300, head_of_household: 12150 },
+    exemptionCredit: { filer: 171, dependent: 171 },
+    socialSecurity: SS_EXEMPT,
+  },
+  NV: { name: 'Nevada', ...NONE },
+  NH: {
+    name: 'New Hampshire',
+    // Interest and dividends tax, repealed for tax years after 2024
+    type: 'interest_dividends',
+    rate: 0.03,
+    expiresAfter: 2024,
+    personalExemption: { filer: 2400, age65: 1200 },
+  },
+  NJ: {
+    name: 'New Jersey',
+    ...progressive(
+      [[0, 0.014], [20000, 0.0175], [35000, 0.035], [40000, 0.05525], [75000, 0.0637], [500000, 0.0897], [1000000, 0.1075]],
+      {
+        married_joint: [[0, 0.014], [20000, 0.0175], [50000, 0.0245], [70000, 0.035], [80000, 0.05525],
+          [150000, 0.0637], [500000, 0.0897], [1000000, 0.1075]],
+        head_of_household: [[0, 0.014], [20000, 0.0175], [50000, 0.0245], [70000, 0.035], [80000, 0.05525],
+          [150000, 0.0637], [500000, 0.0897], [1000000, 0.1075]],
+      }
+    ),
+    personalExemption: { filer: 1000, dependent: 1500, age65: 1000 },
+    socialSecurity: SS_EXEMPT,
+    retirementExclusion: {
+      perReturn: { single: 75000, married_joint: 100000, married_separate: 50000 },
+      minAge: 62,
+      agiTiers: [
+        { upTo: 100000, percent: 1 },
+        { upTo: 125000, percent: 0.5 },
+        { upTo: 150000, percent: 0.25 },
+      ],
+    },
+  },
+  NM: {
+    name: 'New Mexico',
+    ...progressive([[0, 0.017], [5500, 0.032], [11000, 0.047], [16000, 0.049], [210000, 0.059]], {
+      married_joint: [[0, 0.017], [8000, 0.032], [16000, 0.047], [24000, 0.049], [315000, 0.059]],
+      head_of_household: [[0, 0.017], [8000, 0.032], [16000, 0.047], [24000, 0.049], [315000, 0.059]],
+    }),
+    standardDeduction: 'federal',
+    socialSecurity: { exempt: true, agiTiers: [{ upTo: { single: 100000, married_joint: 150000 }, percent: 1 }] },
+  },
+  NY: {
+    name: 'New York',
+    ...progressive(
+      [[0, 0.04], [8500, 0.045], [11700, 0.0525], [13900, 0.055], [80650, 0.06], [215400, 0.0685],
+        [1077550, 0.0965], [5000000, 0.103], [25000000, 0.109]],
+      {
+        married_joint: [[0, 0.04], [17150, 0.045], [23600, 0.0525], [27900, 0.055], [161550, 0.06],
+          [323200, 0.0685], [2155350, 0.0965], [5000000, 0.103], [25000000, 0.109]],
+        head_of_household: [[0, 0.04], [12800, 0.045], [17650, 0.0525], [20900, 0.055], [107650, 0.06],
+          [269300, 0.0685], [1616450, 0.0965], [5000000, 0.103], [25000000, 0.109]],
+      }
+    ),
+    standardDeduction: { single: 8000, married_joint: 16050, married_separate: 8000, head_of_household: 11200 },
+    personalExemption: { dependent: 1000 },
+    socialSecurity: SS_EXEMPT,
+    retirementExclusion: { perPerson: 20000, minAge: 59.5 },
+  },
+  NC: {
+    name: 'North Carolina',
+    ...flat(0.045),
+    standardDeduction: { single: 12750, married_joint: 25500, married_separate: 12750, head_of_household: 19125 },
+    socialSecurity: SS_EXEMPT,
+  },
+  ND: {
+    name: 'North Dakota',
+    ...progressive([[0, 0], [47150, 0.0195], [238200, 0.025]], {
+      married_joint: [[0, 0], [78775, 0.0195], [289975, 0.025]],
+      head_of_household: [[0, 0], [63175, 0.0195], [264100, 0.025]],
+    }),
+    startingPoint: 'federal_taxable_income',
+    socialSecurity: SS_EXEMPT,
+  },
+  OH: {
+    name: 'Ohio',
+    ...uniform([[0, 0], [26050, 0.0275], [100000, 0.035]]),
+    personalExemption: { filer: 2150, dependent: 2150, agiLimit: 750000 },
+    socialSecurity: SS_EXEMPT,
+  },
+  OK: {
+    name: 'Oklahoma',
+    ...progressive([[0, 0.0025], [1000, 0.0075], [2500, 0.0175], [3750, 0.0275], [4900, 0.0375], [7200, 0.0475]]),
+    standardDeduction: { single: 6350, married_joint: 12700, married_separate: 6350, head_of_household: 9350 },
+    personalExemption: { filer: 1000, dependent: 1000 },
+    socialSecurity: SS_EXEMPT,
+    retirementExclusion: { perPerson: 10000 },
+  },
+  OR: {
+    name: 'Oregon',
+    ...progressive([[0, 0.0475], [4300, 0.0675], [10750, 0.0875], [125000, 0.099]], {
+      head_of_household: [[0, 0.0475], [8600, 0.0675], [21500, 0.0875], [250000, 0.099]],
+    }),
+    standardDeduction: { single: 2745, married_joint: 5495, married_separate: 2745, head_of_household: 4420 },
+    additionalStandardDeduction: 1200,
+    exemptionCredit: { filer: 249, dependent: 249, agiLimit: { single: 100000, married_joint: 200000 } },
+    socialSecurity: SS_EXEMPT,
+  },
+  PA: {
+    name: 'Pennsylvania',
+    ...flat(0.0307),
+    socialSecurity: SS_EXEMPT,
+    retirementExclusion: { percent: 1, minAge: 59.5 },
+  },
+  RI: {
+    name: 'Rhode Island',
+    ...uniform([[0, 0.0375], [77450, 0.0475], [176050, 0.0599]]),
+    standardDeduction: { single: 10550, married_joint: 21150, married_separate: 10575, head_of_household: 15850 },
+    personalExemption: { filer: 4950, dependent: 4950 },
+    socialSecurity: {
+      exempt: true,
+      minAge: 67,
+      agiTiers: [{ upTo: { single: 101000, married_joint: 126250 }, percent: 1 }],
+    },
+    retirementExclusion: {
+      perPerson: 20000,
+      minAge: 67,
+      agiTiers: [{ upTo: { single: 101000, married_joint: 126250 }, percent: 1 }],
+    },
+  },
+  SC: {
+    name: 'South Carolina',
+    ...uniform([[0, 0], [3460, 0.03], [17330, 0.062]]),
+    startingPoint: 'federal_taxable_income',
+    socialSecurity: SS_EXEMPT,
+    retirementExclusion: {
+      tiers: [{ minAge: 0, perPerson: 3000 }, { minAge: 65, perPerson: 10000 }],
+    },
+    ageDeduction: { perPerson: 15000, minAge: 65, reducedByRetirementExclusion: true },
+  },
+  SD: { name: 'South Dakota', ...NONE },
+  TN: { name: 'Tennessee', ...NONE },
+  TX: { name: 'Texas', ...NONE },
+  UT: {
+    name: 'Utah',
+    ...flat(0.0455),
+    // Taxpayer credit approximated as the federal standard deduction
+    standardDeduction: 'federal',
+    socialSecurity: { exempt: true, agiTiers: [{ upTo: { single: 45000, married_joint: 75000 }, percent: 1 }] },
+  },
+  VT: {
+    name: 'Vermont',
+    ...progressive([[0, 0.0335], [47900, 0.066], [116000, 0.076], [242000, 0.0875]], {
+      married_joint: [[0, 0.0335], [79950, 0.066], [193300, 0.076], [294600, 0.0875]],
+      head_of_household: [[0, 0.0335], [64200, 0.066], [165700, 0.076], [268300, 0.0875]],
+    }),
+    standardDeduction: { single: 7400, married_joint: 14850, married_separate: 7400, head_of_household: 11100 },
+    additionalStandardDeduction: 1200,
+    personalExemption: { filer: 5100, dependent: 5100 },
+    socialSecurity: {
+      exempt: true,
+      agiTiers: [
+        { upTo: { single: 50000, married_joint: 65000 }, percent: 1 },
+        { upTo: { single: 60000, married_joint: 75000 }, percent: 0.5 },
+      ],
+    },
+  },
+  VA: {
+    name: 'Virginia',
+    ...uniform([[0, 0.02], [3000, 0.03], [5000, 0.05], [17000, 0.0575]]),
+    standardDeduction: { single: 8500, married_joint: 17000, married_separate: 8500, head_of_household: 8500 },
+    personalExemption: { filer: 930, dependent: 930, age65: 800 },
+    socialSecurity: SS_EXEMPT,
+    ageDeduction: {
+      perPerson: 12000,
+      minAge: 65,
+      phaseOut: { start: { single: 50000, married_joint: 75000 }, rate: 1 },
+    },
+  },
+  WA: {
+    name: 'Washington',
+    // Long-term capital gains excise tax (retirement accounts and real estate exempt)
+    type: 'capital_gains',
+    rate: 0.07,
+    exemption: 262000,
+  },
+  WV: {
+    name: 'West Virginia',
+    ...uniform([[0, 0.0236], [10000, 0.0315], [25000, 0.0354], [40000, 0.0472], [60000, 0.0512]]),
+    personalExemption: { filer: 2000, dependent: 2000 },
+    // 2024 phase-in: 65% of benefits exempt below the AGI limit
+    socialSecurity: { exempt: true, agiTiers: [{ upTo: { single: 50000, married_joint: 100000 }, percent: 0.65 }] },
+    ageDeduction: { perPerson: 8000, minAge: 65 },
+  },
+  WI: {
+    name: 'Wisconsin',
+    ...progressive([[0, 0.035], [14320, 0.044], [28640, 0.053], [315310, 0.0765]], {
+      married_joint: [[0, 0.035], [19090, 0.044], [38190, 0.053], [420420, 0.0765]],
+    }),
+    standardDeduction: {
+      filing: { single: 13230, married_joint: 24490, married_separate: 11630, head_of_household: 17090 },
+      phaseOut: {
+        start: { single: 19070, married_joint: 27520, married_separate: 13080, head_of_household: 19070 },
+        rate: { single: 0.12, married_joint: 0.19778, married_separate: 0.19778, head_of_household: 0.22515 },
+      },
+    },
+    personalExemption: { filer: 700, dependent: 700, age65: 250 },
+    socialSecurity: SS_EXEMPT,
+  },
+  WY: { name: 'Wyoming', ...NONE },
+};
+
+// ============================================================================
+// LOCAL TAXES
+// ============================================================================
+
+/**
+ * Local income taxes keyed by state, then locality.
+ *
+ * base:
+ * - state_taxable_income: schedule/rate on the state taxable income (NYC, MD counties)
+ * - state_tax: surcharge on net state tax (Yonkers)
+ * - earned_income: wages and self-employment only (Ohio municipal, Philadelphia)
+ */
+function earnedIncomeTax(name, rate) {
+  return { name, base: 'earned_income', rate };
+}
+
+function countyTax(name, rate) {
+  return { name, base: 'state_taxable_income', rate };
+}
+
+export const LOCAL_TAX_RULES = {
+  NY: {
+    NYC: {
+      name: 'New York City',
+      aliases: ['NEW_YORK_CITY', 'NEW_YORK', 'MANHATTAN', 'BROOKLYN', 'QUEENS', 'BRONX', 'STATEN_ISLAND'],
+      base: 'state_taxable_income',
+      ...progressive([[0, 0.03078], [12000, 0.03762], [25000, 0.03819], [50000, 0.03876]], {
+        married_joint: [[0, 0.03078], [21600, 0.03762], [45000, 0.03819], [90000, 0.03876]],
+        head_of_household: [[0, 0.03078], [14400, 0.03762], [30000, 0.03819], [60000, 0.03876]],
+      }),
+    },
+    YONKERS: { name: 'Yonkers', base: 'state_tax', rate: 0.1675 },
+  },
+  PA: {
+    PHILADELPHIA: {
+      name: 'Philadelphia',
+      base: 'earned_income',
+      rate: 0.0375,
+      // School Income Tax on interest, dividends and other unearned non-retirement income
+      unearnedRate: 0.0375,
+    },
+  },
+  OH: {
+    AKRON: earnedIncomeTax('Akron', 0.025),
+    CANTON: earnedIncomeTax('Canton', 0.025),
+    CINCINNATI: earnedIncomeTax('Cincinnati', 0.018),
+    CLEVELAND: earnedIncomeTax('Cleveland', 0.025),
+    COLUMBUS: earnedIncomeTax('Columbus', 0.025),
+    CUYAHOGA_FALLS: earnedIncomeTax('Cuyahoga Falls', 0.02),
+    DAYTON: earnedIncomeTax('Dayton', 0.025),
+    DUBLIN: earnedIncomeTax('Dublin', 0.02),
+    ELYRIA: earnedIncomeTax('Elyria', 0.0225),
+    HAMILTON: earnedIncomeTax('Hamilton', 0.02),
+    KETTERING: earnedIncomeTax('Kettering', 0.0225),
+    LAKEWOOD: earnedIncomeTax('Lakewood', 0.015),
+    LORAIN: earnedIncomeTax('Lorain', 0.025),
+    MENTOR: earnedIncomeTax('Mentor', 0.02),
+    PARMA: earnedIncomeTax('Parma', 0.025),
+    SPRINGFIELD: earnedIncomeTax('Springfield', 0.024),
+    TOLEDO: earnedIncomeTax('Toledo', 0.025),
+    UPPER_ARLINGTON: earnedIncomeTax('Upper Arlington', 0.025),
+    WESTERVILLE: earnedIncomeTax('Westerville', 0.02),
+    YOUNGSTOWN: earnedIncomeTax('Youngstown', 0.0275),
+  },
+  MD: {
+    ALLEGANY: countyTax('Allegany County', 0.0305),
+    ANNE_ARUNDEL: {
+      name: 'Anne Arundel County',
+      base: 'state_taxable_income',
+      ...progressive([[0, 0.027], [50000, 0.0294], [400000, 0.032]], {
+        married_joint: [[0, 0.027], [75000, 0.0294], [480000, 0.032]],
+        head_of_household: [[0, 0.027], [75000, 0.0294], [480000, 0.032]],
+      }),
+    },
+    BALTIMORE_CITY: countyTax('Baltimore City', 0.032),
+    BALTIMORE_COUNTY: countyTax('Baltimore County', 0.032),
+    CALVERT: countyTax('Calvert County', 0.03),
+    CAROLINE: countyTax('Caroline County', 0.032),
+    CARROLL: countyTax('Carroll County', 0.0303),
+    CECIL: countyTax('Cecil County', 0.0274),
+    CHARLES: countyTax('Charles County', 0.0303),
+    DORCHESTER: countyTax('Dorchester County', 0.032),
+    FREDERICK: {
+      name: 'Frederick County',
+      base: 'state_taxable_income',
+      ...progressive([[0, 0.0225], [25000, 0.0275], [50000, 0.0296], [150000, 0.032]], {
+        married_joint: [[0, 0.0225], [25000, 0.0275], [100000, 0.0296], [250000, 0.032]],
+        head_of_household: [[0, 0.0225], [25000, 0.0275], [100000, 0.0296], [250000, 0.032]],
+      }),
+    },
+    GARRETT: countyTax('Garrett County', 0.0265),
+    HARFORD: countyTax('Harford County', 0.0306),
+    HOWARD: countyTax('Howard County', 0.032),
+    KENT: countyTax('Kent County', 0.032),
+    MONTGOMERY: countyTax('Montgomery County', 0.032),
+    PRINCE_GEORGES: countyTax("Prince George's County", 0.032),
+    QUEEN_ANNES: countyTax("Queen Anne's County", 0.032),
+    ST_MARYS: countyTax("St. Mary's County", 0.03),
+    SOMERSET: countyTax('Somerset County', 0.032),
+    TALBOT: countyTax('Talbot County', 0.024),
+    WASHINGTON: countyTax('Washington County', 0.0295),
+    WICOMICO: countyTax('Wicomico County', 0.032),
+    WORCESTER: countyTax('Worcester County', 0.0225),
+  },
+};
+
+/**
+ * Canonical locality key: "Montgomery County" -> MONTGOMERY,
+ * "Prince George's" -> PRINCE_GEORGES.
+ */
+export function normalizeLocality(locality) {
+  if (!locality) return null;
+  return String(locality)
+    .toUpperCase()
+    .replace(/['.]/g, '')
+    .replace(/[^A-Z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Local tax rules for a household's locality, or null when the locality
+ * has no (modeled) income tax.
+ */
+export function getLocalTaxRules(state, locality) {
+  const key = normalizeLocality(locality);
+  const localities = LOCAL_TAX_RULES[String(state || '').toUpperCase()];
+  if (!key || !localities) return null;
+
+  if (localities[key]) return { key, ...localities[key] };
+
+  const stripped = key.replace(/_(COUNTY|CITY)$/, '');
+  if (localities[stripped]) return { key: stripped, ...localities[stripped] };
+
+  for (const [candidate, rules] of Object.entries(localities)) {
+    if (rules.aliases?.includes(key)) return { key: candidate, ...rules };
+  }
+  return null;
+}
+
+// ============================================================================
+// DATABASE OVERRIDES
+// ============================================================================
+
+/**
+ * Map a state tax_rule_sets.rules_json payload onto the state rule shape.
+ * Only keys present in the payload are returned.
+ */
+export function normalizeStateRuleSet(rulesJson = {}) {
+  const normalized = {};
+
+  if (rulesJson.no_income_tax) normalized.type = 'none';
+
+  if (rulesJson.flat_rate !== undefined) {
+    normalized.type = 'flat';
+    normalized.rate = Number(rulesJson.flat_rate);
+  }
+
+  if (rulesJson.brackets) {
+    normalized.type = 'progressive';
+    normalized.brackets = {};
+    for (const [status, tiers] of Object.entries(rulesJson.brackets)) {
+      if (!Array.isArray(tiers)) continue;
+      normalized.brackets[status] = tiers
+        .map(t => ({ threshold: Number(t.min ?? t.threshold ?? 0), rate: Number(t.rate) }))
+        .sort((a, b) => a.threshold - b.threshold);
+    }
+  }
+
+  if (rulesJson.starting_point) normalized.startingPoint = rulesJson.starting_point;
+  if (rulesJson.standard_deduction) normalized.standardDeduction = rulesJson.standard_deduction;
+
+  if (rulesJson.personal_exemption) {
+    const { taxpayer, dependent, age_65: age65 } = rulesJson.personal_exemption;
+    normalized.personalExemption = { filer: Number(taxpayer ?? 0), dependent: Number(dependent ?? 0) };
+    if (age65 !== undefined) normalized.personalExemption.age65 = Number(age65);
+  }
+
+  if (rulesJson.social_security_exempt !== undefined) {
+    normalized.socialSecurity = { exempt: Boolean(rulesJson.social_security_exempt) };
+  }
+
+  const exclusion = rulesJson.retirement_income_exemption || rulesJson.pension_exclusion;
+  if (exclusion) {
+    normalized.retirementExclusion = {
+      perPerson: exclusion.max === null || exclusion.max === undefined ? Infinity : Number(exclusion.max),
+      minAge: Number(exclusion.age_requirement ?? 0),
+    };
+  }
+
+  return normalized;
+}
@@ -2,10 +2,12 @@
  * Tax Calculator
  * 
  * Comprehensive tax calculation for financial planning:
- * - Federal income tax (2024 brackets, all filing statuses)
- * - State income tax (all 50 states + DC)
+ * - Federal income tax (versioned by tax year, all filing statuses)
+ * - State income tax (all 50 states + DC) and local income taxes
  * - IRMAA surcharges (Medicare Part B and Part D)
+ * - ACA premium tax credit (marketplace coverage before Medicare)
  * - Net Investment Income Tax (NIIT - 3.8%)
+ * - Alternative Minimum Tax (AMT) with minimum tax credit carryforward
  * - Capital gains tax (long-term vs short-term)
  * - Social Security taxation
  * - Fixed-point solver for withdrawal/tax interdependency
@@ -13,15 +15,70 @@
  * References:
  * - IRS Publication 17 (Individual Income Tax)
  * - IRS Publication 915 (Social Security Benefits)
+ * - IRS Form 6251 / Form 8801 (AMT and minimum tax credit)
+ * - IRS Form 8962 (premium tax credit)
  * - Medicare.gov IRMAA brackets
  * - State tax tables (Tax Foundation)
  */
 
+import { defaultTaxRuleRegistry } from './tax-rules.js';
+import { agiTierPercent, applyPhaseOut, getLocalTaxRules, pickByStatus } from './state-tax-rules.js';
+
+// MAGI within this distance of the next IRMAA tier triggers a cliff alert
+const IRMAA_ALERT_MARGIN = 10000;
+
+// MAGI within this distance of the 400% FPL premium tax credit cliff triggers an alert
+const ACA_ALERT_MARGIN = 10000;
+
+// Unused charitable contributions carry over to the next five tax years (IRC 170(d)(1))
+const CHARITABLE_CARRYFORWARD_YEARS = 5;
+
+/**
+ * Charitable carryforward entries ({ year, cash, property }, by contribution
+ * year). A plain number is cash carried from the year before `taxYear`.
+ */
+export function normalizeCharitableCarryforward(carryforward, taxYear) {
+  if (!carryforward) return [];
+  if (!Array.isArray(carryforward)) {
+    return [{ year: taxYear - 1, cash: Number(carryforward) || 0, property: 0 }];
+  }
+  return carryforward.map(entry => ({
+    year: Number(entry.year),
+    cash: Number(entry.cash) || 0,
+    property: Number(entry.property) || 0,
+  }));
+}
+
+/**
+ * Total of a charitable carryforward (entries or a plain number).
+ */
+export function totalCharitableCarryforward(carryforward) {
+  if (!Array.isArray(carryforward)) return Number(carryforward) || 0;
+  return carryforward.reduce((sum, entry) => sum + (Number(entry.cash) || 0) + (Number(entry.property) || 0), 0);
+}
+
+// Fill a limit with amounts in order
+function allocateToLimit(amounts, limit) {
+  let room = Math.max(0, limit);
+  return amounts.map(amount => {
+    const used = Math.min(amount, room);
+    room -= used;
+    return used;
+  });
+}
+
 export class TaxCalculator {
-  constructor(taxYear = 2024) {
+  /**
+   * @param {number} taxYear - Tax year whose rules apply
+   * @param {Object} options
+   * @param {TaxRuleRegistry} options.registry - Rule source (defaults to statutory tables)
+   */
+  constructor(taxYear = 2024, { registry = defaultTaxRuleRegistry } = {}) {
     this.taxYear = taxYear;
+    this.registry = registry;
+    this.rules = registry.getFederalRules(taxYear);
     this.federalBrackets = this.getFederalBrackets(taxYear);
-    this.stateBrackets = this.getStateBrackets(taxYear);
+    this.ltcgBrackets = this.getLTCGBrackets(taxYear);
     this.irmaaThresholds = this.getIRMAAThresholds(taxYear);
     this.niitThreshold = this.getNIITThreshold(taxYear);
     this.standardDeduction = this.getStandardDeduction(taxYear);
@@ -33,9 +90,24 @@ export class TaxCalculator {
    * @param {Object} income - Income breakdown
    * @param {Object} household - Household info (state, filing status, age)
    * @param {Object} options - Additional options
+   * @param {Object} options.deductions - Itemized deduction inputs (see calculateItemizedDeductions)
+   *   plus deductionType: 'auto' (default, larger of standard/itemized), 'standard' or 'itemized'
+   * @param {number} options.amtCreditCarryforward - Prior-year minimum tax credit (Form 8801)
+   * @param {number} options.irmaaMagi - MAGI from two years earlier (IRMAA lookback);
+   *   defaults to this year's MAGI when no history is available
+   * @param {number} options.irmaaAlertMargin - Flag MAGI within this many dollars of the next tier
+   * @param {number} options.acaAlertMargin - Flag MAGI within this many dollars of the ACA cliff
    * @returns {Object} Tax calculation results
    */
   calculateTax(income, household, options = {}) {
+    const {
+      deductions = {},
+      amtCreditCarryforward = 0,
+      irmaaMagi = null,
+      irmaaAlertMargin = IRMAA_ALERT_MARGIN,
+      acaAlertMargin = ACA_ALERT_MARGIN,
+    } = options;
+
     const {
       ordinaryIncome = 0,        // W2, interest, short-term gains, IRA distributions
       longTermCapitalGains = 0,  // LTCG from taxable accounts
@@ -43,6 +115,15 @@ export class TaxCalculator {
       socialSecurity = 0,        // Social Security benefits
       rothDistributions = 0,     // Roth (tax-free, but counts for IRMAA)
       municipalBondInterest = 0, // Tax-free, but counts for IRMAA
+      // Optional detail (subsets of ordinaryIncome) used by state/local rules
+      earnedIncome = 0,             // Wages and self-employment
+      interestIncome = 0,           // Taxable interest
+      shortTermCapitalGains = 0,    // Net short-term gains (taxed as ordinary; NIIT base)
+      retirementDistributions = 0,  // Pensions + IRA/401(k) distributions
+      pensionIncome = 0,            // Employer pensions (subset of retirementDistributions)
+      // AMT preferences and adjustments
+      isoBargainElement = 0,            // FMV - strike on ISO exercises held past year-end
+      privateActivityBondInterest = 0,  // Subset of municipalBondInterest
     } = income;
 
     const {
@@ -51,57 +132,140 @@ export class TaxCalculator {
       age1 = 65,
       age2 = null, // null for single filers
       dependents = 0,
+      livedWithSpouse = true, // MFS only: changes Social Security base amounts
+      locality = null, // NYC, Yonkers, Philadelphia, Ohio city, Maryland county
+      localIncomeTaxRate = null, // Earned-income rate for localities not in the tables
+      // Marketplace coverage: { benchmarkPremium, enrolledPremium, householdSize, coverageMonths }
+      aca = null,
     } = household;
 
-    // Step 1: Calculate AGI (Adjusted Gross Income)
-    const agi = this.calculateAGI({
-      ordinaryIncome,
-      longTermCapitalGains,
-      qualifiedDividends,
-      socialSecurity,
+    // Step 1: Taxable Social Security (Pub 915 Worksheet 1)
+    const socialSecurityWorksheet = this.getSocialSecurityWorksheet({
+      benefits: socialSecurity,
+      otherIncome: ordinaryIncome + longTermCapitalGains + qualifiedDividends,
+      taxExemptInterest: municipalBondInterest,
+      filingStatus,
+      livedWithSpouse,
     });
 
+    // Step 1b: Calculate AGI (Adjusted Gross Income)
+    const agi = ordinaryIncome + longTermCapitalGains + qualifiedDividends
+      + socialSecurityWorksheet.taxableBenefits;
+
     // Step 2: Calculate MAGI (Modified AGI for IRMAA)
     const magi = agi + municipalBondInterest + rothDistributions;
 
-    // Step 3: Calculate taxable income
+    // Step 3: Calculate taxable income (larger of standard vs itemized)
     const standardDeduction = this.standardDeduction[filingStatus];
     const additionalStandardDeduction = this.getAdditionalStandardDeduction(age1, age2, filingStatus);
-    const totalDeduction = standardDeduction + additionalStandardDeduction;
+    const personalExemptions = this.getPersonalExemptions(filingStatus, dependents);
+
+    const stateParams = {
+      state,
+      filingStatus,
+      locality,
+      localIncomeTaxRate,
+      age1,
+      age2,
+      dependents,
+      agi,
+      federalStandardDeduction: standardDeduction,
+      socialSecurityBenefits: socialSecurity,
+      taxableSocialSecurity: socialSecurityWorksheet.taxableBenefits,
+      ordinaryIncome,
+      longTermCapitalGains,
+      qualifiedDividends,
+      interestIncome,
+      earnedIncome,
+      retirementDistributions,
+      pensionIncome,
+    };
+
+    // SALT: state/local income tax paid defaults to this year's liability
+    // (estimated with the standard deduction for taxable-income states)
+    let stateIncomeTaxPaid = deductions.stateIncomeTax;
+    if (stateIncomeTaxPaid === undefined && this.hasItemizedInputs(deductions)) {
+      const provisionalTaxable = Math.max(0, agi - standardDeduction - additionalStandardDeduction - personalExemptions);
+      stateIncomeTaxPaid = this.calculateStateTax({ ...stateParams, federalTaxableIncome: provisionalTaxable }).total;
+    }
+
+    const deduction = this.chooseDeduction({
+      agi,
+      filingStatus,
+      standardDeduction: standardDeduction + additionalStandardDeduction,
+      deductions: { ...deductions, stateIncomeTax: stateIncomeTaxPaid || 0 },
+    });
+    const totalDeduction = deduction.amount + personalExemptions;
     
     const taxableIncome = Math.max(0, agi - totalDeduction);
 
-    // Step 4: Calculate federal income tax
-    const federalTax = this.calculateFederalTax(
+    // Step 4: Calculate federal income tax (regular tax, then AMT)
+    const regularTax = this.calculateFederalTax(
       taxableIncome,
       longTermCapitalGains,
       qualifiedDividends,
       filingStatus
     );
 
-    // Step 5: Calculate state income tax
-    const stateTax = this.calculateStateTax(taxableIncome, state, filingStatus);
+    const amt = this.calculateAMT({
+      taxableIncome,
+      regularTax,
+      filingStatus,
+      deduction,
+      personalExemptions,
+      longTermCapitalGains,
+      qualifiedDividends,
+      isoBargainElement,
+      privateActivityBondInterest,
+      amtCreditCarryforward,
+    });
+    const federalTax = regularTax + amt.amt - amt.creditUsed;
 
-    // Step 6: Calculate IRMAA surcharges
-    const irmaa = this.calculateIRMAA(magi, filingStatus, age1, age2);
+    // Step 5: Calculate state and local income tax
+    const stateTaxDetail = this.calculateStateTax({ ...stateParams, federalTaxableIncome: taxableIncome });
+    const { stateTax, localTax } = stateTaxDetail;
+
+    // Step 6: Calculate IRMAA surcharges (premiums use MAGI from two years earlier)
+    const irmaa = {
+      ...this.calculateIRMAA(irmaaMagi ?? magi, filingStatus, age1, age2),
+      lookbackYear: irmaaMagi !== null ? this.taxYear - 2 : this.taxYear,
+    };
+    // This year's MAGI sets premiums two years out
+    const irmaaProximity = this.getIRMAAProximity(magi, filingStatus, age1, age2, { margin: irmaaAlertMargin });
 
     // Step 7: Calculate NIIT (3.8% surtax on investment income)
     const niit = this.calculateNIIT(
-      longTermCapitalGains + qualifiedDividends,
+      longTermCapitalGains + qualifiedDividends + shortTermCapitalGains,
       agi,
       filingStatus
     );
 
+    // Step 7b: ACA premium tax credit (refundable; MAGI adds back non-taxable Social Security)
+    const acaMagi = agi + municipalBondInterest + (socialSecurity - socialSecurityWorksheet.taxableBenefits);
+    const premiumTaxCredit = this.calculatePremiumTaxCredit(acaMagi, household, { margin: acaAlertMargin });
+
     // Step 8: Total tax liability
-    const totalTax = federalTax + stateTax + irmaa.totalAnnual + niit;
+    const totalTax = federalTax + stateTax + localTax + irmaa.totalAnnual + niit
+      - premiumTaxCredit.premiumTaxCredit;
 
     return {
+      taxYear: this.taxYear,
+      rulesSource: this.rules.source,
       agi,
       magi,
       taxableIncome,
+      deduction,
+      taxableSocialSecurity: socialSecurityWorksheet.taxableBenefits,
+      socialSecurityWorksheet,
+      regularTax,
+      amt,
       federalTax,
       stateTax,
+      localTax,
+      stateTaxDetail,
       irmaa,
+      irmaaProximity,
+      aca: premiumTaxCredit,
       niit,
       totalTax,
       effectiveRate: agi > 0 ? (totalTax / agi) * 100 : 0,
@@ -109,52 +273,354 @@ export class TaxCalculator {
       breakdown: {
         federal: federalTax,
         state: stateTax,
+        local: localTax,
         irmaa: irmaa.totalAnnual,
         niit,
+        premiumTaxCredit: -premiumTaxCredit.premiumTaxCredit || 0,
+      },
+    };
+  }
+
+  /**
+   * Whether any itemized deduction inputs were supplied.
+   */
+  hasItemizedInputs(deductions = {}) {
+    if (deductions.deductionType === 'standard') return false;
+    return Object.entries(deductions).some(([key, value]) => {
+      if (key === 'charitableCarryforward') return totalCharitableCarryforward(value) > 0;
+      return key !== 'deductionType' && key !== 'appreciatedStockBasis' && key !== 'mortgageBalance' && Number(value) > 0;
+    });
+  }
+
+  /**
+   * Pick the larger of the standard and itemized deductions (or the
+   * method forced by deductions.deductionType).
+   *
+   * @returns {Object} { method, amount, standard, itemized, itemizedDetail, nonItemizerCharitable,
+   *   charitableCarryforward (entries for next year's deductions.charitableCarryforward) }
+   */
+  chooseDeduction({ agi, filingStatus, standardDeduction, deductions = {} }) {
+    const { deductionType = 'auto' } = deductions;
+    const itemizedDetail = this.calculateItemizedDeductions({ agi, filingStatus, deductions });
+
+    // Non-itemizers may deduct cash gifts to public charities (not DAFs) from 2026
+    const nonItemizerCap = pickByStatus(this.rules.itemized.charitable.nonItemizerCash, filingStatus) || 0;
+    const nonItemizerCharitable = Math.min(deductions.charitableCash || 0, nonItemizerCap);
+    const standardTotal = standardDeduction + nonItemizerCharitable;
+
+    const itemize = deductionType === 'itemized'
+      || (deductionType === 'auto' && itemizedDetail.total > standardTotal);
+
+    return {
+      method: itemize ? 'itemized' : 'standard',
+      amount: itemize ? itemizedDetail.total : standardTotal,
+      standard: standardDeduction,
+      itemized: itemizedDetail.total,
+      nonItemizerCharitable: itemize ? 0 : nonItemizerCharitable,
+      itemizedDetail,
+      charitableCarryforward: itemizedDetail.charitable.carryforwardByYear,
+    };
+  }
+
+  /**
+   * Itemized deductions (Schedule A).
+   *
+   * Charitable gifts follow the AGI limits: cash to public charities and
+   * DAFs up to 60% of AGI, appreciated long-term stock at fair market value
+   * up to 30%. This year's gifts are deducted first, then carryforwards
+   * oldest first; the excess is carried forward by contribution year, keeps
+   * its cash or property limit, and expires after five years. Stock gifts
+   * also avoid the embedded gain, reported as `capitalGainsAvoided` when a
+   * basis is given.
+   *
+   * @param {Object} params
+   * @param {number} params.agi - Adjusted gross income
+   * @param {string} params.filingStatus - Filing status
+   * @param {Object} params.deductions - { mortgageInterest, mortgageBalance, propertyTax,
+   *   stateIncomeTax, salesTax, medicalExpenses, charitableCash, charitableStock, dafCash,
+   *   dafStock, appreciatedStockBasis, charitableCarryforward, otherItemized };
+   *   charitableCarryforward is a list of { year, cash, property } (a number is
+   *   cash from the prior year)
+   * @returns {Object} Deductible amounts by category and total
+   */
+  calculateItemizedDeductions({ agi, filingStatus, deductions = {} }) {
+    const {
+      mortgageInterest = 0,
+      mortgageBalance = 0,           // Acquisition debt (pro-rates interest above the limit)
+      propertyTax = 0,
+      stateIncomeTax = 0,
+      salesTax = 0,                  // Elect instead of income tax when larger
+      medicalExpenses = 0,
+      charitableCash = 0,            // Cash to public charities
+      charitableStock = 0,           // Appreciated long-term stock (FMV) to public charities
+      dafCash = 0,                   // Donor-advised fund contributions
+      dafStock = 0,
+      appreciatedStockBasis = null,  // Basis of all stock gifted
+      charitableCarryforward = [],   // Unused prior-year contributions by year
+      otherItemized = 0,
+    } = deductions;
+    const rules = this.rules.itemized;
+    const separate = filingStatus === 'married_separate';
+
+    // Home mortgage interest
+    const debtLimit = pickByStatus(rules.mortgageDebtLimit, filingStatus);
+    const mortgage = mortgageBalance > debtLimit
+      ? mortgageInterest * (debtLimit / mortgageBalance)
+      : mortgageInterest;
+
+    // State and local taxes (capped)
+    const saltPaid = Math.max(stateIncomeTax, salesTax) + propertyTax;
+    let saltCap = Infinity;
+    if (rules.saltCap) {
+      const { cap, phaseOutThreshold, phaseOutRate = 0, floor = cap } = rules.saltCap;
+      const divisor = separate ? 2 : 1;
+      saltCap = cap / divisor;
+      if (phaseOutThreshold) {
+        const reduction = Math.max(0, agi - phaseOutThreshold / divisor) * phaseOutRate;
+        saltCap = Math.max(floor / divisor, saltCap - reduction);
+      }
+    }
+    const salt = Math.min(saltPaid, saltCap);
+
+    // Medical expenses above the AGI floor
+    const medical = Math.max(0, medicalExpenses - agi * rules.medicalFloor);
+
+    // Charitable contributions
+    const { cashLimit, propertyLimit, floorPercent } = rules.charitable;
+    const cashGifts = charitableCash + dafCash;
+    const propertyGifts = charitableStock + dafStock;
+    const firstUsableYear = this.taxYear - CHARITABLE_CARRYFORWARD_YEARS;
+    const prior = normalizeCharitableCarryforward(charitableCarryforward, this.taxYear)
+      .sort((a, b) => a.year - b.year);
+    const carried = prior.filter(entry => entry.year >= firstUsableYear);
+
+    const total = (amounts) => amounts.reduce((sum, amount) => sum + amount, 0);
+
+    const [cashCurrent, ...cashCarried] = allocateToLimit([cashGifts, ...carried.map(e => e.cash)], agi * cashLimit);
+    const cashAllowed = cashCurrent + total(cashCarried);
+    const [propertyCurrent, ...propertyCarried] = allocateToLimit(
+      [propertyGifts, ...carried.map(e => e.property)],
+      Math.min(agi * propertyLimit, Math.max(0, agi * cashLimit - cashAllowed))
+    );
+    const propertyAllowed = propertyCurrent + total(propertyCarried);
+
+    // What is left carries to next year, except the contributions in their fifth carryforward year
+    const remaining = [
+      ...carried.map((entry, i) => ({
+        year: entry.year,
+        cash: entry.cash - cashCarried[i],
+        property: entry.property - propertyCarried[i],
+      })),
+      { year: this.taxYear, cash: cashGifts - cashCurrent, property: propertyGifts - propertyCurrent },
+    ].filter(entry => entry.cash + entry.property > 0);
+    const carryforwardByYear = remaining.filter(entry => entry.year > firstUsableYear);
+    const carryforwardExpired = totalCharitableCarryforward(prior) - total(cashCarried) - total(propertyCarried)
+      - totalCharitableCarryforward(carryforwardByYear.filter(entry => entry.year < this.taxYear));
+    const charitableFloor = Math.min(cashAllowed + propertyAllowed, agi * floorPercent);
+    const charitable = cashAllowed + propertyAllowed - charitableFloor;
+
+    const beforeLimitation = mortgage + salt + medical + charitable + otherItemized;
+    const limitation = this.getItemizedLimitation(beforeLimitation, medical, agi, filingStatus);
+
+    return {
+      mortgageInterest: mortgage,
+      salt: { paid: saltPaid, cap: saltCap, deductible: salt },
+      medical,
+      charitable: {
+        cash: cashAllowed,
+        property: propertyAllowed,
+        floor: charitableFloor,
+        deductible: charitable,
+        carryforward: totalCharitableCarryforward(carryforwardByYear),
+        carryforwardByYear,
+        carryforwardExpired,
+        capitalGainsAvoided: appreciatedStockBasis === null ? null : Math.max(0, propertyGifts - appreciatedStockBasis),
       },
+      other: otherItemized,
+      limitation,
+      total: Math.max(0, beforeLimitation - limitation),
     };
   }
 
+  /**
+   * Overall limitation on itemized deductions: 2/37 reduction for the
+   * 37% bracket (2026+) or Pease (pre-TCJA / sunset mode).
+   */
+  getItemizedLimitation(itemized, medical, agi, filingStatus) {
+    const limitation = this.rules.itemized.limitation;
+    if (!limitation || itemized <= 0) return 0;
+
+    if (limitation.type === 'two_thirty_sevenths') {
+      const brackets = this.federalBrackets[filingStatus];
+      const topThreshold = brackets[brackets.length - 1].threshold;
+      return (2 / 37) * Math.min(itemized, Math.max(0, agi - topThreshold));
+    }
+
+    if (limitation.type === 'pease') {
+      const threshold = pickByStatus(limitation.threshold, filingStatus);
+      return Math.min(
+        Math.max(0, agi - threshold) * limitation.rate,
+        (itemized - medical) * limitation.maxReduction
+      );
+    }
+
+    return 0;
+  }
+
   /**
    * Calculate AGI (Adjusted Gross Income).
    */
   calculateAGI(income) {
-    const { ordinaryIncome, longTermCapitalGains, qualifiedDividends, socialSecurity } = income;
+    const {
+      ordinaryIncome,
+      longTermCapitalGains,
+      qualifiedDividends,
+      socialSecurity,
+      municipalBondInterest = 0,
+      filingStatus = 'married_joint',
+    } = income;
     
     // Taxable portion of Social Security (up to 85%)
     const taxableSS = this.calculateTaxableSocialSecurity(
       socialSecurity,
-      ordinaryIncome + longTermCapitalGains + qualifiedDividends
+      ordinaryIncome + longTermCapitalGains + qualifiedDividends,
+      { filingStatus, taxExemptInterest: municipalBondInterest }
     );
 
     return ordinaryIncome + longTermCapitalGains + qualifiedDividends + taxableSS;
   }
 
+  /**
+   * Net realized short- and long-term gains with loss carryforwards
+   * (Schedule D). Losses in one term offset gains in the other; a net
+   * loss deducts up to $3,000 ($1,500 MFS) against ordinary income,
+   * short-term first, and the rest carries forward keeping its character.
+   *
+   * @returns {Object} { shortTermGain, longTermGain, lossDeduction, carryforward: { shortTerm, longTerm } }
+   */
+  netCapitalGains({ shortTermGain = 0, longTermGain = 0, carryforward = {}, filingStatus = 'married_joint' }) {
+    let shortTerm = shortTermGain - (carryforward.shortTerm || 0);
+    let longTerm = longTermGain - (carryforward.longTerm || 0);
+
+    if (shortTerm < 0 && longTerm > 0) {
+      const offset = Math.min(-shortTerm, longTerm);
+      shortTerm += offset;
+      longTerm -= offset;
+    } else if (longTerm < 0 && shortTerm > 0) {
+      const offset = Math.min(-longTerm, shortTerm);
+      longTerm += offset;
+      shortTerm -= offset;
+    }
+
+    const shortTermLoss = Math.max(0, -shortTerm);
+    const longTermLoss = Math.max(0, -longTerm);
+    const limit = filingStatus === 'married_separate' ? 1500 : 3000;
+    const shortTermUsed = Math.min(shortTermLoss, limit);
+    const longTermUsed = Math.min(longTermLoss, limit - shortTermUsed);
+
+    return {
+      shortTermGain: Math.max(0, shortTerm),
+      longTermGain: Math.max(0, longTerm),
+      lossDeduction: shortTermUsed + longTermUsed,
+      carryforward: {
+        shortTerm: shortTermLoss - shortTermUsed,
+        longTerm: longTermLoss - longTermUsed,
+      },
+    };
+  }
+
   /**
    * Calculate taxable portion of Social Security benefits.
    * IRS Publication 915 formula.
    */
-  calculateTaxableSocialSecurity(ssIncome, otherIncome) {
-    if (ssIncome === 0) return 0;
+  calculateTaxableSocialSecurity(ssIncome, otherIncome, options = {}) {
+    return this.getSocialSecurityWorksheet({
+      benefits: ssIncome,
+      otherIncome,
+      ...options,
+    }).taxableBenefits;
+  }
 
-    // Combined income = AGI + tax-exempt interest + 50% of SS
-    const combinedIncome = otherIncome + (ssIncome * 0.5);
+  /**
+   * IRS Publication 915, Worksheet 1 (taxable benefits), line by line.
+   *
+   * Base amounts: $25,000 / $34,000 for single, HOH, qualifying surviving
+   * spouse and MFS living apart all year; $32,000 / $44,000 for MFJ;
+   * $0 for MFS living with spouse (85% of provisional income, capped at
+   * 85% of benefits).
+   *
+   * @param {Object} params
+   * @param {number} params.benefits - Total benefits (SSA-1099 box 5)
+   * @param {number} params.otherIncome - Taxable income other than benefits
+   * @param {number} params.taxExemptInterest - Tax-exempt (muni) interest
+   * @param {number} params.exclusions - Foreign earned income / other excluded income added back
+   * @param {number} params.adjustments - Schedule 1 adjustments to income
+   * @param {string} params.filingStatus - Filing status
+   * @param {boolean} params.livedWithSpouse - MFS only
+   * @returns {Object} Worksheet lines and taxable benefits
+   */
+  getSocialSecurityWorksheet({
+    benefits = 0,
+    otherIncome = 0,
+    taxExemptInterest = 0,
+    exclusions = 0,
+    adjustments = 0,
+    filingStatus = 'married_joint',
+    livedWithSpouse = true,
+  }) {
+    const lines = { line1: benefits, line2: benefits * 0.5, line3: otherIncome, line4: taxExemptInterest, line5: exclusions };
+    lines.line6 = lines.line2 + lines.line3 + lines.line4 + lines.line5;
+    lines.line7 = adjustments;
+    lines.line8 = Math.max(0, lines.line6 - lines.line7); // Provisional income
 
-    // Thresholds (married filing jointly)
-    const threshold1 = 32000;
-    const threshold2 = 44000;
+    const result = (taxableBenefits) => ({
+      filingStatus,
+      provisionalIncome: lines.line8,
+      baseAmount: lines.line9 ?? 0,
+      taxableBenefits,
+      taxablePercent: benefits > 0 ? (taxableBenefits / benefits) * 100 : 0,
+      lines,
+    });
 
-    if (combinedIncome <= threshold1) {
-      return 0;
-    } else if (combinedIncome <= threshold2) {
-      // 50% taxable
-      return Math.min(ssIncome * 0.5, (combinedIncome - threshold1) * 0.5);
-    } else {
-      // Up to 85% taxable
-      const tier1 = (threshold2 - threshold1) * 0.5;
-      const tier2 = (combinedIncome - threshold2) * 0.85;
-      return Math.min(ssIncome * 0.85, tier1 + tier2);
+    if (benefits <= 0 || lines.line8 <= 0) {
+      lines.line19 = 0;
+      return result(0);
     }
+
+    const mfsTogether = filingStatus === 'married_separate' && livedWithSpouse;
+    const thresholdStatus = filingStatus === 'married_separate' && !livedWithSpouse ? 'single' : filingStatus;
+    const thresholds = this.rules.socialSecurityThresholds[thresholdStatus]
+      || this.rules.socialSecurityThresholds.single;
+
+    if (mfsTogether) {
+      // Skip lines 9-15: 85% of provisional income
+      lines.line9 = 0;
+      lines.line16 = lines.line8 * 0.85;
+      lines.line17 = lines.line16;
+      lines.line18 = benefits * 0.85;
+      lines.line19 = Math.min(lines.line17, lines.line18);
+      return result(lines.line19);
+    }
+
+    lines.line9 = thresholds.base;
+    lines.line10 = lines.line8 - lines.line9;
+    if (lines.line10 <= 0) {
+      lines.line10 = 0;
+      lines.line19 = 0;
+      return result(0);
+    }
+
+    lines.line11 = thresholds.adjustedBase - thresholds.base;
+    lines.line12 = Math.max(0, lines.line10 - lines.line11);
+    lines.line13 = Math.min(lines.line10, lines.line11);
+    lines.line14 = lines.line13 * 0.5;
+    lines.line15 = Math.min(lines.line2, lines.line14);
+    lines.line16 = lines.line12 * 0.85;
+    lines.line17 = lines.line15 + lines.line16;
+    lines.line18 = benefits * 0.85;
+    lines.line19 = Math.min(lines.line17, lines.line18);
+
+    return result(lines.line19);
   }
 
   /**
@@ -163,8 +629,9 @@ export class TaxCalculator {
   calculateFederalTax(taxableIncome, ltcg, qualifiedDividends, filingStatus) {
     const brackets = this.federalBrackets[filingStatus];
     
-    // Separate ordinary income from preferential income (LTCG + qualified dividends)
-    const preferentialIncome = ltcg + qualifiedDividends;
+    // Separate ordinary income from preferential income (LTCG + qualified dividends);
+    // deductions beyond ordinary income reduce the preferential amount
+    const preferentialIncome = Math.min(taxableIncome, ltcg + qualifiedDividends);
     const ordinaryIncome = Math.max(0, taxableIncome - preferentialIncome);
 
     // Calculate tax on ordinary income (regular brackets)
@@ -190,37 +657,124 @@ export class TaxCalculator {
     return ordinaryTax + ltcgTax;
   }
 
+  /**
+   * Alternative Minimum Tax (Form 6251) and minimum tax credit (Form 8801).
+   *
+   * AMTI adds back the standard deduction (or SALT when itemizing),
+   * personal exemptions, ISO bargain element and private activity bond
+   * interest. The exemption phases out above the threshold; the base is
+   * taxed at 26%/28% with LTCG and qualified dividends keeping their
+   * preferential rates. AMT from deferral items (ISO exercises) becomes a
+   * credit usable in later years when regular tax exceeds the tentative
+   * minimum tax.
+   *
+   * @returns {Object} { amti, exemption, tentativeMinimumTax, amt, creditUsed, creditGenerated, creditCarryforward, ... }
+   */
+  calculateAMT({
+    taxableIncome,
+    regularTax,
+    filingStatus,
+    deduction,
+    personalExemptions = 0,
+    longTermCapitalGains = 0,
+    qualifiedDividends = 0,
+    isoBargainElement = 0,
+    privateActivityBondInterest = 0,
+    amtCreditCarryforward = 0,
+  }) {
+    const deductionAddBack = deduction.method === 'itemized'
+      ? deduction.itemizedDetail.salt.deductible
+      : deduction.amount;
+
+    // Exclusion items only (permanent differences) vs. with deferral items
+    const exclusionAMTI = taxableIncome + deductionAddBack + personalExemptions + privateActivityBondInterest;
+    const amti = exclusionAMTI + isoBargainElement;
+
+    const preferentialIncome = longTermCapitalGains + qualifiedDividends;
+    const regularOrdinary = Math.max(0, taxableIncome - preferentialIncome);
+
+    const tentative = this.getTentativeMinimumTax(amti, preferentialIncome, regularOrdinary, filingStatus);
+    const amtDue = Math.max(0, tentative.tax - regularTax);
+
+    // Minimum tax credit: used when regular tax exceeds TMT, generated by deferral items
+    const creditUsed = amtDue > 0 ? 0 : Math.min(amtCreditCarryforward, Math.max(0, regularTax - tentative.tax));
+    const exclusionTMT = this.getTentativeMinimumTax(exclusionAMTI, preferentialIncome, regularOrdinary, filingStatus).tax;
+    const creditGenerated = Math.max(0, amtDue - Math.max(0, exclusionTMT - regularTax));
+
+    return {
+      amti,
+      exemption: tentative.exemption,
+      amtBase: tentative.base,
+      tentativeMinimumTax: tentative.tax,
+      regularTax,
+      amt: amtDue,
+      // Additional AMTI before TMT reaches regular tax
+      headroom: amtDue > 0 ? 0 : this.findAMTHeadroom(amti, regularTax, preferentialIncome, regularOrdinary, filingStatus),
+      isoBargainElement,
+      creditUsed,
+      creditGenerated,
+      creditCarryforward: amtCreditCarryforward - creditUsed + creditGenerated,
+    };
+  }
+
+  /**
+   * Tentative minimum tax on AMTI (Form 6251 Part II/III).
+   */
+  getTentativeMinimumTax(amti, preferentialIncome, regularOrdinary, filingStatus) {
+    const { exemption, phaseOutThreshold, phaseOutRate, rate28Threshold } = this.rules.amt;
+    const allowedExemption = Math.max(
+      0,
+      pickByStatus(exemption, filingStatus)
+        - Math.max(0, amti - pickByStatus(phaseOutThreshold, filingStatus)) * phaseOutRate
+    );
+    const base = Math.max(0, amti - allowedExemption);
+
+    const amtBrackets = [
+      { threshold: 0, rate: 0.26 },
+      { threshold: pickByStatus(rate28Threshold, filingStatus), rate: 0.28 },
+    ];
+
+    // Capital gains keep their rates, stacked on the larger ordinary base
+    const preferential = Math.min(preferentialIncome, base);
+    const ordinaryBase = base - preferential;
+    const splitTax = this.calculateBracketTax(ordinaryBase, amtBrackets)
+      + this.calculateLTCGTax(preferential, Math.max(ordinaryBase, regularOrdinary), filingStatus);
+
+    return {
+      exemption: allowedExemption,
+      base,
+      tax: Math.min(this.calculateBracketTax(base, amtBrackets), splitTax),
+    };
+  }
+
+  /**
+   * Additional AMTI (e.g. ISO bargain element) that can be added before
+   * the tentative minimum tax exceeds regular tax.
+   */
+  findAMTHeadroom(amti, regularTax, preferentialIncome, regularOrdinary, filingStatus) {
+    const tmtAt = (extra) => this.getTentativeMinimumTax(amti + extra, preferentialIncome, regularOrdinary, filingStatus).tax;
+    if (tmtAt(0) > regularTax) return 0;
+
+    let low = 0;
+    let high = 1000;
+    while (tmtAt(high) <= regularTax) high *= 2;
+
+    // TMT is monotonic in AMTI; bisect to the dollar
+    while (high - low > 1) {
+      const mid = Math.floor((low + high) / 2);
+      if (tmtAt(mid) <= regularTax) low = mid;
+      else high = mid;
+    }
+    return low;
+  }
+
   /**
    * Calculate long-term capital gains tax (0%, 15%, or 20%).
    */
   calculateLTCGTax(ltcgIncome, ordinaryIncome, filingStatus) {
     if (ltcgIncome === 0) return 0;
 
-    // LTCG brackets (2024)
-    const ltcgBrackets = {
-      single: [
-        { threshold: 0, rate: 0 },
-        { threshold: 47025, rate: 0.15 },
-        { threshold: 518900, rate: 0.20 },
-      ],
-      married_joint: [
-        { threshold: 0, rate: 0 },
-        { threshold: 94050, rate: 0.15 },
-        { threshold: 583750, rate: 0.20 },
-      ],
-      married_separate: [
-        { threshold: 0, rate: 0 },
-        { threshold: 47025, rate: 0.15 },
-        { threshold: 291850, rate: 0.20 },
-      ],
-      head_of_household: [
-        { threshold: 0, rate: 0 },
-        { threshold: 63000, rate: 0.15 },
-        { threshold: 551350, rate: 0.20 },
-      ],
-    };
-
-    const brackets = ltcgBrackets[filingStatus];
+    const brackets = this.ltcgBrackets[filingStatus];
     let tax = 0;
     let remaining = ltcgIncome;
     let currentIncome = ordinaryIncome; // Stack LTCG on top of ordinary income
@@ -244,25 +798,267 @@ export class TaxCalculator {
   }
 
   /**
-   * Calculate state income tax.
+   * Calculate state and local income tax.
+   *
+   * Starts from federal AGI (or federal taxable income where the state
+   * does), removes exempt Social Security and retirement income, applies
+   * the state's deductions, exemptions, schedule, surtaxes and credits,
+   * then any local tax for `locality`.
+   *
+   * @param {Object} params - Household profile and income detail (see calculateTax)
+   * @returns {Object} { stateTaxableIncome, stateTax, localTax, total, subtractions, ... }
    */
-  calculateStateTax(taxableIncome, state, filingStatus) {
-    const stateBrackets = this.stateBrackets[state];
-    
-    if (!stateBrackets || stateBrackets.rate === 0) {
-      // No state income tax (AK, FL, NV, NH, SD, TN, TX, WA, WY)
-      return 0;
+  calculateStateTax({
+    state,
+    filingStatus = 'married_joint',
+    locality = null,
+    localIncomeTaxRate = null,
+    age1 = 65,
+    age2 = null,
+    dependents = 0,
+    agi = 0,
+    federalTaxableIncome = 0,
+    federalStandardDeduction = this.standardDeduction[filingStatus] ?? 0,
+    socialSecurityBenefits = 0,
+    taxableSocialSecurity = 0,
+    ordinaryIncome = 0,
+    longTermCapitalGains = 0,
+    qualifiedDividends = 0,
+    interestIncome = 0,
+    earnedIncome = 0,
+    retirementDistributions = 0,
+    pensionIncome = 0,
+  }) {
+    const rules = this.registry.getStateRules(state, this.taxYear);
+    const filers = filingStatus === 'married_joint' ? 2 : 1;
+    const ages = [age1, filers === 2 ? age2 : null].filter(age => age !== null && age !== undefined);
+    const seniors = ages.filter(age => age >= 65).length;
+
+    const result = {
+      state,
+      stateName: rules?.name ?? state,
+      rulesSource: rules?.source ?? null,
+      startingIncome: 0,
+      subtractions: { socialSecurity: 0, retirement: 0, age: 0 },
+      deductions: 0,
+      stateTaxableIncome: 0,
+      credits: 0,
+      stateTax: 0,
+      marginalRate: 0,
+      locality: null,
+      localTax: 0,
+      total: 0,
+    };
+
+    if (!rules || rules.type === 'none') {
+      return result;
+    }
+
+    if (rules.type === 'interest_dividends') {
+      // NH: interest and dividends only
+      const exemptions = (rules.personalExemption?.filer || 0) * filers
+        + (rules.personalExemption?.age65 || 0) * seniors;
+      result.stateTaxableIncome = Math.max(0, interestIncome + qualifiedDividends - exemptions);
+      result.stateTax = result.stateTaxableIncome * rules.rate;
+      result.marginalRate = result.stateTaxableIncome > 0 ? rules.rate * 100 : 0;
+      result.total = result.stateTax;
+      return result;
+    }
+
+    if (rules.type === 'capital_gains') {
+      // WA: long-term capital gains excise tax
+      result.stateTaxableIncome = Math.max(0, longTermCapitalGains - rules.exemption);
+      result.stateTax = result.stateTaxableIncome * rules.rate;
+      result.marginalRate = result.stateTaxableIncome > 0 ? rules.rate * 100 : 0;
+      result.total = result.stateTax;
+      return result;
+    }
+
+    const fromTaxableIncome = rules.startingPoint === 'federal_taxable_income';
+    result.startingIncome = fromTaxableIncome ? federalTaxableIncome : agi;
+
+    // Social Security exemption
+    const ss = rules.socialSecurity;
+    if (ss?.exempt && taxableSocialSecurity > 0 && (!ss.minAge || ages.some(age => age >= ss.minAge))) {
+      result.subtractions.socialSecurity = taxableSocialSecurity * agiTierPercent(ss.agiTiers, agi, filingStatus);
     }
 
-    if (stateBrackets.flat) {
-      // Flat tax state (CO, IL, IN, KY, MA, MI, NC, PA, UT)
-      return taxableIncome * stateBrackets.rate;
+    // Retirement income exclusion
+    result.subtractions.retirement = this.getStateRetirementExclusion(rules.retirementExclusion, {
+      ages,
+      agi,
+      filingStatus,
+      socialSecurityBenefits,
+      eligibleIncome: (rules.retirementExclusion?.appliesTo === 'pension' ? pensionIncome : retirementDistributions)
+        + (rules.retirementExclusion?.includesSocialSecurity
+          ? taxableSocialSecurity - result.subtractions.socialSecurity
+          : 0),
+    });
+
+    // Age-based subtraction (any income)
+    const ageDeduction = rules.ageDeduction;
+    if (ageDeduction) {
+      let amount = ages.filter(age => age >= ageDeduction.minAge).length * ageDeduction.perPerson;
+      if (ageDeduction.reducedByRetirementExclusion) amount -= result.subtractions.retirement;
+      result.subtractions.age = applyPhaseOut(Math.max(0, amount), agi, ageDeduction.phaseOut, filingStatus);
+    }
+
+    const subtractions = result.subtractions.socialSecurity + result.subtractions.retirement + result.subtractions.age;
+    const stateAGI = Math.max(0, result.startingIncome - subtractions);
+
+    // Deductions and exemptions (federal taxable income already reflects them)
+    if (!fromTaxableIncome) {
+      const standard = rules.standardDeduction === 'federal'
+        ? federalStandardDeduction
+        : this.getStateAmount(rules.standardDeduction, agi, filingStatus);
+      result.deductions = standard
+        + (rules.additionalStandardDeduction || 0) * seniors
+        + this.getStateExemptions(rules.personalExemption, { agi, filingStatus, filers, dependents, seniors });
+    }
+
+    result.stateTaxableIncome = Math.max(0, stateAGI - result.deductions);
+
+    // Schedule
+    let tax;
+    if (rules.type === 'flat') {
+      tax = result.stateTaxableIncome * rules.rate;
+      result.marginalRate = rules.rate * 100;
+    } else {
+      const brackets = pickByStatus(rules.brackets, filingStatus);
+      tax = this.calculateBracketTax(result.stateTaxableIncome, brackets);
+      result.marginalRate = this.getBracketRate(result.stateTaxableIncome, brackets) * 100;
+    }
+
+    if (rules.surtax && result.stateTaxableIncome > rules.surtax.threshold) {
+      tax += (result.stateTaxableIncome - rules.surtax.threshold) * rules.surtax.rate;
+      result.marginalRate += rules.surtax.rate * 100;
+    }
+
+    result.credits = this.getStateExemptions(rules.exemptionCredit, { agi, filingStatus, filers, dependents, seniors });
+    result.stateTax = Math.max(0, tax - result.credits);
+
+    // Local tax
+    const local = this.calculateLocalTax({
+      state,
+      locality,
+      localIncomeTaxRate,
+      filingStatus,
+      stateTaxableIncome: result.stateTaxableIncome,
+      stateTax: result.stateTax,
+      earnedIncome,
+      unearnedIncome: interestIncome + qualifiedDividends
+        + Math.max(0, ordinaryIncome - earnedIncome - retirementDistributions - interestIncome),
+    });
+    result.locality = local.locality;
+    result.localTax = local.tax;
+    result.total = result.stateTax + result.localTax;
+
+    return result;
+  }
+
+  /**
+   * Local income tax for a locality (see LOCAL_TAX_RULES).
+   *
+   * Localities missing from the tables are taxed on earned income at
+   * `localIncomeTaxRate` when one is supplied (e.g. smaller Ohio cities).
+   */
+  calculateLocalTax({
+    state,
+    locality,
+    localIncomeTaxRate = null,
+    filingStatus = 'married_joint',
+    stateTaxableIncome = 0,
+    stateTax = 0,
+    earnedIncome = 0,
+    unearnedIncome = 0,
+  }) {
+    if (!locality) return { locality: null, tax: 0 };
+
+    const rules = getLocalTaxRules(state, locality);
+    if (!rules) {
+      return { locality, tax: localIncomeTaxRate ? earnedIncome * localIncomeTaxRate : 0 };
     }
 
-    // Progressive tax state
-    const brackets = stateBrackets[filingStatus] || stateBrackets.single;
     let tax = 0;
-    let remaining = taxableIncome;
+    switch (rules.base) {
+      case 'state_taxable_income':
+        tax = rules.type === 'progressive'
+          ? this.calculateBracketTax(stateTaxableIncome, pickByStatus(rules.brackets, filingStatus))
+          : stateTaxableIncome * rules.rate;
+        break;
+      case 'state_tax':
+        tax = stateTax * rules.rate;
+        break;
+      case 'earned_income':
+        tax = earnedIncome * rules.rate + unearnedIncome * (rules.unearnedRate || 0);
+        break;
+      default:
+        tax = 0;
+    }
+
+    return { locality: rules.name, tax };
+  }
+
+  /**
+   * Retirement income a state excludes for this household.
+   */
+  getStateRetirementExclusion(exclusion, { ages, agi, filingStatus, socialSecurityBenefits, eligibleIncome }) {
+    if (!exclusion || eligibleIncome <= 0) return 0;
+
+    const minAge = exclusion.minAge || 0;
+    const eligiblePeople = ages.filter(age => age >= minAge).length;
+
+    let cap = 0;
+    if (exclusion.percent !== undefined) {
+      cap = eligiblePeople > 0 ? eligibleIncome * exclusion.percent : 0;
+    } else if (exclusion.tiers) {
+      // Each person gets the richest tier their age qualifies for
+      cap = ages.reduce((sum, age) => {
+        const tier = exclusion.tiers.filter(t => age >= t.minAge).pop();
+        return sum + (tier ? tier.perPerson : 0);
+      }, 0);
+    } else if (exclusion.perReturn) {
+      cap = eligiblePeople > 0 ? pickByStatus(exclusion.perReturn, filingStatus) : 0;
+    } else {
+      cap = eligiblePeople * (exclusion.perPerson || 0);
+    }
+
+    if (exclusion.reducedBySocialSecurity) cap = Math.max(0, cap - socialSecurityBenefits);
+
+    return Math.min(eligibleIncome, cap) * agiTierPercent(exclusion.agiTiers, agi, filingStatus);
+  }
+
+  /**
+   * Personal exemptions (as deductions) or exemption credits.
+   */
+  getStateExemptions(exemption, { agi, filingStatus, filers, dependents, seniors }) {
+    if (!exemption) return 0;
+    if (exemption.agiLimit !== undefined && agi > pickByStatus(exemption.agiLimit, filingStatus)) return 0;
+
+    const filerAmount = exemption.filing
+      ? this.getStateAmount(exemption, agi, filingStatus)
+      : (exemption.filer || 0) * filers;
+
+    return filerAmount + (exemption.dependent || 0) * dependents + (exemption.age65 || 0) * seniors;
+  }
+
+  /**
+   * Per-status amount, optionally phased out by AGI ({ filing, phaseOut }).
+   */
+  getStateAmount(amount, agi, filingStatus) {
+    if (!amount) return 0;
+    if (amount.filing) {
+      return applyPhaseOut(pickByStatus(amount.filing, filingStatus), agi, amount.phaseOut, filingStatus);
+    }
+    return pickByStatus(amount, filingStatus) || 0;
+  }
+
+  /**
+   * Tax on income through a { threshold, rate } schedule.
+   */
+  calculateBracketTax(income, brackets) {
+    let tax = 0;
+    let remaining = income;
 
     for (let i = 0; i < brackets.length; i++) {
       const bracket = brackets[i];
@@ -280,6 +1076,16 @@ export class TaxCalculator {
     return tax;
   }
 
+  /**
+   * Rate of the bracket `income` falls in.
+   */
+  getBracketRate(income, brackets) {
+    for (let i = brackets.length - 1; i >= 0; i--) {
+      if (income >= brackets[i].threshold) return brackets[i].rate;
+    }
+    return brackets[0].rate;
+  }
+
   /**
    * Calculate IRMAA surcharges (Medicare Part B and Part D).
    */
@@ -326,6 +1132,187 @@ export class TaxCalculator {
     };
   }
 
+  /**
+   * How close this year's MAGI sits to the next IRMAA tier for the
+   * premium year it determines (tax year + 2). Thresholds for that year
+   * come from the registry (indexed when not yet published).
+   *
+   * @returns {Object} { premiumYear, applies, tier, tierCeiling, distanceToNextTier,
+   *   nextTierAnnualIncrease, nearCliff, alert }
+   */
+  getIRMAAProximity(magi, filingStatus, age1, age2 = null, { margin = IRMAA_ALERT_MARGIN } = {}) {
+    const premiumYear = this.taxYear + 2;
+    const tiers = this.getIRMAAThresholds(premiumYear)[filingStatus]
+      || this.getIRMAAThresholds(premiumYear).single;
+    const onMedicare = [age1, age2].filter(age => age !== null && age !== undefined && age + 2 >= 65).length;
+
+    const index = tiers.findIndex(tier => magi <= tier.magi);
+    const current = tiers[index === -1 ? tiers.length - 1 : index];
+    const next = tiers[tiers.indexOf(current) + 1] || null;
+    const distanceToNextTier = next ? Math.max(0, current.magi - magi) : null;
+    const nextTierAnnualIncrease = next
+      ? (next.partB + next.partD - current.partB - current.partD) * 12 * onMedicare
+      : 0;
+    const nearCliff = onMedicare > 0 && next !== null && distanceToNextTier <= margin;
+
+    return {
+      premiumYear,
+      applies: onMedicare > 0,
+      tier: current.tier,
+      tierCeiling: next ? current.magi : null,
+      distanceToNextTier,
+      nextTierAnnualIncrease,
+      nearCliff,
+      alert: nearCliff
+        ? `You are $${Math.round(distanceToNextTier).toLocaleString()} from the next IRMAA tier `
+          + `(tier ${next.tier} would add $${Math.round(nextTierAnnualIncrease).toLocaleString()} to ${premiumYear} Medicare premiums)`
+        : null,
+    };
+  }
+
+  /**
+   * Additional MAGI (Roth conversions, realized gains) that fits before
+   * the next IRMAA tier, less a safety buffer. Infinity when IRMAA does
+   * not apply to the premium year.
+   */
+  getIRMAAHeadroom(proximity, buffer = 0) {
+    if (!proximity || !proximity.applies || proximity.distanceToNextTier === null) return Infinity;
+    return Math.max(0, proximity.distanceToNextTier - buffer);
+  }
+
+  /**
+   * ACA premium tax credit (Form 8962): the benchmark (second-lowest-cost
+   * silver) premium less the household's expected contribution, an
+   * applicable percentage of MAGI set by its poverty-line multiple.
+   * Outside enhanced-credit years nothing is allowed above 400% FPL.
+   *
+   * @param {number} acaMagi - AGI + tax-exempt interest + non-taxable Social Security
+   * @param {Object} household - { filingStatus, state, dependents, aca }
+   * @param {Object} options
+   * @param {number} options.margin - Flag MAGI within this many dollars of the cliff
+   * @returns {Object} { applies, eligible, magi, householdSize, povertyLine, fplPercent,
+   *   applicablePercentage, expectedContribution, benchmarkPremium, premiumTaxCredit,
+   *   netPremium, cliff, distanceToCliff, nearCliff, alert }
+   */
+  calculatePremiumTaxCredit(acaMagi, household = {}, { margin = ACA_ALERT_MARGIN } = {}) {
+    const { filingStatus = 'married_joint', state = 'AZ', dependents = 0, aca = null } = household;
+    const notEnrolled = { applies: false, eligible: false, magi: acaMagi, premiumTaxCredit: 0 };
+    if (!aca || !(aca.benchmarkPremium > 0)) return notEnrolled;
+
+    const rules = this.rules.premiumTaxCredit;
+    const coverageMonths = Math.min(12, Math.max(0, aca.coverageMonths ?? 12));
+    if (coverageMonths === 0) return notEnrolled;
+
+    const householdSize = aca.householdSize ?? (filingStatus === 'married_joint' ? 2 : 1) + dependents;
+    const guideline = rules.povertyGuidelines[String(state).toUpperCase()] || rules.povertyGuidelines.contiguous;
+    const povertyLine = guideline.base + guideline.perPerson * (householdSize - 1);
+    const fplPercent = (acaMagi / povertyLine) * 100;
+
+    const bandFor = rules.applicablePercentages.find(b => fplPercent < b.fplTo)
+      || rules.applicablePercentages[rules.applicablePercentages.length - 1];
+    const position = Number.isFinite(bandFor.fplTo)
+      ? Math.min(1, Math.max(0, (fplPercent - bandFor.fplFrom) / (bandFor.fplTo - bandFor.fplFrom)))
+      : 0;
+    const applicablePercentage = bandFor.initial + (bandFor.final - bandFor.initial) * position;
+
+    const cliff = rules.cliffFplPercent !== null ? (rules.cliffFplPercent / 100) * povertyLine : null;
+    // MFS filers are generally ineligible; below 100% FPL is Medicaid territory
+    const eligible = filingStatus !== 'married_separate'
+      && fplPercent >= rules.minimumFplPercent
+      && (cliff === null || acaMagi <= cliff);
+
+    const share = coverageMonths / 12;
+    const benchmarkPremium = aca.benchmarkPremium * share;
+    const enrolledPremium = (aca.enrolledPremium ?? aca.benchmarkPremium) * share;
+    const expectedContribution = acaMagi * applicablePercentage * share;
+    const premiumTaxCredit = eligible
+      ? Math.min(enrolledPremium, Math.max(0, benchmarkPremium - expectedContribution))
+      : 0;
+
+    const distanceToCliff = cliff !== null ? cliff - acaMagi : null;
+    const nearCliff = eligible && distanceToCliff !== null && distanceToCliff <= margin;
+
+    return {
+      applies: true,
+      eligible,
+      magi: acaMagi,
+      householdSize,
+      povertyLine,
+      fplPercent,
+      applicablePercentage,
+      expectedContribution,
+      benchmarkPremium,
+      premiumTaxCredit,
+      netPremium: enrolledPremium - premiumTaxCredit,
+      coverageMonths,
+      cliff,
+      distanceToCliff,
+      nearCliff,
+      alert: nearCliff
+        ? `You are $${Math.round(distanceToCliff).toLocaleString()} from the ACA subsidy cliff `
+          + `(400% FPL would forfeit a $${Math.round(premiumTaxCredit).toLocaleString()} premium tax credit)`
+        : null,
+    };
+  }
+
+  /**
+   * Additional MAGI that keeps the premium tax credit: up to the 400% FPL
+   * cliff, or `maxFplPercent` when the plan targets a lower band.
+   * Infinity when not on marketplace coverage, already past the cliff,
+   * or no ceiling applies.
+   */
+  getACAHeadroom(aca, { maxFplPercent = null, buffer = 0 } = {}) {
+    if (!aca || !aca.applies) return Infinity;
+    if (aca.cliff !== null && aca.magi > aca.cliff) return Infinity;
+    const ceilings = [aca.cliff, maxFplPercent !== null ? (maxFplPercent / 100) * aca.povertyLine : null]
+      .filter(ceiling => ceiling !== null);
+    if (ceilings.length === 0) return Infinity;
+    return Math.max(0, Math.min(...ceilings) - aca.magi - buffer);
+  }
+
+  /**
+   * Additional long-term gains that can be realized without raising
+   * federal tax - the room left in the 0% LTCG bracket, less any gain
+   * that would pull more Social Security into taxable income.
+   *
+   * @param {Object} income - calculateTax income before the harvest
+   * @param {Object} household - calculateTax household
+   * @param {Object} options - calculateTax options (deductions, ...)
+   * @returns {Object} { capacity, zeroRateCeiling, taxableIncome }
+   */
+  findZeroRateGainCapacity(income, household, options = {}) {
+    const { filingStatus = 'married_joint', dependents = 0 } = household;
+    const zeroRateCeiling = this.ltcgBrackets[filingStatus][1].threshold;
+    const baseline = this.calculateTax(income, household, options);
+
+    const federalTaxAt = (gain) => this.calculateTax(
+      { ...income, longTermCapitalGains: (income.longTermCapitalGains || 0) + gain },
+      household,
+      options
+    ).federalTax;
+
+    // Deductions not yet absorbed by income also shelter gains
+    const unusedDeduction = Math.max(
+      0,
+      baseline.deduction.amount + this.getPersonalExemptions(filingStatus, dependents) - baseline.agi
+    );
+    let low = 0;
+    let high = Math.max(0, zeroRateCeiling - baseline.taxableIncome) + unusedDeduction;
+
+    // Federal tax is monotonic in gains; bisect to the dollar
+    if (high > 0 && federalTaxAt(high) - baseline.federalTax <= 0.5) {
+      low = high;
+    } else {
+      while (high - low > 1) {
+        const mid = Math.floor((low + high) / 2);
+        if (federalTaxAt(mid) - baseline.federalTax <= 0.5) low = mid;
+        else high = mid;
+      }
+    }
+
+    return { capacity: low, zeroRateCeiling, taxableIncome: baseline.taxableIncome };
+  }
+
   /**
    * Calculate NIIT (Net Investment Income Tax - 3.8% surtax).
    */
@@ -342,7 +1329,7 @@ export class TaxCalculator {
     const excessAGI = agi - threshold;
     const taxableInvestmentIncome = Math.min(investmentIncome, excessAGI);
     
-    return taxableInvestmentIncome * 0.038; // 3.8%
+    return taxableInvestmentIncome * this.rules.niitRate; // 3.8%
   }
 
   /**
@@ -364,7 +1351,9 @@ export class TaxCalculator {
    * Get additional standard deduction for age 65+.
    */
   getAdditionalStandardDeduction(age1, age2, filingStatus) {
-    const additionalPerPerson = filingStatus === 'married_joint' ? 1550 : 1950;
+    const { married, unmarried } = this.rules.additionalStandardDeduction;
+    const isMarried = filingStatus === 'married_joint' || filingStatus === 'married_separate';
+    const additionalPerPerson = isMarried ? married : unmarried;
     let count = 0;
     
     if (age1 >= 65) count++;
@@ -374,186 +1363,46 @@ export class TaxCalculator {
   }
 
   /**
-   * Federal tax brackets (2024).
+   * Personal exemptions (zero under TCJA; non-zero in sunset mode).
+   */
+  getPersonalExemptions(filingStatus, dependents = 0) {
+    const filers = filingStatus === 'married_joint' ? 2 : 1;
+    return (this.rules.personalExemption || 0) * (filers + dependents);
+  }
+
+  /**
+   * Federal tax brackets for a tax year.
    */
   getFederalBrackets(year) {
-    // 2024 federal tax brackets
-    return {
-      single: [
-        { threshold: 0, rate: 0.10 },
-        { threshold: 11600, rate: 0.12 },
-        { threshold: 47150, rate: 0.22 },
-        { threshold: 100525, rate: 0.24 },
-        { threshold: 191950, rate: 0.32 },
-        { threshold: 243725, rate: 0.35 },
-        { threshold: 609350, rate: 0.37 },
-      ],
-      married_joint: [
-        { threshold: 0, rate: 0.10 },
-        { threshold: 23200, rate: 0.12 },
-        { threshold: 94300, rate: 0.22 },
-        { threshold: 201050, rate: 0.24 },
-        { threshold: 383900, rate: 0.32 },
-        { threshold: 487450, rate: 0.35 },
-        { threshold: 731200, rate: 0.37 },
-      ],
-      married_separate: [
-        { threshold: 0, rate: 0.10 },
-        { threshold: 11600, rate: 0.12 },
-        { threshold: 47150, rate: 0.22 },
-        { threshold: 100525, rate: 0.24 },
-        { threshold: 191950, rate: 0.32 },
-        { threshold: 243725, rate: 0.35 },
-        { threshold: 365600, rate: 0.37 },
-      ],
-      head_of_household: [
-        { threshold: 0, rate: 0.10 },
-        { threshold: 16550, rate: 0.12 },
-        { threshold: 63100, rate: 0.22 },
-        { threshold: 100500, rate: 0.24 },
-        { threshold: 191950, rate: 0.32 },
-        { threshold: 243700, rate: 0.35 },
-        { threshold: 609350, rate: 0.37 },
-      ],
-    };
+    return this.registry.getFederalRules(year).brackets;
   }
 
   /**
-   * State tax brackets (2024 - simplified for major states).
+   * Long-term capital gains brackets for a tax year.
    */
-  getStateBrackets(year) {
-    return {
-      // No income tax states
-      AK: { rate: 0 },
-      FL: { rate: 0 },
-      NV: { rate: 0 },
-      NH: { rate: 0 }, // Only dividends/interest taxed
-      SD: { rate: 0 },
-      TN: { rate: 0 },
-      TX: { rate: 0 },
-      WA: { rate: 0 },
-      WY: { rate: 0 },
-
-      // Flat tax states
-      AZ: { flat: true, rate: 0.025 }, // 2.5% (Tim's state!)
-      CO: { flat: true, rate: 0.044 },
-      IL: { flat: true, rate: 0.0495 },
-      IN: { flat: true, rate: 0.0315 },
-      KY: { flat: true, rate: 0.04 },
-      MA: { flat: true, rate: 0.05 },
-      MI: { flat: true, rate: 0.0425 },
-      NC: { flat: true, rate: 0.0475 },
-      PA: { flat: true, rate: 0.0307 },
-      UT: { flat: true, rate: 0.0485 },
-
-      // Progressive tax states (top 5 by population)
-      CA: {
-        single: [
-          { threshold: 0, rate: 0.01 },
-          { threshold: 10412, rate: 0.02 },
-          { threshold: 24684, rate: 0.04 },
-          { threshold: 38959, rate: 0.06 },
-          { threshold: 54081, rate: 0.08 },
-          { threshold: 68350, rate: 0.093 },
-          { threshold: 349137, rate: 0.103 },
-          { threshold: 418961, rate: 0.113 },
-          { threshold: 698271, rate: 0.123 },
-          { threshold: 1000000, rate: 0.133 },
-        ],
-        married_joint: [
-          { threshold: 0, rate: 0.01 },
-          { threshold: 20824, rate: 0.02 },
-          { threshold: 49368, rate: 0.04 },
-          { threshold: 77918, rate: 0.06 },
-          { threshold: 108162, rate: 0.08 },
-          { threshold: 136700, rate: 0.093 },
-          { threshold: 698274, rate: 0.103 },
-          { threshold: 837922, rate: 0.113 },
-          { threshold: 1396542, rate: 0.123 },
-          { threshold: 2000000, rate: 0.133 },
-        ],
-      },
-      NY: {
-        single: [
-          { threshold: 0, rate: 0.04 },
-          { threshold: 8500, rate: 0.045 },
-          { threshold: 11700, rate: 0.0525 },
-          { threshold: 13900, rate: 0.055 },
-          { threshold: 80650, rate: 0.06 },
-          { threshold: 215400, rate: 0.0685 },
-          { threshold: 1077550, rate: 0.0965 },
-          { threshold: 5000000, rate: 0.103 },
-          { threshold: 25000000, rate: 0.109 },
-        ],
-        married_joint: [
-          { threshold: 0, rate: 0.04 },
-          { threshold: 17150, rate: 0.045 },
-          { threshold: 23600, rate: 0.0525 },
-          { threshold: 27900, rate: 0.055 },
-          { threshold: 161550, rate: 0.06 },
-          { threshold: 323200, rate: 0.0685 },
-          { threshold: 2155350, rate: 0.0965 },
-          { threshold: 5000000, rate: 0.103 },
-          { threshold: 25000000, rate: 0.109 },
-        ],
-      },
-    };
+  getLTCGBrackets(year) {
+    return this.registry.getFederalRules(year).ltcgBrackets;
   }
 
   /**
-   * IRMAA thresholds (2024).
+   * IRMAA thresholds for a tax year.
    */
   getIRMAAThresholds(year) {
-    return {
-      single: [
-        { tier: 1, magi: 103000, partB: 0, partD: 0 },
-        { tier: 2, magi: 129000, partB: 69.90, partD: 12.90 },
-        { tier: 3, magi: 161000, partB: 174.70, partD: 33.30 },
-        { tier: 4, magi: 193000, partB: 279.50, partD: 53.80 },
-        { tier: 5, magi: 500000, partB: 384.30, partD: 74.20 },
-        { tier: 6, magi: Infinity, partB: 419.30, partD: 81.00 },
-      ],
-      married_joint: [
-        { tier: 1, magi: 206000, partB: 0, partD: 0 },
-        { tier: 2, magi: 258000, partB: 69.90, partD: 12.90 },
-        { tier: 3, magi: 322000, partB: 174.70, partD: 33.30 },
-        { tier: 4, magi: 386000, partB: 279.50, partD: 53.80 },
-        { tier: 5, magi: 750000, partB: 384.30, partD: 74.20 },
-        { tier: 6, magi: Infinity, partB: 419.30, partD: 81.00 },
-      ],
-      married_separate: [
-        { tier: 1, magi: 103000, partB: 0, partD: 0 },
-        { tier: 2, magi: 129000, partB: 69.90, partD: 12.90 },
-        { tier: 3, magi: 161000, partB: 174.70, partD: 33.30 },
-        { tier: 4, magi: 193000, partB: 279.50, partD: 53.80 },
-        { tier: 5, magi: 397000, partB: 384.30, partD: 74.20 },
-        { tier: 6, magi: Infinity, partB: 419.30, partD: 81.00 },
-      ],
-    };
+    return this.registry.getFederalRules(year).irmaaThresholds;
   }
 
   /**
-   * NIIT thresholds (2024).
+   * NIIT thresholds (fixed in statute).
    */
   getNIITThreshold(year) {
-    return {
-      single: 200000,
-      married_joint: 250000,
-      married_separate: 125000,
-      head_of_household: 200000,
-    };
+    return this.registry.getFederalRules(year).niitThreshold;
   }
 
   /**
-   * Standard deduction (2024).
+   * Standard deduction for a tax year.
    */
   getStandardDeduction(year) {
-    return {
-      single: 14600,
-      married_joint: 29200,
-      married_separate: 14600,
-      head_of_household: 21900,
-    };
+    return this.registry.getFederalRules(year).standardDeduction;
   }
 }
 
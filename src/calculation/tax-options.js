@@ -0,0 +1,56 @@
+/**
+ * Farther Prism - Projection Tax Options
+ *
+ * Tax settings an assumption set carries into its plan runs
+ * (assumption_sets.tax_options). Each key is the scenario assumption the
+ * planning graph reads:
+ *
+ * - taxIndexingRate: bracket indexing beyond the latest published table
+ * - tcjaSunset: pre-2018 rates from 2026 onward
+ * - acaEnhancedCredits: enhanced premium tax credits continue past 2025
+ * - gainHarvesting: realize long-term gains that fit in the 0% bracket
+ * - acaBenchmarkPremium: annual benchmark silver premium, today's dollars
+ * - acaMagiLimit / acaFplTarget: MAGI ceiling while on marketplace coverage
+ * - householdSize: ACA household size (defaults to the tax household)
+ */
+
+export const TAX_OPTION_TYPES = {
+  taxIndexingRate: 'number',
+  tcjaSunset: 'boolean',
+  acaEnhancedCredits: 'boolean',
+  gainHarvesting: 'boolean',
+  acaBenchmarkPremium: 'number',
+  acaMagiLimit: 'number',
+  acaFplTarget: 'number',
+  householdSize: 'number',
+};
+
+/**
+ * Validate tax options, dropping unset values.
+ *
+ * @param {Object} options - { taxIndexingRate, tcjaSunset, ... }
+ * @returns {Object} Options with only the keys that were set
+ */
+export function normalizeTaxOptions(options = null) {
+  if (options === null || options === undefined) return {};
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('taxOptions must be an object');
+  }
+
+  const normalized = {};
+  for (const [key, value] of Object.entries(options)) {
+    const type = TAX_OPTION_TYPES[key];
+    if (!type) {
+      throw new Error(`Unknown tax option: ${key} (expected ${Object.keys(TAX_OPTION_TYPES).join(', ')})`);
+    }
+    if (value === null || value === undefined) continue;
+    if (type === 'boolean' && typeof value !== 'boolean') {
+      throw new Error(`Tax option ${key} must be true or false`);
+    }
+    if (type === 'number' && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+      throw new Error(`Tax option ${key} must be a non-negative number`);
+    }
+    normalized[key] = value;
+  }
+  return normalized;
+}
@@ -0,0 +1,758 @@
+/**
+ * Tax Rule Registry
+ *
+ * Versioned federal tax parameters by tax year:
+ * - Statutory tables for 2023-2026 (brackets, LTCG, standard deduction, AMT, IRMAA)
+ * - Inflation indexing for years beyond the latest published table
+ * - Optional TCJA sunset mode (pre-2018 rate structure from 2026 onward)
+ * - ACA premium tax credit tables (poverty guidelines, applicable percentages)
+ * - Qualified charitable distribution limit (indexed from 2024 by SECURE 2.0)
+ * - Overrides loaded from the tax_rule_sets table (rules_json payloads)
+ * - State rules (see state-tax-rules.js) with the same database overrides
+ *
+ * Brackets use the same { threshold, rate } shape as TaxCalculator:
+ * threshold is the bottom of the bracket.
+ *
+ * References:
+ * - IRS Rev. Proc. 2022-38 (2023), 2023-34 (2024), 2024-40 (2025), 2025-32 (2026)
+ * - CMS Medicare Parts B & D premium fact sheets (2023-2026)
+ * - HHS poverty guidelines (2022-2025); IRS Rev. Proc. 2022-34, 2023-29, 2024-35, 2025-25
+ */
+
+import { STATE_TAX_RULES, STATE_RULES_BASE_YEAR, normalizeStateRuleSet } from './state-tax-rules.js';
+
+const TCJA_RATES = [0.10, 0.12, 0.22, 0.24, 0.32, 0.35, 0.37];
+const PRE_TCJA_RATES = [0.10, 0.15, 0.25, 0.28, 0.33, 0.35, 0.396];
+
+export const TCJA_SUNSET_YEAR = 2026;
+
+/**
+ * Zip bracket thresholds with rates.
+ */
+function withRates(rates, thresholds) {
+  return thresholds.map((threshold, i) => ({ threshold, rate: rates[i] }));
+}
+
+/**
+ * LTCG brackets (0% / 15% / 20%) from the two breakpoints.
+ */
+function ltcg(fifteenAt, twentyAt) {
+  return [
+    { threshold: 0, rate: 0 },
+    { threshold: fifteenAt, rate: 0.15 },
+    { threshold: twentyAt, rate: 0.20 },
+  ];
+}
+
+/**
+ * IRMAA tiers from MAGI ceilings and monthly per-person surcharges.
+ * The last tier is open-ended.
+ */
+function irmaa(ceilings, partB, partD) {
+  return ceilings.map((magi, i) => ({
+    tier: i + 1,
+    magi,
+    partB: partB[i],
+    partD: partD[i],
+  })).concat({
+    tier: ceilings.length + 1,
+    magi: Infinity,
+    partB: partB[ceilings.length],
+    partD: partD[ceilings.length],
+  });
+}
+
+/**
+ * IRMAA table for all filing statuses. Married-separate filers who lived
+ * with their spouse skip straight from tier 1 to tier 5.
+ */
+function irmaaTable({ single, joint, separate, partB, partD }) {
+  const singleTiers = irmaa(single, [0, ...partB], [0, ...partD]);
+  return {
+    single: singleTiers,
+    head_of_household: singleTiers,
+    married_joint: irmaa(joint, [0, ...partB], [0, ...partD]),
+    married_separate: irmaa(separate, [0, ...partB.slice(3)], [0, ...partD.slice(3)])
+      .map((tier, i) => ({ ...tier, tier: i === 0 ? 1 : i + 4 })),
+  };
+}
+
+/**
+ * AMT parameters: exemption, exemption phase-out start and the 28% rate
+ * threshold per filing status (HOH shares the single amounts).
+ */
+function amt({ exemption: [single, joint, separate], phaseOut: [poSingle, poJoint, poSeparate], rate28: [r28, r28Separate], phaseOutRate = 0.25 }) {
+  const byStatus = (s, j, m) => ({ single: s, married_joint: j, married_separate: m, head_of_household: s });
+  return {
+    exemption: byStatus(single, joint, separate),
+    phaseOutThreshold: byStatus(poSingle, poJoint, poSeparate),
+    phaseOutRate,
+    rate28Threshold: byStatus(r28, r28, r28Separate),
+  };
+}
+
+// NIIT and Social Security thresholds are fixed in statute (not indexed)
+const NIIT_THRESHOLD = {
+  single: 200000,
+  married_joint: 250000,
+  married_separate: 125000,
+  head_of_household: 200000,
+};
+
+const SOCIAL_SECURITY_THRESHOLDS = {
+  single: { base: 25000, adjustedBase: 34000 },
+  head_of_household: { base: 25000, adjustedBase: 34000 },
+  married_joint: { base: 32000, adjustedBase: 44000 },
+  married_separate: { base: 0, adjustedBase: 0 }, // Lived with spouse
+  qualifying_widow: { base: 25000, adjustedBase: 34000 },
+};
+
+/**
+ * Published federal parameters by tax year.
+ */
+export const FEDERAL_TAX_RULES = {
+  2023: {
+    brackets: {
+      single: withRates(TCJA_RATES, [0, 11000, 44725, 95375, 182100, 231250, 578125]),
+      married_joint: withRates(TCJA_RATES, [0, 22000, 89450, 190750, 364200, 462500, 693750]),
+      married_separate: withRates(TCJA_RATES, [0, 11000, 44725, 95375, 182100, 231250, 346875]),
+      head_of_household: withRates(TCJA_RATES, [0, 15700, 59850, 95350, 182100, 231250, 578100]),
+    },
+    ltcgBrackets: {
+      single: ltcg(44625, 492300),
+      married_joint: ltcg(89250, 553850),
+      married_separate: ltcg(44625, 276900),
+      head_of_household: ltcg(59750, 523050),
+    },
+    standardDeduction: { single: 13850, married_joint: 27700, married_separate: 13850, head_of_household: 20800 },
+    additionalStandardDeduction: { married: 1500, unmarried: 1850 },
+    amt: amt({ exemption: [81300, 126500, 63250], phaseOut: [578150, 1156300, 578150], rate28: [220700, 110350] }),
+    irmaaThresholds: irmaaTable({
+      single: [97000, 123000, 153000, 183000, 500000],
+      joint: [194000, 246000, 306000, 366000, 750000],
+      separate: [97000, 403000],
+      partB: [65.90, 164.80, 263.70, 362.60, 395.60],
+      partD: [12.20, 31.50, 50.70, 70.00, 76.40],
+    }),
+  },
+  2024: {
+    brackets: {
+      single: withRates(TCJA_RATES, [0, 11600, 47150, 100525, 191950, 243725, 609350]),
+      married_joint: withRates(TCJA_RATES, [0, 23200, 94300, 201050, 383900, 487450, 731200]),
+      married_separate: withRates(TCJA_RATES, [0, 11600, 47150, 100525, 191950, 243725, 365600]),
+      head_of_household: withRates(TCJA_RATES, [0, 16550, 63100, 100500, 191950, 243700, 609350]),
+    },
+    ltcgBrackets: {
+      single: ltcg(47025, 518900),
+      married_joint: ltcg(94050, 583750),
+      married_separate: ltcg(47025, 291850),
+      head_of_household: ltcg(63000, 551350),
+    },
+    standardDeduction: { single: 14600, married_joint: 29200, married_separate: 14600, head_of_household: 21900 },
+    additionalStandardDeduction: { married: 1550, unmarried: 1950 },
+    amt: amt({ exemption: [85700, 133300, 66650], phaseOut: [609350, 1218700, 609350], rate28: [232600, 116300] }),
+    irmaaThresholds: irmaaTable({
+      single: [103000, 129000, 161000, 193000, 500000],
+      joint: [206000, 258000, 322000, 386000, 750000],
+      separate: [103000, 397000],
+      partB: [69.90, 174.70, 279.50, 384.30, 419.30],
+      partD: [12.90, 33.30, 53.80, 74.20, 81.00],
+    }),
+  },
+  2025: {
+    brackets: {
+      single: withRates(TCJA_RATES, [0, 11925, 48475, 103350, 197300, 250525, 626350]),
+      married_joint: withRates(TCJA_RATES, [0, 23850, 96950, 206700, 394600, 501050, 751600]),
+      married_separate: withRates(TCJA_RATES, [0, 11925, 48475, 103350, 197300, 250525, 375800]),
+      head_of_household: withRates(TCJA_RATES, [0, 17000, 64850, 103350, 197300, 250500, 626350]),
+    },
+    ltcgBrackets: {
+      single: ltcg(48350, 533400),
+      married_joint: ltcg(96700, 600050),
+      married_separate: ltcg(48350, 300000),
+      head_of_household: ltcg(64750, 566700),
+    },
+    standardDeduction: { single: 15750, married_joint: 31500, married_separate: 15750, head_of_household: 23625 },
+    additionalStandardDeduction: { married: 1600, unmarried: 2000 },
+    amt: amt({ exemption: [88100, 137000, 68500], phaseOut: [626350, 1252700, 626350], rate28: [239100, 119550] }),
+    irmaaThresholds: irmaaTable({
+      single: [106000, 133000, 167000, 200000, 500000],
+      joint: [212000, 266000, 334000, 400000, 750000],
+      separate: [106000, 394000],
+      partB: [74.00, 185.00, 295.90, 406.90, 443.90],
+      partD: [13.70, 35.30, 57.00, 78.60, 85.80],
+    }),
+  },
+  2026: {
+    brackets: {
+      single: withRates(TCJA_RATES, [0, 12400, 50400, 105700, 201775, 256225, 640600]),
+      married_joint: withRates(TCJA_RATES, [0, 24800, 100800, 211400, 403550, 512450, 768700]),
+      married_separate: withRates(TCJA_RATES, [0, 12400, 50400, 105700, 201775, 256225, 384350]),
+      head_of_household: withRates(TCJA_RATES, [0, 17700, 67450, 105700, 201750, 256200, 640600]),
+    },
+    ltcgBrackets: {
+      single: ltcg(49450, 545500),
+      married_joint: ltcg(98900, 613700),
+      married_separate: ltcg(49450, 306850),
+      head_of_household: ltcg(66200, 579600),
+    },
+    standardDeduction: { single: 16100, married_joint: 32200, married_separate: 16100, head_of_household: 24150 },
+    additionalStandardDeduction: { married: 1650, unmarried: 2050 },
+    // 2025 reconciliation act: phase-out reset to $500K/$1M at a 50% rate
+    amt: amt({ exemption: [90100, 140200, 70100], phaseOut: [500000, 1000000, 500000], rate28: [244500, 122250], phaseOutRate: 0.50 }),
+    irmaaThresholds: irmaaTable({
+      single: [109000, 137000, 171000, 205000, 500000],
+      joint: [218000, 274000, 342000, 410000, 750000],
+      separate: [109000, 391000],
+      partB: [81.20, 202.90, 324.60, 446.30, 487.00],
+      partD: [14.50, 37.50, 60.40, 83.30, 91.00],
+    }),
+  },
+};
+
+/**
+ * Pre-TCJA (2017) parameters, used when modeling the TCJA sunset.
+ * The 2025 reconciliation act made the TCJA rates permanent, so the
+ * sunset is an advisor-selected stress assumption rather than current law.
+ */
+const PRE_TCJA_2017 = {
+  brackets: {
+    single: withRates(PRE_TCJA_RATES, [0, 9325, 37950, 91900, 191650, 416700, 418400]),
+    married_joint: withRates(PRE_TCJA_RATES, [0, 18650, 75900, 153100, 233350, 416700, 470700]),
+    married_separate: withRates(PRE_TCJA_RATES, [0, 9325, 37950, 76550, 116675, 208350, 235350]),
+    head_of_household: withRates(PRE_TCJA_RATES, [0, 13350, 50800, 131200, 212500, 416700, 444550]),
+  },
+  standardDeduction: { single: 6350, married_joint: 12700, married_separate: 6350, head_of_household: 9350 },
+  additionalStandardDeduction: { married: 1250, unmarried: 1550 },
+  personalExemption: 4050,
+  amt: amt({ exemption: [54300, 84500, 42250], phaseOut: [120700, 160900, 80450], rate28: [187800, 93900] }),
+};
+
+// Chained-CPI growth 2017 -> 2026 applied to the pre-TCJA amounts
+const PRE_TCJA_INDEX_TO_SUNSET = 1.303;
+
+// Pease limitation thresholds (2017), only relevant in sunset mode
+const PEASE_THRESHOLD_2017 = {
+  single: 261500,
+  married_joint: 313800,
+  married_separate: 156900,
+  head_of_household: 287650,
+};
+
+/**
+ * SALT cap for a year. The 2025 reconciliation act raised the cap to
+ * $40,000 for 2025, growing 1% a year through 2029 and phased down by
+ * 30% of MAGI over $500,000 (same growth) to a $10,000 floor; from 2030
+ * it returns to $10,000. MFS amounts are half.
+ */
+function saltCap(year) {
+  if (year >= 2025 && year < 2030) {
+    const growth = Math.pow(1.01, year - 2025);
+    return {
+      cap: Math.round(40000 * growth),
+      phaseOutThreshold: Math.round(500000 * growth),
+      phaseOutRate: 0.30,
+      floor: 10000,
+    };
+  }
+  return { cap: 10000 };
+}
+
+/**
+ * Itemized deduction rules for a year (current law).
+ *
+ * From 2026: 0.5%-of-AGI floor on charitable gifts, an above-the-line
+ * cash gift deduction for non-itemizers, and the 2/37 limitation on
+ * itemized deductions for taxpayers in the 37% bracket.
+ */
+export function getItemizedRules(year) {
+  const obbba = year >= 2026;
+  return {
+    saltCap: saltCap(year),
+    mortgageDebtLimit: { single: 750000, married_joint: 750000, married_separate: 375000, head_of_household: 750000 },
+    medicalFloor: 0.075,
+    charitable: {
+      cashLimit: 0.60,      // Cash to public charities (incl. DAFs), % of AGI
+      propertyLimit: 0.30,  // Appreciated long-term property at FMV, % of AGI
+      floorPercent: obbba ? 0.005 : 0,
+      nonItemizerCash: obbba
+        ? { single: 1000, married_joint: 2000, married_separate: 1000, head_of_household: 1000 }
+        : null,
+    },
+    limitation: obbba ? { type: 'two_thirty_sevenths' } : null,
+  };
+}
+
+/**
+ * Qualified charitable distribution limit per IRA owner (IRC §408(d)(8)).
+ * Fixed at $100,000 through 2023, then indexed (rounded down to $1,000).
+ */
+const QCD_LIMITS = { 2023: 100000, 2024: 105000, 2025: 108000, 2026: 111000 };
+
+export function getQCDLimit(year, { indexingRate = 0.025 } = {}) {
+  const published = Object.keys(QCD_LIMITS).map(Number);
+  const latest = Math.max(...published);
+  if (year < Math.min(...published)) return QCD_LIMITS[Math.min(...published)];
+  if (year <= latest) return QCD_LIMITS[year];
+  return roundDown(QCD_LIMITS[latest] * Math.pow(1 + indexingRate, year - latest), 1000);
+}
+
+/**
+ * HHS poverty guidelines: { base, perPerson } for a one-person household
+ * plus each additional member. Coverage year Y uses the guidelines
+ * published in Y-1.
+ */
+const POVERTY_GUIDELINES = {
+  2022: { contiguous: [13590, 4720], AK: [16990, 5900], HI: [15630, 5430] },
+  2023: { contiguous: [14580, 5140], AK: [18210, 6430], HI: [16770, 5910] },
+  2024: { contiguous: [15060, 5380], AK: [18810, 6730], HI: [17310, 6190] },
+  2025: { contiguous: [15650, 5500], AK: [19550, 6880], HI: [17990, 6325] },
+};
+
+/**
+ * Applicable percentage bands (IRC §36B(b)(3)): the share of household
+ * income expected toward the benchmark plan rises linearly from `initial`
+ * to `final` across each FPL band.
+ */
+const band = (fplFrom, fplTo, initial, final = initial) => ({ fplFrom, fplTo, initial, final });
+
+// American Rescue Plan / Inflation Reduction Act (2021-2025): no 400% cliff
+const ENHANCED_APPLICABLE_PERCENTAGES = [
+  band(0, 150, 0),
+  band(150, 200, 0, 0.02),
+  band(200, 250, 0.02, 0.04),
+  band(250, 300, 0.04, 0.06),
+  band(300, 400, 0.06, 0.085),
+  band(400, Infinity, 0.085),
+];
+
+// Original ACA schedule as indexed for 2026 (Rev. Proc. 2025-25)
+const ORIGINAL_APPLICABLE_PERCENTAGES_2026 = [
+  band(0, 133, 0.021),
+  band(133, 150, 0.0314, 0.0419),
+  band(150, 200, 0.0419, 0.066),
+  band(200, 250, 0.066, 0.0844),
+  band(250, 300, 0.0844, 0.0996),
+  band(300, 400, 0.0996),
+];
+
+/**
+ * Premium tax credit rules for a coverage year. Enhanced credits expired
+ * after 2025; `enhanced` models an extension. Guidelines beyond the
+ * latest published year are indexed at `indexingRate`.
+ */
+export function getPremiumTaxCreditRules(year, { indexingRate = 0.025, enhanced = false } = {}) {
+  const guidelineYear = year - 1;
+  const published = Object.keys(POVERTY_GUIDELINES).map(Number);
+  const latest = Math.max(...published);
+  const sourceYear = Math.min(Math.max(guidelineYear, Math.min(...published)), latest);
+  const factor = guidelineYear > latest ? Math.pow(1 + indexingRate, guidelineYear - latest) : 1;
+
+  const index = (amount) => (factor === 1 ? amount : roundDown(amount * factor, 10));
+  const povertyGuidelines = {};
+  for (const [region, [base, perPerson]] of Object.entries(POVERTY_GUIDELINES[sourceYear])) {
+    povertyGuidelines[region] = { base: index(base), perPerson: index(perPerson) };
+  }
+
+  const enhancedYear = (year >= 2021 && year <= 2025) || (enhanced && year > 2025);
+  return {
+    guidelineYear,
+    povertyGuidelines,
+    applicablePercentages: enhancedYear ? ENHANCED_APPLICABLE_PERCENTAGES : ORIGINAL_APPLICABLE_PERCENTAGES_2026,
+    minimumFplPercent: 100,
+    cliffFplPercent: enhancedYear ? null : 400,
+  };
+}
+
+/**
+ * Round down to the nearest multiple (IRS indexing convention).
+ */
+function roundDown(value, multiple) {
+  return Math.floor(value / multiple) * multiple;
+}
+
+function indexBrackets(brackets, factor, multiple = 50) {
+  const indexed = {};
+  for (const [status, tiers] of Object.entries(brackets)) {
+    indexed[status] = tiers.map(b => ({ ...b, threshold: roundDown(b.threshold * factor, multiple) }));
+  }
+  return indexed;
+}
+
+function indexAmounts(amounts, factor, multiple = 50) {
+  const indexed = {};
+  for (const [key, value] of Object.entries(amounts)) {
+    indexed[key] = roundDown(value * factor, multiple);
+  }
+  return indexed;
+}
+
+/**
+ * Inflate a year's rules by `factor` (thresholds) and `premiumFactor` (IRMAA surcharges).
+ */
+function indexRules(rules, factor, premiumFactor) {
+  const irmaaThresholds = {};
+  for (const [status, tiers] of Object.entries(rules.irmaaThresholds)) {
+    irmaaThresholds[status] = tiers.map(t => ({
+      ...t,
+      magi: t.magi === Infinity ? Infinity : roundDown(t.magi * factor, 1000),
+      partB: Math.round(t.partB * premiumFactor * 100) / 100,
+      partD: Math.round(t.partD * premiumFactor * 100) / 100,
+    }));
+  }
+
+  return {
+    ...rules,
+    brackets: indexBrackets(rules.brackets, factor),
+    ltcgBrackets: indexBrackets(rules.ltcgBrackets, factor),
+    standardDeduction: indexAmounts(rules.standardDeduction, factor),
+    additionalStandardDeduction: indexAmounts(rules.additionalStandardDeduction, factor),
+    personalExemption: roundDown((rules.personalExemption || 0) * factor, 50),
+    amt: rules.amt && {
+      ...rules.amt,
+      exemption: indexAmounts(rules.amt.exemption, factor, 100),
+      phaseOutThreshold: indexAmounts(rules.amt.phaseOutThreshold, factor, 100),
+      rate28Threshold: indexAmounts(rules.amt.rate28Threshold, factor, 100),
+    },
+    irmaaThresholds,
+  };
+}
+
+/**
+ * Pre-TCJA LTCG breakpoints follow the ordinary brackets:
+ * 0% through the 15% bracket, 20% from the 39.6% bracket.
+ */
+function preTcjaLTCG(brackets) {
+  const result = {};
+  for (const [status, tiers] of Object.entries(brackets)) {
+    result[status] = ltcg(tiers[2].threshold, tiers[6].threshold);
+  }
+  return result;
+}
+
+/**
+ * Convert { min, max, rate } arrays from rules_json into { threshold, rate }.
+ */
+function normalizeBracketTable(table) {
+  if (!table) return null;
+  const result = {};
+  for (const [status, tiers] of Object.entries(table)) {
+    if (!Array.isArray(tiers)) continue;
+    result[status] = tiers
+      .map(t => ({ threshold: Number(t.min ?? t.threshold ?? 0), rate: Number(t.rate) }))
+      .sort((a, b) => a.threshold - b.threshold);
+  }
+  return result;
+}
+
+/**
+ * rules_json stores total monthly premiums per tier; the calculator
+ * works in surcharges above the standard (tier 1) premium.
+ */
+function normalizeIRMAATable(table) {
+  if (!table) return null;
+  const result = {};
+  for (const [status, tiers] of Object.entries(table)) {
+    if (!Array.isArray(tiers) || tiers.length === 0) continue;
+    const basePartB = Number(tiers[0].part_b_premium ?? 0);
+    const basePartD = Number(tiers[0].part_d_premium ?? 0);
+    result[status] = tiers.map((t, i) => ({
+      tier: i + 1,
+      magi: t.max === null || t.max === undefined ? Infinity : Number(t.max),
+      partB: t.part_b_premium !== undefined ? Number(t.part_b_premium) - basePartB : Number(t.partB ?? 0),
+      partD: t.part_d_premium !== undefined ? Number(t.part_d_premium) - basePartD : Number(t.partD ?? 0),
+    }));
+  }
+  return result;
+}
+
+/**
+ * Map a tax_rule_sets.rules_json payload onto the registry's rule shape.
+ * Only keys present in the payload are returned; the rest fall back to
+ * the statutory tables when merged.
+ */
+export function normalizeFederalRuleSet(rulesJson = {}) {
+  const normalized = {};
+
+  const brackets = normalizeBracketTable(rulesJson.brackets);
+  if (brackets) normalized.brackets = brackets;
+
+  const ltcgBrackets = normalizeBracketTable(rulesJson.capital_gains_brackets);
+  if (ltcgBrackets) normalized.ltcgBrackets = ltcgBrackets;
+
+  if (rulesJson.standard_deduction) normalized.standardDeduction = { ...rulesJson.standard_deduction };
+  if (rulesJson.additional_standard_deduction) {
+    normalized.additionalStandardDeduction = { ...rulesJson.additional_standard_deduction };
+  }
+  if (rulesJson.niit_threshold) normalized.niitThreshold = { ...rulesJson.niit_threshold };
+  if (rulesJson.niit_rate !== undefined) normalized.niitRate = Number(rulesJson.niit_rate);
+
+  const irmaaThresholds = normalizeIRMAATable(rulesJson.irmaa_thresholds);
+  if (irmaaThresholds) normalized.irmaaThresholds = irmaaThresholds;
+
+  if (rulesJson.salt_cap !== undefined) {
+    normalized.itemized = { saltCap: { cap: Number(rulesJson.salt_cap) } };
+  }
+
+  if (rulesJson.social_security_taxation) {
+    const { threshold_1: t1 = {}, threshold_2: t2 = {} } = rulesJson.social_security_taxation;
+    const thresholds = {};
+    for (const status of Object.keys(t1)) {
+      thresholds[status] = { base: Number(t1[status]), adjustedBase: Number(t2[status] ?? t1[status]) };
+    }
+    normalized.socialSecurityThresholds = thresholds;
+  }
+
+  return normalized;
+}
+
+/**
+ * Merge per-status tables so a partial override keeps the other statuses.
+ */
+function mergeRules(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    const mergeable = (v) => v && typeof v === 'object' && !Array.isArray(v);
+    merged[key] = mergeable(value) && (base[key] === undefined || mergeable(base[key]))
+      ? { ...(base[key] || {}), ...value }
+      : value;
+  }
+  return merged;
+}
+
+/**
+ * Registry of tax rules keyed by year.
+ */
+export class TaxRuleRegistry {
+  /**
+   * @param {Object} options
+   * @param {number} options.indexingRate - Annual threshold indexing beyond the latest table
+   * @param {number} options.premiumGrowthRate - Annual Medicare premium (IRMAA surcharge) growth
+   * @param {boolean} options.tcjaSunset - Model pre-TCJA rates from 2026 onward
+   * @param {boolean} options.acaEnhancedCredits - Model an extension of the enhanced ACA credits past 2025
+   */
+  constructor({ indexingRate = 0.025, premiumGrowthRate = 0.05, tcjaSunset = false, acaEnhancedCredits = false } = {}) {
+    this.indexingRate = indexingRate;
+    this.premiumGrowthRate = premiumGrowthRate;
+    this.tcjaSunset = tcjaSunset;
+    this.acaEnhancedCredits = acaEnhancedCredits;
+
+    // Database rule sets: jurisdiction -> Map(year -> { version, rules })
+    this.ruleSets = new Map();
+    this.cache = new Map();
+  }
+
+  /**
+   * Derive a registry with different projection options that shares the
+   * loaded database rule sets.
+   */
+  withOptions(overrides = {}) {
+    const registry = new TaxRuleRegistry({
+      indexingRate: this.indexingRate,
+      premiumGrowthRate: this.premiumGrowthRate,
+      tcjaSunset: this.tcjaSunset,
+      acaEnhancedCredits: this.acaEnhancedCredits,
+      ...overrides,
+    });
+    registry.ruleSets = this.ruleSets;
+    return registry;
+  }
+
+  /**
+   * Register a tax_rule_sets row ({ jurisdiction, tax_year, rules_json, version }).
+   */
+  registerRuleSet({ jurisdiction, tax_year: taxYear, rules_json: rulesJson, version = '0' }) {
+    const key = jurisdiction === 'federal' ? 'federal' : jurisdiction.toUpperCase();
+    if (!this.ruleSets.has(key)) this.ruleSets.set(key, new Map());
+
+    const byYear = this.ruleSets.get(key);
+    const existing = byYear.get(taxYear);
+    if (existing && existing.version.localeCompare(version, undefined, { numeric: true }) > 0) {
+      return; // Keep the newer version
+    }
+
+    const rules = typeof rulesJson === 'string' ? JSON.parse(rulesJson) : rulesJson;
+    byYear.set(taxYear, { version, rules });
+    this.cache.clear();
+  }
+
+  registerRuleSets(rows = []) {
+    rows.forEach(row => this.registerRuleSet(row));
+  }
+
+  /**
+   * Registered rule sets as tax_rule_sets rows (registerRuleSets input).
+   */
+  listRuleSets() {
+    const rows = [];
+    for (const [jurisdiction, byYear] of this.ruleSets) {
+      for (const [taxYear, { version, rules }] of byYear) {
+        rows.push({ jurisdiction, tax_year: taxYear, rules_json: rules, version });
+      }
+    }
+    return rows;
+  }
+
+  /**
+   * Raw rules_json for a jurisdiction (latest year on or before `year`).
+   */
+  getRuleSet(jurisdiction, year) {
+    const byYear = this.ruleSets.get(jurisdiction === 'federal' ? 'federal' : jurisdiction.toUpperCase());
+    if (!byYear) return null;
+
+    const years = [...byYear.keys()].filter(y => y <= year).sort((a, b) => b - a);
+    const match = years.length ? years[0] : null;
+    return match !== null ? { taxYear: match, ...byYear.get(match) } : null;
+  }
+
+  /**
+   * Federal rules with a statutory table or database row for `year`.
+   */
+  getPublishedFederalRules(year) {
+    const statutory = FEDERAL_TAX_RULES[year];
+    const dbRules = this.ruleSets.get('federal')?.get(year);
+    if (!statutory && !dbRules) return null;
+
+    const base = statutory || FEDERAL_TAX_RULES[this.nearestStatutoryYear(year)];
+    const common = {
+      personalExemption: 0,
+      niitThreshold: NIIT_THRESHOLD,
+      niitRate: 0.038,
+      socialSecurityThresholds: SOCIAL_SECURITY_THRESHOLDS,
+    };
+    const merged = mergeRules({ ...common, ...base }, dbRules ? normalizeFederalRuleSet(dbRules.rules) : {});
+    return { ...merged, source: dbRules ? 'database' : 'statutory' };
+  }
+
+  nearestStatutoryYear(year) {
+    const years = Object.keys(FEDERAL_TAX_RULES).map(Number);
+    return years.reduce((best, y) => (Math.abs(y - year) < Math.abs(best - year) ? y : best), years[0]);
+  }
+
+  /**
+   * Latest year with published federal rules (statutory or database).
+   */
+  latestPublishedYear() {
+    const years = Object.keys(FEDERAL_TAX_RULES).map(Number);
+    const dbYears = [...(this.ruleSets.get('federal')?.keys() || [])];
+    return Math.max(...years, ...dbYears);
+  }
+
+  /**
+   * Federal rules for a tax year.
+   *
+   * @param {number} year - Tax year
+   * @returns {Object} { taxYear, source, brackets, ltcgBrackets, standardDeduction, ... }
+   */
+  getFederalRules(year) {
+    if (this.cache.has(year)) return this.cache.get(year);
+
+    let rules;
+    if (this.tcjaSunset && year >= TCJA_SUNSET_YEAR) {
+      rules = this.getSunsetRules(year);
+    } else {
+      const published = this.getPublishedFederalRules(year);
+      const latest = this.latestPublishedYear();
+
+      if (published) {
+        rules = published;
+      } else if (year > latest) {
+        const base = this.getPublishedFederalRules(latest);
+        const years = year - latest;
+        rules = {
+          ...indexRules(
+            base,
+            Math.pow(1 + this.indexingRate, years),
+            Math.pow(1 + this.premiumGrowthRate, years)
+          ),
+          source: 'indexed',
+          indexedFrom: latest,
+        };
+      } else {
+        // Before the earliest table: use the earliest available
+        rules = { ...this.getPublishedFederalRules(this.nearestStatutoryYear(year)), source: 'nearest' };
+      }
+    }
+
+    rules = {
+      ...rules,
+      itemized: { ...getItemizedRules(year), ...(rules.itemized || {}) },
+      premiumTaxCredit: getPremiumTaxCreditRules(year, {
+        indexingRate: this.indexingRate,
+        enhanced: this.acaEnhancedCredits,
+      }),
+      qcdLimit: rules.qcdLimit ?? getQCDLimit(year, { indexingRate: this.indexingRate }),
+      taxYear: year,
+    };
+    this.cache.set(year, rules);
+    return rules;
+  }
+
+  /**
+   * State rules for a tax year: the statutory table merged with a
+   * database row for that exact year. Null for unknown jurisdictions.
+   *
+   * @param {string} state - Two-letter state code
+   * @param {number} year - Tax year
+   * @returns {Object|null} { type, brackets|rate, standardDeduction, ..., source }
+   */
+  getStateRules(state, year) {
+    const key = String(state || '').toUpperCase();
+    const cacheKey = `${key}:${year}`;
+    if (this.cache.has(cacheKey)) return this.cache.get(cacheKey);
+
+    const statutory = STATE_TAX_RULES[key];
+    const dbRules = this.ruleSets.get(key)?.get(year);
+    if (!statutory && !dbRules) return null;
+
+    let rules = statutory || { name: key, type: 'none' };
+    if (dbRules) rules = mergeRules(rules, normalizeStateRuleSet(dbRules.rules));
+    if (rules.expiresAfter && year > rules.expiresAfter) rules = { ...rules, type: 'none' };
+
+    let source = 'nearest';
+    if (dbRules) source = 'database';
+    else if (year === STATE_RULES_BASE_YEAR) source = 'statutory';
+
+    rules = { ...rules, state: key, taxYear: year, source };
+    this.cache.set(cacheKey, rules);
+    return rules;
+  }
+
+  /**
+   * Pre-TCJA structure indexed to `year`. IRMAA, NIIT and Social Security
+   * rules are unaffected by the sunset and follow the normal path.
+   */
+  getSunsetRules(year) {
+    const nonSunset = this.withOptions({ tcjaSunset: false }).getFederalRules(year);
+    const factor = PRE_TCJA_INDEX_TO_SUNSET * Math.pow(1 + this.indexingRate, year - TCJA_SUNSET_YEAR);
+    const indexed = indexRules({ ...PRE_TCJA_2017, ltcgBrackets: {}, irmaaThresholds: {} }, factor, 1);
+
+    return {
+      ...nonSunset,
+      brackets: indexed.brackets,
+      ltcgBrackets: preTcjaLTCG(indexed.brackets),
+      standardDeduction: indexed.standardDeduction,
+      additionalStandardDeduction: indexed.additionalStandardDeduction,
+      personalExemption: indexed.personalExemption,
+      amt: indexed.amt,
+      // Pre-TCJA itemized rules: no SALT cap, $1M mortgage debt, 50% cash limit, Pease
+      itemized: {
+        saltCap: null,
+        mortgageDebtLimit: { single: 1000000, married_joint: 1000000, married_separate: 500000, head_of_household: 1000000 },
+        medicalFloor: 0.075,
+        charitable: { cashLimit: 0.50, propertyLimit: 0.30, floorPercent: 0, nonItemizerCash: null },
+        limitation: {
+          type: 'pease',
+          threshold: indexAmounts(PEASE_THRESHOLD_2017, factor),
+          rate: 0.03,
+          maxReduction: 0.80,
+        },
+      },
+      source: 'tcja_sunset',
+    };
+  }
+}
+
+export const defaultTaxRuleRegistry = new TaxRuleRegistry();
+
+export default TaxRuleRegistry;
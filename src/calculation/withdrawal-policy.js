@@ -0,0 +1,176 @@
+/**
+ * Farther Prism - Withdrawal Policies
+ *
+ * How much a simulated household takes from the portfolio each year. The
+ * plan's own spending (expenses less income, inflated) is the baseline; a
+ * policy adjusts it to what the portfolio has done, the way clients really
+ * respond to markets:
+ *
+ * - constant: the baseline every year (spend until depleted)
+ * - guyton_klinger: Guyton-Klinger decision rules. Inflation raises are
+ *   skipped after a losing year when the withdrawal rate is above its
+ *   initial level; a rate 20% above the initial rate cuts spending 10%
+ *   (capital preservation, not in the last 15 years), a rate 20% below it
+ *   raises spending 10% (prosperity)
+ * - percent_of_portfolio: a fixed share of the current portfolio, held
+ *   between a floor and a ceiling expressed against the baseline
+ * - vanguard_dynamic: a fixed share of the portfolio, with the real change
+ *   from last year's spending limited to +5% / -2.5%
+ * - rmd: the portfolio divided by the IRS Uniform Lifetime Table factor for
+ *   the age, extended below 72 on the table's own joint-life basis
+ *
+ * A policy is stateful across the years of one path; reset() starts the
+ * next path. Each year reports the event that moved spending off the plain
+ * rule (cut, raise, freeze, floor, ceiling), and summarize() gives the
+ * path's spending cuts against the baseline.
+ */
+
+import { UNIFORM_LIFETIME_TABLE, getJointLifeFactor } from './rmd-engine.js';
+
+export const WITHDRAWAL_POLICIES = ['constant', 'guyton_klinger', 'percent_of_portfolio', 'vanguard_dynamic', 'rmd'];
+export const POLICY_EVENTS = ['cut', 'raise', 'freeze', 'floor', 'ceiling'];
+
+export const POLICY_DEFAULTS = {
+  constant: {},
+  guyton_klinger: { upperGuardrail: 0.20, lowerGuardrail: 0.20, adjustment: 0.10, preservationCutoffYears: 15 },
+  // rate: null = the first year's withdrawal rate
+  percent_of_portfolio: { rate: null, floor: 0.85, ceiling: 1.50 },
+  vanguard_dynamic: { rate: null, maxIncrease: 0.05, maxDecrease: 0.025 },
+  rmd: { floor: 0 },
+};
+
+// Spending this far under the baseline counts as a cut year
+const CUT_TOLERANCE = 0.001;
+
+/**
+ * Normalize a policy config ({ type, ...params }, or a type name) to
+ * { type, params } with defaults filled in.
+ */
+export function normalizeWithdrawalPolicy(config = null) {
+  const { type = 'constant', ...params } = typeof config === 'string' ? { type: config } : (config || {});
+  if (!WITHDRAWAL_POLICIES.includes(type)) {
+    throw new Error(`Unknown withdrawal policy: ${type} (expected ${WITHDRAWAL_POLICIES.join(', ')})`);
+  }
+  const merged = { ...POLICY_DEFAULTS[type] };
+  for (const [key, value] of Object.entries(params)) {
+    if (!(key in merged)) continue;
+    if (value === null || value === undefined) continue;
+    if (!Number.isFinite(Number(value)) || Number(value) < 0) {
+      throw new Error(`Withdrawal policy ${type}: ${key} must be a non-negative number`);
+    }
+    merged[key] = Number(value);
+  }
+  return { type, params: merged };
+}
+
+/**
+ * Policy for one simulation: call next() once per year, in order.
+ *
+ * @param {Object|string} config - { type, ...params } (see POLICY_DEFAULTS)
+ * @param {Object} options - { years: projection horizon }
+ * @returns {Object} { type, params, next({ yearIndex, portfolioValue, baseWithdrawal, age }), reset(), summarize() }
+ */
+export function createWithdrawalPolicy(config = null, { years = 30 } = {}) {
+  const { type, params } = normalizeWithdrawalPolicy(config);
+
+  let initialRate = null;
+  let rate = null;
+  let previous = null; // { withdrawal, baseWithdrawal, portfolioValue }
+  let maxCut = 0;
+  let yearsCut = 0;
+  let events = {};
+
+  const decide = ({ yearIndex, portfolioValue, baseWithdrawal, age }) => {
+    // Years the plan needs nothing from the portfolio (income covers it) don't set the rate
+    if (type === 'constant' || baseWithdrawal <= 0) return { withdrawal: baseWithdrawal };
+
+    const portfolio = Math.max(0, portfolioValue);
+    if (initialRate === null) initialRate = portfolio > 0 ? baseWithdrawal / portfolio : 0;
+    // Last year's withdrawal carried forward with the baseline's inflation
+    const inflated = previous && previous.baseWithdrawal > 0
+      ? previous.withdrawal * (baseWithdrawal / previous.baseWithdrawal)
+      : baseWithdrawal;
+
+    switch (type) {
+      case 'guyton_klinger': {
+        if (!previous) return { withdrawal: baseWithdrawal };
+        const lostMoney = portfolio < previous.portfolioValue - previous.withdrawal;
+        let withdrawal = inflated;
+        let event = null;
+        if (lostMoney && portfolio > 0 && previous.withdrawal / portfolio > initialRate) {
+          withdrawal = previous.withdrawal;
+          event = 'freeze';
+        }
+        const currentRate = portfolio > 0 ? withdrawal / portfolio : Infinity;
+        if (currentRate > initialRate * (1 + params.upperGuardrail) && years - yearIndex > params.preservationCutoffYears) {
+          withdrawal *= 1 - params.adjustment;
+          event = 'cut';
+        } else if (currentRate < initialRate * (1 - params.lowerGuardrail)) {
+          withdrawal *= 1 + params.adjustment;
+          event = 'raise';
+        }
+        return { withdrawal, event };
+      }
+
+      case 'percent_of_portfolio': {
+        rate ??= params.rate ?? initialRate;
+        return clamp(rate * portfolio, baseWithdrawal * params.floor, baseWithdrawal * params.ceiling);
+      }
+
+      case 'vanguard_dynamic': {
+        rate ??= params.rate ?? initialRate;
+        if (!previous) return { withdrawal: rate * portfolio };
+        return clamp(rate * portfolio, inflated * (1 - params.maxDecrease), inflated * (1 + params.maxIncrease));
+      }
+
+      case 'rmd': {
+        if (!Number.isFinite(age)) throw new Error('Withdrawal policy rmd needs the household age');
+        // Uniform Lifetime factors are joint life with a beneficiary 10 years younger
+        const divisor = age >= 72 ? UNIFORM_LIFETIME_TABLE[Math.min(120, Math.floor(age))] : getJointLifeFactor(Math.floor(age), Math.floor(age) - 10);
+        return clamp(portfolio / divisor, baseWithdrawal * params.floor, Infinity);
+      }
+    }
+  };
+
+  return {
+    type,
+    params,
+
+    next(year) {
+      const { withdrawal, event = null } = decide(year);
+
+      if (year.baseWithdrawal > 0) {
+        previous = { withdrawal, baseWithdrawal: year.baseWithdrawal, portfolioValue: Math.max(0, year.portfolioValue) };
+        const cut = 1 - withdrawal / year.baseWithdrawal;
+        if (cut > CUT_TOLERANCE) yearsCut++;
+        maxCut = Math.max(maxCut, cut);
+      }
+      if (event) events[event] = (events[event] || 0) + 1;
+      return { withdrawal, event };
+    },
+
+    reset() {
+      initialRate = null;
+      rate = null;
+      previous = null;
+      maxCut = 0;
+      yearsCut = 0;
+      events = {};
+    },
+
+    /**
+     * The path so far: deepest cut below the baseline (0-1), years spent
+     * below it, and how often each event fired.
+     */
+    summarize() {
+      return { maxCut, yearsCut, events: { ...events } };
+    },
+  };
+}
+
+// Floors win over ceilings (a floor above the ceiling pins spending to it)
+function clamp(withdrawal, floor, ceiling) {
+  if (withdrawal < floor) return { withdrawal: floor, event: 'floor' };
+  if (withdrawal > ceiling) return { withdrawal: ceiling, event: 'ceiling' };
+  return { withdrawal };
+}
@@ -16,13 +16,23 @@
  * - Roth conversions in low-income years
  * - QCDs (Qualified Charitable Distributions) for RMDs
  * - Tax-loss harvesting in taxable accounts
+ * - Tax-lot selection (HIFO, FIFO, specific-ID, loss-first) for taxable withdrawals
+ * - 0% long-term capital gains harvesting (basis reset below IRMAA/ACA cliffs)
+ * - ACA premium tax credit preservation (Roth conversions and harvests kept below the cliff)
  */
 
-import { TaxCalculator } from './tax-calculator.js';
+import { TaxCalculator, totalCharitableCarryforward } from './tax-calculator.js';
+import { defaultTaxRuleRegistry } from './tax-rules.js';
+import { harvestGains, normalizeLot, selectLots } from './lot-selector.js';
+
+// Share of a taxable withdrawal assumed to be long-term gain when the lots are unknown
+export const ESTIMATED_GAIN_RATIO = 0.3;
 
 export class WithdrawalSequencer {
-  constructor() {
-    this.taxCalculator = new TaxCalculator();
+  constructor({ taxRuleRegistry = defaultTaxRuleRegistry } = {}) {
+    this.taxRuleRegistry = taxRuleRegistry;
+    this.taxCalculator = new TaxCalculator(2024, { registry: taxRuleRegistry });
+    this.taxCalculators = new Map([[2024, this.taxCalculator]]);
     // RMD life expectancy factors (IRS Uniform Lifetime Table, 2022+)
     this.lifeExpectancyFactors = {
       73: 26.5, 74: 25.5, 75: 24.6, 76: 23.7, 77: 22.9, 78: 22.0,
@@ -40,12 +50,40 @@ export class WithdrawalSequencer {
    * @param {Object} needs - Spending needs
    * @param {Object} household - Household info
    * @param {Object} options - Optimization options
+   * @param {number} options.taxYear - Tax year whose rules apply (default 2024)
+   * @param {Object} options.deductions - Itemized deduction inputs for the year
+   * @param {Object} options.magiHistory - MAGI by tax year; IRMAA uses the year two back
+   * @param {number} options.irmaaBuffer - MAGI cushion to keep below the next IRMAA tier
+   * @param {Array} options.taxLots - Taxable account lots (`lots` rows or normalized);
+   *   when present, gains are computed from the lots sold instead of estimated
+   * @param {Object} options.lotSelection - { method: hifo|fifo|specific_id|loss_first, specificLotIds, saleDate }
+   * @param {Object} options.capitalLossCarryforward - { shortTerm, longTerm } from prior years
+   * @param {boolean} options.gainHarvesting - Realize long-term gains that fit in the 0% bracket
+   * @param {number} options.acaMagiLimit - MAGI ceiling while on marketplace coverage (ACA cliff)
+   * @param {number} options.acaFplTarget - Keep ACA MAGI below this FPL percentage (e.g. 250 for
+   *   cost-sharing reductions); the 400% cliff applies regardless when household.aca is set
    * @returns {Object} Optimized withdrawal plan
    */
   optimizeWithdrawals(accounts, needs, household, options = {}) {
+    const {
+      taxYear = this.taxCalculator.taxYear,
+      deductions = {},
+      magiHistory = {},
+      irmaaBuffer = 0,
+      taxLots = null,
+      lotSelection = {},
+      capitalLossCarryforward = {},
+      gainHarvesting = false,
+      acaMagiLimit = null,
+      acaFplTarget = null,
+    } = options;
+    const taxCalculator = this.getTaxCalculator(taxYear);
+    const lots = taxLots ? taxLots.map(normalizeLot) : null;
+
     const {
       targetSpending = 0,
       otherIncome = 0,          // Social Security, pension, etc.
+      otherIncomeDetail = null, // { socialSecurity, pension, taxFree }; the rest is ordinary
       allowRothWithdrawals = false, // Preserve Roth by default
       charitableGiving = 0,     // Use QCDs if possible
       taxLossHarvesting = 0,    // Available losses to harvest
@@ -76,33 +114,83 @@ export class WithdrawalSequencer {
       {
         allowRothWithdrawals,
         charitableGiving,
+        qcdLimit: taxCalculator.rules.qcdLimit,
         taxLossHarvesting,
+        taxLots: lots,
+        lotSelection: { saleDate: `${taxYear}-12-31`, ...lotSelection },
       }
     );
 
-    // Step 4: Calculate tax liability
-    const income = this.calculateIncome(sequence, otherIncome);
-    const taxes = this.taxCalculator.calculateTax(income, household);
+    // Step 4: Calculate tax liability (lot sales net against loss carryforwards)
+    const capitalGains = sequence.lotSale
+      ? taxCalculator.netCapitalGains({
+        shortTermGain: sequence.lotSale.shortTermGain,
+        longTermGain: sequence.lotSale.longTermGain,
+        carryforward: capitalLossCarryforward,
+        filingStatus,
+      })
+      : null;
+    let income = this.calculateIncome(sequence, otherIncome, capitalGains, otherIncomeDetail);
+
+    // Giving not routed through QCDs is a cash charitable deduction
+    const charitableCash = (deductions.charitableCash || 0) + Math.max(0, charitableGiving - sequence.qcdUsed);
+    const taxOptions = {
+      deductions: charitableCash > 0 ? { ...deductions, charitableCash } : deductions,
+      irmaaMagi: magiHistory[taxYear - 2] ?? null,
+    };
+    let taxes = taxCalculator.calculateTax(income, household, taxOptions);
 
-    // Step 5: Check for Roth conversion opportunity
+    // Step 5: Check for Roth conversion opportunity (kept below the next IRMAA tier)
     const rothConversion = this.optimizeRothConversion(
       accounts,
       income,
       household,
       rothConversionBudget,
-      taxes
+      taxes,
+      taxCalculator,
+      { irmaaBuffer, acaFplTarget }
     );
 
-    // Step 6: Calculate after-tax spending power
+    // Step 6: Harvest long-term gains into the 0% bracket with the room that is left
+    const unsoldLots = sequence.lotSale ? sequence.lotSale.remainingLots : lots;
+    const lossCarryforward = capitalGains ? capitalGains.carryforward : capitalLossCarryforward;
+    const gainHarvest = gainHarvesting
+      ? this.planGainHarvest(unsoldLots, income, household, taxes, rothConversion, taxCalculator, {
+        taxOptions,
+        irmaaBuffer,
+        acaMagiLimit,
+        acaFplTarget,
+        lossCarryforward,
+        saleDate: lotSelection.saleDate || `${taxYear}-12-31`,
+      })
+      : null;
+    if (gainHarvest && gainHarvest.gain > 0) {
+      income = { ...income, longTermCapitalGains: income.longTermCapitalGains + gainHarvest.gain };
+      taxes = taxCalculator.calculateTax(income, household, taxOptions);
+    }
+    const irmaaAlerts = this.getIRMAAAlerts(taxes.irmaaProximity, rothConversion);
+    const acaAlerts = this.getACAAlerts(taxes.aca, rothConversion);
+
+    // Step 7: Calculate after-tax spending power
     const grossWithdrawals = Object.values(sequence.withdrawals).reduce((sum, amt) => sum + amt, 0);
     const afterTaxSpending = grossWithdrawals + otherIncome - taxes.totalTax;
 
     return {
+      taxYear,
       withdrawals: sequence.withdrawals,
       rmds,
       income,
       taxes,
       rothConversion,
+      // Conversions add to MAGI for the IRMAA lookback
+      magi: taxes.magi + rothConversion.amount,
+      irmaaAlerts,
+      acaAlerts,
+      lotSale: sequence.lotSale,
+      capitalGains,
+      gainHarvest,
+      remainingLots: gainHarvest && gainHarvest.gain > 0 ? gainHarvest.lots : unsoldLots,
+      capitalLossCarryforward: lossCarryforward,
       summary: {
         targetSpending,
         grossWithdrawals,
@@ -116,11 +204,111 @@ export class WithdrawalSequencer {
         qcdUsed: sequence.qcdUsed,
         taxLossHarvested: sequence.taxLossHarvested,
         rothConversionAmount: rothConversion.amount,
+        irmaaHeadroom: Math.max(0, taxCalculator.getIRMAAHeadroom(taxes.irmaaProximity, irmaaBuffer) - rothConversion.amount),
+        acaHeadroom: Math.max(0, taxCalculator.getACAHeadroom(taxes.aca, { maxFplPercent: acaFplTarget }) - rothConversion.amount),
         efficiencyScore: this.calculateEfficiencyScore(sequence, taxes),
       },
     };
   }
 
+  /**
+   * Compare giving every year against bunching several years of gifts
+   * into a donor-advised fund, so alternate years itemize and the rest
+   * take the standard deduction. Everything else in the plan is held
+   * constant; QCDs are excluded (they cannot fund a DAF).
+   *
+   * @param {Object} accounts - Account balances by type
+   * @param {Object} needs - Spending needs (as optimizeWithdrawals)
+   * @param {Object} household - Household info
+   * @param {Object} options
+   * @param {number} options.annualGiving - Gifts per year (default needs.charitableGiving)
+   * @param {number} options.years - Years to analyze
+   * @param {number[]} options.bunchingYears - Bunching cycles to test (years of gifts per DAF contribution)
+   * @param {boolean} options.useAppreciatedStock - Fund the DAF with appreciated stock
+   * @param {Object} options.deductions - Other itemized deductions (mortgage interest, property tax, ...)
+   * @param {number} options.startYear - First tax year
+   * @returns {Object} Year-by-year schedule and tax per strategy, plus the recommendation
+   */
+  analyzeCharitableBunching(accounts, needs, household, options = {}) {
+    const {
+      annualGiving = needs.charitableGiving || 0,
+      years = 6,
+      bunchingYears = [2, 3],
+      useAppreciatedStock = false,
+      deductions = {},
+      startYear = this.taxCalculator.taxYear,
+    } = options;
+
+    const strategies = [1, ...bunchingYears].map(cycle => {
+      const giftKey = cycle === 1 ? 'charitableCash' : (useAppreciatedStock ? 'dafStock' : 'dafCash');
+      let carryforward = deductions.charitableCarryforward || 0;
+      const schedule = [];
+
+      for (let i = 0; i < years; i++) {
+        const gift = i % cycle === 0 ? annualGiving * Math.min(cycle, years - i) : 0;
+        const plan = this.optimizeWithdrawals(
+          accounts,
+          { ...needs, charitableGiving: 0 },
+          {
+            ...household,
+            age1: household.age1 + i,
+            age2: household.age2 !== null && household.age2 !== undefined ? household.age2 + i : null,
+          },
+          {
+            taxYear: startYear + i,
+            deductions: {
+              ...deductions,
+              [giftKey]: (deductions[giftKey] || 0) + gift,
+              charitableCarryforward: carryforward,
+            },
+          }
+        );
+
+        const { deduction } = plan.taxes;
+        carryforward = deduction.charitableCarryforward;
+        schedule.push({
+          taxYear: startYear + i,
+          gift,
+          deductionMethod: deduction.method,
+          deduction: deduction.amount,
+          totalTax: plan.taxes.totalTax,
+        });
+      }
+
+      return {
+        strategy: cycle === 1 ? 'annual' : `bunch_${cycle}_years`,
+        cycleYears: cycle,
+        vehicle: cycle === 1 ? 'direct' : 'daf',
+        schedule,
+        totalGiving: schedule.reduce((sum, y) => sum + y.gift, 0),
+        totalTax: schedule.reduce((sum, y) => sum + y.totalTax, 0),
+        endingCarryforward: totalCharitableCarryforward(carryforward),
+      };
+    });
+
+    const baselineTax = strategies[0].totalTax;
+    strategies.forEach(s => { s.taxSavings = baselineTax - s.totalTax; });
+    const recommended = strategies.reduce((best, s) => (s.totalTax < best.totalTax ? s : best), strategies[0]);
+
+    return {
+      annualGiving,
+      years,
+      strategies,
+      recommended: recommended.strategy,
+      taxSavings: recommended.taxSavings,
+    };
+  }
+
+  /**
+   * Get (cached) tax calculator for a tax year.
+   */
+  getTaxCalculator(taxYear) {
+    if (!this.taxCalculators.has(taxYear)) {
+      this.taxCalculators.set(taxYear, new TaxCalculator(taxYear, { registry: this.taxRuleRegistry }));
+    }
+    return this.taxCalculators.get(taxYear);
+  }
+
   /**
    * Calculate RMDs for all applicable accounts.
    */
@@ -156,10 +344,11 @@ export class WithdrawalSequencer {
     let remaining = spendingGap;
     let qcdUsed = 0;
     let taxLossHarvested = 0;
+    let lotSale = null;
 
     // Apply QCDs (Qualified Charitable Distributions) first
     if (options.charitableGiving > 0 && rmds.ira_traditional > 0) {
-      const maxQCD = Math.min(options.charitableGiving, 105000, rmds.ira_traditional);
+      const maxQCD = Math.min(options.charitableGiving, options.qcdLimit ?? 105000, rmds.ira_traditional);
       qcdUsed = maxQCD;
       withdrawals.qcd = maxQCD;
       remaining = Math.max(0, remaining - maxQCD); // QCD counts toward spending
@@ -171,8 +360,11 @@ export class WithdrawalSequencer {
       withdrawals.taxable = (withdrawals.taxable || 0) + taxableWithdrawal;
       remaining -= taxableWithdrawal;
 
-      // Apply tax-loss harvesting if available
-      if (options.taxLossHarvesting > 0) {
+      if (options.taxLots && options.taxLots.length > 0) {
+        // Sell actual lots; any balance beyond the lots is treated as cash
+        lotSale = selectLots(options.taxLots, taxableWithdrawal, options.lotSelection);
+      } else if (options.taxLossHarvesting > 0) {
+        // Apply tax-loss harvesting if available
         taxLossHarvested = Math.min(options.taxLossHarvesting, taxableWithdrawal * 0.3); // ~30% could be losses
       }
     }
@@ -209,43 +401,63 @@ export class WithdrawalSequencer {
       withdrawals,
       qcdUsed,
       taxLossHarvested,
+      lotSale,
       shortfall: remaining,
     };
   }
 
   /**
    * Calculate income from withdrawals.
+   *
+   * @param {Object} capitalGains - Netted lot gains (see TaxCalculator.netCapitalGains);
+   *   without lots, ESTIMATED_GAIN_RATIO of a taxable withdrawal is long-term gain
+   * @param {Object} otherIncomeDetail - { socialSecurity, pension (taxable part),
+   *   taxFree } of otherIncome; without it all other income is treated as
+   *   Social Security
    */
-  calculateIncome(sequence, otherIncome) {
+  calculateIncome(sequence, otherIncome, capitalGains = null, otherIncomeDetail = null) {
     const { withdrawals, qcdUsed, taxLossHarvested } = sequence;
+    const { socialSecurity = 0, pension = 0, taxFree = 0 } = otherIncomeDetail || { socialSecurity: otherIncome };
+    const otherOrdinaryIncome = Math.max(0, otherIncome - socialSecurity - pension - taxFree);
 
     // Taxable income from withdrawals
-    const ordinaryIncome = 
+    const retirementDistributions =
       (withdrawals.ira_traditional || 0) +
       (withdrawals['401k_traditional'] || 0) -
       (qcdUsed || 0); // QCDs are not taxable
 
-    // Capital gains from taxable accounts (assume 30% is gains)
+    // Capital gains from taxable accounts
     const taxableWithdrawal = withdrawals.taxable || 0;
-    const capitalGains = Math.max(0, taxableWithdrawal * 0.3 - (taxLossHarvested || 0));
+    const shortTermCapitalGains = capitalGains ? capitalGains.shortTermGain : 0;
+    const longTermCapitalGains = capitalGains
+      ? capitalGains.longTermGain
+      : Math.max(0, taxableWithdrawal * ESTIMATED_GAIN_RATIO - (taxLossHarvested || 0));
+    const lossDeduction = capitalGains ? capitalGains.lossDeduction : 0;
 
     // Roth withdrawals are tax-free
     const rothDistributions = withdrawals.ira_roth || 0;
 
     return {
-      ordinaryIncome,
-      longTermCapitalGains: capitalGains,
+      // Short-term gains are ordinary income; net losses deduct up to $3,000
+      ordinaryIncome: retirementDistributions + pension + otherOrdinaryIncome + shortTermCapitalGains - lossDeduction,
+      longTermCapitalGains,
+      shortTermCapitalGains,
       qualifiedDividends: 0, // Separate calculation in full plan
-      socialSecurity: otherIncome, // Simplified (assume all other income is SS)
+      socialSecurity,
       rothDistributions,
       municipalBondInterest: 0,
+      retirementDistributions: retirementDistributions + pension, // For state retirement-income exclusions
     };
   }
 
   /**
-   * Optimize Roth conversion amount.
+   * Optimize Roth conversion amount. Conversions fill the current bracket
+   * but stop short of the next IRMAA tier for the premium year they set.
+   * Single-year only; RothConversionOptimizer plans the whole horizon.
    */
-  optimizeRothConversion(accounts, currentIncome, household, budget, currentTaxes) {
+  optimizeRothConversion(accounts, currentIncome, household, budget, currentTaxes, taxCalculator = this.taxCalculator, options = {}) {
+    const { irmaaBuffer = 0, acaFplTarget = null } = options;
+
     if (budget === 0 || accounts.ira_traditional === 0) {
       return { amount: 0, additionalTax: 0, benefit: null };
     }
@@ -254,7 +466,8 @@ export class WithdrawalSequencer {
     const currentMarginal = currentTaxes.marginalRate / 100;
     const nextBracketThreshold = this.getNextBracketThreshold(
       currentTaxes.taxableIncome,
-      household.filingStatus
+      household.filingStatus,
+      taxCalculator
     );
 
     if (!nextBracketThreshold) {
@@ -262,14 +475,23 @@ export class WithdrawalSequencer {
     }
 
     const roomInBracket = nextBracketThreshold - currentTaxes.taxableIncome;
-    const conversionAmount = Math.min(budget, roomInBracket, accounts.ira_traditional);
+    const irmaaHeadroom = taxCalculator.getIRMAAHeadroom(currentTaxes.irmaaProximity, irmaaBuffer);
+    const acaHeadroom = taxCalculator.getACAHeadroom(currentTaxes.aca, { maxFplPercent: acaFplTarget });
+    const unconstrained = Math.min(budget, roomInBracket, accounts.ira_traditional);
+    const conversionAmount = Math.min(unconstrained, irmaaHeadroom, acaHeadroom);
+    let limitedBy = null;
+    if (conversionAmount < unconstrained) limitedBy = acaHeadroom <= irmaaHeadroom ? 'aca' : 'irmaa';
 
     if (conversionAmount <= 0) {
-      return { amount: 0, additionalTax: 0, benefit: null };
+      return { amount: 0, additionalTax: 0, benefit: null, limitedBy, irmaaHeadroom, acaHeadroom };
     }
 
-    // Calculate tax on conversion
-    const additionalTax = conversionAmount * currentMarginal;
+    // Calculate tax on conversion, counting premium tax credit lost to the higher MAGI
+    const premiumTaxCreditLost = currentTaxes.aca?.applies
+      ? currentTaxes.aca.premiumTaxCredit
+        - taxCalculator.calculatePremiumTaxCredit(currentTaxes.aca.magi + conversionAmount, household).premiumTaxCredit
+      : 0;
+    const additionalTax = conversionAmount * currentMarginal + premiumTaxCreditLost;
 
     // Calculate benefit (future tax savings)
     const futureMarginalRate = 0.24; // Assume 24% future rate (conservative)
@@ -282,14 +504,118 @@ export class WithdrawalSequencer {
       benefit,
       breakEvenYears: additionalTax / (futureTaxSavings - additionalTax) || Infinity,
       recommendation: benefit > 0 ? 'Convert' : 'Skip',
+      limitedBy,
+      irmaaHeadroom,
+      acaHeadroom,
+      premiumTaxCreditLost,
     };
   }
 
+  /**
+   * Size the year's 0% gain harvest: the smallest of the room left in the
+   * 0% LTCG bracket after any Roth conversion, the IRMAA headroom and the
+   * ACA cliff, realized from long-term lots. Skipped while a capital loss
+   * carryforward remains, since the gains would only absorb the losses.
+   *
+   * @returns {Object} { capacity, limitedBy, limits, sales, proceeds, gain, basisStepUp, lots }
+   */
+  planGainHarvest(lots, income, household, taxes, rothConversion, taxCalculator = this.taxCalculator, options = {}) {
+    const {
+      taxOptions = {},
+      irmaaBuffer = 0,
+      acaMagiLimit = null,
+      acaFplTarget = null,
+      lossCarryforward = {},
+      saleDate,
+    } = options;
+    const conversion = rothConversion.amount || 0;
+    const noHarvest = { sales: [], proceeds: 0, gain: 0, basisStepUp: 0, lots };
+
+    if ((lossCarryforward.shortTerm || 0) + (lossCarryforward.longTerm || 0) > 0) {
+      return { capacity: 0, limitedBy: 'loss_carryforward', limits: {}, ...noHarvest };
+    }
+
+    const { capacity: zeroRate } = taxCalculator.findZeroRateGainCapacity(
+      {
+        ...income,
+        ordinaryIncome: income.ordinaryIncome + conversion,
+        retirementDistributions: (income.retirementDistributions || 0) + conversion,
+      },
+      household,
+      taxOptions
+    );
+    const limits = {
+      zero_rate: zeroRate,
+      irmaa: taxCalculator.getIRMAAHeadroom(taxes.irmaaProximity, irmaaBuffer) - conversion,
+      aca: acaMagiLimit !== null
+        ? acaMagiLimit - (taxes.aca.magi + conversion)
+        : taxCalculator.getACAHeadroom(taxes.aca, { maxFplPercent: acaFplTarget }) - conversion,
+    };
+    const [binding, room] = Object.entries(limits).reduce((min, limit) => (limit[1] < min[1] ? limit : min));
+    const capacity = Math.max(0, room);
+
+    const harvest = lots && lots.length > 0 && capacity > 0
+      ? harvestGains(lots, capacity, { saleDate })
+      : noHarvest;
+
+    // Gains at 0% federal still raise ACA MAGI and shrink the premium tax credit
+    const premiumTaxCreditCost = taxes.aca.applies && harvest.gain > 0
+      ? taxCalculator.calculatePremiumTaxCredit(taxes.aca.magi + conversion, household).premiumTaxCredit
+        - taxCalculator.calculatePremiumTaxCredit(taxes.aca.magi + conversion + harvest.gain, household).premiumTaxCredit
+      : 0;
+
+    return {
+      capacity,
+      // Fewer long-term gains than room: the lots, not the tax limits, bind
+      limitedBy: harvest.gain < capacity - 1 ? 'unrealized_gains' : binding,
+      limits,
+      premiumTaxCreditCost,
+      ...harvest,
+    };
+  }
+
+  /**
+   * IRMAA cliff alerts for the year's plan.
+   */
+  getIRMAAAlerts(proximity, rothConversion) {
+    const alerts = [];
+    if (proximity?.alert) {
+      alerts.push({ type: 'irmaa_cliff', premiumYear: proximity.premiumYear, distance: proximity.distanceToNextTier, message: proximity.alert });
+    }
+    if (rothConversion.limitedBy === 'irmaa') {
+      alerts.push({
+        type: 'roth_conversion_capped',
+        premiumYear: proximity.premiumYear,
+        distance: rothConversion.irmaaHeadroom,
+        message: `Roth conversion capped at $${Math.round(rothConversion.amount).toLocaleString()} to stay below IRMAA tier ${proximity.tier + 1}`,
+      });
+    }
+    return alerts;
+  }
+
+  /**
+   * ACA subsidy cliff alerts for the year's plan.
+   */
+  getACAAlerts(aca, rothConversion) {
+    const alerts = [];
+    if (aca?.alert) {
+      alerts.push({ type: 'aca_cliff', distance: aca.distanceToCliff, message: aca.alert });
+    }
+    if (rothConversion.limitedBy === 'aca') {
+      alerts.push({
+        type: 'roth_conversion_capped',
+        distance: rothConversion.acaHeadroom,
+        message: `Roth conversion capped at $${Math.round(rothConversion.amount).toLocaleString()} to keep the ACA premium tax credit`,
+      });
+    }
+    return alerts;
+  }
+
   /**
    * Get next tax bracket threshold.
    */
-  getNextBracketThreshold(currentIncome, filingStatus) {
-    const brackets = this.taxCalculator.federalBrackets[filingStatus];
+  getNextBracketThreshold(currentIncome, filingStatus, taxCalculator = this.taxCalculator) {
+    const brackets = taxCalculator.federalBrackets[filingStatus];
     
     for (let i = 0; i < brackets.length - 1; i++) {
       if (currentIncome < brackets[i + 1].threshold) {
@@ -329,10 +655,31 @@ export class WithdrawalSequencer {
 
   /**
    * Simulate multi-year withdrawal strategy.
+   *
+   * @param {number} startYear - Calendar year of the first simulated year (drives tax rules)
+   * @param {Object} options
+   * @param {Object} options.magiHistory - MAGI for years before startYear (IRMAA lookback)
+   * @param {number} options.irmaaBuffer - MAGI cushion to keep below the next IRMAA tier
+   * @param {Array} options.taxLots - Taxable lots; unsold lots carry to the next year
+   * @param {Object} options.lotSelection - Lot selection method (see optimizeWithdrawals)
+   * @param {Object} options.capitalLossCarryforward - { shortTerm, longTerm } entering startYear
+   * @param {boolean} options.gainHarvesting - Harvest 0% long-term gains each year
+   * @param {number} options.acaMagiLimit - MAGI ceiling while on marketplace coverage
+   * @param {number} options.acaFplTarget - Keep ACA MAGI below this FPL percentage
    */
-  simulateMultiYear(accounts, needs, household, years = 30) {
+  simulateMultiYear(accounts, needs, household, years = 30, startYear = new Date().getFullYear(), options = {}) {
+    const {
+      irmaaBuffer = 0,
+      lotSelection = {},
+      gainHarvesting = false,
+      acaMagiLimit = null,
+      acaFplTarget = null,
+    } = options;
     const results = [];
     let currentAccounts = { ...accounts };
+    const magiHistory = { ...(options.magiHistory || {}) };
+    let taxLots = options.taxLots || null;
+    let capitalLossCarryforward = options.capitalLossCarryforward || {};
 
     for (let year = 0; year < years; year++) {
       const age1 = household.age1 + year;
@@ -341,8 +688,22 @@ export class WithdrawalSequencer {
       const yearResult = this.optimizeWithdrawals(
         currentAccounts,
         needs,
-        { ...household, age1, age2 }
+        { ...household, age1, age2 },
+        {
+          taxYear: startYear + year,
+          magiHistory,
+          irmaaBuffer,
+          taxLots,
+          lotSelection,
+          capitalLossCarryforward,
+          gainHarvesting,
+          acaMagiLimit,
+          acaFplTarget,
+        }
       );
+      magiHistory[startYear + year] = yearResult.magi;
+      taxLots = yearResult.remainingLots;
+      capitalLossCarryforward = yearResult.capitalLossCarryforward;
 
       // Update account balances (simplified - no growth assumed)
       Object.keys(yearResult.withdrawals).forEach(accountType => {
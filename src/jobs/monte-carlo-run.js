@@ -0,0 +1,47 @@
+/**
+ * Monte Carlo Run Job
+ *
+ * Background execution of POST /api/v1/monte-carlo/run with
+ * `background: true`. The payload carries the request's scenario and
+ * options; the job result is the same { result, meta } body the synchronous
+ * endpoint returns, read back from GET /api/v1/jobs/:id. Planning graph
+ * runs tax each path with the tax_rule_sets rows loaded for the job.
+ */
+
+import { MonteCarloService, summarizeSimulation } from '../services/monte-carlo-service.js';
+import { returnModels } from '../services/planning-service.js';
+
+export const JOB_TYPE = 'monte_carlo';
+
+const monteCarlo = new MonteCarloService();
+
+/**
+ * Run the simulation described by the job payload.
+ *
+ * @param {Object} job - job_queue row ({ payload: { scenarioId, scenario, options } })
+ * @param {Object} context - { reportProgress }
+ * @returns {Promise<Object>} { result, meta }
+ */
+export async function run(job, { reportProgress }) {
+  const { scenarioId, scenario, options = {} } = job.payload;
+  const { returnModelId = null, ...simulationOptions } = options;
+
+  const returnModel = returnModelId ? await returnModels.getById(returnModelId) : null;
+  if (returnModelId && !returnModel) {
+    const error = new Error(`Return model ${returnModelId} not found`);
+    error.retryable = false;
+    throw error;
+  }
+
+  if (simulationOptions.mode === 'planning_graph') await monteCarlo.planningGraph.loadTaxRules();
+
+  const result = await monteCarlo.runSimulation(scenarioId, scenario, {
+    ...simulationOptions,
+    returnModel,
+    onProgress: reportProgress,
+  });
+
+  return summarizeSimulation(result, { mode: simulationOptions.mode });
+}
+
+export default { run };
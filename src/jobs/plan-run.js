@@ -0,0 +1,160 @@
+/**
+ * Plan Run Job
+ *
+ * Executes a queued plan_runs row (POST /api/v1/plans/scenarios/:sid/runs)
+ * in the worker process:
+ * - deterministic: one Planning Graph projection over the run's horizon,
+ *   with the projection's recommendations stored for the run
+ * - monte_carlo: num_simulations Planning Graph paths drawn from the
+ *   assumption set's return model, seeded with the run's random_seed so a
+ *   retry or re-run reproduces the stored numbers; the yearly percentile
+ *   bands and representative sample paths go to projection_timeseries;
+ *   spending follows the assumption set's withdrawal policy, and the
+ *   household's goals are funded in priority order within each path
+ *
+ * Taxes follow the statutory tables with any tax_rule_sets rows layered on
+ * (reloaded for each run, so new rule versions apply without a restart).
+ * The scenario is built from the household's stored people, accounts and
+ * streams, taxed under its stored state and filing status with the
+ * assumption set's inflation and tax options. plan_runs status and progress mirror the job (run_status shares
+ * the job statuses), so GET /runs/:id/status works with or without the job.
+ */
+
+import { PlanningGraphService } from '../services/planning-graph-service.js';
+import { MonteCarloService, samplePathRows } from '../services/monte-carlo-service.js';
+import { planRuns, assumptionSets, returnModels } from '../services/planning-service.js';
+
+const JOB_NAME = 'PlanRun';
+export const JOB_TYPE = 'plan_run';
+
+const planningGraph = new PlanningGraphService();
+const monteCarlo = new MonteCarloService({ planningGraph });
+
+/**
+ * Execute the job's plan run.
+ *
+ * @param {Object} job - job_queue row ({ plan_run_id })
+ * @param {Object} context - { reportProgress }
+ * @returns {Promise<Object>} Results written to the plan run
+ */
+export async function run(job, { reportProgress }) {
+  const planRun = await planRuns.getById(job.plan_run_id);
+  if (!planRun) throw permanent(`Plan run ${job.plan_run_id} not found`);
+  if (planRun.run_type === 'optimization') {
+    throw permanent('Optimization runs are not supported by the worker yet');
+  }
+
+  const assumptionSet = await assumptionSets.getById(planRun.assumption_set_id);
+  if (!assumptionSet) throw permanent(`Assumption set ${planRun.assumption_set_id} not found`);
+
+  const scenario = await planningGraph.loadHouseholdScenario(planRun.household_id, {
+    assumptions: {
+      ...assumptionSet.tax_options,
+      inflationRate: Number(assumptionSet.inflation_cpi) || undefined,
+      healthcareInflation: Number(assumptionSet.healthcare_inflation) || undefined,
+    },
+  });
+  if (!scenario) throw permanent(`Household ${planRun.household_id} not found`);
+  await planningGraph.loadTaxRules();
+
+  console.log(`[${JOB_NAME}] ${planRun.run_type} run ${planRun.id} over ${planRun.horizon_years} years`);
+
+  const results = planRun.run_type === 'monte_carlo'
+    ? await runMonteCarlo(planRun, scenario, assumptionSet, reportProgress)
+    : await runDeterministic(planRun, scenario);
+
+  await planRuns.updateResults(planRun.id, results);
+  return results;
+}
+
+async function runDeterministic(planRun, scenario) {
+  const startDate = `${new Date().toISOString().substring(0, 7)}-01`;
+  const end = new Date(startDate);
+  end.setMonth(end.getMonth() + planRun.horizon_years * 12 - 1);
+
+  const entries = await planningGraph.generatePlanningGraph(planRun.scenario_id, scenario, {
+    startDate,
+    endDate: end.toISOString().split('T')[0],
+    quiet: true,
+  });
+  await planningGraph.storeRecommendations(planRun.id, entries, scenario.assumptions);
+
+  const last = entries[entries.length - 1];
+  const terminalWealth = last ? last.taxable_balance + last.tax_deferred_balance + last.tax_free_balance : 0;
+  const { depletionDate } = planningGraph.summarizeProjection(entries);
+
+  return {
+    successProbability: depletionDate ? 0 : 1,
+    medianTerminalWealth: terminalWealth,
+    p10TerminalWealth: terminalWealth,
+    p90TerminalWealth: terminalWealth,
+    maxDrawdownMedian: null,
+  };
+}
+
+async function runMonteCarlo(planRun, scenario, assumptionSet, reportProgress) {
+  const returnModel = await returnModels.getById(assumptionSet.return_model_id);
+  const result = await monteCarlo.runSimulation(planRun.scenario_id, scenario, {
+    mode: 'planning_graph',
+    simulations: planRun.num_simulations || 10000,
+    years: planRun.horizon_years,
+    returnModel,
+    seed: planRun.random_seed ?? undefined,
+    withdrawalPolicy: { ...assumptionSet.withdrawal_policy_params, type: assumptionSet.withdrawal_policy || 'constant' },
+    onProgress: reportProgress,
+  });
+  await planRuns.replaceTimeseries(planRun.id, [
+    ...result.analysis.timeseries,
+    ...samplePathRows(result.analysis.samplePaths),
+  ]);
+
+  return {
+    successProbability: result.analysis.successRate,
+    medianTerminalWealth: result.analysis.median,
+    p10TerminalWealth: result.analysis.percentile10,
+    p90TerminalWealth: result.analysis.percentile90,
+    maxDrawdownMedian: null,
+    goalResults: result.analysis.goals,
+  };
+}
+
+/**
+ * Mark the plan run as running.
+ */
+export async function onStart(job) {
+  await planRuns.updateStatus(job.plan_run_id, {
+    runStatus: 'running',
+    progressPercentage: 0,
+    startedAt: new Date(),
+  });
+}
+
+/**
+ * Mirror job progress onto the plan run.
+ */
+export async function onProgress(job, progressPercentage) {
+  await planRuns.updateStatus(job.plan_run_id, { progressPercentage });
+}
+
+/**
+ * Mirror the settled job onto the plan run. A job requeued for retry puts
+ * the run back to queued; only the final attempt marks it failed.
+ */
+export async function onSettled(job) {
+  const finished = job.status !== 'queued';
+  await planRuns.updateStatus(job.plan_run_id, {
+    runStatus: job.status,
+    progressPercentage: job.status === 'complete' ? 100 : (finished ? undefined : 0),
+    completedAt: finished ? new Date() : undefined,
+    errorMessage: job.status === 'complete' ? undefined : job.error_message,
+  });
+}
+
+// Errors that would fail again on retry
+function permanent(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
+export default { run, onStart, onProgress, onSettled };
@@ -26,15 +26,20 @@
  * - POST   /api/v1/households/:id/accounts            - Add account
  * - GET    /api/v1/households/:id/accounts             - List accounts
  * - PATCH  /api/v1/households/:id/accounts/:aid        - Update account
+ * - GET    /api/v1/households/:id/rmd-plan             - RMD distribution plan (?year, strategy, asOfDate)
  * 
  * - POST   /api/v1/households/:id/income-streams      - Add income stream
  * - GET    /api/v1/households/:id/income-streams       - List income streams
+ * - POST   /api/v1/households/:id/social-security/optimize - Score claiming ages (apply: write streams)
+ * - POST   /api/v1/households/:id/income-streams/:sid/lump-sum - Pension lump sum vs. annuity
+ * - POST   /api/v1/households/:id/annuity-quote         - Quote and project a SPIA/DIA (apply: save stream)
  * 
  * - POST   /api/v1/households/:id/expense-streams     - Add expense stream
  * - GET    /api/v1/households/:id/expense-streams      - List expense streams
  * 
  * - POST   /api/v1/households/:id/goals               - Add goal
  * - GET    /api/v1/households/:id/goals                - List goals
+ * - POST   /api/v1/households/:id/goals/:gid/charitable-plan - Compare giving vehicles
  */
 
 import { Router } from 'express';
@@ -48,8 +53,16 @@ import {
   expenseStreams,
   goals,
 } from '../services/household-service.js';
+import { CharitablePlanningService } from '../services/charitable-planning-service.js';
+import { RMDPlanningService } from '../services/rmd-planning-service.js';
+import { SocialSecurityService } from '../services/social-security-service.js';
+import { PensionService } from '../services/pension-service.js';
 
 const router = Router();
+const charitablePlanning = new CharitablePlanningService();
+const rmdPlanning = new RMDPlanningService();
+const socialSecurity = new SocialSecurityService();
+const pensions = new PensionService();
 
 // ============================================================================
 // MIDDLEWARE: Validate UUID format
@@ -75,13 +88,13 @@ const wrap = (fn) => (req, res, next) => fn(req, res, next).catch(next);
 
 // Create household
 router.post('/', wrap(async (req, res) => {
-  const { name, primaryAdvisorId, serviceTier, tags, notes } = req.body;
+  const { name, primaryAdvisorId, serviceTier, tags, notes, taxLocality } = req.body;
   
   if (!name) {
     return res.status(400).json({ error: 'name is required' });
   }
 
-  const household = await households.create({ name, primaryAdvisorId, serviceTier, tags, notes });
+  const household = await households.create({ name, primaryAdvisorId, serviceTier, tags, notes, taxLocality });
   res.status(201).json(household);
 }));
 
@@ -233,6 +246,20 @@ router.patch('/:id/accounts/:aid', validateUUID('id'), validateUUID('aid'), wrap
   res.json(account);
 }));
 
+// RMD distribution plan: required amounts, year-to-date distributions and shortfalls
+router.get('/:id/rmd-plan', validateUUID('id'), wrap(async (req, res) => {
+  const options = {
+    year: req.query.year !== undefined ? Number(req.query.year) : undefined,
+    strategy: req.query.strategy,
+    asOfDate: req.query.asOfDate,
+  };
+  const error = rmdPlanning.validate(options);
+  if (error) return res.status(400).json({ error });
+
+  const plan = await rmdPlanning.planForHousehold(req.params.id, options);
+  res.json(plan);
+}));
+
 // ============================================================================
 // INCOME STREAMS
 // ============================================================================
@@ -251,6 +278,54 @@ router.get('/:id/income-streams', validateUUID('id'), wrap(async (req, res) => {
   res.json(result);
 }));
 
+// Score every claiming-age combination through the planning graph; apply writes
+// the recommended strategy back as the household's Social Security streams
+router.post('/:id/social-security/optimize', validateUUID('id'), wrap(async (req, res) => {
+  const scenario = await socialSecurity.buildScenario(req.params.id, req.body);
+  if (!scenario) return res.status(404).json({ error: 'Household not found' });
+
+  const error = socialSecurity.validate(scenario, req.body);
+  if (error) return res.status(400).json({ error });
+
+  const result = await socialSecurity.optimize(scenario, req.body);
+  if (req.body.apply) {
+    result.incomeStreams = await socialSecurity.applyStrategy(req.params.id, result.recommended, result);
+  }
+  res.json(result);
+}));
+
+// Compare a pension's lump-sum offer with its annuity, in the plan and on a
+// mortality-weighted basis
+router.post('/:id/income-streams/:sid/lump-sum', validateUUID('id'), validateUUID('sid'), wrap(async (req, res) => {
+  const scenario = await pensions.planningGraph.loadHouseholdScenario(req.params.id, req.body);
+  if (!scenario) return res.status(404).json({ error: 'Household not found' });
+
+  const stream = scenario.incomeStreams.find(s => s.id === req.params.sid);
+  if (!stream) return res.status(404).json({ error: 'Income stream not found' });
+
+  const error = pensions.validateLumpSum(stream, req.body);
+  if (error) return res.status(400).json({ error });
+
+  const result = await pensions.compareLumpSum(scenario, stream, req.body);
+  res.json(result);
+}));
+
+// Quote a SPIA/DIA and project the plan with and without it; apply saves the
+// annuity as an income stream
+router.post('/:id/annuity-quote', validateUUID('id'), wrap(async (req, res) => {
+  const scenario = await pensions.planningGraph.loadHouseholdScenario(req.params.id, req.body);
+  if (!scenario) return res.status(404).json({ error: 'Household not found' });
+
+  const error = pensions.validatePurchase(scenario, req.body);
+  if (error) return res.status(400).json({ error });
+
+  const result = await pensions.planPurchase(scenario, req.body);
+  if (req.body.apply) {
+    result.incomeStream = await pensions.savePurchase(req.params.id, result.stream);
+  }
+  res.json(result);
+}));
+
 // ============================================================================
 // EXPENSE STREAMS
 // ============================================================================
@@ -287,6 +362,21 @@ router.get('/:id/goals', validateUUID('id'), wrap(async (req, res) => {
   res.json(result);
 }));
 
+// Compare QCD, appreciated stock, DAF bunching and CRT for a charitable goal
+router.post('/:id/goals/:gid/charitable-plan', validateUUID('id'), validateUUID('gid'), wrap(async (req, res) => {
+  const goal = await goals.getById(req.params.gid);
+  if (!goal || goal.household_id !== req.params.id) {
+    return res.status(404).json({ error: 'Goal not found' });
+  }
+
+  const error = charitablePlanning.validate(goal, req.body);
+  if (error) return res.status(400).json({ error });
+
+  const lots = req.body.lots ?? await accounts.listTaxableLots(req.params.id);
+  const plan = await charitablePlanning.planForGoal(goal, { ...req.body, lots });
+  res.json(plan);
+}));
+
 // ============================================================================
 // ERROR HANDLER
 // ============================================================================
@@ -0,0 +1,108 @@
+/**
+ * Farther Prism - Background Job Routes
+ *
+ * GET  /api/v1/jobs/:id         - Job status, progress and (when complete) result
+ * GET  /api/v1/jobs/:id/events  - Server-sent events: status/progress until the job finishes
+ * POST /api/v1/jobs/:id/cancel  - Cancel a queued or running job
+ * POST /api/v1/jobs/:id/retry   - Requeue a failed or cancelled job
+ */
+
+import { Router } from 'express';
+import { jobQueue, jobEvents, describeJob, TERMINAL_JOB_STATUSES } from '../services/job-queue-service.js';
+import { planRuns } from '../services/planning-service.js';
+
+const router = Router();
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const validateUUID = (param) => (req, res, next) => {
+  if (!UUID_REGEX.test(req.params[param])) return res.status(400).json({ error: `Invalid UUID: ${param}` });
+  next();
+};
+const wrap = (fn) => (req, res, next) => fn(req, res, next).catch(next);
+
+const KEEP_ALIVE_MS = 15000;
+
+router.get('/:id', validateUUID('id'), wrap(async (req, res) => {
+  const job = await jobQueue.getById(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json(describeJob(job));
+}));
+
+router.get('/:id/events', validateUUID('id'), wrap(async (req, res) => {
+  // Subscribe before reading the job so no transition is missed in between
+  const pending = [];
+  let send = (event) => pending.push(event);
+  const unsubscribe = await jobEvents.subscribe(req.params.id, (event) => send(event));
+
+  const job = await jobQueue.getById(req.params.id);
+  if (!job) {
+    unsubscribe();
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+  const close = () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+    res.end();
+  };
+  req.on('close', close);
+
+  const write = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  // Finished jobs send the full job (with result) and close
+  const finish = async () => {
+    const finished = await jobQueue.getById(req.params.id);
+    write('done', describeJob(finished));
+    close();
+  };
+
+  write('status', describeJob(job));
+  if (TERMINAL_JOB_STATUSES.includes(job.status)) return finish();
+
+  send = (event) => {
+    write('progress', event);
+    if (TERMINAL_JOB_STATUSES.includes(event.status)) {
+      finish().catch(error => {
+        console.error('[Jobs API] Event stream failed:', error.message);
+        close();
+      });
+    }
+  };
+  pending.forEach(send);
+}));
+
+router.post('/:id/cancel', validateUUID('id'), wrap(async (req, res) => {
+  const existing = await jobQueue.getById(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Job not found' });
+
+  const job = await jobQueue.cancel(req.params.id);
+  if (!job) return res.status(409).json({ error: `Job is already ${existing.status}` });
+
+  // Queued jobs never reach a worker, so the plan run is cancelled here
+  if (job.status === 'cancelled' && job.plan_run_id) {
+    await planRuns.updateStatus(job.plan_run_id, { runStatus: 'cancelled', completedAt: new Date() });
+  }
+  res.json(describeJob(job));
+}));
+
+router.post('/:id/retry', validateUUID('id'), wrap(async (req, res) => {
+  const existing = await jobQueue.getById(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Job not found' });
+
+  const job = await jobQueue.retry(req.params.id);
+  if (!job) return res.status(409).json({ error: `Only failed or cancelled jobs can be retried (job is ${existing.status})` });
+
+  if (job.plan_run_id) {
+    await planRuns.updateStatus(job.plan_run_id, { runStatus: 'queued', progressPercentage: 0 });
+  }
+  res.json(describeJob(job));
+}));
+
+export default router;
@@ -1,12 +1,20 @@
 /**
  * Monte Carlo API Routes
  * 
- * POST /api/v1/monte-carlo/run - Run Monte Carlo simulation
- * GET  /api/v1/monte-carlo/:scenarioId - Get simulation results
+ * POST /api/v1/monte-carlo/run - Run Monte Carlo simulation (mode: simple | planning_graph, returnModelId,
+ *                                returnMethod: parametric | bootstrap, blockLength, seed, withdrawalPolicy) with
+ *                                historical stress tests and the policy's spending cuts;
+ *                                background: true queues it and returns 202 with the job to follow
+ * GET  /api/v1/monte-carlo/:scenarioId - Get simulation results (with stress tests)
  */
 
 import express from 'express';
-import { MonteCarloService } from '../services/monte-carlo-service.js';
+import pool from '../db/pool.js';
+import { MonteCarloService, summarizeSimulation } from '../services/monte-carlo-service.js';
+import { returnModels } from '../services/planning-service.js';
+import { jobQueue } from '../services/job-queue-service.js';
+import { MAX_SEED, createSeed, isValidSeed } from '../calculation/random.js';
+import { normalizeWithdrawalPolicy } from '../calculation/withdrawal-policy.js';
 
 const router = express.Router();
 const monteCarloService = new MonteCarloService();
@@ -21,6 +29,13 @@ router.post('/run', async (req, res) => {
       scenario,
       simulations = 10000,
       years = 30,
+      mode = 'simple',
+      returnModelId = null,
+      returnMethod = 'parametric',
+      blockLength = 24,
+      seed = createSeed(),
+      withdrawalPolicy = null,
+      background = false,
     } = req.body;
 
     if (!scenarioId) {
@@ -31,31 +46,75 @@ router.post('/run', async (req, res) => {
       return res.status(400).json({ error: 'scenario data is required' });
     }
 
+    if (!['simple', 'planning_graph'].includes(mode)) {
+      return res.status(400).json({ error: 'mode must be simple or planning_graph' });
+    }
+
+    if (!['parametric', 'bootstrap'].includes(returnMethod)) {
+      return res.status(400).json({ error: 'returnMethod must be parametric or bootstrap' });
+    }
+
+    if (!Number.isInteger(blockLength) || blockLength < 1) {
+      return res.status(400).json({ error: 'blockLength must be a positive number of months' });
+    }
+
+    if (!isValidSeed(seed)) {
+      return res.status(400).json({ error: `seed must be an integer between 0 and ${MAX_SEED}` });
+    }
+
+    try {
+      normalizeWithdrawalPolicy(withdrawalPolicy);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (returnModelId && !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(returnModelId)) {
+      return res.status(400).json({ error: 'returnModelId must be a UUID' });
+    }
+
+    const returnModel = returnModelId ? await returnModels.getById(returnModelId) : null;
+    if (returnModelId && !returnModel) {
+      return res.status(404).json({ error: 'Return model not found' });
+    }
+
     console.log(`[API] Monte Carlo simulation requested for scenario ${scenarioId}`);
 
-    // Run simulation
+    // Long runs go to the worker; the job's result is the body below
+    if (background) {
+      const job = await jobQueue.enqueue('monte_carlo', {
+        scenarioId,
+        scenario,
+        // The seed is fixed here so a retried job reproduces the same run
+        options: { simulations, years, mode, returnModelId, returnMethod, blockLength, seed, withdrawalPolicy },
+      });
+      return res.status(202).json({
+        success: true,
+        scenarioId,
+        jobId: job.id,
+        seed,
+        status: job.status,
+        statusUrl: `/api/v1/jobs/${job.id}`,
+        eventsUrl: `/api/v1/jobs/${job.id}/events`,
+      });
+    }
+
+    // Run simulation (planning graph paths are taxed with the stored tax_rule_sets)
+    if (mode === 'planning_graph') await monteCarloService.planningGraph.loadTaxRules();
     const result = await monteCarloService.runSimulation(scenarioId, scenario, {
       simulations,
       years,
+      mode,
+      returnModel,
+      returnMethod,
+      blockLength,
+      seed,
+      withdrawalPolicy,
     });
 
     res.json({
       success: true,
       scenarioId,
-      result: {
-        successRate: result.analysis.successRate,
-        median: result.analysis.median,
-        percentile5: result.analysis.percentile5,
-        percentile95: result.analysis.percentile95,
-        averageEnding: result.analysis.averageEnding,
-        probabilities: result.analysis.probabilities,
-        startingValue: result.analysis.startingValue,
-      },
-      meta: {
-        simulations: result.simulations,
-        years: result.years,
-        duration: result.duration,
-      },
+      ...summarizeSimulation(result, { mode }),
     });
 
   } catch (error) {
@@ -9,6 +9,10 @@ import {
   plans, scenarios, assumptionSets, returnModels,
   taxRuleSets, planRuns,
 } from '../services/planning-service.js';
+import { jobQueue, describeJob } from '../services/job-queue-service.js';
+import { MAX_SEED, createSeed, isValidSeed } from '../calculation/random.js';
+import { normalizeWithdrawalPolicy } from '../calculation/withdrawal-policy.js';
+import { normalizeTaxOptions } from '../calculation/tax-options.js';
 
 const router = Router();
 
@@ -74,7 +78,23 @@ router.post('/scenarios/:sid/assumption-sets', validateUUID('sid'), wrap(async (
   if (!valuationAsOfDate || !inflationCpi || !healthcareInflation || !returnModelId || !taxRuleSetFederalId) {
     return res.status(400).json({ error: 'valuationAsOfDate, inflationCpi, healthcareInflation, returnModelId, taxRuleSetFederalId required' });
   }
-  res.status(201).json(await assumptionSets.create(req.params.sid, req.body));
+  let withdrawalPolicy;
+  let taxOptions;
+  try {
+    withdrawalPolicy = normalizeWithdrawalPolicy(req.body.withdrawalPolicy ? {
+      ...req.body.withdrawalPolicyParams,
+      type: req.body.withdrawalPolicy,
+    } : null);
+    taxOptions = normalizeTaxOptions(req.body.taxOptions);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  res.status(201).json(await assumptionSets.create(req.params.sid, {
+    ...req.body,
+    withdrawalPolicy: withdrawalPolicy.type,
+    withdrawalPolicyParams: withdrawalPolicy.params,
+    taxOptions,
+  }));
 }));
 
 router.get('/scenarios/:sid/assumption-sets', validateUUID('sid'), wrap(async (req, res) => {
@@ -96,9 +116,15 @@ router.post('/scenarios/:sid/runs', validateUUID('sid'), wrap(async (req, res) =
   if (!assumptionSetId || !runType || !horizonYears) {
     return res.status(400).json({ error: 'assumptionSetId, runType, horizonYears required' });
   }
-  const run = await planRuns.create(req.params.sid, assumptionSetId, req.body);
-  // TODO: Queue run for execution via BullMQ
-  res.status(201).json(run);
+  const { randomSeed = createSeed() } = req.body;
+  if (!isValidSeed(randomSeed)) {
+    return res.status(400).json({ error: `randomSeed must be an integer between 0 and ${MAX_SEED}` });
+  }
+  // Stored up front so retries and later audits reproduce the run
+  const run = await planRuns.create(req.params.sid, assumptionSetId, { ...req.body, randomSeed });
+  // Executed by the worker process (src/worker.js); follow via /api/v1/jobs/:jobId/events
+  const job = await jobQueue.enqueue('plan_run', {}, { planRunId: run.id });
+  res.status(201).json({ ...run, job_id: job.id });
 }));
 
 router.get('/runs/:id', validateUUID('id'), wrap(async (req, res) => {
@@ -113,6 +139,35 @@ router.get('/runs/:id/status', validateUUID('id'), wrap(async (req, res) => {
   res.json(status);
 }));
 
+router.get('/runs/:id/job', validateUUID('id'), wrap(async (req, res) => {
+  const job = await jobQueue.getLatestForPlanRun(req.params.id);
+  if (!job) return res.status(404).json({ error: 'No job found for run' });
+  res.json(describeJob(job));
+}));
+
+router.post('/runs/:id/cancel', validateUUID('id'), wrap(async (req, res) => {
+  const latest = await jobQueue.getLatestForPlanRun(req.params.id);
+  if (!latest) return res.status(404).json({ error: 'No job found for run' });
+
+  const job = await jobQueue.cancel(latest.id);
+  if (!job) return res.status(409).json({ error: `Run is already ${latest.status}` });
+  // A running job stops at its next progress report and the worker marks the run
+  if (job.status === 'cancelled') {
+    await planRuns.updateStatus(req.params.id, { runStatus: 'cancelled', completedAt: new Date() });
+  }
+  res.json(describeJob(job));
+}));
+
+router.post('/runs/:id/retry', validateUUID('id'), wrap(async (req, res) => {
+  const latest = await jobQueue.getLatestForPlanRun(req.params.id);
+  if (!latest) return res.status(404).json({ error: 'No job found for run' });
+
+  const job = await jobQueue.retry(latest.id);
+  if (!job) return res.status(409).json({ error: `Only failed or cancelled runs can be retried (run is ${latest.status})` });
+  await planRuns.updateStatus(req.params.id, { runStatus: 'queued', progressPercentage: 0 });
+  res.json(describeJob(job));
+}));
+
 router.get('/runs/:id/summary', validateUUID('id'), wrap(async (req, res) => {
   const summary = await planRuns.getSummary(req.params.id);
   if (!summary) return res.status(404).json({ error: 'Run not found' });
@@ -130,6 +185,18 @@ router.get('/runs/:id/timeseries', validateUUID('id'), wrap(async (req, res) =>
   res.json(ts);
 }));
 
+router.get('/runs/:id/sample-paths', validateUUID('id'), wrap(async (req, res) => {
+  const run = await planRuns.getById(req.params.id);
+  if (!run) return res.status(404).json({ error: 'Run not found' });
+  res.json(await planRuns.getSamplePaths(req.params.id));
+}));
+
+router.get('/runs/:id/goals', validateUUID('id'), wrap(async (req, res) => {
+  const summary = await planRuns.getSummary(req.params.id);
+  if (!summary) return res.status(404).json({ error: 'Run not found' });
+  res.json(summary.goal_results || []);
+}));
+
 router.get('/runs/:id/recommendations', validateUUID('id'), wrap(async (req, res) => {
   res.json(await planRuns.getRecommendations(req.params.id));
 }));
@@ -0,0 +1,41 @@
+/**
+ * Farther Prism - Tax API Routes
+ *
+ * POST /api/v1/tax/estimate - 1040-style what-if estimate for one or more years,
+ *                             or a base/proposed comparison (diff mode)
+ */
+
+import { Router } from 'express';
+import { TaxEstimateService } from '../services/tax-estimate-service.js';
+
+const router = Router();
+const taxEstimateService = new TaxEstimateService();
+
+const wrap = (fn) => (req, res, next) => fn(req, res, next).catch(next);
+
+/**
+ * Estimate taxes for a payload, or compare { base, proposed } payloads.
+ */
+router.post('/estimate', wrap(async (req, res) => {
+  const { base, proposed } = req.body;
+  const diffMode = base !== undefined || proposed !== undefined;
+
+  if (diffMode) {
+    if (!base || !proposed) return res.status(400).json({ error: 'base and proposed are both required for a comparison' });
+    const proposedPayload = { ...proposed, household: { ...base.household, ...proposed.household } };
+    const error = taxEstimateService.validatePayload(base)
+      || taxEstimateService.validatePayload(proposedPayload);
+    if (error) return res.status(400).json({ error });
+
+    await taxEstimateService.ensureTaxRules();
+    return res.json({ mode: 'compare', ...taxEstimateService.compare(base, proposed) });
+  }
+
+  const error = taxEstimateService.validatePayload(req.body);
+  if (error) return res.status(400).json({ error });
+
+  await taxEstimateService.ensureTaxRules();
+  res.json({ mode: 'estimate', ...taxEstimateService.estimate(req.body) });
+}));
+
+export default router;
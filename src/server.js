@@ -6,6 +6,8 @@
  * Routes:
  *   /api/v1/households    - Planning Graph (household CRUD)
  *   /api/v1/plans         - Plans, Scenarios, Runs, Results
+ *   /api/v1/jobs          - Background job status, events, cancel/retry
+ *   /api/v1/tax           - Tax estimates (what-if, line-by-line)
  *   /api/v1/health        - Health check
  *   /api/v1/docs          - API documentation
  */
@@ -15,6 +17,7 @@ import cors from 'cors';
 import { healthCheck } from './db/pool.js';
 import householdRoutes from './routes/households.js';
 import planRoutes from './routes/plans.js';
+import taxRoutes from './routes/tax.js';
 import statementRoutes from './routes/statements.js';
 import transcriptRoutes from './routes/transcripts.js';
 import monteCarloRoutes from './routes/monte-carlo.js';
@@ -23,6 +26,7 @@ import focusRoutes from './routes/focus.js';
 import narrativeRoutes from './routes/narrative.js';
 import presenterRoutes from './routes/presenter.js';
 import beyondRoutes from './routes/beyond.js';
+import jobRoutes from './routes/jobs.js';
 import { runMonteCarlo} from '../projects/risk-engine/src/monte-carlo.js';
 import { generateQuestion } from './services/riskAIService.js';
 
@@ -202,10 +206,14 @@ app.get('/api/v1/docs', (req, res) => {
           add: 'POST /api/v1/households/:id/accounts',
           list: 'GET /api/v1/households/:id/accounts',
           update: 'PATCH /api/v1/households/:id/accounts/:aid',
+          rmdPlan: 'GET /api/v1/households/:id/rmd-plan',
         },
         incomeStreams: {
           add: 'POST /api/v1/households/:id/income-streams',
           list: 'GET /api/v1/households/:id/income-streams',
+          optimizeSocialSecurity: 'POST /api/v1/households/:id/social-security/optimize',
+          lumpSumComparison: 'POST /api/v1/households/:id/income-streams/:sid/lump-sum',
+          annuityQuote: 'POST /api/v1/households/:id/annuity-quote',
         },
         expenseStreams: {
           add: 'POST /api/v1/households/:id/expense-streams',
@@ -214,6 +222,7 @@ app.get('/api/v1/docs', (req, res) => {
         goals: {
           add: 'POST /api/v1/households/:id/goals',
           list: 'GET /api/v1/households/:id/goals',
+          charitablePlan: 'POST /api/v1/households/:id/goals/:gid/charitable-plan',
         },
       },
       plans: {
@@ -235,8 +244,13 @@ app.get('/api/v1/docs', (req, res) => {
           create: 'POST /api/v1/plans/scenarios/:sid/runs',
           get: 'GET /api/v1/plans/runs/:id',
           status: 'GET /api/v1/plans/runs/:id/status',
+          job: 'GET /api/v1/plans/runs/:id/job',
+          cancel: 'POST /api/v1/plans/runs/:id/cancel',
+          retry: 'POST /api/v1/plans/runs/:id/retry',
           summary: 'GET /api/v1/plans/runs/:id/summary',
           timeseries: 'GET /api/v1/plans/runs/:id/timeseries',
+          samplePaths: 'GET /api/v1/plans/runs/:id/sample-paths',
+          goals: 'GET /api/v1/plans/runs/:id/goals',
           recommendations: 'GET /api/v1/plans/runs/:id/recommendations',
         },
         referenceData: {
@@ -244,6 +258,15 @@ app.get('/api/v1/docs', (req, res) => {
           taxRuleSets: 'GET /api/v1/plans/tax-rule-sets',
         },
       },
+      tax: {
+        estimate: 'POST /api/v1/tax/estimate',
+      },
+      jobs: {
+        get: 'GET /api/v1/jobs/:id',
+        events: 'GET /api/v1/jobs/:id/events',
+        cancel: 'POST /api/v1/jobs/:id/cancel',
+        retry: 'POST /api/v1/jobs/:id/retry',
+      },
     },
   });
 });
@@ -251,6 +274,7 @@ app.get('/api/v1/docs', (req, res) => {
 // Mount route modules
 app.use('/api/v1/households', householdRoutes);
 app.use('/api/v1/plans', planRoutes);
+app.use('/api/v1/tax', taxRoutes);
 app.use('/api/v1/statements', statementRoutes);
 app.use('/api/v1/transcripts', transcriptRoutes);
 app.use('/api/v1/monte-carlo', monteCarloRoutes);
@@ -259,6 +283,7 @@ app.use('/api/v1/focus', focusRoutes);
 app.use('/api/v1/narrative', narrativeRoutes);
 app.use('/api/v1/presenter', presenterRoutes);
 app.use('/api/v1/beyond', beyondRoutes);
+app.use('/api/v1/jobs', jobRoutes);
 
 // Serve frontend (if built)
 import path from 'path';
@@ -0,0 +1,94 @@
+/**
+ * Charitable Planning Service
+ *
+ * Runs the CharitablePlanner for a household's charitable goal:
+ * - Giving schedule from the goal (metadata.annualGiving, or target_amount
+ *   spread evenly through target_date)
+ * - Appreciated lots from the household's taxable accounts
+ * - Tax rules from tax_rule_sets when the database is available
+ */
+
+import { CharitablePlanner } from '../calculation/charitable-planner.js';
+import { TaxRuleRegistry } from '../calculation/tax-rules.js';
+import { taxRuleSets } from './planning-service.js';
+
+const DEFAULT_YEARS = 5;
+
+export class CharitablePlanningService {
+  constructor({ taxRuleRegistry = new TaxRuleRegistry() } = {}) {
+    this.taxRuleRegistry = taxRuleRegistry;
+    this.planner = new CharitablePlanner({ taxRuleRegistry });
+    this.taxRulesLoaded = false;
+  }
+
+  /**
+   * Load tax_rule_sets once. Without a database the statutory tables apply.
+   */
+  async ensureTaxRules() {
+    if (this.taxRulesLoaded) return;
+    try {
+      const rows = await taxRuleSets.listRules();
+      this.taxRuleRegistry.registerRuleSets(rows);
+    } catch (error) {
+      console.warn('[CharitablePlanning] Using statutory tax tables:', error.message);
+    }
+    this.taxRulesLoaded = true;
+  }
+
+  /**
+   * Validate a goal and request payload. Returns an error message or null.
+   */
+  validate(goal, payload = {}) {
+    if (goal.goal_type !== 'charitable') return 'goal must have goal_type charitable';
+    if (!payload.household || typeof payload.household !== 'object') return 'household is required';
+    if (!Number.isFinite(Number(payload.household.age1))) return 'household.age1 is required';
+    if (payload.startYear !== undefined && !Number.isInteger(payload.startYear)) return 'startYear must be an integer';
+
+    const { annualGiving } = this.getGivingSchedule(goal, payload);
+    if (!annualGiving.some(amount => amount > 0)) {
+      return 'charitable goal needs target_amount or metadata.annualGiving';
+    }
+    return null;
+  }
+
+  /**
+   * Years and per-year gifts implied by the goal.
+   *
+   * @returns {Object} { startYear, years, annualGiving: [...] }
+   */
+  getGivingSchedule(goal, payload = {}) {
+    const startYear = payload.startYear ?? new Date().getFullYear();
+    const metadata = goal.metadata || {};
+    const targetYear = goal.target_date ? new Date(goal.target_date).getFullYear() : null;
+    const years = payload.years
+      ?? (targetYear !== null && targetYear >= startYear ? targetYear - startYear + 1 : DEFAULT_YEARS);
+
+    const annual = metadata.annualGiving !== undefined
+      ? Number(metadata.annualGiving)
+      : Number(goal.target_amount || 0) / years;
+
+    return { startYear, years, annualGiving: Array(years).fill(Math.max(0, annual) || 0) };
+  }
+
+  /**
+   * Compare giving vehicles for a goal.
+   *
+   * @param {Object} goal - goals row (goal_type 'charitable')
+   * @param {Object} payload - CharitablePlanner params (household, income, rmd,
+   *   iraBalance, deductions, crt, ...) plus lots
+   * @returns {Object} { goal, schedule, vehicles, recommended, recommendation, baseline, assumptions }
+   */
+  async planForGoal(goal, payload = {}) {
+    await this.ensureTaxRules();
+    const schedule = this.getGivingSchedule(goal, payload);
+    const comparison = this.planner.compare({ ...payload, ...schedule });
+
+    return {
+      goal: { id: goal.id, name: goal.goal_name, targetAmount: goal.target_amount, targetDate: goal.target_date },
+      schedule,
+      ...comparison,
+    };
+  }
+}
+
+export default CharitablePlanningService;
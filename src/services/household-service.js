@@ -8,6 +8,7 @@
  * - Relationships (spouse, child, dependent)
  * - Ownership (who owns what)
  * - Accounts (financial accounts)
+ * - Tax profiles (filing status, state of residence)
  * 
  * All mutations are audited via database triggers.
  */
@@ -22,13 +23,13 @@ export const households = {
   /**
    * Create a new household.
    */
-  async create({ name, householdName, primaryAdvisorId, serviceTier, tags, notes }) {
+  async create({ name, householdName, primaryAdvisorId, serviceTier, tags, notes, taxLocality = null }) {
     const finalName = householdName || name; // Support both old and new param names
     const result = await query(
-      `INSERT INTO households (household_name, primary_advisor_id, metadata)
-       VALUES ($1, $2, $3)
+      `INSERT INTO households (household_name, primary_advisor_id, tax_locality, metadata)
+       VALUES ($1, $2, $3, $4)
        RETURNING *`,
-      [finalName, primaryAdvisorId, { serviceTier, tags, notes }]
+      [finalName, primaryAdvisorId, taxLocality, { serviceTier, tags, notes }]
     );
     return result.rows[0];
   },
@@ -416,6 +417,46 @@ export const accounts = {
     );
     return result.rows[0] || null;
   },
+
+  async listTaxableLots(householdId) {
+    const result = await query(
+      `SELECT l.*
+       FROM lots l
+       JOIN accounts a ON l.account_id = a.id
+       WHERE a.household_id = $1 AND a.status = 'active' AND a.tax_treatment = 'taxable'
+       ORDER BY l.acquisition_date NULLS LAST, l.id`,
+      [householdId]
+    );
+    return result.rows;
+  },
+
+  async listLots(householdId) {
+    const result = await query(
+      `SELECT l.*, a.tax_treatment
+       FROM lots l
+       JOIN accounts a ON l.account_id = a.id
+       WHERE a.household_id = $1 AND a.status = 'active'`,
+      [householdId]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Imported transactions for a household's accounts between two dates.
+   */
+  async listTransactions(householdId, { from, to, types = null } = {}) {
+    const result = await query(
+      `SELECT t.*
+       FROM account_transactions t
+       JOIN accounts a ON t.account_id = a.id
+       WHERE a.household_id = $1
+         AND t.transaction_date BETWEEN $2 AND $3
+         AND ($4::text[] IS NULL OR t.transaction_type = ANY($4))
+       ORDER BY t.transaction_date, t.id`,
+      [householdId, from, to, types]
+    );
+    return result.rows;
+  },
 };
 
 // ============================================================================
@@ -426,23 +467,45 @@ export const incomeStreams = {
   async create(householdId, {
     personId, entityId, incomeType, description, baseAmount,
     amountFrequency, growthRate, inflationIndexed, taxCharacter,
-    startDate, endDate,
-  }) {
-    const result = await query(
+    startDate, endDate, metadata,
+  }, client = null) {
+    // Runs inside replaceSocialSecurity's transaction when a client is passed
+    const db = client || { query };
+    const result = await db.query(
       `INSERT INTO income_streams (
         household_id, person_id, entity_id, income_type, description,
         base_amount, amount_frequency, growth_rate, inflation_indexed,
-        tax_character, start_date, end_date
-      ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12) RETURNING *`,
+        tax_character, start_date, end_date, metadata
+      ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13) RETURNING *`,
       [
         householdId, personId, entityId, incomeType, description,
         baseAmount, amountFrequency, growthRate || 0, inflationIndexed || false,
-        taxCharacter || 'ordinary', startDate, endDate,
+        taxCharacter || 'ordinary', startDate, endDate, metadata || {},
       ]
     );
     return result.rows[0];
   },
 
+  /**
+   * Replace a household's active Social Security streams (e.g. with a
+   * chosen claiming strategy) in one transaction.
+   */
+  async replaceSocialSecurity(householdId, streams) {
+    return withTransaction(async (client) => {
+      await client.query(
+        `UPDATE income_streams SET active = false, updated_at = NOW()
+         WHERE household_id = $1 AND income_type = 'social_security' AND active = true`,
+        [householdId]
+      );
+
+      const rows = [];
+      for (const stream of streams) {
+        rows.push(await this.create(householdId, { ...stream, incomeType: 'social_security' }, client));
+      }
+      return rows;
+    });
+  },
+
   async listByHousehold(householdId) {
     const result = await query(
       `SELECT is2.*,
@@ -566,21 +629,27 @@ export const expenseStreams = {
 export const goals = {
   async create(householdId, {
     goalType, goalName, description, priority,
-    targetAmount, targetDate, successMetric, successThreshold,
+    targetAmount, targetDate, successMetric, successThreshold, metadata,
   }) {
     const result = await query(
       `INSERT INTO goals (
         household_id, goal_type, goal_name, description, priority,
-        target_amount, target_date, success_metric, success_threshold
-      ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9) RETURNING *`,
+        target_amount, target_date, success_metric, success_threshold, metadata
+      ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10) RETURNING *`,
       [
         householdId, goalType, goalName, description, priority || 3,
         targetAmount, targetDate, successMetric || 'deterministic', successThreshold,
+        metadata || {},
       ]
     );
     return result.rows[0];
   },
 
+  async getById(id) {
+    const result = await query('SELECT * FROM goals WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  },
+
   async listByHousehold(householdId) {
     const result = await query(
       'SELECT * FROM goals WHERE household_id = $1 AND active = true ORDER BY priority, goal_name',
@@ -616,6 +685,24 @@ export const goals = {
   },
 };
 
+// ============================================================================
+// TAX PROFILES
+// ============================================================================
+
+export const taxProfiles = {
+  /**
+   * The household's most recent tax profile (filing status, state). The local
+   * tax jurisdiction is stored on the household (households.tax_locality).
+   */
+  async getLatest(householdId) {
+    const result = await query(
+      'SELECT * FROM tax_profiles WHERE household_id = $1 ORDER BY tax_year DESC LIMIT 1',
+      [householdId]
+    );
+    return result.rows[0] || null;
+  },
+};
+
 // ============================================================================
 // HELPERS
 // ============================================================================
@@ -0,0 +1,308 @@
+/**
+ * Farther Prism - Job Queue Service
+ *
+ * Durable Postgres-backed queue for long-running work (plan runs, Monte
+ * Carlo simulations), executed by the worker process (src/worker.js):
+ * - Workers claim the oldest ready job with FOR UPDATE SKIP LOCKED and keep
+ *   a heartbeat; jobs whose worker stops heartbeating are requeued
+ * - Progress and settling only apply while the worker still holds the job
+ *   (locked_by, status running): a requeued job belongs to its new worker
+ * - Failures retry with exponential backoff up to max_attempts
+ * - Cancellation is cooperative: queued jobs cancel at once, running jobs
+ *   stop at their next progress report
+ * - A trigger NOTIFYs job_queue_ready (wakes workers) and job_events
+ *   (status/progress, relayed to clients by jobEvents.subscribe)
+ */
+
+import pool, { query } from '../db/pool.js';
+
+export const JOB_TYPES = ['plan_run', 'monte_carlo'];
+export const TERMINAL_JOB_STATUSES = ['complete', 'failed', 'cancelled'];
+
+const RETRY_BASE_SECONDS = 30;
+const STALE_AFTER_SECONDS = 120;
+
+/**
+ * Thrown from a progress report when the job was cancelled.
+ */
+export class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Job ${jobId} was cancelled`);
+    this.name = 'JobCancelledError';
+  }
+}
+
+// ============================================================================
+// QUEUE
+// ============================================================================
+
+export const jobQueue = {
+  async enqueue(jobType, payload = {}, { planRunId = null, maxAttempts = 3 } = {}) {
+    const result = await query(
+      `INSERT INTO job_queue (job_type, payload, plan_run_id, max_attempts)
+       VALUES ($1, $2, $3, $4) RETURNING *`,
+      [jobType, payload, planRunId, maxAttempts]
+    );
+    return result.rows[0];
+  },
+
+  async getById(id) {
+    const result = await query('SELECT * FROM job_queue WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  },
+
+  async getLatestForPlanRun(planRunId) {
+    const result = await query(
+      'SELECT * FROM job_queue WHERE plan_run_id = $1 ORDER BY created_at DESC LIMIT 1',
+      [planRunId]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Claim the oldest ready job for a worker.
+   */
+  async claimNext(workerId) {
+    const result = await query(
+      `UPDATE job_queue SET
+        status = 'running',
+        attempts = attempts + 1,
+        locked_by = $1,
+        locked_at = NOW(),
+        heartbeat_at = NOW(),
+        started_at = COALESCE(started_at, NOW())
+       WHERE id = (
+         SELECT id FROM job_queue
+         WHERE status = 'queued' AND run_after <= NOW()
+         ORDER BY run_after, created_at
+         FOR UPDATE SKIP LOCKED
+         LIMIT 1
+       )
+       RETURNING *`,
+      [workerId]
+    );
+    return result.rows[0] || null;
+  },
+
+  async heartbeat(id, workerId) {
+    await query(
+      `UPDATE job_queue SET heartbeat_at = NOW()
+       WHERE id = $1 AND locked_by = $2 AND status = 'running'`,
+      [id, workerId]
+    );
+  },
+
+  /**
+   * Record progress. Returns false when cancellation was requested, null
+   * when the worker no longer holds the job.
+   */
+  async updateProgress(id, workerId, progressPercentage) {
+    const result = await query(
+      `UPDATE job_queue SET progress_percentage = GREATEST(progress_percentage, $3), heartbeat_at = NOW()
+       WHERE id = $1 AND locked_by = $2 AND status = 'running' RETURNING cancel_requested`,
+      [id, workerId, progressPercentage]
+    );
+    if (!result.rows[0]) return null;
+    return !result.rows[0].cancel_requested;
+  },
+
+  /**
+   * Settle a job the worker holds (complete, fail, markCancelled, release).
+   * Each returns null when the worker no longer holds it.
+   */
+  async complete(id, workerId, resultData) {
+    const result = await query(
+      `UPDATE job_queue SET status = 'complete', progress_percentage = 100, result = $3,
+        error_message = NULL, completed_at = NOW(), locked_by = NULL
+       WHERE id = $1 AND locked_by = $2 AND status = 'running' RETURNING *`,
+      [id, workerId, resultData]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Record a failure: requeued with backoff while attempts remain (and the
+   * error is retryable), failed otherwise.
+   */
+  async fail(id, workerId, error, { retryable = true } = {}) {
+    const result = await query(
+      `UPDATE job_queue SET
+        status = CASE WHEN $4 AND attempts < max_attempts THEN 'queued' ELSE 'failed' END,
+        run_after = CASE WHEN $4 AND attempts < max_attempts
+          THEN NOW() + make_interval(secs => $5 * POWER(2, attempts - 1)) ELSE run_after END,
+        completed_at = CASE WHEN $4 AND attempts < max_attempts THEN NULL ELSE NOW() END,
+        error_message = $3,
+        locked_by = NULL
+       WHERE id = $1 AND locked_by = $2 AND status = 'running' RETURNING *`,
+      [id, workerId, error.message || String(error), retryable, RETRY_BASE_SECONDS]
+    );
+    return result.rows[0] || null;
+  },
+
+  async markCancelled(id, workerId) {
+    const result = await query(
+      `UPDATE job_queue SET status = 'cancelled', completed_at = NOW(), locked_by = NULL
+       WHERE id = $1 AND locked_by = $2 AND status = 'running' RETURNING *`,
+      [id, workerId]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Hand a running job back to the queue without counting the attempt
+   * (worker shutdown).
+   */
+  async release(id, workerId) {
+    const result = await query(
+      `UPDATE job_queue SET status = 'queued', attempts = GREATEST(attempts - 1, 0), locked_by = NULL
+       WHERE id = $1 AND locked_by = $2 AND status = 'running' RETURNING *`,
+      [id, workerId]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Cancel a job: queued jobs are cancelled immediately, running jobs are
+   * flagged for the worker. Returns null when the job is already finished.
+   */
+  async cancel(id) {
+    const result = await query(
+      `UPDATE job_queue SET
+        status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+        completed_at = CASE WHEN status = 'queued' THEN NOW() ELSE completed_at END,
+        cancel_requested = TRUE
+       WHERE id = $1 AND status IN ('queued', 'running') RETURNING *`,
+      [id]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Requeue a failed or cancelled job with a fresh set of attempts.
+   * Returns null unless the job is failed or cancelled.
+   */
+  async retry(id) {
+    const result = await query(
+      `UPDATE job_queue SET status = 'queued', attempts = 0, progress_percentage = 0,
+        cancel_requested = FALSE, run_after = NOW(), error_message = NULL,
+        result = NULL, started_at = NULL, completed_at = NULL
+       WHERE id = $1 AND status IN ('failed', 'cancelled') RETURNING *`,
+      [id]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Requeue (or fail, when out of attempts) running jobs whose worker
+   * stopped heartbeating.
+   */
+  async recoverStale(staleAfterSeconds = STALE_AFTER_SECONDS) {
+    const result = await query(
+      `UPDATE job_queue SET
+        status = CASE WHEN cancel_requested THEN 'cancelled'
+          WHEN attempts < max_attempts THEN 'queued' ELSE 'failed' END,
+        completed_at = CASE WHEN cancel_requested OR attempts >= max_attempts THEN NOW() ELSE NULL END,
+        error_message = COALESCE(error_message, 'Worker stopped responding'),
+        locked_by = NULL
+       WHERE status = 'running' AND heartbeat_at < NOW() - make_interval(secs => $1)
+       RETURNING *`,
+      [staleAfterSeconds]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Call back whenever a job becomes ready (enqueued, retried or requeued).
+   *
+   * @returns {Promise<Function>} Async stop listening
+   */
+  async onReady(callback) {
+    const client = await pool.connect();
+    client.on('notification', () => callback());
+    await client.query('LISTEN job_queue_ready');
+    return async () => {
+      await client.query('UNLISTEN job_queue_ready').catch(() => {});
+      client.release();
+    };
+  },
+};
+
+// ============================================================================
+// EVENTS
+// ============================================================================
+
+// One LISTEN connection per process, fanned out to subscribers by job id
+const subscribers = new Map();
+let listener = null;
+
+async function ensureListening() {
+  if (listener) return listener;
+  listener = (async () => {
+    const client = await pool.connect();
+    client.on('notification', (msg) => {
+      let event;
+      try {
+        event = JSON.parse(msg.payload);
+      } catch {
+        return;
+      }
+      for (const callback of subscribers.get(event.jobId) || []) callback(event);
+    });
+    client.on('error', (error) => {
+      console.error('[JobQueue] Event listener error:', error.message);
+      client.release(error);
+      listener = null;
+    });
+    await client.query('LISTEN job_events');
+    return client;
+  })();
+
+  try {
+    return await listener;
+  } catch (error) {
+    listener = null;
+    throw error;
+  }
+}
+
+export const jobEvents = {
+  /**
+   * Receive status/progress events for a job.
+   *
+   * @param {string} jobId
+   * @param {Function} callback - ({ jobId, status, progressPercentage, ... }) => void
+   * @returns {Promise<Function>} Unsubscribe
+   */
+  async subscribe(jobId, callback) {
+    await ensureListening();
+    if (!subscribers.has(jobId)) subscribers.set(jobId, new Set());
+    subscribers.get(jobId).add(callback);
+
+    return () => {
+      const callbacks = subscribers.get(jobId);
+      callbacks?.delete(callback);
+      if (callbacks?.size === 0) subscribers.delete(jobId);
+    };
+  },
+};
+
+/**
+ * Client-facing view of a job.
+ */
+export function describeJob(job) {
+  return {
+    id: job.id,
+    jobType: job.job_type,
+    planRunId: job.plan_run_id,
+    status: job.status,
+    progressPercentage: job.progress_percentage,
+    cancelRequested: job.cancel_requested,
+    attempts: job.attempts,
+    maxAttempts: job.max_attempts,
+    errorMessage: job.error_message,
+    createdAt: job.created_at,
+    startedAt: job.started_at,
+    completedAt: job.completed_at,
+    result: job.result ?? null,
+  };
+}
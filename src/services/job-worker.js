@@ -0,0 +1,227 @@
+/**
+ * Farther Prism - Job Worker
+ *
+ * Claims jobs from the queue (see job-queue-service.js) and runs them with
+ * the handler registered for their job_type. A handler is an object:
+ *
+ *   run(job, { reportProgress })  - does the work; resolves to the job result.
+ *                                   reportProgress(fraction) throws
+ *                                   JobCancelledError once the job is cancelled
+ *   onStart(job)                  - optional, after the job is claimed
+ *   onProgress(job, percentage)   - optional, after progress is recorded
+ *   onSettled(job, error)         - optional, with the job row after it completed,
+ *                                   failed, was requeued for retry or cancelled
+ *
+ * While a job runs the worker heartbeats; jobs abandoned by a crashed worker
+ * are recovered by whichever worker notices them first. A worker whose job
+ * was recovered that way has lost it: it stops at its next progress report
+ * and neither settles the job nor calls the hooks. stop() lets the current
+ * job finish, or hands it back to the queue at its next progress report.
+ */
+
+import os from 'os';
+import { jobQueue, JobCancelledError } from './job-queue-service.js';
+
+class WorkerStoppingError extends Error {
+  constructor() {
+    super('Worker is shutting down');
+    this.name = 'WorkerStoppingError';
+  }
+}
+
+class JobLeaseLostError extends Error {
+  constructor(jobId) {
+    super(`Job ${jobId} was recovered by another worker`);
+    this.name = 'JobLeaseLostError';
+  }
+}
+
+export class JobWorker {
+  constructor({
+    queue = jobQueue,
+    handlers = {},
+    workerId = `${os.hostname()}:${process.pid}`,
+    pollIntervalMs = 5000,
+    heartbeatIntervalMs = 15000,
+    progressIntervalMs = 1000, // Minimum time between progress writes
+    recoverIntervalMs = 60000,
+  } = {}) {
+    this.queue = queue;
+    this.handlers = handlers;
+    this.workerId = workerId;
+    this.pollIntervalMs = pollIntervalMs;
+    this.heartbeatIntervalMs = heartbeatIntervalMs;
+    this.progressIntervalMs = progressIntervalMs;
+    this.recoverIntervalMs = recoverIntervalMs;
+
+    this.running = false;
+    this.stopping = false;
+    this.loop = null;
+    this.lastRecovery = 0;
+    this.sleepTimer = null;
+    this.wakeUp = null;
+  }
+
+  /**
+   * Poll the queue until stop() is called. Resolves once the worker has
+   * started listening; the loop runs in the background.
+   */
+  async start() {
+    if (this.running) return;
+    this.running = true;
+    this.stopping = false;
+    this.unlisten = this.queue.onReady ? await this.queue.onReady(() => this.wake()) : null;
+
+    console.log(`[JobWorker] ${this.workerId} started (${Object.keys(this.handlers).join(', ')})`);
+
+    this.loop = (async () => {
+      while (this.running) {
+        try {
+          await this.recoverStaleJobs();
+          if (await this.runNext()) continue;
+        } catch (error) {
+          console.error('[JobWorker] Poll failed:', error.message);
+        }
+        await this.sleep(this.pollIntervalMs);
+      }
+    })();
+  }
+
+  /**
+   * Stop polling and wait for the current job to finish or be released.
+   */
+  async stop() {
+    this.running = false;
+    this.stopping = true;
+    this.wake();
+    await this.loop;
+    await this.unlisten?.();
+    console.log(`[JobWorker] ${this.workerId} stopped`);
+  }
+
+  /**
+   * Claim and run one job.
+   *
+   * @returns {Promise<Object|null>} The settled job, or null when the queue was empty
+   *   (or the job was lost to stale recovery)
+   */
+  async runNext() {
+    const job = await this.queue.claimNext(this.workerId);
+    if (!job) return null;
+    return this.runJob(job);
+  }
+
+  /**
+   * Run a claimed job to completion, failure or cancellation.
+   */
+  async runJob(job) {
+    const handler = this.handlers[job.job_type];
+    if (!handler) {
+      const failed = await this.queue.fail(job.id, this.workerId, new Error(`No handler for job type ${job.job_type}`), { retryable: false });
+      console.error(`[JobWorker] Job ${job.id}: no handler for ${job.job_type}`);
+      return failed;
+    }
+
+    console.log(`[JobWorker] Job ${job.id} (${job.job_type}) attempt ${job.attempts}/${job.max_attempts}`);
+    await this.callHook(handler, 'onStart', job);
+
+    const heartbeat = setInterval(() => {
+      this.queue.heartbeat(job.id, this.workerId)
+        .catch(error => console.error(`[JobWorker] Heartbeat failed for ${job.id}:`, error.message));
+    }, this.heartbeatIntervalMs);
+
+    let lastProgressAt = 0;
+    const reportProgress = async (fraction) => {
+      if (this.stopping) throw new WorkerStoppingError();
+
+      const now = Date.now();
+      if (fraction < 1 && now - lastProgressAt < this.progressIntervalMs) return;
+      lastProgressAt = now;
+
+      // 100 is reserved for completion
+      const percentage = Math.max(0, Math.min(99, Math.floor(fraction * 100)));
+      const proceed = await this.queue.updateProgress(job.id, this.workerId, percentage);
+      if (proceed === null) throw new JobLeaseLostError(job.id);
+      await this.callHook(handler, 'onProgress', job, percentage);
+      if (!proceed) throw new JobCancelledError(job.id);
+    };
+
+    let settled;
+    let failure = null;
+    try {
+      const result = await handler.run(job, { reportProgress });
+      settled = await this.queue.complete(job.id, this.workerId, result ?? null);
+      if (settled) console.log(`[JobWorker] Job ${job.id} complete`);
+    } catch (error) {
+      failure = error;
+      if (error instanceof JobLeaseLostError) {
+        settled = null;
+      } else if (error instanceof JobCancelledError) {
+        settled = await this.queue.markCancelled(job.id, this.workerId);
+        if (settled) console.log(`[JobWorker] Job ${job.id} cancelled`);
+      } else if (error instanceof WorkerStoppingError) {
+        settled = await this.queue.release(job.id, this.workerId);
+        if (settled) console.log(`[JobWorker] Job ${job.id} released for another worker`);
+      } else {
+        // Handlers mark errors that cannot succeed on retry with retryable = false
+        settled = await this.queue.fail(job.id, this.workerId, error, { retryable: error.retryable !== false });
+        if (settled) console.error(`[JobWorker] Job ${job.id} failed (${settled.status}):`, error.message);
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    // The job was recovered and may be running elsewhere: its state is not ours to report
+    if (!settled) {
+      console.warn(`[JobWorker] Job ${job.id} lost to stale recovery; result discarded`);
+      return null;
+    }
+    await this.callHook(handler, 'onSettled', settled, failure);
+    return settled;
+  }
+
+  /**
+   * Requeue jobs whose worker stopped heartbeating (at most once per
+   * recoverIntervalMs).
+   */
+  async recoverStaleJobs() {
+    if (Date.now() - this.lastRecovery < this.recoverIntervalMs) return [];
+    this.lastRecovery = Date.now();
+
+    const recovered = await this.queue.recoverStale();
+    for (const job of recovered) {
+      console.warn(`[JobWorker] Recovered stale job ${job.id} (${job.status})`);
+      const handler = this.handlers[job.job_type];
+      if (handler) await this.callHook(handler, 'onSettled', job, null);
+    }
+    return recovered;
+  }
+
+  /**
+   * Handler hooks keep derived records in sync; their failures are logged
+   * rather than failing the job.
+   */
+  async callHook(handler, hook, ...args) {
+    if (!handler[hook]) return;
+    try {
+      await handler[hook](...args);
+    } catch (error) {
+      console.error(`[JobWorker] ${hook} hook failed for job ${args[0]?.id}:`, error.message);
+    }
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => {
+      this.wakeUp = resolve;
+      this.sleepTimer = setTimeout(resolve, ms);
+    });
+  }
+
+  wake() {
+    clearTimeout(this.sleepTimer);
+    this.wakeUp?.();
+    this.wakeUp = null;
+  }
+}
+
+export default JobWorker;
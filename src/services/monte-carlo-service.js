@@ -9,15 +9,86 @@
  * - Private + public market diversification
  * 
  * Uses historical market data from Backblaze data lake.
+ *
+ * Two modes:
+ * - simple: one portfolio, withdrawals set by the withdrawal policy, tax alpha
+ * - planning_graph: each path replays the Planning Graph month by month
+ *   with sampled returns, so withdrawals are tax-aware and include RMDs,
+ *   Roth conversions and income streams
+ *
+ * Returns are correlated draws by asset class from a return model (see
+ * calculation/return-model.js), weighted by each account's holdings. Without
+ * a model, stocks follow the market data and bonds 4% / 6%. returnMethod
+ * 'bootstrap' instead resamples blocks of historical monthly returns.
+ *
+ * Every run also replays named historical sequences (1929, 1966, ...) as
+ * stress tests, reported next to the stochastic success rate.
+ *
+ * Spending follows a withdrawal policy (calculation/withdrawal-policy.js):
+ * the plan's constant real spending by default, or guardrails that cut and
+ * raise it with the portfolio. Runs report how deep and how often paths cut.
+ *
+ * The scenario's goals (education, purchases, legacy) are paid from each
+ * path in priority order (calculation/goal-funding.js); runs report each
+ * goal's probability of being fully funded next to the success rate.
+ *
+ * Draws are seeded per path (calculation/random.js) and paths are sharded
+ * across worker threads, so the same seed gives the same results on any
+ * number of threads and the API's event loop stays free during a run.
  */
 
 import { S3Client, GetObjectCommand } from '@aws-sdk/client-s3';
 import pool from '../db/pool.js';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
+import { Worker } from 'worker_threads';
+import { PlanningGraphService } from './planning-graph-service.js';
+import {
+  buildDefaultReturnModel,
+  normalizeReturnModel,
+  createReturnSampler,
+  getAllocationWeights,
+  getDefaultAllocation,
+  getPortfolioWeights,
+  getPortfolioReturn,
+  describePortfolio,
+} from '../calculation/return-model.js';
+import {
+  HISTORICAL_ASSET_CLASSES,
+  STRESS_SEQUENCES,
+  getHistoricalMonthlyReturns,
+  monthlyReturnsFromPrices,
+  reinflateReturns,
+  buildHistoricalModel,
+  createBlockBootstrapSampler,
+  createSequenceSampler,
+} from '../calculation/historical-returns.js';
+import { MAX_SEED, createSeed, isValidSeed, createPathRandom } from '../calculation/random.js';
+import { POLICY_EVENTS, normalizeWithdrawalPolicy, createWithdrawalPolicy } from '../calculation/withdrawal-policy.js';
+import { getBirthDate } from '../calculation/mortality.js';
+import { createGoalLedger } from '../calculation/goal-funding.js';
+
+const BAND_PERCENTILES = [0.05, 0.10, 0.25, 0.5, 0.75, 0.90, 0.95];
+// Terminal-wealth ranks of the representative paths kept with a run
+const SAMPLE_PERCENTILES = [0.10, 0.25, 0.5, 0.75, 0.90];
+// projection_timeseries dimension -> per-path yearly series
+const TIMESERIES_DIMENSIONS = {
+  portfolio_value: 'yearEndValues',
+  spending_funded: 'yearlySpending',
+  taxes_total: 'yearlyTaxes',
+};
+const RETURN_METHODS = ['parametric', 'bootstrap'];
+// Data lake histories shorter than this fall back to the annual history
+const MIN_BOOTSTRAP_MONTHS = 240;
+const THREAD_MODULE = new URL('./monte-carlo-thread.js', import.meta.url);
+const MAX_DEFAULT_THREADS = 8;
 
 export class MonteCarloService {
-  constructor() {
+  constructor({ planningGraph = new PlanningGraphService(), threads = defaultThreadCount() } = {}) {
+    this.planningGraph = planningGraph;
+    this.threads = threads;
+
     // Load Backblaze credentials
     const envPath = path.join(process.cwd(), '.env.backblaze');
     if (fs.existsSync(envPath)) {
@@ -45,6 +116,7 @@ export class MonteCarloService {
 
     // Market data cache
     this.marketDataCache = null;
+    this.marketPrices = null; // Daily prices by asset class (bootstrap history)
     this.correlationMatrix = null;
   }
 
@@ -53,40 +125,68 @@ export class MonteCarloService {
    * 
    * @param {string} scenarioId - Scenario UUID
    * @param {Object} scenario - Scenario data (people, accounts, assumptions)
-   * @param {Object} options - Simulation options
+   * @param {Object} options - Simulation options (startDate: 'YYYY-MM-DD' that
+   *   dates the yearly bands; returnModel: return_models row; returnMethod: parametric | bootstrap; blockLength in months; stressTests;
+   *   seed: integer, the same seed reproduces the run; withdrawalPolicy:
+   *   { type, ...params } (default constant); threads: worker threads,
+   *   0 runs on the calling thread; onProgress: async (fraction) => void,
+   *   awaited about every 1% of paths so a background job can report
+   *   progress or abort by throwing)
    * @returns {Promise<Object>} Simulation results
    */
   async runSimulation(scenarioId, scenario, options = {}) {
     const {
       simulations = 10000,
       years = 30,
-      startDate = new Date().toISOString().split('T')[0],
+      startDate = `${new Date().toISOString().substring(0, 7)}-01`,
+      mode = 'simple', // simple | planning_graph
+      returnModel = null,
+      returnMethod = 'parametric',
+      blockLength = 24,
+      stressTests = true,
+      seed = createSeed(),
+      withdrawalPolicy = null,
+      threads = this.threads,
+      onProgress = null,
     } = options;
 
-    console.log(`[MonteCarlo] Starting ${simulations} simulations for scenario ${scenarioId}`);
+    if (!RETURN_METHODS.includes(returnMethod)) {
+      throw new Error(`Unknown return method: ${returnMethod}`);
+    }
+    if (!isValidSeed(seed)) {
+      throw new Error(`Seed must be an integer between 0 and ${MAX_SEED}`);
+    }
+    const policy = normalizeWithdrawalPolicy(withdrawalPolicy);
+
+    if (mode === 'planning_graph') {
+      return this.runPlanningGraphSimulation(scenarioId, scenario, { ...options, seed, threads, withdrawalPolicy: policy });
+    }
+
+    console.log(`[MonteCarlo] Starting ${simulations} simulations for scenario ${scenarioId} (seed ${seed})`);
 
     const startTime = Date.now();
 
     // Load market data
     await this.loadMarketData();
 
-    // Extract scenario parameters
-    const params = this.extractParameters(scenario);
-
-    // Run simulations
-    const results = [];
-    for (let i = 0; i < simulations; i++) {
-      const simulation = await this.runSingleSimulation(params, years);
-      results.push(simulation);
-
-      // Progress logging every 1000 simulations
-      if ((i + 1) % 1000 === 0) {
-        console.log(`[MonteCarlo] Progress: ${i + 1}/${simulations} (${Math.round((i + 1) / simulations * 100)}%)`);
-      }
-    }
+    // Paths depend only on (seed, path index), so any thread count gives the same results
+    const config = { mode: 'simple', years, startDate, returnMethod, returnModel, blockLength, seed, withdrawalPolicy: policy };
+    const runner = this.createPathRunner(scenario, config);
+    const results = await this.runPaths(scenario, config, runner, { simulations, threads, onProgress });
 
     // Analyze results
-    const analysis = this.analyzeResults(results, params);
+    const analysis = {
+      ...this.analyzeResults(results, runner.params),
+      seed,
+      returnMethod,
+      returnModel: this.describeReturnModel(runner.model, runner.weights),
+      stressTests: stressTests ? await this.runStressTests(scenario, runner.params, { years, withdrawalPolicy: policy }) : [],
+      spending: this.analyzeSpending(results, policy),
+      goals: this.analyzeGoals(results, runner.goals.goals, parseInt(startDate.substring(0, 4))),
+      bands: this.buildPercentileBands(results, startDate),
+      timeseries: this.buildTimeseries(results, startDate),
+      samplePaths: this.selectSamplePaths(results, startDate),
+    };
 
     // Store in database
     await this.storeResults(scenarioId, analysis, results);
@@ -98,11 +198,457 @@ export class MonteCarloService {
       scenarioId,
       simulations,
       years,
+      seed,
+      threads,
       analysis,
       duration,
     };
   }
 
+  /**
+   * Run Monte Carlo through the Planning Graph. The scenario's timeline
+   * (cash flow, deaths, filing status) is built once, or per path with
+   * stochastic mortality, and replayed with each path's sampled monthly
+   * returns. Tax alpha is not added: the engine models taxes directly.
+   *
+   * @param {string} scenarioId - Scenario UUID
+   * @param {Object} scenario - Planning graph scenario
+   * @param {Object} options - { simulations, years, startDate, returnModel,
+   *   returnMethod, blockLength, stressTests, seed, withdrawalPolicy, threads,
+   *   onProgress }
+   * @returns {Promise<Object>} Simulation results with yearly percentile bands
+   */
+  async runPlanningGraphSimulation(scenarioId, scenario, options = {}) {
+    const {
+      simulations = 10000,
+      years = 30,
+      startDate = `${new Date().toISOString().substring(0, 7)}-01`,
+      returnModel = null,
+      returnMethod = 'parametric',
+      blockLength = 24,
+      stressTests = true,
+      seed = createSeed(),
+      threads = this.threads,
+      onProgress = null,
+    } = options;
+    const withdrawalPolicy = normalizeWithdrawalPolicy(options.withdrawalPolicy);
+
+    console.log(`[MonteCarlo] Starting ${simulations} planning graph paths for scenario ${scenarioId} (seed ${seed})`);
+
+    const startTime = Date.now();
+    await this.loadMarketData();
+
+    const config = { mode: 'planning_graph', years, startDate, returnMethod, returnModel, blockLength, seed, withdrawalPolicy };
+    const runner = this.createPathRunner(scenario, config);
+    const results = await this.runPaths(scenario, config, runner, { simulations, threads, onProgress });
+
+    const analysis = {
+      ...this.analyzeResults(results, runner.params),
+      seed,
+      returnMethod,
+      returnModel: this.describeReturnModel(runner.model, runner.weights),
+      stressTests: stressTests
+        ? await this.runStressTests(scenario, runner.params, {
+          years,
+          withdrawalPolicy,
+          timeline: runner.sharedTimeline ?? this.buildStressTimeline(scenario, runner.timelineOptions),
+        })
+        : [],
+      spending: this.analyzeSpending(results, withdrawalPolicy),
+      goals: this.analyzeGoals(results, runner.goals.goals, parseInt(startDate.substring(0, 4))),
+      bands: this.buildPercentileBands(results, startDate),
+      timeseries: this.buildTimeseries(results, startDate),
+      samplePaths: this.selectSamplePaths(results, startDate),
+      lifetime: {
+        medianTaxes: percentileOf(results.map(r => r.lifetimeTaxes), 0.5),
+        medianRothConversions: percentileOf(results.map(r => r.rothConversions), 0.5),
+        medianRmds: percentileOf(results.map(r => r.rmds), 0.5),
+      },
+    };
+
+    await this.storeResults(scenarioId, analysis, results);
+
+    const duration = Date.now() - startTime;
+    console.log(`[MonteCarlo] Completed ${simulations} planning graph paths in ${duration}ms`);
+
+    return {
+      scenarioId,
+      mode: 'planning_graph',
+      simulations,
+      years,
+      seed,
+      threads,
+      analysis,
+      duration,
+    };
+  }
+
+  /**
+   * Everything needed to simulate path i of a run: parameters, the return
+   * model and weights, and runPath(i), which seeks the seeded stream to
+   * path i before drawing. Built the same way on the calling thread and in
+   * each worker thread from the same (cloneable) config.
+   *
+   * @param {Object} scenario
+   * @param {Object} config - { mode, years, startDate, returnMethod, returnModel, blockLength, seed, withdrawalPolicy }
+   * @returns {Object} { params, model, weights, goals, timelineOptions, sharedTimeline, runPath }
+   */
+  createPathRunner(scenario, { mode, years, startDate, returnMethod, returnModel, blockLength, seed, withdrawalPolicy = null }) {
+    const params = this.extractParameters(scenario);
+    const policy = createWithdrawalPolicy(withdrawalPolicy, { years });
+    const goals = createGoalLedger(scenario.goals, {
+      startYear: parseInt(startDate.substring(0, 4)),
+      years,
+      inflationRate: params.inflationRate,
+    });
+    const random = createPathRandom(seed);
+    const { model, sampler } = this.createSampler({ returnMethod, returnModel, blockLength, inflationRate: params.inflationRate, random });
+    const accounts = scenario.accounts || [];
+
+    if (mode !== 'planning_graph') {
+      const weights = this.getScenarioWeights(model, accounts, scenario.assumptions);
+      return {
+        params,
+        model,
+        weights,
+        goals,
+        runPath: async (index) => {
+          random.seekPath(index);
+          const { monthlyData, ...path } = await this.runSingleSimulation(params, years, { sampler, weights, policy, goals });
+          return path;
+        },
+      };
+    }
+
+    const accountTypeWeights = this.getAccountTypeWeights(model, accounts, scenario.assumptions);
+    const end = new Date(startDate);
+    end.setMonth(end.getMonth() + years * 12 - 1);
+    const timelineOptions = { startDate, endDate: end.toISOString().split('T')[0] };
+    const stochasticMortality = scenario.assumptions?.mortality === 'stochastic';
+    const sharedTimeline = stochasticMortality ? null : this.planningGraph.buildTimeline(scenario, timelineOptions);
+
+    return {
+      params,
+      model,
+      weights: accountTypeWeights.default,
+      goals,
+      timelineOptions,
+      sharedTimeline,
+      runPath: async (index) => {
+        random.seekPath(index);
+        const timeline = sharedTimeline ?? this.planningGraph.buildTimeline(scenario, { ...timelineOptions, random });
+        return this.runPlanningGraphPath(scenario, timeline, params, { sampler, accountTypeWeights, policy, goals });
+      },
+    };
+  }
+
+  /**
+   * Simulate paths 0..simulations-1 on this thread (threads = 0) or sharded
+   * in contiguous ranges across worker threads, returned in path order.
+   */
+  async runPaths(scenario, config, runner, { simulations, threads, onProgress }) {
+    if (threads > 0) {
+      return this.runPathsInThreads(scenario, config, { simulations, threads: Math.min(threads, simulations), onProgress });
+    }
+
+    const results = [];
+    for (let i = 0; i < simulations; i++) {
+      results.push(await runner.runPath(i));
+
+      // Progress logging every 1000 simulations
+      if ((i + 1) % 1000 === 0) {
+        console.log(`[MonteCarlo] Progress: ${i + 1}/${simulations} (${Math.round((i + 1) / simulations * 100)}%)`);
+      }
+      await reportProgress(onProgress, i + 1, simulations);
+    }
+    return results;
+  }
+
+  /**
+   * Shard paths across worker threads (see monte-carlo-thread.js). Each
+   * thread rebuilds the path runner from the config, market data and tax
+   * rules loaded here. onProgress calls are serialized; if one throws
+   * (cancellation) the threads are terminated and the run rejects with it.
+   */
+  runPathsInThreads(scenario, config, { simulations, threads, onProgress }) {
+    const shardSize = Math.ceil(simulations / threads);
+    const shards = Math.ceil(simulations / shardSize);
+    const workerData = {
+      scenario,
+      config,
+      marketData: { marketStats: this.marketStats, marketPrices: this.marketPrices },
+      taxRules: this.getTaxRuleSnapshot(),
+      progressEvery: Math.max(1, Math.floor(simulations / 100)),
+    };
+
+    console.log(`[MonteCarlo] Running ${simulations} paths on ${shards} thread(s)`);
+
+    return new Promise((resolve, reject) => {
+      const results = new Array(simulations);
+      const workers = [];
+      let completed = 0;
+      let finished = 0;
+      let failed = false;
+      let progress = Promise.resolve();
+
+      const abort = (error) => {
+        if (failed) return;
+        failed = true;
+        workers.forEach(worker => worker.terminate());
+        reject(error);
+      };
+
+      for (let start = 0; start < simulations; start += shardSize) {
+        const end = Math.min(simulations, start + shardSize);
+        const worker = new Worker(THREAD_MODULE, { workerData: { ...workerData, start, end } });
+        workers.push(worker);
+
+        worker.on('message', (message) => {
+          if (message.type === 'progress') {
+            completed += message.completed;
+            const fraction = completed / simulations;
+            if (onProgress) progress = progress.then(() => (failed ? null : onProgress(fraction))).catch(abort);
+          } else if (message.type === 'done') {
+            message.results.forEach((result, i) => { results[start + i] = result; });
+            if (++finished === shards) {
+              progress.then(() => { if (!failed) resolve(results); });
+            }
+          }
+        });
+        worker.on('error', abort);
+        worker.on('exit', (code) => {
+          if (code !== 0) abort(new Error(`Monte Carlo thread for paths ${start}-${end - 1} exited with code ${code}`));
+        });
+      }
+    });
+  }
+
+  /**
+   * Projection options and database rule sets of the planning graph's tax
+   * registry, for worker threads to rebuild it.
+   */
+  getTaxRuleSnapshot() {
+    const registry = this.planningGraph.taxRuleRegistry;
+    if (!registry) return null;
+    return {
+      options: {
+        indexingRate: registry.indexingRate,
+        premiumGrowthRate: registry.premiumGrowthRate,
+        tcjaSunset: registry.tcjaSunset,
+        acaEnhancedCredits: registry.acaEnhancedCredits,
+      },
+      ruleSets: registry.listRuleSets(),
+    };
+  }
+
+  /**
+   * Use market data loaded elsewhere (worker threads get the main thread's).
+   */
+  useMarketData({ marketStats, marketPrices }) {
+    this.marketStats = marketStats;
+    this.marketPrices = marketPrices;
+    this.marketDataCache = marketPrices?.us_equity_large ?? [];
+  }
+
+  /**
+   * One planning graph path, reduced to year-end portfolio values, yearly
+   * spending funded and taxes, and lifetime totals (the monthly entries are
+   * not kept). Each month's asset class draw is weighted separately for
+   * each account type.
+   */
+  async runPlanningGraphPath(scenario, timeline, params, { sampler, accountTypeWeights, policy = null, goals = null }) {
+    sampler.reset?.();
+    policy?.reset();
+    goals?.reset();
+    const returns = timeline.steps.map(() => {
+      const classReturns = sampler();
+      const byType = {};
+      for (const [accountType, weights] of Object.entries(accountTypeWeights)) {
+        byType[accountType] = getPortfolioReturn(weights, classReturns);
+      }
+      return byType;
+    });
+    const entries = await this.planningGraph.generatePlanningGraph('monte-carlo', scenario, {
+      timeline,
+      returns,
+      spendingPolicy: policy,
+      goalLedger: goals,
+      quiet: true,
+    });
+
+    const yearEndValues = [];
+    const yearlySpending = [];
+    const yearlyTaxes = [];
+    let lifetimeTaxes = 0;
+    let rothConversions = 0;
+    let rmds = 0;
+    let depletedMonth = null;
+    let portfolioValue = params.portfolioValue;
+
+    entries.forEach((entry, month) => {
+      portfolioValue = entry.taxable_balance + entry.tax_deferred_balance + entry.tax_free_balance;
+      if (depletedMonth === null && (portfolioValue < 1 || entry.spending_shortfall > 0)) depletedMonth = month;
+      const year = Math.floor(month / 12);
+      const taxes = entry.total_tax + entry.roth_conversion_tax;
+      yearlySpending[year] = (yearlySpending[year] ?? 0)
+        + Math.max(0, entry.total_expenses + (entry.spending_adjustment || 0) - (entry.spending_shortfall || 0));
+      yearlyTaxes[year] = (yearlyTaxes[year] ?? 0) + taxes;
+      if ((month + 1) % 12 === 0) yearEndValues.push(Math.max(0, portfolioValue));
+      lifetimeTaxes += taxes;
+      rothConversions += entry.roth_conversion;
+      rmds += entry.rmd_total;
+    });
+
+    return {
+      endingValue: Math.max(0, portfolioValue),
+      depleted: depletedMonth !== null,
+      monthsLasted: depletedMonth ?? entries.length,
+      // Partial final years (the last death) are dropped with their year-end value
+      yearEndValues,
+      yearlySpending: yearlySpending.slice(0, yearEndValues.length),
+      yearlyTaxes: yearlyTaxes.slice(0, yearEndValues.length),
+      lifetimeTaxes,
+      rothConversions,
+      rmds,
+      spending: policy?.summarize() ?? null,
+      goals: goals && this.finishGoals(goals, entries.filter(e => e.month_date.substring(5, 7) === '12').length, Math.max(0, portfolioValue)),
+    };
+  }
+
+  /**
+   * Settle a path's goals after its last funded year: years the path never
+   * reached (it depleted, or everyone died) are paid from what was left,
+   * then end-of-projection legacy goals are checked.
+   *
+   * @returns {Array} Per-goal { required, paid, failYear } (see createGoalLedger)
+   */
+  finishGoals(goals, fromYear, endingValue) {
+    let available = endingValue;
+    const lastYear = Math.max(-1, ...goals.goals.flatMap(goal => goal.payments.map(p => p.yearIndex)));
+    for (let year = fromYear; year <= lastYear; year++) available -= goals.fund(year, available).paid;
+    goals.finish(available);
+    return goals.summarize();
+  }
+
+  /**
+   * Replay each named historical sequence (STRESS_SEQUENCES) once through
+   * the same engine: simple mode, or the planning graph when a timeline is
+   * given. Returns are real, re-inflated at the plan's inflation rate.
+   *
+   * @returns {Promise<Array>} [{ id, label, startYear, success, endingValue, yearsLasted }]
+   */
+  async runStressTests(scenario, params, { years, timeline = null, withdrawalPolicy = null }) {
+    const rows = reinflateReturns(getHistoricalMonthlyReturns(), params.inflationRate);
+    const model = buildHistoricalModel(rows, HISTORICAL_ASSET_CLASSES);
+    const accounts = scenario.accounts || [];
+
+    const policy = createWithdrawalPolicy(withdrawalPolicy, { years });
+
+    const results = [];
+    for (const sequence of STRESS_SEQUENCES) {
+      const sampler = createSequenceSampler(rows, sequence.startYear);
+      const path = timeline
+        ? await this.runPlanningGraphPath(scenario, timeline, params, {
+          sampler,
+          accountTypeWeights: this.getAccountTypeWeights(model, accounts, scenario.assumptions),
+          policy,
+        })
+        : await this.runSingleSimulation(params, years, {
+          sampler,
+          weights: this.getScenarioWeights(model, accounts, scenario.assumptions),
+          policy,
+        });
+
+      results.push({
+        id: sequence.id,
+        label: sequence.label,
+        startYear: sequence.startYear,
+        success: !path.depleted,
+        endingValue: path.endingValue,
+        yearsLasted: path.depleted ? Math.round(path.monthsLasted / 12 * 10) / 10 : null,
+        maxSpendingCut: path.spending?.maxCut ?? 0,
+      });
+    }
+    return results;
+  }
+
+  /**
+   * Timeline for stress replays when paths draw their own deaths: the
+   * configured (deterministic) death dates.
+   */
+  buildStressTimeline(scenario, timelineOptions) {
+    return this.planningGraph.buildTimeline({
+      ...scenario,
+      assumptions: { ...scenario.assumptions, mortality: 'deterministic' },
+    }, timelineOptions);
+  }
+
+  /**
+   * Yearly percentiles of a per-path series (year-end portfolio value by
+   * default) across paths. Paths that ended (everyone died) drop out of
+   * later years. Each band is labelled with the year its last month falls
+   * in, matching the timeseries rows.
+   */
+  buildPercentileBands(results, startDate, field = 'yearEndValues') {
+    const years = Math.max(0, ...results.map(r => r[field].length));
+    const bands = [];
+    for (let y = 0; y < years; y++) {
+      const values = results.filter(r => r[field].length > y).map(r => r[field][y]);
+      const sorted = Float64Array.from(values).sort();
+      bands.push({
+        year: parseInt(yearEndPeriod(startDate, y).time_period.substring(0, 4)),
+        paths: values.length,
+        ...Object.fromEntries(BAND_PERCENTILES.map(p => [`p${Math.round(p * 100)}`, sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))]])),
+      });
+    }
+    return bands;
+  }
+
+  /**
+   * Percentile bands of every tracked series, as projection_timeseries rows
+   * (one per dimension, year and percentile, dated at each year's last month).
+   *
+   * @returns {Array} [{ dimension, time_period, time_index, percentile, value }]
+   */
+  buildTimeseries(results, startDate) {
+    const rows = [];
+    for (const [dimension, field] of Object.entries(TIMESERIES_DIMENSIONS)) {
+      if (!results[0]?.[field]) continue; // Simple mode has no taxes
+      this.buildPercentileBands(results, startDate, field).forEach((band, y) => {
+        for (const p of BAND_PERCENTILES) {
+          const percentile = Math.round(p * 100);
+          rows.push({ dimension, ...yearEndPeriod(startDate, y), percentile, value: band[`p${percentile}`] });
+        }
+      });
+    }
+    return rows;
+  }
+
+  /**
+   * Representative paths: the ones ranked at SAMPLE_PERCENTILES of ending
+   * value, with their yearly series.
+   *
+   * @returns {Array} [{ percentile, pathIndex, endingValue, points: [{ time_period, time_index, portfolio_value, ... }] }]
+   */
+  selectSamplePaths(results, startDate) {
+    const ranked = results.map((r, i) => i).sort((a, b) => results[a].endingValue - results[b].endingValue);
+    return SAMPLE_PERCENTILES.map(p => {
+      const pathIndex = ranked[Math.min(ranked.length - 1, Math.floor(ranked.length * p))];
+      const path = results[pathIndex];
+      return {
+        percentile: Math.round(p * 100),
+        pathIndex,
+        endingValue: path.endingValue,
+        points: path.yearEndValues.map((value, y) => ({
+          ...yearEndPeriod(startDate, y),
+          ...Object.fromEntries(Object.entries(TIMESERIES_DIMENSIONS)
+            .filter(([, field]) => path[field])
+            .map(([dimension, field]) => [dimension, path[field][y]])),
+        })),
+      };
+    });
+  }
+
   /**
    * Load historical market data from Backblaze.
    */
@@ -115,35 +661,7 @@ export class MonteCarloService {
 
     try {
       // Load SPY as representative (we have 8 asset classes, can expand later)
-      const command = new GetObjectCommand({
-        Bucket: this.bucket,
-        Key: 'market-data/daily-prices/SPY.csv',
-      });
-
-      const response = await this.s3Client.send(command);
-      const csvData = await this.streamToString(response.Body);
-
-      // Parse CSV
-      const lines = csvData.split('\n').filter(l => l.trim());
-      const data = [];
-
-      for (let i = 1; i < lines.length; i++) { // Skip header
-        const [date, open, high, low, close, adjClose, volume] = lines[i].split(',');
-        const adjCloseVal = parseFloat(adjClose);
-        
-        if (isNaN(adjCloseVal)) continue; // Skip invalid data
-        
-        data.push({
-          date,
-          adjClose: adjCloseVal,
-          return: 0, // Will calculate after all data loaded
-        });
-      }
-
-      // Calculate returns (after data is loaded)
-      for (let i = 1; i < data.length; i++) {
-        data[i].return = (data[i].adjClose / data[i - 1].adjClose) - 1;
-      }
+      const data = await this.loadDailyPrices('SPY');
 
       this.marketDataCache = data;
       console.log(`[MonteCarlo] Loaded ${data.length} days of market data`);
@@ -162,6 +680,14 @@ export class MonteCarloService {
 
       console.log(`[MonteCarlo] Market stats: Mean=${(this.marketStats.annualMean * 100).toFixed(2)}%, StdDev=${(this.marketStats.annualStdDev * 100).toFixed(2)}%`);
 
+      // Bond prices let the bootstrap resample data lake months
+      this.marketPrices = { us_equity_large: data };
+      try {
+        this.marketPrices.fixed_income_core = await this.loadDailyPrices('AGG');
+      } catch (error) {
+        console.warn('[MonteCarlo] Failed to load AGG prices, bootstrap uses the annual history:', error.message);
+      }
+
     } catch (error) {
       console.warn('[MonteCarlo] Failed to load market data from Backblaze, using synthetic:', error.message);
       
@@ -173,6 +699,122 @@ export class MonteCarloService {
     }
   }
 
+  /**
+   * Daily prices for a symbol from the data lake, with daily returns.
+   *
+   * @returns {Promise<Array>} [{ date, adjClose, return }]
+   */
+  async loadDailyPrices(symbol) {
+    const command = new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: `market-data/daily-prices/${symbol}.csv`,
+    });
+
+    const response = await this.s3Client.send(command);
+    const csvData = await this.streamToString(response.Body);
+
+    // Parse CSV
+    const lines = csvData.split('\n').filter(l => l.trim());
+    const data = [];
+
+    for (let i = 1; i < lines.length; i++) { // Skip header
+      const [date, open, high, low, close, adjClose, volume] = lines[i].split(',');
+      const adjCloseVal = parseFloat(adjClose);
+
+      if (isNaN(adjCloseVal)) continue; // Skip invalid data
+
+      data.push({
+        date,
+        adjClose: adjCloseVal,
+        return: 0, // Will calculate after all data loaded
+      });
+    }
+
+    // Calculate returns (after data is loaded)
+    for (let i = 1; i < data.length; i++) {
+      data[i].return = (data[i].adjClose / data[i - 1].adjClose) - 1;
+    }
+    return data;
+  }
+
+  /**
+   * Monthly asset class return sampler for a run: parametric draws from the
+   * return model, or a block bootstrap of historical months.
+   *
+   * @returns {Object} { model, sampler }
+   */
+  createSampler({ returnMethod, returnModel, blockLength, inflationRate, random = Math.random }) {
+    if (returnMethod === 'bootstrap') {
+      const history = this.getBootstrapHistory(inflationRate);
+      return { model: history.model, sampler: createBlockBootstrapSampler(history.rows, { blockLength, random }) };
+    }
+    const model = this.resolveReturnModel(returnModel);
+    return { model, sampler: createReturnSampler(model, { random }) };
+  }
+
+  /**
+   * Monthly history to bootstrap: the data lake's SPY and AGG prices when
+   * both loaded with enough history, otherwise the 1928-2024 annual history.
+   *
+   * @returns {Object} { rows, model }
+   */
+  getBootstrapHistory(inflationRate) {
+    if (this.marketPrices?.us_equity_large && this.marketPrices?.fixed_income_core) {
+      const { assetClasses, rows } = monthlyReturnsFromPrices(this.marketPrices);
+      if (rows.length >= MIN_BOOTSTRAP_MONTHS) {
+        return { rows, model: buildHistoricalModel(rows, assetClasses, `Data lake ${rows[0].date} to ${rows[rows.length - 1].date}`) };
+      }
+    }
+    const rows = reinflateReturns(getHistoricalMonthlyReturns(), inflationRate);
+    return { rows, model: buildHistoricalModel(rows, HISTORICAL_ASSET_CLASSES) };
+  }
+
+  /**
+   * Normalized return model, or the stock/bond default built from the
+   * loaded market stats.
+   *
+   * @param {Object|null} returnModel - return_models row
+   */
+  resolveReturnModel(returnModel) {
+    return returnModel ? normalizeReturnModel(returnModel) : buildDefaultReturnModel(this.marketStats);
+  }
+
+  /**
+   * Asset class weights of the whole portfolio.
+   */
+  getScenarioWeights(model, accounts, assumptions = {}) {
+    const allocation = getDefaultAllocation(assumptions);
+    return getPortfolioWeights(model, accounts, allocation) ?? getAllocationWeights(model, allocation);
+  }
+
+  /**
+   * Asset class weights for each account type the planning graph tracks,
+   * plus `default` (the whole portfolio) for balances that land in a type
+   * with no accounts (conversions, reinvested surplus).
+   */
+  getAccountTypeWeights(model, accounts, assumptions = {}) {
+    const allocation = getDefaultAllocation(assumptions);
+    const weights = { default: this.getScenarioWeights(model, accounts, assumptions) };
+    for (const accountType of new Set(accounts.map(a => a.account_type))) {
+      weights[accountType] = getPortfolioWeights(model, accounts.filter(a => a.account_type === accountType), allocation)
+        ?? weights.default;
+    }
+    return weights;
+  }
+
+  /**
+   * Model and portfolio summary reported with the results.
+   */
+  describeReturnModel(model, weights) {
+    return {
+      id: model.id,
+      name: model.name,
+      distribution: model.fatTails.distribution,
+      repaired: model.repaired,
+      portfolio: describePortfolio(model, weights),
+    };
+  }
+
   /**
    * Extract simulation parameters from scenario.
    */
@@ -204,6 +846,10 @@ export class MonteCarloService {
     // Annual spending need (withdrawals)
     const annualWithdrawal = Math.max(0, annualExpenses - annualIncome);
 
+    // Primary's age today (RMD-based withdrawals); 65 without a birth date
+    const birthDate = people[0] && getBirthDate(people[0]);
+    const age = birthDate ? Math.floor((Date.now() - birthDate) / (365.25 * 24 * 3600 * 1000)) : 65;
+
     // Portfolio allocation (simplified - use from accounts or default)
     const stockAllocation = assumptions.stockAllocation || 0.70; // 70% stocks default
     const bondAllocation = 1 - stockAllocation;
@@ -213,6 +859,7 @@ export class MonteCarloService {
       annualIncome,
       annualExpenses,
       annualWithdrawal,
+      age,
       stockAllocation,
       bondAllocation,
       inflationRate: assumptions.inflationRate || 0.03, // 3% default
@@ -223,7 +870,10 @@ export class MonteCarloService {
   /**
    * Run a single Monte Carlo simulation.
    */
-  async runSingleSimulation(params, years) {
+  async runSingleSimulation(params, years, { sampler, weights, policy = createWithdrawalPolicy(null, { years }), goals = null }) {
+    sampler.reset?.();
+    policy.reset();
+    goals?.reset();
     const monthlyData = [];
     let portfolioValue = params.portfolioValue;
     let annualWithdrawal = params.annualWithdrawal;
@@ -231,11 +881,25 @@ export class MonteCarloService {
     for (let month = 0; month < years * 12; month++) {
       const year = Math.floor(month / 12);
 
+      // The policy sets each year's withdrawal against the inflation-adjusted plan
+      if (month % 12 === 0) {
+        annualWithdrawal = policy.next({
+          yearIndex: year,
+          portfolioValue,
+          baseWithdrawal: params.annualWithdrawal * (1 + params.inflationRate) ** year,
+          age: params.age + year,
+        }).withdrawal;
+
+        // Goals due this year, from what is left after the year's spending
+        if (goals) portfolioValue -= goals.fund(year, portfolioValue - annualWithdrawal).paid;
+      }
+
       // Generate monthly return (stochastic)
-      const monthlyReturn = this.generateReturn(params.stockAllocation);
+      const monthlyReturn = this.generateReturn(sampler, weights);
 
       // Apply withdrawal (monthly)
       const monthlyWithdrawal = annualWithdrawal / 12;
+      const funded = Math.min(monthlyWithdrawal, Math.max(0, portfolioValue));
       portfolioValue -= monthlyWithdrawal;
 
       // Apply return
@@ -244,16 +908,12 @@ export class MonteCarloService {
       // Apply tax alpha boost (Farther advantage)
       portfolioValue *= (1 + params.taxAlpha / 12);
 
-      // Inflation adjustment to withdrawal (annual)
-      if (month % 12 === 0 && month > 0) {
-        annualWithdrawal *= (1 + params.inflationRate);
-      }
-
       monthlyData.push({
         month,
         year,
         portfolioValue: Math.max(0, portfolioValue),
         withdrawal: monthlyWithdrawal,
+        funded,
       });
 
       // Portfolio depleted
@@ -262,31 +922,34 @@ export class MonteCarloService {
       }
     }
 
+    // Year-end value and spending funded; years after depletion are zero
+    const yearEndValues = [];
+    const yearlySpending = [];
+    for (let year = 0; year < years; year++) {
+      const months = monthlyData.slice(year * 12, year * 12 + 12);
+      yearEndValues.push(months.length === 12 ? months[11].portfolioValue : 0);
+      yearlySpending.push(months.reduce((sum, m) => sum + m.funded, 0));
+    }
+
+    const endingValue = monthlyData[monthlyData.length - 1].portfolioValue;
     return {
-      endingValue: monthlyData[monthlyData.length - 1].portfolioValue,
-      depleted: monthlyData[monthlyData.length - 1].portfolioValue === 0,
+      endingValue,
+      depleted: endingValue === 0,
       monthsLasted: monthlyData.length,
       monthlyData,
+      yearEndValues,
+      yearlySpending,
+      spending: policy.summarize(),
+      goals: goals && this.finishGoals(goals, Math.ceil(monthlyData.length / 12), endingValue),
     };
   }
 
   /**
-   * Generate a single monthly return using Farther's approach.
-   * Preservation-first: slightly defensive modeling.
+   * Generate a single monthly portfolio return: one correlated draw across
+   * the model's asset classes, weighted by the portfolio's holdings.
    */
-  generateReturn(stockAllocation) {
-    // Stock returns (using historical data if available)
-    const stockMean = this.marketStats.annualMean;
-    const stockStdDev = this.marketStats.annualStdDev;
-    const stockReturn = this.gaussianRandom(stockMean / 12, stockStdDev / Math.sqrt(12));
-
-    // Bond returns (lower vol, lower return)
-    const bondMean = 0.04; // 4% bonds
-    const bondStdDev = 0.06; // 6% bond vol
-    const bondReturn = this.gaussianRandom(bondMean / 12, bondStdDev / Math.sqrt(12));
-
-    // Weighted portfolio return
-    return (stockReturn * stockAllocation) + (bondReturn * (1 - stockAllocation));
+  generateReturn(sampler, weights) {
+    return getPortfolioReturn(weights, sampler());
   }
 
   /**
@@ -308,6 +971,8 @@ export class MonteCarloService {
 
     const median = percentile(0.50);
     const p5 = percentile(0.05); // Worst case (5th percentile)
+    const p10 = percentile(0.10);
+    const p90 = percentile(0.90);
     const p95 = percentile(0.95); // Best case (95th percentile)
 
     // Average ending value
@@ -318,12 +983,18 @@ export class MonteCarloService {
       depleted: results.filter(r => r.depleted).length / results.length,
       doubledWealth: results.filter(r => r.endingValue > params.portfolioValue * 2).length / results.length,
       preservedWealth: results.filter(r => r.endingValue > params.portfolioValue).length / results.length,
+      // Every scheduled goal fully funded (null without goals)
+      allGoalsFunded: results[0]?.goals?.length
+        ? results.filter(r => r.goals.every(g => g.failYear === null)).length / results.length
+        : null,
     };
 
     return {
       successRate,
       median,
       percentile5: p5,
+      percentile10: p10,
+      percentile90: p90,
       percentile95: p95,
       averageEnding: avgEnding,
       probabilities,
@@ -331,6 +1002,70 @@ export class MonteCarloService {
     };
   }
 
+  /**
+   * Spending under the withdrawal policy: how deep paths cut below the
+   * plan's spending, and how often each guardrail event fired.
+   *
+   * @returns {Object} { policy, params, pathsWithCuts, maxCut: { p50, p75,
+   *   p90, p95 }, cutsOver10, cutsOver25, averageYearsCut, events:
+   *   { [event]: { paths, perPath } } }
+   */
+  analyzeSpending(results, { type, params }) {
+    const paths = results.map(r => r.spending ?? { maxCut: 0, yearsCut: 0, events: {} });
+    const maxCuts = paths.map(p => Math.max(0, p.maxCut));
+    const share = (predicate) => paths.filter(predicate).length / paths.length;
+
+    return {
+      policy: type,
+      params,
+      pathsWithCuts: share(p => p.yearsCut > 0),
+      maxCut: Object.fromEntries([0.5, 0.75, 0.9, 0.95].map(p => [`p${Math.round(p * 100)}`, percentileOf(maxCuts, p)])),
+      cutsOver10: share(p => p.maxCut > 0.10),
+      cutsOver25: share(p => p.maxCut > 0.25),
+      averageYearsCut: paths.reduce((sum, p) => sum + p.yearsCut, 0) / paths.length,
+      events: Object.fromEntries(POLICY_EVENTS.map(event => [event, {
+        paths: share(p => p.events[event] > 0),
+        perPath: paths.reduce((sum, p) => sum + (p.events[event] || 0), 0) / paths.length,
+      }])),
+    };
+  }
+
+  /**
+   * Per-goal results across paths: probability of being fully funded,
+   * expected shortfall (nominal, averaged over all paths) and when goals
+   * first come up short.
+   *
+   * @param {Array} results - Path results with goals from createGoalLedger
+   * @param {Array} goals - The ledger's scheduled goals, in funding order
+   * @returns {Array} [{ id, name, type, priority, targetAmount, targetDate,
+   *   inHorizon, required, probability, expectedShortfall, fundedRatio,
+   *   earliestFailureYear, medianFailureYear }]
+   */
+  analyzeGoals(results, goals, startYear) {
+    return goals.map((goal, i) => {
+      const outcomes = results.map(r => r.goals[i]);
+      const required = goal.payments.reduce((sum, p) => sum + p.amount, 0);
+      const failYears = outcomes.filter(o => o.failYear !== null).map(o => o.failYear);
+
+      return {
+        id: goal.id,
+        name: goal.name,
+        type: goal.type,
+        priority: goal.priority,
+        targetAmount: goal.targetAmount,
+        targetDate: goal.targetDate,
+        inHorizon: goal.inHorizon,
+        required,
+        // A goal past the horizon is not evaluated
+        probability: goal.payments.length ? 1 - failYears.length / outcomes.length : null,
+        expectedShortfall: outcomes.reduce((sum, o) => sum + (o.required - o.paid), 0) / outcomes.length,
+        fundedRatio: required > 0 ? outcomes.reduce((sum, o) => sum + o.paid, 0) / outcomes.length / required : null,
+        earliestFailureYear: failYears.length ? startYear + Math.min(...failYears) : null,
+        medianFailureYear: failYears.length ? startYear + percentileOf(failYears, 0.5) : null,
+      };
+    });
+  }
+
   /**
    * Store results in database.
    */
@@ -360,8 +1095,10 @@ export class MonteCarloService {
           median_ending_value, percentile_5, percentile_95,
           average_ending_value, probability_depleted,
           probability_doubled, probability_preserved,
+          return_method, stress_tests, random_seed,
+          percentile_bands, sample_paths, spending, goal_results,
           created_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, NOW())
       `, [
         scenarioId,
         simulations.length,
@@ -373,6 +1110,13 @@ export class MonteCarloService {
         analysis.probabilities.depleted,
         analysis.probabilities.doubledWealth,
         analysis.probabilities.preservedWealth,
+        analysis.returnMethod,
+        JSON.stringify(analysis.stressTests || []),
+        analysis.seed ?? null,
+        JSON.stringify(analysis.timeseries || []),
+        JSON.stringify(analysis.samplePaths || []),
+        analysis.spending ? JSON.stringify(analysis.spending) : null,
+        JSON.stringify(analysis.goals || []),
       ]);
 
       await client.query('COMMIT');
@@ -386,16 +1130,6 @@ export class MonteCarloService {
     }
   }
 
-  /**
-   * Gaussian random number generator (Box-Muller transform).
-   */
-  gaussianRandom(mean = 0, stdev = 1) {
-    const u = 1 - Math.random();
-    const v = Math.random();
-    const z = Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
-    return z * stdev + mean;
-  }
-
   /**
    * Convert stream to string.
    */
@@ -408,4 +1142,78 @@ export class MonteCarloService {
   }
 }
 
+/**
+ * API view of a runSimulation result (shared by the route and background jobs).
+ */
+export function summarizeSimulation(result, { mode = result.mode || 'simple' } = {}) {
+  const { analysis } = result;
+  return {
+    result: {
+      successRate: analysis.successRate,
+      stressTests: analysis.stressTests,
+      spending: analysis.spending,
+      goals: analysis.goals,
+      median: analysis.median,
+      percentile5: analysis.percentile5,
+      percentile95: analysis.percentile95,
+      averageEnding: analysis.averageEnding,
+      probabilities: analysis.probabilities,
+      startingValue: analysis.startingValue,
+      bands: analysis.bands,
+      timeseries: analysis.timeseries,
+      samplePaths: analysis.samplePaths,
+      lifetime: analysis.lifetime,
+      returnModel: analysis.returnModel,
+    },
+    meta: {
+      mode,
+      returnMethod: analysis.returnMethod,
+      withdrawalPolicy: analysis.spending?.policy,
+      seed: result.seed,
+      threads: result.threads,
+      simulations: result.simulations,
+      years: result.years,
+      duration: result.duration,
+    },
+  };
+}
+
+// MONTE_CARLO_THREADS, or one thread per spare core
+function defaultThreadCount() {
+  const configured = parseInt(process.env.MONTE_CARLO_THREADS);
+  if (Number.isInteger(configured) && configured >= 0) return configured;
+  return Math.max(1, Math.min(MAX_DEFAULT_THREADS, os.availableParallelism() - 1));
+}
+
+/**
+ * Sample paths as projection_timeseries rows: dimension `<series>_sample`,
+ * percentile = the path's ending value rank.
+ */
+export function samplePathRows(samplePaths = []) {
+  return samplePaths.flatMap(({ percentile, points }) => points.flatMap(({ time_period, time_index, ...series }) =>
+    Object.entries(series).map(([dimension, value]) => ({ dimension: `${dimension}_sample`, time_period, time_index, percentile, value }))));
+}
+
+// 'YYYY-MM' and month index of the last month of projection year y
+function yearEndPeriod(startDate, y) {
+  const date = new Date(`${startDate.substring(0, 7)}-01T00:00:00Z`);
+  date.setUTCMonth(date.getUTCMonth() + y * 12 + 11);
+  return { time_period: date.toISOString().substring(0, 7), time_index: y * 12 + 11 };
+}
+
+// Awaited every 1% of paths (and on the last one)
+async function reportProgress(onProgress, completed, total) {
+  if (!onProgress) return;
+  const every = Math.max(1, Math.floor(total / 100));
+  if (completed % every === 0 || completed === total) {
+    await onProgress(completed / total);
+  }
+}
+
+function percentileOf(values, p) {
+  if (values.length === 0) return null;
+  const sorted = Float64Array.from(values).sort();
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
 export default MonteCarloService;
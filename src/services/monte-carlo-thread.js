@@ -0,0 +1,46 @@
+/**
+ * Monte Carlo Worker Thread
+ *
+ * Simulates paths [start, end) of a run for MonteCarloService.runPathsInThreads.
+ * The path runner is rebuilt from the run's config with the main thread's
+ * market data and tax rules, so each path draws exactly what it would on
+ * the main thread.
+ *
+ * Messages to the parent:
+ *   { type: 'progress', completed } - paths finished since the last message
+ *   { type: 'done', results }       - path results in path order
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { MonteCarloService } from './monte-carlo-service.js';
+import { PlanningGraphService } from './planning-graph-service.js';
+import { TaxRuleRegistry } from '../calculation/tax-rules.js';
+
+const { scenario, config, marketData, taxRules, progressEvery, start, end } = workerData;
+
+const taxRuleRegistry = new TaxRuleRegistry(taxRules?.options);
+taxRuleRegistry.registerRuleSets(taxRules?.ruleSets);
+
+const service = new MonteCarloService({
+  planningGraph: new PlanningGraphService({ taxRuleRegistry }),
+  threads: 0,
+});
+service.useMarketData(marketData);
+
+const runner = service.createPathRunner(scenario, config);
+const results = [];
+let reported = 0;
+
+// Report on the run-wide 1% boundaries, as the single-thread loop does
+for (let i = start; i < end; i++) {
+  results.push(await runner.runPath(i));
+  if ((i + 1) % progressEvery === 0) {
+    parentPort.postMessage({ type: 'progress', completed: results.length - reported });
+    reported = results.length;
+  }
+}
+
+if (results.length > reported) {
+  parentPort.postMessage({ type: 'progress', completed: results.length - reported });
+}
+parentPort.postMessage({ type: 'done', results });
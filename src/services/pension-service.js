@@ -0,0 +1,194 @@
+/**
+ * Pension Service
+ *
+ * Pension and annuity decisions run through the Planning Graph:
+ * - Lump sum vs. annuity: mortality-weighted comparison, plus projections
+ *   with the pension stream and with the lump sum rolled into an account
+ * - SPIA/DIA purchases: quote, then projections with and without the
+ *   premium leaving the funding account and the income stream added;
+ *   optionally saved as an `annuity` income stream
+ */
+
+import { PlanningGraphService } from './planning-graph-service.js';
+import { ANNUITY_INCOME_TYPES, compareLumpSum, quoteAnnuity } from '../calculation/pension-annuity.js';
+import { incomeStreams } from './household-service.js';
+
+const FUNDING_ACCOUNT_TYPES = ['taxable', 'ira_traditional', '401k_traditional'];
+
+export class PensionService {
+  constructor({ planningGraph = new PlanningGraphService() } = {}) {
+    this.planningGraph = planningGraph;
+  }
+
+  /**
+   * Validate a lump-sum comparison. Returns an error message or null.
+   */
+  validateLumpSum(stream, payload = {}) {
+    if (!stream || !ANNUITY_INCOME_TYPES.includes(stream.type)) return 'income stream must be a pension or annuity';
+    if (!(Number(payload.lumpSum) > 0)) return 'lumpSum must be a positive number';
+    if (payload.rolloverAccountType !== undefined && !FUNDING_ACCOUNT_TYPES.includes(payload.rolloverAccountType)) {
+      return `rolloverAccountType must be one of: ${FUNDING_ACCOUNT_TYPES.join(', ')}`;
+    }
+    return null;
+  }
+
+  /**
+   * Validate an annuity purchase. Returns an error message or null.
+   */
+  validatePurchase(scenario, payload = {}) {
+    if (!(Number(payload.premium) > 0)) return 'premium must be a positive number';
+    if (!scenario.people.some(p => p.id === payload.personId)) return 'personId must be a household member';
+    if (payload.accountType !== undefined && !FUNDING_ACCOUNT_TYPES.includes(payload.accountType)) {
+      return `accountType must be one of: ${FUNDING_ACCOUNT_TYPES.join(', ')}`;
+    }
+    if (payload.survivorPercent !== undefined && !(payload.survivorPercent >= 0 && payload.survivorPercent <= 1)) {
+      return 'survivorPercent must be between 0 and 1';
+    }
+    return null;
+  }
+
+  /**
+   * Lump sum vs. annuity for a pension stream in a scenario. Both
+   * projections start at the annuity starting date with today's balances.
+   *
+   * @param {Object} scenario - Planning graph scenario
+   * @param {Object} stream - The pension/annuity stream on offer
+   * @param {Object} options - { lumpSum, rolloverAccountType, discountRate, endDate }
+   * @returns {Object} { analysis, projections: { annuity, lumpSum }, preferred }
+   */
+  async compareLumpSum(scenario, stream, {
+    lumpSum,
+    rolloverAccountType = 'ira_traditional',
+    discountRate = scenario.assumptions?.portfolioReturn ?? 0.05,
+    endDate = null,
+  }) {
+    const analysis = compareLumpSum({ lumpSum, stream, people: scenario.people, discountRate });
+    const startDate = `${String(new Date(stream.startDate).toISOString()).substring(0, 7)}-01`;
+
+    const lumpSumScenario = {
+      ...scenario,
+      incomeStreams: scenario.incomeStreams.filter(s => s !== stream),
+      accounts: [
+        ...scenario.accounts,
+        { id: 'lump-sum-rollover', account_type: rolloverAccountType, current_value: lumpSum },
+      ],
+    };
+
+    const projections = {
+      annuity: await this.project(scenario, startDate, endDate),
+      lumpSum: await this.project(lumpSumScenario, startDate, endDate),
+    };
+
+    return { analysis, projections, preferred: preferProjection(projections, 'annuity', 'lumpSum') };
+  }
+
+  /**
+   * Quote a SPIA/DIA and project the household with and without it.
+   *
+   * @param {Object} scenario - Planning graph scenario
+   * @param {Object} payload - { premium, personId, purchaseDate, incomeStartAge,
+   *   survivorPersonId, survivorPercent, colaRate, interestRate, expenseLoad,
+   *   payoutRate, accountType, endDate }
+   * @returns {Object} { quote, stream, projections: { without, with }, preferred }
+   */
+  async planPurchase(scenario, payload) {
+    const {
+      premium,
+      personId,
+      purchaseDate = `${new Date().toISOString().substring(0, 7)}-01`,
+      survivorPersonId = null,
+      survivorPercent = 0,
+      colaRate = 0,
+      accountType = 'taxable',
+      endDate = null,
+    } = payload;
+
+    const annuitant = scenario.people.find(p => p.id === personId);
+    const survivor = survivorPercent > 0
+      ? scenario.people.find(p => p.id === survivorPersonId) ?? scenario.people.find(p => p.id !== personId)
+      : null;
+    const age = this.planningGraph.calculateAge(annuitant.dateOfBirth, purchaseDate);
+    const incomeStartAge = payload.incomeStartAge ?? age;
+
+    const quote = quoteAnnuity({
+      premium,
+      age,
+      incomeStartAge,
+      survivorAge: survivor ? this.planningGraph.calculateAge(survivor.dateOfBirth, purchaseDate) : null,
+      survivorPercent,
+      colaRate,
+      interestRate: payload.interestRate,
+      expenseLoad: payload.expenseLoad,
+      payoutRate: payload.payoutRate ?? null,
+    });
+
+    // SPIA income starts a month after purchase; DIA income at incomeStartAge
+    const start = new Date(purchaseDate);
+    start.setMonth(start.getMonth() + (quote.deferralYears > 0 ? quote.deferralYears * 12 : 1));
+    const stream = {
+      type: 'annuity',
+      personId,
+      description: `${quote.product.toUpperCase()} ($${Math.round(premium).toLocaleString()} premium)`,
+      amount: Math.round(quote.monthlyIncome * 100) / 100,
+      frequency: 'monthly',
+      growthRate: colaRate,
+      startDate: `${start.toISOString().substring(0, 7)}-01`,
+      survivorPersonId: survivor?.id ?? null,
+      survivorPercent,
+      purchase: { premium, accountType, date: purchaseDate },
+    };
+
+    const startMonth = `${String(purchaseDate).substring(0, 7)}-01`;
+    const projections = {
+      without: await this.project(scenario, startMonth, endDate),
+      with: await this.project({ ...scenario, incomeStreams: [...scenario.incomeStreams, stream] }, startMonth, endDate),
+    };
+
+    return { quote, stream, projections, preferred: preferProjection(projections, 'with', 'without') };
+  }
+
+  /**
+   * Save a planned purchase as an `annuity` income stream.
+   */
+  async savePurchase(householdId, stream) {
+    const { personId, description, amount, frequency, growthRate, startDate, ...terms } = stream;
+    return incomeStreams.create(householdId, {
+      personId,
+      incomeType: 'annuity',
+      description,
+      baseAmount: amount,
+      amountFrequency: frequency,
+      growthRate,
+      inflationIndexed: growthRate > 0,
+      startDate,
+      metadata: {
+        survivorPersonId: terms.survivorPersonId,
+        survivorPercent: terms.survivorPercent,
+        purchase: terms.purchase,
+      },
+    });
+  }
+
+  async project(scenario, startDate, endDate) {
+    const entries = await this.planningGraph.generatePlanningGraph('pension-analysis', scenario, {
+      startDate,
+      endDate,
+      quiet: true,
+    });
+    return this.planningGraph.summarizeProjection(entries, {
+      discountRate: scenario.assumptions?.inflationRate ?? 0.03,
+    });
+  }
+}
+
+/**
+ * Option whose portfolio lasts longer, then with the higher lifetime
+ * after-tax income plus ending portfolio.
+ */
+function preferProjection(projections, a, b) {
+  const longevity = (key) => projections[key].portfolioLongevityYears ?? Infinity;
+  if (longevity(a) !== longevity(b)) return longevity(a) > longevity(b) ? a : b;
+  return projections[a].score >= projections[b].score ? a : b;
+}
+
+export default PensionService;
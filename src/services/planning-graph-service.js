@@ -3,22 +3,92 @@
  * 
  * Orchestrates monthly financial projections combining:
  * - Cash flow engine (income, expenses, debt)
- * - Tax calculator (federal, state, IRMAA, NIIT)
+ * - Tax calculator (federal, state, IRMAA, NIIT, ACA premium tax credit)
  * - Withdrawal sequencer (optimal withdrawal strategy)
  * - Account tracker (contributions, growth, withdrawals)
  * - Portfolio returns (from Backblaze data lake)
+ * - Mortality (deterministic or stochastic death dates): survivor filing
+ *   status, Social Security and pension survivor benefits, spousal IRA
+ *   rollover and the widow's tax penalty
  * 
  * Generates monthly planning_graph entries for database storage.
  */
 
 import pool from '../db/pool.js';
 import { TaxCalculator } from '../calculation/tax-calculator.js';
-import { WithdrawalSequencer } from '../calculation/withdrawal-sequencer.js';
+import { WithdrawalSequencer, ESTIMATED_GAIN_RATIO } from '../calculation/withdrawal-sequencer.js';
+import { TaxRuleRegistry } from '../calculation/tax-rules.js';
+import { normalizeLot, revalueLots, scaleLots } from '../calculation/lot-selector.js';
+import { ANNUITY_INCOME_TYPES, getPensionPayment, normalizeAnnuityStream } from '../calculation/pension-annuity.js';
+import {
+  MAX_PROJECTION_AGE,
+  getBirthDate,
+  isAlive,
+  resolveDeathDates,
+  getSurvivorFilingStatus,
+} from '../calculation/mortality.js';
+import { taxRuleSets, planRuns } from './planning-service.js';
+import {
+  households,
+  accounts as accountRows,
+  incomeStreams as incomeStreamRows,
+  expenseStreams as expenseStreamRows,
+  goals as goalRows,
+  taxProfiles,
+} from './household-service.js';
 
 export class PlanningGraphService {
-  constructor() {
-    this.taxCalculator = new TaxCalculator();
-    this.withdrawalSequencer = new WithdrawalSequencer();
+  constructor({ taxRuleRegistry = new TaxRuleRegistry() } = {}) {
+    this.taxRuleRegistry = taxRuleRegistry;
+    this.taxCalculator = new TaxCalculator(2024, { registry: taxRuleRegistry });
+    this.withdrawalSequencer = new WithdrawalSequencer({ taxRuleRegistry });
+  }
+
+  /**
+   * Load versioned tax rules from tax_rule_sets into the registry.
+   * Years without a row fall back to the statutory tables / indexing.
+   */
+  async loadTaxRules(options = {}) {
+    const rows = await taxRuleSets.listRules(options);
+    this.taxRuleRegistry.registerRuleSets(rows);
+    // Tax calculators take their year's rules when built: start fresh ones
+    this.taxCalculator = new TaxCalculator(2024, { registry: this.taxRuleRegistry });
+    this.withdrawalSequencer = new WithdrawalSequencer({ taxRuleRegistry: this.taxRuleRegistry });
+    console.log(`[PlanningGraph] Loaded ${rows.length} tax rule sets`);
+    return rows.length;
+  }
+
+  /**
+   * Withdrawal sequencer honoring the scenario's tax projection assumptions
+   * (indexing rate, TCJA sunset, enhanced ACA credits).
+   */
+  getWithdrawalSequencer(assumptions = {}) {
+    const { taxIndexingRate, tcjaSunset, acaEnhancedCredits } = assumptions;
+    if (taxIndexingRate === undefined && tcjaSunset === undefined && acaEnhancedCredits === undefined) {
+      return this.withdrawalSequencer;
+    }
+
+    const overrides = {};
+    if (taxIndexingRate !== undefined) overrides.indexingRate = taxIndexingRate;
+    if (tcjaSunset !== undefined) overrides.tcjaSunset = tcjaSunset;
+    if (acaEnhancedCredits !== undefined) overrides.acaEnhancedCredits = acaEnhancedCredits;
+    return new WithdrawalSequencer({ taxRuleRegistry: this.taxRuleRegistry.withOptions(overrides) });
+  }
+
+  /**
+   * Itemized deduction inputs for a projection year. With
+   * assumptions.charitableBunchingYears = N > 1, N years of giving go
+   * into a donor-advised fund every N years instead of annual gifts/QCDs.
+   */
+  getAnnualDeductions(assumptions, yearIndex, charitableCarryforward = []) {
+    const { itemizedDeductions = {}, charitableGiving = 0, charitableBunchingYears = 1 } = assumptions;
+    const deductions = { ...itemizedDeductions, charitableCarryforward };
+
+    if (charitableBunchingYears > 1 && charitableGiving > 0 && yearIndex % charitableBunchingYears === 0) {
+      deductions.dafCash = (itemizedDeductions.dafCash || 0) + charitableGiving * charitableBunchingYears;
+    }
+
+    return deductions;
   }
 
   /**
@@ -34,87 +104,169 @@ export class PlanningGraphService {
       startDate = new Date().toISOString().split('T')[0],
       endDate = null, // Auto-calculate based on life expectancy
       monthlyGranularity = true,
+      quiet = false, // Suppress progress logging (strategy searches run many graphs)
+      random = Math.random, // Death draws when assumptions.mortality is 'stochastic'
+      timeline = null, // buildTimeline() output to replay (Monte Carlo reuses one across paths)
+      returns = null, // Monthly returns by month index, a number or by account type (default: assumptions.portfolioReturn)
+      spendingPolicy = null, // createWithdrawalPolicy() instance that sets each year's portfolio withdrawal (Monte Carlo)
+      goalLedger = null, // createGoalLedger() instance; goals due each year are withdrawn with the spending (Monte Carlo)
     } = options;
+    const log = quiet ? () => {} : console.log;
 
-    console.log(`[PlanningGraph] Generating for scenario ${scenarioId}`);
+    log(`[PlanningGraph] Generating for scenario ${scenarioId}`);
 
     // Extract scenario data
     const {
-      people = [],
       accounts = [],
       incomeStreams = [],
-      expenseStreams = [],
       goals = [],
       assumptions = {},
     } = scenario;
 
-    // Calculate projection end date (to age 100 or specified)
-    const projectionEnd = endDate || this.calculateProjectionEnd(people, startDate);
-    const months = this.getMonthsBetween(startDate, projectionEnd);
+    const { people, steps, startDate: projectionStart, endDate: projectionEnd } = timeline
+      ?? this.buildTimeline(scenario, { startDate, endDate, random });
 
-    console.log(`[PlanningGraph] Projecting ${months.length} months from ${startDate} to ${projectionEnd}`);
+    log(`[PlanningGraph] Projecting ${steps.length} months from ${projectionStart} to ${projectionEnd}`);
 
     // Initialize account balances
     let accountBalances = this.initializeAccountBalances(accounts);
+    const withdrawalSequencer = this.getWithdrawalSequencer(assumptions);
 
     // Generate monthly entries
     const graphEntries = [];
     let cumulativeWithdrawals = 0;
     let cumulativeTaxes = 0;
+    let charitableCarryforward = [];
+    // MAGI by tax year: IRMAA in each year is charged on MAGI from two years earlier
+    const magiHistory = { ...(assumptions.magiHistory || {}) };
+    // Taxable lots are sold by assumptions.lotSelectionMethod; losses carry forward.
+    // Lots follow the taxable bucket's returns (compounded into lotGrowth
+    // monthly, applied each December)
+    let taxLots = this.collectTaxLots(accounts);
+    let lotGrowth = 1;
+    let capitalLossCarryforward = { ...(assumptions.capitalLossCarryforward || {}) };
+    const firstYear = parseInt(projectionStart.substring(0, 4));
+    const bunchingGifts = (assumptions.charitableBunchingYears || 1) > 1;
+    const accountOwners = {};
 
-    for (let i = 0; i < months.length; i++) {
-      const month = months[i];
-      const year = parseInt(month.substring(0, 4));
-      const monthNum = parseInt(month.substring(5, 7));
-      const age1 = this.calculateAge(people[0]?.dateOfBirth, month);
-      const age2 = people[1] ? this.calculateAge(people[1].dateOfBirth, month) : null;
+    for (let i = 0; i < steps.length; i++) {
+      const { month, year, monthNum, age1, age2, filing, deaths, living, cashFlow } = steps[i];
+      const transitions = deaths.map(person => this.applyDeath(person, people, living, accounts, accountOwners));
 
-      // Calculate cash flow for this month
-      const cashFlow = this.calculateMonthlyCashFlow({
-        month,
-        incomeStreams,
-        expenseStreams,
-        people,
-        assumptions,
-      });
+      // SPIA/DIA premiums leave their funding account in the purchase month
+      accountBalances = this.applyAnnuityPurchases(accountBalances, incomeStreams, month);
 
       // Annual tax calculation (once per year in December)
-      let taxes = { totalTax: 0, federalTax: 0, stateTax: 0, irmaa: { totalAnnual: 0 }, niit: 0 };
+      let taxes = { totalTax: 0, federalTax: 0, stateTax: 0, localTax: 0, irmaa: { totalAnnual: 0 }, niit: 0 };
       let withdrawals = {};
       let rothConversion = { amount: 0 };
+      let irmaaAlerts = [];
+      let acaAlerts = [];
+      let gainHarvest = null;
+      let widowPenalty = 0;
+      let rmds = {};
+      let shortfall = 0;
+      let spendingAdjustment = 0;
+      let goalFunding = { paid: 0, shortfall: 0 };
 
       if (monthNum === 12) {
         // Calculate annual income and expenses
         const annualIncome = cashFlow.totalIncome * 12;
         const annualExpenses = cashFlow.totalExpenses * 12;
-        const annualSpendingNeed = Math.max(0, annualExpenses - annualIncome);
+        let annualSpendingNeed = Math.max(0, annualExpenses - annualIncome);
+
+        // A withdrawal policy replaces the plan's need with its own amount
+        if (spendingPolicy) {
+          const { withdrawal } = spendingPolicy.next({
+            yearIndex: year - firstYear,
+            portfolioValue: Object.values(accountBalances).reduce((sum, balance) => sum + balance, 0),
+            baseWithdrawal: annualSpendingNeed,
+            age: age1,
+          });
+          spendingAdjustment = withdrawal - annualSpendingNeed;
+          annualSpendingNeed = withdrawal;
+        }
+
+        // Goals due this year, in priority order, from what the spending leaves
+        if (goalLedger) {
+          const portfolioValue = Object.values(accountBalances).reduce((sum, balance) => sum + balance, 0);
+          goalFunding = goalLedger.fund(year - firstYear, portfolioValue - annualSpendingNeed);
+          annualSpendingNeed += goalFunding.paid;
+        }
 
         // Optimize withdrawals
+        const [taxAge1, taxAge2] = this.getTaxAges(people, month, filing);
         const household = {
           state: assumptions.state || 'AZ',
-          filingStatus: assumptions.filingStatus || 'married_joint',
-          age1,
-          age2,
+          locality: assumptions.locality || null,
+          filingStatus: filing.filingStatus,
+          age1: taxAge1,
+          age2: taxAge2,
+          aca: this.getACACoverage(assumptions, year - firstYear, age1, age2),
         };
+        const deductions = this.getAnnualDeductions(assumptions, year - firstYear, charitableCarryforward);
+        if (taxLots) {
+          taxLots = this.fitLotsToBalance(scaleLots(taxLots, lotGrowth), accountBalances.taxable);
+          lotGrowth = 1;
+        }
 
-        const withdrawalPlan = this.withdrawalSequencer.optimizeWithdrawals(
+        const withdrawalPlan = withdrawalSequencer.optimizeWithdrawals(
           accountBalances,
           {
             targetSpending: annualSpendingNeed,
             otherIncome: annualIncome,
+            otherIncomeDetail: {
+              socialSecurity: cashFlow.socialSecurity * 12,
+              pension: cashFlow.pensionTaxable * 12,
+              taxFree: cashFlow.taxFreeIncome * 12,
+            },
             allowRothWithdrawals: assumptions.allowRothWithdrawals || false,
-            charitableGiving: assumptions.charitableGiving || 0,
+            charitableGiving: bunchingGifts ? 0 : (assumptions.charitableGiving || 0),
             taxLossHarvesting: assumptions.taxLossHarvesting || 0,
             rothConversionBudget: assumptions.rothConversionBudget || 0,
           },
-          household
+          household,
+          {
+            taxYear: year,
+            deductions,
+            magiHistory,
+            irmaaBuffer: assumptions.irmaaBuffer || 0,
+            taxLots,
+            lotSelection: {
+              method: assumptions.lotSelectionMethod || 'hifo',
+              specificLotIds: assumptions.specificLotIds || [],
+            },
+            capitalLossCarryforward,
+            gainHarvesting: assumptions.gainHarvesting || false,
+            acaMagiLimit: assumptions.acaMagiLimit ?? null,
+            acaFplTarget: assumptions.acaFplTarget ?? null,
+          }
         );
 
         withdrawals = withdrawalPlan.withdrawals;
+        rmds = withdrawalPlan.rmds;
         taxes = withdrawalPlan.taxes;
         rothConversion = withdrawalPlan.rothConversion;
+        charitableCarryforward = taxes.deduction.charitableCarryforward;
+        magiHistory[year] = withdrawalPlan.magi;
+        irmaaAlerts = withdrawalPlan.irmaaAlerts;
+        acaAlerts = withdrawalPlan.acaAlerts;
+        taxLots = withdrawalPlan.remainingLots;
+        gainHarvest = withdrawalPlan.gainHarvest;
+        capitalLossCarryforward = withdrawalPlan.capitalLossCarryforward;
 
         cumulativeTaxes += taxes.totalTax;
+
+        // Widow's penalty: the survivor's tax vs. a joint return on the same income
+        if (filing.survivorIndex !== null && filing.filingStatus === 'single') {
+          const deceased = people[1 - filing.survivorIndex];
+          const jointTaxes = withdrawalSequencer.getTaxCalculator(year).calculateTax(
+            withdrawalPlan.income,
+            { ...household, filingStatus: 'married_joint', age2: this.calculateAge(deceased.dateOfBirth, month) },
+            { deductions, irmaaMagi: magiHistory[year - 2] ?? null }
+          );
+          widowPenalty = taxes.totalTax - jointTaxes.totalTax;
+        }
         cumulativeWithdrawals += withdrawalPlan.summary.grossWithdrawals;
 
         // Apply withdrawals to account balances
@@ -129,13 +281,32 @@ export class PlanningGraphService {
           accountBalances.ira_traditional -= rothConversion.amount;
           accountBalances.ira_roth = (accountBalances.ira_roth || 0) + rothConversion.amount;
         }
+
+        // Withdrawals left after spending and taxes (e.g. RMDs beyond the
+        // need) are reinvested; taxes they don't cover come out of the portfolio
+        const accountWithdrawals = Object.entries(withdrawals)
+          .filter(([accountType]) => accountType !== 'qcd')
+          .reduce((sum, [, amount]) => sum + amount, 0);
+        const netCash = accountWithdrawals - annualSpendingNeed - taxes.totalTax - (rothConversion.additionalTax || 0);
+        const settlement = this.settleAnnualCash(accountBalances, netCash);
+        accountBalances = settlement.balances;
+        shortfall = settlement.shortfall;
+
+        // A reinvested surplus is bought at its value; a deficit drawn from taxable shrinks the lots
+        if (taxLots) {
+          taxLots = netCash > 0
+            ? [...taxLots, normalizeLot({ id: `reinvested-${year}`, market_value: netCash, cost_basis: netCash, acquisition_date: `${year}-12-31` })]
+            : this.fitLotsToBalance(taxLots, accountBalances.taxable);
+        }
       }
 
       // Apply portfolio growth (monthly)
-      accountBalances = this.applyPortfolioGrowth(accountBalances, assumptions);
+      const taxableBeforeGrowth = accountBalances.taxable;
+      accountBalances = this.applyPortfolioGrowth(accountBalances, assumptions, returns?.[i]);
+      if (taxLots && taxableBeforeGrowth > 0) lotGrowth *= accountBalances.taxable / taxableBeforeGrowth;
 
       // Track account-level detail
-      const accountDetails = this.buildAccountDetails(accounts, accountBalances);
+      const accountDetails = this.buildAccountDetails(accounts, accountBalances, accountOwners);
 
       // Build graph entry
       const entry = {
@@ -175,31 +346,334 @@ export class PlanningGraphService {
         
         // Taxes (annual, stored in December)
         federal_tax: taxes.federalTax,
-        state_tax: taxes.stateTax,
+        state_tax: taxes.stateTax + (taxes.localTax || 0), // State + local
         irmaa_surcharge: taxes.irmaa.totalAnnual,
         niit_tax: taxes.niit,
         total_tax: taxes.totalTax,
         
-        // Goals (calculated separately)
-        goals_funded: 0,
-        goals_shortfall: 0,
+        // Goals (annual, December; Monte Carlo goal ledger only)
+        goals_funded: goalFunding.paid,
+        goals_shortfall: goalFunding.shortfall,
         
         // Metadata
         age_primary: age1,
         age_secondary: age2,
-        notes: monthNum === 12 ? `Annual tax: $${Math.round(taxes.totalTax).toLocaleString()}` : null,
+        notes: monthNum === 12 || transitions.length > 0
+          ? [
+            ...transitions.map(t => t.message),
+            ...(monthNum === 12 ? [`Annual tax: $${Math.round(taxes.totalTax).toLocaleString()}`] : []),
+            ...(widowPenalty > 0 ? [`Widow's penalty: $${Math.round(widowPenalty).toLocaleString()} more tax filing ${filing.label}`] : []),
+            ...(gainHarvest?.gain > 0 ? [`Harvested $${Math.round(gainHarvest.gain).toLocaleString()} of gains at 0%`] : []),
+            ...(taxes.aca?.premiumTaxCredit > 0 ? [`ACA premium tax credit: $${Math.round(taxes.aca.premiumTaxCredit).toLocaleString()}`] : []),
+            ...irmaaAlerts.map(a => a.message),
+            ...acaAlerts.map(a => a.message),
+          ].join('; ')
+          : null,
+
+        // Not persisted; feed buildGainHarvestingRecommendation and
+        // buildWidowPenaltyRecommendation
+        gain_harvest: gainHarvest,
+        roth_conversion: rothConversion.amount,
+        roth_conversion_tax: rothConversion.additionalTax || 0,
+        spending_shortfall: shortfall,
+        spending_adjustment: spendingAdjustment,
+        rmd_total: Object.values(rmds).reduce((sum, amt) => sum + amt, 0),
+        filing_status: filing.label,
+        widow_penalty: widowPenalty,
+        transitions,
       };
 
       graphEntries.push(entry);
     }
 
-    console.log(`[PlanningGraph] Generated ${graphEntries.length} monthly entries`);
-    console.log(`[PlanningGraph] Cumulative withdrawals: $${Math.round(cumulativeWithdrawals).toLocaleString()}`);
-    console.log(`[PlanningGraph] Cumulative taxes: $${Math.round(cumulativeTaxes).toLocaleString()}`);
+    log(`[PlanningGraph] Generated ${graphEntries.length} monthly entries`);
+    log(`[PlanningGraph] Cumulative withdrawals: $${Math.round(cumulativeWithdrawals).toLocaleString()}`);
+    log(`[PlanningGraph] Cumulative taxes: $${Math.round(cumulativeTaxes).toLocaleString()}`);
 
     return graphEntries;
   }
 
+  /**
+   * The path-independent part of a projection: death dates, then for each
+   * month the ages, filing status, deaths and cash flow. The projection
+   * stops once everyone has died. Monte Carlo builds this once and replays
+   * it with each path's returns.
+   *
+   * @param {Object} scenario - Scenario data
+   * @param {Object} options - { startDate, endDate, random }
+   * @returns {Object} { people, startDate, endDate, steps: [{ month, year,
+   *   monthNum, age1, age2, filing, deaths, living, cashFlow }] }
+   */
+  buildTimeline(scenario, { startDate, endDate = null, random = Math.random }) {
+    const { incomeStreams = [], expenseStreams = [], assumptions = {} } = scenario;
+
+    // Death dates drive the survivor transitions: deterministic from
+    // dateOfDeath/deathYear/deathAge, or drawn from assumptions.mortalityTable
+    const people = resolveDeathDates(scenario.people || [], startDate, {
+      mortality: assumptions.mortality,
+      table: assumptions.mortalityTable,
+      random,
+    });
+    const baseFilingStatus = assumptions.filingStatus || 'married_joint';
+
+    // Calculate projection end date (last death or specified)
+    const projectionEnd = endDate || this.calculateProjectionEnd(people, startDate);
+
+    const steps = [];
+    let living = people.filter(person => isAlive(person, startDate));
+    for (const month of this.getMonthsBetween(startDate, projectionEnd)) {
+      const year = parseInt(month.substring(0, 4));
+
+      // Deaths since last month
+      const deaths = living.filter(person => !isAlive(person, month));
+      living = living.filter(person => isAlive(person, month));
+      if (people.length > 0 && living.length === 0) break;
+
+      const [age1, age2] = [people[0], people[1]]
+        .map(person => (person && isAlive(person, month) ? this.calculateAge(person.dateOfBirth, month) : null));
+
+      steps.push({
+        month,
+        year,
+        monthNum: parseInt(month.substring(5, 7)),
+        age1,
+        age2,
+        filing: getSurvivorFilingStatus(baseFilingStatus, people, year, {
+          dependentChild: assumptions.survivorDependentChild,
+        }),
+        deaths,
+        living,
+        cashFlow: this.calculateMonthlyCashFlow({ month, startDate, incomeStreams, expenseStreams, people, assumptions }),
+      });
+    }
+
+    return { people, startDate, endDate: projectionEnd, steps };
+  }
+
+  /**
+   * Planning scenario from a household's stored people, accounts (taxable
+   * ones with their lots), income/expense streams and active goals. Stream
+   * metadata (pension survivor terms, annuity purchases) is carried onto the
+   * stream; the household's state, filing status and locality become
+   * assumptions (overridden by options.assumptions).
+   *
+   * @param {string} householdId
+   * @param {Object} options - { assumptions }
+   * @returns {Promise<Object|null>} Scenario, or null when the household does not exist
+   */
+  async loadHouseholdScenario(householdId, { assumptions = {} } = {}) {
+    const [graph, incomeRows, expenseRows, goals, taxProfile, lotRows] = await Promise.all([
+      households.getFullGraph(householdId),
+      incomeStreamRows.listByHousehold(householdId),
+      expenseStreamRows.listByHousehold(householdId),
+      goalRows.listByHousehold(householdId),
+      taxProfiles.getLatest(householdId),
+      accountRows.listTaxableLots(householdId),
+    ]);
+    if (!graph) return null;
+
+    // Taxable accounts carry their lots, so sales realize the lots' actual gains
+    const lotsByAccount = new Map();
+    for (const lot of lotRows) {
+      if (!lotsByAccount.has(lot.account_id)) lotsByAccount.set(lot.account_id, []);
+      lotsByAccount.get(lot.account_id).push(lot);
+    }
+
+    return {
+      people: graph.people.map(person => ({
+        id: person.id,
+        firstName: person.first_name,
+        lastName: person.last_name,
+        dateOfBirth: person.dob ?? person.date_of_birth,
+        dateOfDeath: person.dod ?? null,
+        deathAge: person.life_expectancy_override ?? undefined,
+        gender: person.gender ?? null,
+        metadata: person.metadata || {},
+      })),
+      accounts: graph.accounts.map(account => ({
+        ...account,
+        current_value: Number(account.current_value) || 0,
+        ...(lotsByAccount.has(account.id) && { lots: lotsByAccount.get(account.id) }),
+      })),
+      incomeStreams: incomeRows.map(row => ({
+        ...(row.metadata || {}),
+        id: row.id,
+        type: row.income_type,
+        personId: row.person_id,
+        description: row.description,
+        amount: Number(row.base_amount) || 0,
+        frequency: row.amount_frequency,
+        growthRate: Number(row.growth_rate) || 0,
+        taxCharacter: row.tax_character,
+        startDate: row.start_date,
+        endDate: row.end_date,
+      })),
+      expenseStreams: expenseRows.map(row => ({
+        description: row.description,
+        amount: Number(row.base_amount) || 0,
+        frequency: row.amount_frequency,
+      })),
+      // Funded by Monte Carlo paths (calculation/goal-funding.js reads the rows as stored)
+      goals,
+      assumptions: { ...this.getHouseholdTaxAssumptions(graph, taxProfile), ...assumptions },
+    };
+  }
+
+  /**
+   * State, filing status and locality of a stored household: the latest
+   * tax profile, else the primary member's state and the number of adults
+   * (two file jointly). Settings with nothing stored are left out.
+   */
+  getHouseholdTaxAssumptions(graph, taxProfile = null) {
+    // getFullGraph lists the primary member first
+    const primary = graph.people[0];
+    const adults = graph.people.filter(person => !person.relationship || ['primary', 'spouse'].includes(person.relationship));
+    const storedStatus = taxProfile?.filing_status;
+
+    const taxAssumptions = {
+      state: taxProfile?.primary_state ?? primary?.tax_domicile ?? primary?.state_residence ?? primary?.metadata?.state,
+      // Qualifying surviving spouses use the joint brackets
+      filingStatus: storedStatus === 'qualifying_widow' ? 'married_joint'
+        : storedStatus ?? (adults.length >= 2 ? 'married_joint' : 'single'),
+      locality: graph.tax_locality ?? null,
+    };
+    if (!taxAssumptions.state) delete taxAssumptions.state;
+    return taxAssumptions;
+  }
+
+  /**
+   * Lifetime after-tax income (income + withdrawals - taxes), ending
+   * portfolio and depletion date of a projection, discounted to the
+   * first month at discountRate.
+   *
+   * @param {Array} graphEntries - Output of generatePlanningGraph
+   * @returns {Object} { lifetimeAfterTaxIncome, lifetimeTaxes, widowPenalty,
+   *   endingPortfolio, depletionDate, portfolioLongevityYears, score }
+   */
+  summarizeProjection(graphEntries, { discountRate = 0.03 } = {}) {
+    let lifetimeAfterTaxIncome = 0;
+    let lifetimeTaxes = 0;
+    let widowPenalty = 0;
+    let depletionDate = null;
+    let endingPortfolio = 0;
+
+    graphEntries.forEach((entry, i) => {
+      const discount = Math.pow(1 + discountRate, -i / 12);
+      lifetimeAfterTaxIncome += (entry.total_income + entry.total_withdrawals - entry.total_tax) * discount;
+      lifetimeTaxes += entry.total_tax * discount;
+      widowPenalty += (entry.widow_penalty || 0) * discount;
+
+      const portfolio = entry.taxable_balance + entry.tax_deferred_balance + entry.tax_free_balance;
+      if (depletionDate === null && portfolio < 1) depletionDate = entry.month_date;
+      endingPortfolio = Math.max(0, portfolio) * discount;
+    });
+
+    const firstYear = graphEntries.length > 0 ? parseInt(graphEntries[0].month_date.substring(0, 4)) : null;
+    return {
+      lifetimeAfterTaxIncome,
+      lifetimeTaxes,
+      widowPenalty,
+      endingPortfolio,
+      depletionDate,
+      // null when the portfolio lasts through the projection
+      portfolioLongevityYears: depletionDate ? parseInt(depletionDate.substring(0, 4)) - firstYear : null,
+      score: lifetimeAfterTaxIncome + endingPortfolio,
+    };
+  }
+
+  /**
+   * Summarize the projection's 0% gain harvests as a `recommendations` row
+   * (see planRuns.addRecommendations). Future tax avoided assumes the
+   * reset basis would otherwise be taxed at assumptions.futureCapitalGainsRate.
+   *
+   * @param {Array} graphEntries - Output of generatePlanningGraph
+   * @param {Object} assumptions - Scenario assumptions
+   * @returns {Object|null} Recommendation, or null when nothing was harvested
+   */
+  buildGainHarvestingRecommendation(graphEntries, assumptions = {}) {
+    const futureRate = assumptions.futureCapitalGainsRate ?? 0.15;
+    const years = graphEntries
+      .filter(entry => entry.gain_harvest?.gain > 0)
+      .map(entry => ({
+        year: parseInt(entry.month_date.substring(0, 4)),
+        gain: Math.round(entry.gain_harvest.gain),
+        proceeds: Math.round(entry.gain_harvest.proceeds),
+        limitedBy: entry.gain_harvest.limitedBy,
+      }));
+
+    if (years.length === 0) return null;
+
+    const totalGain = years.reduce((sum, y) => sum + y.gain, 0);
+    const taxAvoided = Math.round(totalGain * futureRate);
+
+    return {
+      category: 'tax',
+      title: 'Harvest long-term gains in the 0% bracket',
+      description: `Realize $${totalGain.toLocaleString()} of long-term gains over ${years.length} year(s) `
+        + `(${years[0].year}-${years[years.length - 1].year}) at a 0% federal rate, selling and repurchasing `
+        + `to reset cost basis while staying below IRMAA and ACA cliffs. This avoids an estimated `
+        + `$${taxAvoided.toLocaleString()} of future capital gains tax.`,
+      impactEstimate: {
+        tax_savings_lifetime: taxAvoided,
+        basis_step_up: totalGain,
+        schedule: years,
+      },
+      confidenceScore: 0.8,
+      priority: 2,
+    };
+  }
+
+  /**
+   * Summarize the survivor's extra tax after the first death (single
+   * brackets, IRMAA tiers and Social Security thresholds on much the same
+   * income) as a `recommendations` row.
+   *
+   * @param {Array} graphEntries - Output of generatePlanningGraph
+   * @returns {Object|null} Recommendation, or null without a widow's penalty
+   */
+  buildWidowPenaltyRecommendation(graphEntries) {
+    const years = graphEntries
+      .filter(entry => entry.widow_penalty > 0)
+      .map(entry => ({
+        year: parseInt(entry.month_date.substring(0, 4)),
+        penalty: Math.round(entry.widow_penalty),
+        filingStatus: entry.filing_status,
+      }));
+
+    if (years.length === 0) return null;
+
+    const total = years.reduce((sum, y) => sum + y.penalty, 0);
+    const death = graphEntries.flatMap(entry => entry.transitions || []).find(t => t.type === 'death');
+
+    return {
+      category: 'tax',
+      title: "Plan for the widow's tax penalty",
+      description: `After the first death${death ? ` (${death.dateOfDeath.substring(0, 4)})` : ''} the survivor files `
+        + `single on much the same income, paying an estimated $${total.toLocaleString()} more tax over `
+        + `${years.length} year(s) than a joint return would (${years[0].year}: $${years[0].penalty.toLocaleString()}). `
+        + `Roth conversions while still filing jointly shrink the survivor's RMDs and bracket exposure.`,
+      impactEstimate: {
+        widow_penalty_lifetime: total,
+        schedule: years,
+      },
+      confidenceScore: 0.7,
+      priority: 2,
+    };
+  }
+
+  /**
+   * Store the projection's recommendations for a plan run.
+   */
+  async storeRecommendations(planRunId, graphEntries, assumptions = {}) {
+    const recommendations = [
+      this.buildGainHarvestingRecommendation(graphEntries, assumptions),
+      this.buildWidowPenaltyRecommendation(graphEntries),
+    ].filter(Boolean);
+
+    if (recommendations.length === 0) return [];
+    return planRuns.addRecommendations(planRunId, recommendations);
+  }
+
   /**
    * Store planning graph in database.
    */
@@ -256,27 +730,69 @@ export class PlanningGraphService {
 
   /**
    * Calculate monthly cash flow (income - expenses).
+   *
+   * Income streams may carry growthRate (e.g. COLA, compounded each
+   * calendar year after startDate) or a monthlyAmounts schedule keyed by
+   * month ('YYYY-MM-01') that replaces amount, as projected Social
+   * Security benefits do. Pension and annuity streams follow their
+   * survivor terms (see pension-annuity.js). Other streams stop when
+   * their person dies, and a surviving spouse keeps the larger of the two
+   * Social Security benefits. Income is split by tax character: Social
+   * Security, taxable pension/annuity, tax-free, and everything else as
+   * ordinary.
    */
-  calculateMonthlyCashFlow({ month, incomeStreams, expenseStreams, people, assumptions }) {
+  calculateMonthlyCashFlow({ month, startDate: projectionStart = month, incomeStreams, expenseStreams, people, assumptions }) {
     const monthDate = new Date(month);
     
     // Calculate monthly income
     let totalIncome = 0;
+    let socialSecurity = 0;
+    let pensionTaxable = 0;
+    let taxFreeIncome = 0;
+    const socialSecurityByPerson = new Map();
     incomeStreams.forEach(stream => {
-      const startDate = new Date(stream.startDate);
-      const endDate = stream.endDate ? new Date(stream.endDate) : null;
-      
-      if (monthDate >= startDate && (!endDate || monthDate <= endDate)) {
-        const monthlyAmount = stream.frequency === 'annual' 
-          ? stream.amount / 12 
-          : stream.amount;
-        totalIncome += monthlyAmount;
+      if (ANNUITY_INCOME_TYPES.includes(stream.type)) {
+        const payment = getPensionPayment(stream, month, { people });
+        totalIncome += payment.amount;
+        pensionTaxable += payment.taxable;
+        taxFreeIncome += payment.taxFree;
+        return;
+      }
+
+      let amount = 0;
+      if (stream.monthlyAmounts) {
+        amount = stream.monthlyAmounts[month] || 0;
+      } else {
+        const startDate = new Date(stream.startDate);
+        const endDate = stream.endDate ? new Date(stream.endDate) : null;
+
+        if (monthDate >= startDate && (!endDate || monthDate <= endDate)) {
+          const monthlyAmount = stream.frequency === 'annual' 
+            ? stream.amount / 12 
+            : stream.amount;
+          amount = monthlyAmount * Math.pow(1 + (stream.growthRate || 0), monthDate.getFullYear() - startDate.getFullYear());
+        }
       }
+
+      if (stream.type === 'social_security' && stream.personId) {
+        socialSecurityByPerson.set(stream.personId, (socialSecurityByPerson.get(stream.personId) || 0) + amount);
+        return;
+      }
+      const owner = stream.personId ? people.find(p => p.id === stream.personId) : null;
+      if (owner && !isAlive(owner, month)) return;
+
+      totalIncome += amount;
+      if (stream.type === 'social_security') socialSecurity += amount;
+      else if (stream.taxCharacter === 'tax_free') taxFreeIncome += amount;
     });
+
+    const householdSocialSecurity = this.getHouseholdSocialSecurity(socialSecurityByPerson, people, month);
+    totalIncome += householdSocialSecurity;
+    socialSecurity += householdSocialSecurity;
     
-    // Calculate monthly expenses (with inflation)
+    // Calculate monthly expenses (with inflation from the projection start)
     const inflationRate = assumptions.inflationRate || 0.03;
-    const startDate = new Date(monthDate);
+    const startDate = new Date(projectionStart);
     const yearsSinceStart = (monthDate - startDate) / (1000 * 60 * 60 * 24 * 365);
     const inflationMultiplier = Math.pow(1 + inflationRate, yearsSinceStart);
     
@@ -290,11 +806,129 @@ export class PlanningGraphService {
     
     return {
       totalIncome,
+      socialSecurity,
+      pensionTaxable,
+      taxFreeIncome,
       totalExpenses,
       netCashFlow: totalIncome - totalExpenses,
     };
   }
 
+  /**
+   * Social Security paid to the household given who is alive: each living
+   * person's benefit, except that a surviving spouse receives the larger
+   * of their own and the deceased spouse's benefit (survivor benefit) and
+   * the smaller stops.
+   *
+   * @param {Map} benefits - Scheduled monthly benefit by personId
+   */
+  getHouseholdSocialSecurity(benefits, people, month) {
+    const spouses = [people[0], people[1]];
+    const own = [0, 0];
+    let total = 0;
+
+    benefits.forEach((amount, personId) => {
+      const index = spouses.findIndex(p => p?.id === personId);
+      if (index >= 0) own[index] = amount;
+      else if (isAlive(people.find(p => p.id === personId), month)) total += amount;
+    });
+
+    const alive = spouses.map(person => Boolean(person) && isAlive(person, month));
+    if (alive[0] && alive[1]) return total + own[0] + own[1];
+    if (alive[0] || alive[1]) return total + Math.max(own[0], own[1]);
+    return total;
+  }
+
+  /**
+   * Record a death. The deceased's accounts pass to the surviving spouse
+   * as a spousal rollover, so RMDs follow the survivor's age.
+   *
+   * @param {Object} accountOwners - Account id -> owner, updated in place
+   * @returns {Object} Transition { type, personId, dateOfDeath, survivorId, accountsTransferred, message }
+   */
+  applyDeath(person, people, living, accounts, accountOwners) {
+    const spouse = [people[0], people[1]].find(p => p && p !== person && living.includes(p)) ?? null;
+    const rolledOver = spouse
+      ? accounts.filter(account => (accountOwners[account.id] ?? account.owner_person_id) === person.id)
+      : [];
+    rolledOver.forEach(account => { accountOwners[account.id] = spouse.id; });
+
+    const name = (p) => p.firstName || p.name || p.id;
+    let message = `${name(person)} died ${person.dateOfDeath}`;
+    if (spouse) {
+      message += `; ${name(spouse)} survives`;
+      if (rolledOver.length > 0) message += ` and inherits ${rolledOver.length} account(s)`;
+    }
+
+    return {
+      type: 'death',
+      personId: person.id,
+      dateOfDeath: person.dateOfDeath,
+      survivorId: spouse?.id ?? null,
+      accountsTransferred: rolledOver.map(account => account.id),
+      message,
+    };
+  }
+
+  /**
+   * Ages on the year's return: both spouses while filing jointly (the
+   * deceased's age at death in the year of death), the survivor's alone
+   * after that.
+   */
+  getTaxAges(people, month, filing) {
+    const ageOf = (person) => {
+      if (!person) return null;
+      const asOf = person.dateOfDeath && person.dateOfDeath < month ? person.dateOfDeath : month;
+      return this.calculateAge(person.dateOfBirth, asOf);
+    };
+    if (filing.survivorIndex !== null) return [ageOf(people[filing.survivorIndex]), null];
+    return [ageOf(people[0]), ageOf(people[1])];
+  }
+
+  /**
+   * Settle the year's cash: a surplus goes to taxable; a deficit is drawn
+   * from taxable, then tax-deferred, then Roth. What the portfolio cannot
+   * cover is the shortfall.
+   *
+   * @param {Object} balances - Balances by account type
+   * @param {number} net - Withdrawals less spending need and taxes
+   * @returns {Object} { balances, shortfall }
+   */
+  settleAnnualCash(balances, net) {
+    const updated = { ...balances };
+    if (net >= 0) {
+      updated.taxable = (updated.taxable || 0) + net;
+      return { balances: updated, shortfall: 0 };
+    }
+
+    let remaining = -net;
+    for (const accountType of ['taxable', 'ira_traditional', '401k_traditional', 'ira_roth', '401k_roth']) {
+      const draw = Math.min(remaining, Math.max(0, updated[accountType] || 0));
+      updated[accountType] -= draw;
+      remaining -= draw;
+      if (remaining <= 0) break;
+    }
+    return { balances: updated, shortfall: remaining };
+  }
+
+  /**
+   * Deduct annuity premiums (stream.purchase = { premium, accountType, date })
+   * from the funding bucket in the purchase month. Taxable is the default.
+   */
+  applyAnnuityPurchases(balances, incomeStreams, month) {
+    const purchases = incomeStreams
+      .filter(stream => ANNUITY_INCOME_TYPES.includes(stream.type))
+      .map(stream => normalizeAnnuityStream(stream).purchase)
+      .filter(purchase => purchase && String(purchase.date).substring(0, 7) === month.substring(0, 7));
+    if (purchases.length === 0) return balances;
+
+    const updated = { ...balances };
+    purchases.forEach(({ premium, accountType = 'taxable' }) => {
+      updated[accountType] = (updated[accountType] || 0) - premium;
+    });
+    return updated;
+  }
+
   /**
    * Initialize account balances from accounts array.
    */
@@ -318,48 +952,117 @@ export class PlanningGraphService {
   }
 
   /**
-   * Apply portfolio growth (monthly).
+   * Marketplace coverage for household members not yet on Medicare.
+   * assumptions.acaBenchmarkPremium is the household's annual benchmark
+   * (second-lowest-cost silver) premium in today's dollars; the share for
+   * members who have reached 65 drops out.
    */
-  applyPortfolioGrowth(balances, assumptions) {
+  getACACoverage(assumptions, yearIndex, age1, age2) {
+    if (!assumptions.acaBenchmarkPremium) return null;
+
+    const adults = [age1, age2].filter(age => age !== null && age !== undefined);
+    const covered = adults.filter(age => age < 65).length;
+    if (covered === 0) return null;
+
+    const growth = Math.pow(1 + (assumptions.healthcareInflation ?? assumptions.inflationRate ?? 0.03), yearIndex);
+    return {
+      benchmarkPremium: assumptions.acaBenchmarkPremium * growth * (covered / adults.length),
+      householdSize: assumptions.householdSize,
+    };
+  }
+
+  /**
+   * Tax lots held in taxable accounts (account.lots as `lots` rows).
+   * Once any taxable account carries lots, every taxable dollar is in a
+   * lot: an account's value beyond its lots is full-basis cash, and an
+   * account without lots is one lot at ESTIMATED_GAIN_RATIO. Returns null
+   * when no taxable account carries lots, so withdrawals fall back to the
+   * estimated gain ratio.
+   */
+  collectTaxLots(accounts) {
+    const taxableAccounts = accounts.filter(account => account.account_type === 'taxable');
+    if (!taxableAccounts.some(account => account.lots?.length > 0)) return null;
+
+    return taxableAccounts.flatMap(account => {
+      const value = Number(account.current_value) || 0;
+      if (!account.lots?.length) {
+        return value > 0
+          ? [normalizeLot({ id: `estimated-${account.id}`, account_id: account.id, market_value: value, cost_basis: value * (1 - ESTIMATED_GAIN_RATIO) })]
+          : [];
+      }
+
+      const lots = account.lots.map(lot => normalizeLot({ account_id: account.id, ...lot }));
+      const uninvested = value - lots.reduce((sum, lot) => sum + lot.marketValue, 0);
+      return uninvested > 0
+        ? [...lots, normalizeLot({ id: `cash-${account.id}`, account_id: account.id, market_value: uninvested, cost_basis: uninvested })]
+        : lots;
+    });
+  }
+
+  /**
+   * Lots shrink pro rata when the taxable balance falls below them without
+   * a lot sale (annuity premiums, year-end deficits); they never grow to it.
+   */
+  fitLotsToBalance(lots, taxableBalance = 0) {
+    const value = lots.reduce((sum, lot) => sum + lot.marketValue, 0);
+    return value > taxableBalance ? revalueLots(lots, Math.max(0, taxableBalance)) : lots;
+  }
+
+  /**
+   * Apply portfolio growth (monthly). A sampled return (Monte Carlo paths)
+   * replaces assumptions.portfolioReturn: one monthly return, or returns by
+   * account type with `default` for types not listed.
+   */
+  applyPortfolioGrowth(balances, assumptions, sampledReturn = null) {
     const annualReturn = assumptions.portfolioReturn || 0.07; // 7% default
     const monthlyReturn = Math.pow(1 + annualReturn, 1/12) - 1;
 
     const updated = {};
     Object.keys(balances).forEach(accountType => {
-      updated[accountType] = balances[accountType] * (1 + monthlyReturn);
+      const r = typeof sampledReturn === 'number' ? sampledReturn
+        : sampledReturn?.[accountType] ?? sampledReturn?.default ?? monthlyReturn;
+      updated[accountType] = balances[accountType] * (1 + r);
     });
 
     return updated;
   }
 
   /**
-   * Build account-level details.
+   * Build account-level details (owners after any spousal rollovers).
    */
-  buildAccountDetails(accounts, balances) {
+  buildAccountDetails(accounts, balances, accountOwners = {}) {
     return accounts.map(account => ({
       account_id: account.id,
       account_type: account.account_type,
+      owner_person_id: accountOwners[account.id] ?? account.owner_person_id ?? null,
       current_balance: balances[account.account_type] || 0,
     }));
   }
 
   /**
-   * Calculate projection end date (age 100 or specified).
+   * Calculate projection end date: the last death, with anyone lacking a
+   * death date living to age 100.
    */
   calculateProjectionEnd(people, startDate) {
-    const primaryPerson = people[0];
-    if (!primaryPerson || !primaryPerson.dateOfBirth) {
+    const ends = people
+      .map(person => {
+        if (person.dateOfDeath) return new Date(person.dateOfDeath);
+        const birthDate = getBirthDate(person);
+        if (!birthDate) return null;
+        const maxAgeDate = new Date(birthDate);
+        maxAgeDate.setFullYear(maxAgeDate.getFullYear() + MAX_PROJECTION_AGE);
+        return maxAgeDate;
+      })
+      .filter(Boolean);
+
+    if (ends.length === 0) {
       // Default to 30 years from start
       const start = new Date(startDate);
       start.setFullYear(start.getFullYear() + 30);
       return start.toISOString().split('T')[0];
     }
 
-    const birthDate = new Date(primaryPerson.dateOfBirth);
-    const age100Date = new Date(birthDate);
-    age100Date.setFullYear(age100Date.getFullYear() + 100);
-    
-    return age100Date.toISOString().split('T')[0];
+    return new Date(Math.max(...ends)).toISOString().split('T')[0];
   }
 
   /**
@@ -151,11 +151,14 @@ export const assumptionSets = {
     longevityTable, longevityAdjustment, returnModelId,
     taxRuleSetFederalId, taxRuleSetStateId,
     safeWithdrawalRate, socialSecurityCola,
+    withdrawalPolicy = 'constant', withdrawalPolicyParams = {}, taxOptions = {},
   }) {
-    // Generate version hash for reproducibility
+    // Generate version hash for reproducibility (constant spending and no tax options keep the original inputs)
     const hashInput = [
       valuationAsOfDate, inflationCpi, healthcareInflation,
       returnModelId, taxRuleSetFederalId, taxRuleSetStateId,
+      ...(withdrawalPolicy === 'constant' ? [] : [withdrawalPolicy, JSON.stringify(withdrawalPolicyParams)]),
+      ...(Object.keys(taxOptions).length === 0 ? [] : [JSON.stringify(taxOptions)]),
     ].join('|');
     const versionHash = crypto.createHash('sha256').update(hashInput).digest('hex');
 
@@ -164,13 +167,15 @@ export const assumptionSets = {
         scenario_id, valuation_as_of_date, inflation_cpi, healthcare_inflation,
         education_inflation, longevity_table, longevity_adjustment,
         return_model_id, tax_rule_set_federal_id, tax_rule_set_state_id,
-        safe_withdrawal_rate, social_security_cola, version_hash
-      ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13) RETURNING *`,
+        safe_withdrawal_rate, social_security_cola, version_hash,
+        withdrawal_policy, withdrawal_policy_params, tax_options
+      ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16) RETURNING *`,
       [
         scenarioId, valuationAsOfDate, inflationCpi, healthcareInflation,
         educationInflation, longevityTable, longevityAdjustment || 0,
         returnModelId, taxRuleSetFederalId, taxRuleSetStateId,
         safeWithdrawalRate, socialSecurityCola || 0.025, versionHash,
+        withdrawalPolicy, JSON.stringify(withdrawalPolicyParams), JSON.stringify(taxOptions),
       ]
     );
     return result.rows[0];
@@ -264,6 +269,27 @@ export const taxRuleSets = {
     const result = await query('SELECT * FROM tax_rule_sets WHERE id = $1', [id]);
     return result.rows[0] || null;
   },
+
+  /**
+   * Full rule payloads (latest version per jurisdiction/year) for the tax rule registry.
+   */
+  async listRules({ jurisdictions } = {}) {
+    let sql = `
+      SELECT DISTINCT ON (jurisdiction, tax_year)
+        id, jurisdiction, tax_year, version, rules_json
+      FROM tax_rule_sets
+    `;
+    const params = [];
+
+    if (jurisdictions?.length) {
+      sql += ' WHERE jurisdiction = ANY($1)';
+      params.push(jurisdictions);
+    }
+
+    sql += ' ORDER BY jurisdiction, tax_year, effective_start DESC, created_at DESC';
+    const result = await query(sql, params);
+    return result.rows;
+  },
 };
 
 // ============================================================================
@@ -336,16 +362,18 @@ export const planRuns = {
     return result.rows[0] || null;
   },
 
-  async updateResults(id, { successProbability, medianTerminalWealth, p10TerminalWealth, p90TerminalWealth, maxDrawdownMedian }) {
+  async updateResults(id, { successProbability, medianTerminalWealth, p10TerminalWealth, p90TerminalWealth, maxDrawdownMedian, goalResults = null }) {
     const result = await query(
       `UPDATE plan_runs SET 
         success_probability = $2,
         median_terminal_wealth = $3,
         p10_terminal_wealth = $4,
         p90_terminal_wealth = $5,
-        max_drawdown_median = $6
+        max_drawdown_median = $6,
+        goal_results = $7
        WHERE id = $1 RETURNING *`,
-      [id, successProbability, medianTerminalWealth, p10TerminalWealth, p90TerminalWealth, maxDrawdownMedian]
+      [id, successProbability, medianTerminalWealth, p10TerminalWealth, p90TerminalWealth, maxDrawdownMedian,
+        goalResults && JSON.stringify(goalResults)]
     );
     return result.rows[0] || null;
   },
@@ -356,7 +384,7 @@ export const planRuns = {
         pr.id, pr.run_type, pr.run_status, pr.horizon_years, pr.num_simulations,
         pr.success_probability, pr.median_terminal_wealth,
         pr.p10_terminal_wealth, pr.p90_terminal_wealth,
-        pr.max_drawdown_median,
+        pr.max_drawdown_median, pr.goal_results,
         pr.queued_at, pr.started_at, pr.completed_at,
         EXTRACT(EPOCH FROM (pr.completed_at - pr.started_at)) AS duration_seconds
        FROM plan_runs pr
@@ -380,13 +408,85 @@ export const planRuns = {
       params.push(percentile);
     }
 
-    sql += ` ORDER BY time_index LIMIT $${idx++} OFFSET $${idx++}`;
+    sql += ` ORDER BY time_index, percentile LIMIT $${idx++} OFFSET $${idx++}`;
     params.push(limit, offset);
 
     const result = await query(sql, params);
     return result.rows;
   },
 
+  /**
+   * Replace a run's timeseries (a retried run rewrites its rows).
+   *
+   * @param {Array} rows - [{ dimension, time_period, time_index, value, percentile }]
+   */
+  async replaceTimeseries(runId, rows) {
+    return withTransaction(async (client) => {
+      await client.query('DELETE FROM projection_timeseries WHERE plan_run_id = $1', [runId]);
+      if (!rows.length) return 0;
+      const result = await client.query(
+        `INSERT INTO projection_timeseries (plan_run_id, dimension, time_period, time_index, value, percentile)
+         SELECT $1, * FROM UNNEST($2::varchar[], $3::varchar[], $4::int[], $5::numeric[], $6::int[])`,
+        [
+          runId,
+          rows.map(r => r.dimension),
+          rows.map(r => r.time_period),
+          rows.map(r => r.time_index),
+          rows.map(r => r.value),
+          rows.map(r => r.percentile ?? null),
+        ]
+      );
+      return result.rowCount;
+    });
+  },
+
+  /**
+   * Representative Monte Carlo paths stored as `<dimension>_sample` rows,
+   * grouped by the path's ending-value rank.
+   *
+   * @returns {Promise<Array>} [{ percentile, points: [{ time_period, time_index, portfolio_value, ... }] }]
+   */
+  async getSamplePaths(runId) {
+    const result = await query(
+      `SELECT dimension, time_period, time_index, value, percentile
+       FROM projection_timeseries
+       WHERE plan_run_id = $1 AND dimension LIKE '%\\_sample'
+       ORDER BY percentile, time_index`,
+      [runId]
+    );
+
+    const paths = new Map();
+    for (const row of result.rows) {
+      if (!paths.has(row.percentile)) paths.set(row.percentile, new Map());
+      const points = paths.get(row.percentile);
+      if (!points.has(row.time_index)) {
+        points.set(row.time_index, { time_period: row.time_period, time_index: row.time_index });
+      }
+      points.get(row.time_index)[row.dimension.replace(/_sample$/, '')] = Number(row.value);
+    }
+    return [...paths].map(([percentile, points]) => ({ percentile, points: [...points.values()] }));
+  },
+
+  async addRecommendations(runId, recommendations) {
+    return withTransaction(async (client) => {
+      const rows = [];
+      for (const rec of recommendations) {
+        const result = await client.query(
+          `INSERT INTO recommendations (
+            plan_run_id, category, title, description,
+            impact_estimate, confidence_score, priority
+          ) VALUES ($1,$2,$3,$4,$5,$6,$7) RETURNING *`,
+          [
+            runId, rec.category, rec.title, rec.description,
+            rec.impactEstimate || {}, rec.confidenceScore ?? null, rec.priority ?? 3,
+          ]
+        );
+        rows.push(result.rows[0]);
+      }
+      return rows;
+    });
+  },
+
   async getRecommendations(runId) {
     const result = await query(
       `SELECT * FROM recommendations 
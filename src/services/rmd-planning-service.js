@@ -0,0 +1,67 @@
+/**
+ * RMD Planning Service
+ *
+ * Builds a household's RMD distribution plan for a year from the
+ * Planning Graph: people, tax-advantaged accounts (prior year-end balance
+ * from metadata.priorYearEndBalance, else current value), holdings and
+ * transactions imported from statements.
+ */
+
+import { planRMDDistributions, DISTRIBUTION_STRATEGIES } from '../calculation/rmd-distribution-planner.js';
+import { people, accounts } from './household-service.js';
+
+export class RMDPlanningService {
+  /**
+   * Validate request options. Returns an error message or null.
+   */
+  validate({ year, strategy, asOfDate } = {}) {
+    if (year !== undefined && !Number.isInteger(year)) return 'year must be an integer';
+    if (strategy !== undefined && !DISTRIBUTION_STRATEGIES.includes(strategy)) {
+      return `strategy must be one of: ${DISTRIBUTION_STRATEGIES.join(', ')}`;
+    }
+    if (asOfDate !== undefined && Number.isNaN(new Date(asOfDate).getTime())) return 'asOfDate must be a date';
+    return null;
+  }
+
+  /**
+   * Distribution plan for a household.
+   *
+   * @param {string} householdId
+   * @param {Object} options - { year, asOfDate, strategy }
+   * @returns {Object} planRMDDistributions result
+   */
+  async planForHousehold(householdId, { year, asOfDate, strategy = 'highest_cash' } = {}) {
+    const planDate = asOfDate ? new Date(asOfDate) : new Date();
+    const planYear = year ?? planDate.getFullYear();
+
+    const [members, accountRows, lots, transactions] = await Promise.all([
+      people.listByHousehold(householdId),
+      accounts.listByHousehold(householdId),
+      accounts.listLots(householdId),
+      accounts.listTransactions(householdId, {
+        from: `${planYear}-01-01`,
+        to: `${planYear}-12-31`,
+      }),
+    ]);
+
+    return planRMDDistributions({
+      year: planYear,
+      asOfDate: planDate,
+      people: members.map(person => ({
+        ...person,
+        legal_name: `${person.first_name} ${person.last_name}`,
+        birth_date: person.dob ?? person.date_of_birth,
+      })),
+      accounts: accountRows.map(account => ({
+        ...account,
+        balance: Number(account.metadata?.priorYearEndBalance ?? account.current_value) || 0,
+        current_value: Number(account.current_value) || 0,
+      })),
+      lots,
+      transactions,
+      strategy,
+    });
+  }
+}
+
+export default RMDPlanningService;
@@ -0,0 +1,254 @@
+/**
+ * Social Security Service
+ *
+ * Chooses claiming ages by running every combination through the
+ * Planning Graph:
+ * - Benefits per combination from calculation/social-security.js (own,
+ *   spousal and survivor benefits, earnings test, COLA)
+ * - Each combination replaces the scenario's Social Security streams and is
+ *   projected with taxes, withdrawals and RMDs
+ * - Ranked on portfolio longevity, then lifetime after-tax income plus the
+ *   ending portfolio, discounted to start-year dollars
+ * - The chosen strategy is written back as income_streams rows
+ * - One request scores at most MAX_STRATEGIES combinations (monthly steps
+ *   suit one claimant; couples need a coarser stepMonths)
+ */
+
+import { PlanningGraphService } from './planning-graph-service.js';
+import { enumerateClaimingStrategies, projectSocialSecurity } from '../calculation/social-security.js';
+import { incomeStreams } from './household-service.js';
+
+const EARNED_INCOME_TYPES = ['salary', 'bonus', 'w2', 'employment', 'business', 'self_employment'];
+const DEFAULT_DEATH_AGE = 90;
+// Each combination is a full projection, run within one HTTP request
+export const MAX_STRATEGIES = 300;
+
+export class SocialSecurityService {
+  constructor({ planningGraph = new PlanningGraphService() } = {}) {
+    this.planningGraph = planningGraph;
+  }
+
+  /**
+   * Validate a scenario's claimants and options. Returns an error message or null.
+   */
+  validate(scenario, options = {}) {
+    const claimants = this.getClaimants(scenario);
+    if (claimants.length === 0) return 'at least one person needs a PIA (monthly benefit at full retirement age)';
+    if (claimants.some(p => Number.isNaN(new Date(p.dateOfBirth).getTime()))) return 'claimants need a date of birth';
+    if (options.stepMonths !== undefined && ![1, 3, 6, 12].includes(options.stepMonths)) {
+      return 'stepMonths must be 1, 3, 6 or 12';
+    }
+    if (options.startYear !== undefined && !Number.isInteger(options.startYear)) return 'startYear must be an integer';
+    if (options.colaRate !== undefined && !Number.isFinite(options.colaRate)) return 'colaRate must be a number';
+
+    const { startYear = new Date().getFullYear(), stepMonths = 12 } = options;
+    const combinations = enumerateClaimingStrategies(claimants, { startYear, stepMonths }).length;
+    if (combinations > MAX_STRATEGIES) {
+      return `stepMonths ${stepMonths} gives ${combinations} claiming-age combinations; at most ${MAX_STRATEGIES} `
+        + 'are scored per request (use a larger stepMonths)';
+    }
+    return null;
+  }
+
+  /**
+   * Spouses (the first two people) with a PIA.
+   */
+  getClaimants(scenario) {
+    return (scenario.people || [])
+      .slice(0, 2)
+      .filter(person => person.pia !== undefined && person.pia !== null && Number.isFinite(Number(person.pia)));
+  }
+
+  /**
+   * Score every claiming-age combination for a planning scenario.
+   *
+   * @param {Object} scenario - Planning graph scenario; people carry id,
+   *   dateOfBirth, pia (monthly), deathAge and claimingAge when already receiving
+   * @param {Object} options - { startYear, endDate, colaRate, wageIndexRate, stepMonths, discountRate, top }
+   * @returns {Object} { startYear, strategies, recommended, baselines, recommendation, assumptions }
+   */
+  async optimize(scenario, options = {}) {
+    const {
+      startYear = new Date().getFullYear(),
+      endDate = null,
+      colaRate = 0.025,
+      wageIndexRate = 0.03,
+      stepMonths = 12,
+      discountRate = scenario.assumptions?.inflationRate ?? 0.03,
+      top = 10,
+    } = options;
+
+    const claimants = this.getClaimants(scenario).map(person => ({
+      ...person,
+      name: person.name ?? [person.firstName, person.lastName].filter(Boolean).join(' '),
+      deathAge: person.deathAge ?? DEFAULT_DEATH_AGE,
+      earnings: (scenario.incomeStreams || [])
+        .filter(stream => stream.personId === person.id && EARNED_INCOME_TYPES.includes(stream.type))
+        .map(stream => ({
+          amount: stream.frequency === 'annual' ? stream.amount : stream.amount * 12,
+          startDate: stream.startDate,
+          endDate: stream.endDate,
+        })),
+    }));
+    const otherStreams = (scenario.incomeStreams || []).filter(stream => stream.type !== 'social_security');
+    const startDate = `${startYear}-01-01`;
+
+    const strategies = [];
+    for (const combo of enumerateClaimingStrategies(claimants, { startYear, stepMonths })) {
+      const benefits = projectSocialSecurity({
+        people: claimants.map((person, i) => ({ ...person, claimingAge: combo[i] / 12 })),
+        startYear,
+        colaRate,
+        wageIndexRate,
+      });
+
+      const streams = benefits.people.map((person, i) => ({
+        type: 'social_security',
+        personId: person.id,
+        description: `Social Security (${person.name || person.id})`,
+        monthlyAmounts: Object.fromEntries(benefits.months.map(m => [m.month, m.amounts[i]])),
+      }));
+      const entries = await this.planningGraph.generatePlanningGraph(
+        `ss-${combo.join('-')}`,
+        { ...scenario, incomeStreams: [...otherStreams, ...streams] },
+        { startDate, endDate, quiet: true }
+      );
+
+      strategies.push({
+        claimingAges: combo.map(months => months / 12),
+        people: benefits.people,
+        lifetimeBenefits: benefits.lifetimeBenefits,
+        ...this.planningGraph.summarizeProjection(entries, { discountRate }),
+      });
+    }
+
+    strategies.sort((a, b) =>
+      (b.portfolioLongevityYears ?? Infinity) - (a.portfolioLongevityYears ?? Infinity)
+      || b.score - a.score);
+    strategies.forEach((strategy, i) => { strategy.rank = i + 1; });
+
+    const recommended = strategies[0];
+    const baselines = {
+      earliest: strategies.reduce((best, s) => (sumAges(s) < sumAges(best) ? s : best)),
+      fullRetirementAge: strategies.reduce((best, s) => (fraDistance(s) < fraDistance(best) ? s : best)),
+    };
+
+    return {
+      startYear,
+      strategies: strategies.slice(0, top),
+      strategiesEvaluated: strategies.length,
+      recommended,
+      baselines,
+      recommendation: this.describe(recommended, baselines),
+      assumptions: { colaRate, wageIndexRate, discountRate, stepMonths },
+    };
+  }
+
+  describe(recommended, baselines) {
+    const ages = recommended.people
+      .map(p => `${p.name || p.id} at ${formatAge(p.claimingAge)}`)
+      .join(', ');
+    const [label, baseline] = recommended === baselines.fullRetirementAge
+      ? ['claiming as early as possible', baselines.earliest]
+      : ['claiming at full retirement age', baselines.fullRetirementAge];
+    const longevity = recommended.portfolioLongevityYears === null
+      ? 'the portfolio lasts through the projection'
+      : `the portfolio lasts ${recommended.portfolioLongevityYears} years`;
+
+    return `Claim ${ages}: $${Math.round(recommended.score - baseline.score).toLocaleString()} more lifetime `
+      + `after-tax income and ending portfolio (today's dollars) than ${label}; ${longevity}.`;
+  }
+
+  /**
+   * Planning graph scenario for a household with each person's PIA,
+   * claiming age (when already receiving) and life expectancy.
+   *
+   * @param {Object} payload - { pia: {personId: monthly}, claimingAge:
+   *   {personId: age}, lifeExpectancy: {personId: age}, assumptions }; falls
+   *   back to people.metadata.socialSecurityPIA / socialSecurityClaimingAge
+   */
+  async buildScenario(householdId, payload = {}) {
+    const scenario = await this.planningGraph.loadHouseholdScenario(householdId, payload);
+    if (!scenario) return null;
+
+    return {
+      ...scenario,
+      people: scenario.people.map(person => ({
+        ...person,
+        pia: payload.pia?.[person.id] ?? person.metadata?.socialSecurityPIA,
+        claimingAge: payload.claimingAge?.[person.id] ?? person.metadata?.socialSecurityClaimingAge,
+        deathAge: payload.lifeExpectancy?.[person.id] ?? person.deathAge,
+      })),
+    };
+  }
+
+  /**
+   * Replace the household's Social Security streams with a strategy: an own
+   * benefit row per person plus a spousal row where one is payable. Amounts
+   * are monthly in claim-year dollars, growing with COLA.
+   */
+  async applyStrategy(householdId, strategy, { startYear, assumptions }) {
+    const { colaRate } = assumptions;
+    const inflate = (amount, date) =>
+      amount * Math.pow(1 + colaRate, Math.max(0, parseInt(date.substring(0, 4)) - startYear));
+    const notBefore = (date) => (date < `${startYear}-01-01` ? `${startYear}-01-01` : date);
+
+    const streams = strategy.people.flatMap(person => {
+      const metadata = {
+        source: 'social_security_optimizer',
+        claimingAge: person.claimingAge,
+        pia: person.pia,
+        fullRetirementAge: person.fullRetirementAge,
+        survivorMonthly: Math.round(person.survivorMonthly),
+        withheldMonths: person.withheldMonths,
+        rank: strategy.rank,
+      };
+      const ownStart = notBefore(person.claimDate);
+      const rows = [{
+        personId: person.id,
+        description: `Social Security - claim at ${formatAge(person.claimingAge)}`,
+        baseAmount: Math.round(inflate(person.monthlyAtClaim, ownStart) * 100) / 100,
+        amountFrequency: 'monthly',
+        growthRate: colaRate,
+        inflationIndexed: true,
+        taxCharacter: 'social_security',
+        startDate: ownStart,
+        metadata,
+      }];
+
+      if (person.spousalMonthly > 0) {
+        const spousalStart = notBefore(person.spousalStartDate);
+        rows.push({
+          personId: person.id,
+          description: 'Social Security - spousal benefit',
+          baseAmount: Math.round(inflate(person.spousalMonthly, spousalStart) * 100) / 100,
+          amountFrequency: 'monthly',
+          growthRate: colaRate,
+          inflationIndexed: true,
+          taxCharacter: 'social_security',
+          startDate: spousalStart,
+          metadata: { ...metadata, benefitType: 'spousal' },
+        });
+      }
+      return rows;
+    });
+
+    return incomeStreams.replaceSocialSecurity(householdId, streams);
+  }
+}
+
+function sumAges(strategy) {
+  return strategy.claimingAges.reduce((sum, age) => sum + age, 0);
+}
+
+function fraDistance(strategy) {
+  return strategy.people.reduce((sum, p) => sum + Math.abs(p.claimingAge - p.fullRetirementAge), 0);
+}
+
+function formatAge(age) {
+  const years = Math.floor(age + 1e-9);
+  const months = Math.round((age - years) * 12);
+  return months > 0 ? `${years}y ${months}m` : `${years}`;
+}
+
+export default SocialSecurityService;
@@ -88,6 +88,20 @@ export class StatementIngestionService {
         }
       }
       
+      // Insert transactions (single-account statements may omit the account number)
+      const insertedTransactions = [];
+      for (const [index, transaction] of (parsed.transactions || []).entries()) {
+        const accountId = this.findAccountIdByNumber(insertedAccounts, transaction.accountNumber)
+          || (insertedAccounts.length === 1 ? insertedAccounts[0].id : null);
+        if (accountId) {
+          const source = { fileHash, line: index + 1 };
+          const transactionId = await this.insertTransaction(client, accountId, transaction, source);
+          if (transactionId) insertedTransactions.push({ ...transaction, id: transactionId, accountId });
+        } else {
+          console.warn(`[Ingestion] Skipping ${transaction.type} transaction - account ${transaction.accountNumber} not found`);
+        }
+      }
+      
       // Log audit trail
       await client.query(
         `INSERT INTO audit_log (household_id, action, entity_type, changes, ip_address)
@@ -101,12 +115,13 @@ export class StatementIngestionService {
             custodian: parsed.custodian,
             accountsImported: insertedAccounts.length,
             positionsImported: insertedPositions.length,
+            transactionsImported: insertedTransactions.length,
           }),
           null, // IP address (passed from API layer)
         ]
       );
       
-      return { accounts: insertedAccounts, positions: insertedPositions };
+      return { accounts: insertedAccounts, positions: insertedPositions, transactions: insertedTransactions };
     });
     
     // Determine parser name
@@ -172,6 +187,7 @@ export class StatementIngestionService {
       summary: {
         accountsImported: result.accounts.length,
         positionsImported: result.positions.length,
+        transactionsImported: result.transactions.length,
         totalValue: result.accounts.reduce((sum, a) => sum + a.currentValue, 0),
       },
     };
@@ -247,6 +263,37 @@ export class StatementIngestionService {
     return result.rows[0].id;
   }
 
+  /**
+   * Insert transaction into database. Rows are keyed by the statement's
+   * file hash and the transaction's line in it, so re-importing a statement
+   * skips its transactions while identical transactions on separate lines
+   * are both kept.
+   * @private
+   */
+  async insertTransaction(client, accountId, transaction, { fileHash, line }) {
+    const result = await client.query(
+      `INSERT INTO account_transactions (
+        account_id, transaction_date, transaction_type, symbol, quantity, price, amount,
+        source_file_hash, source_line
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (account_id, source_file_hash, source_line) DO NOTHING
+      RETURNING id`,
+      [
+        accountId,
+        transaction.date,
+        transaction.type,
+        transaction.symbol || null,
+        transaction.quantity,
+        transaction.price,
+        transaction.amount,
+        fileHash,
+        line,
+      ]
+    );
+    
+    return result.rows[0]?.id || null;
+  }
+
   /**
    * Find account ID by account number from inserted accounts.
    * @private
@@ -0,0 +1,390 @@
+/**
+ * Tax Estimate Service
+ *
+ * "What-if" federal return estimates backed by the TaxCalculator:
+ * - One or more tax years per request
+ * - 1040-style line-by-line output (income lines, AGI, deduction, taxable income, tax)
+ * - Ordinary and capital gains bracket fill
+ * - NIIT, AMT, IRMAA (two-year MAGI lookback) and distance to the next tier
+ * - ACA premium tax credit (household.aca) and distance to the subsidy cliff
+ * - Marginal (bracket and incremental) and effective rates
+ * - Diff mode comparing a base and proposed payload year by year
+ */
+
+import { TaxCalculator } from '../calculation/tax-calculator.js';
+import { TaxRuleRegistry } from '../calculation/tax-rules.js';
+import { taxRuleSets } from './planning-service.js';
+
+const FILING_STATUSES = ['single', 'married_joint', 'married_separate', 'head_of_household', 'qualifying_widow'];
+const DEDUCTION_TYPES = ['auto', 'standard', 'itemized'];
+
+// Incremental ordinary income used to measure the all-in marginal rate
+const MARGINAL_PROBE = 1000;
+
+export class TaxEstimateService {
+  constructor({ taxRuleRegistry = new TaxRuleRegistry() } = {}) {
+    this.taxRuleRegistry = taxRuleRegistry;
+    this.taxRulesLoaded = false;
+  }
+
+  /**
+   * Load tax_rule_sets once. Without a database the statutory tables apply.
+   */
+  async ensureTaxRules() {
+    if (this.taxRulesLoaded) return;
+    try {
+      const rows = await taxRuleSets.listRules();
+      this.taxRuleRegistry.registerRuleSets(rows);
+      console.log(`[TaxEstimate] Loaded ${rows.length} tax rule sets`);
+    } catch (error) {
+      console.warn('[TaxEstimate] Using statutory tax tables:', error.message);
+    }
+    this.taxRulesLoaded = true;
+  }
+
+  /**
+   * Validate an estimate payload. Returns an error message or null.
+   */
+  validatePayload(payload) {
+    if (!payload || typeof payload !== 'object') return 'payload must be an object';
+
+    const years = this.getYearInputs(payload);
+    if (years.length === 0) return 'taxYear with income, or years[], is required';
+
+    if (payload.deductions !== undefined) {
+      const error = this.validateDeductions(payload.deductions);
+      if (error) return error;
+    }
+
+    for (const year of years) {
+      if (!isPlainObject(year)) return 'each entry in years must be an object';
+      if (!Number.isInteger(year.taxYear)) return 'each year requires an integer taxYear';
+      if (!isPlainObject(year.income)) return `income is required for ${year.taxYear}`;
+      const badIncome = Object.keys(year.income).find(key => !isFiniteNumber(year.income[key]));
+      if (badIncome) return `income.${badIncome} must be a number (${year.taxYear})`;
+      if (year.deductions !== undefined) {
+        const error = this.validateDeductions(year.deductions, year.taxYear);
+        if (error) return error;
+      }
+      if (year.amtCreditCarryforward !== undefined && !isFiniteNumber(year.amtCreditCarryforward)) {
+        return `amtCreditCarryforward must be a number (${year.taxYear})`;
+      }
+      const { ordinaryIncome = 0, earnedIncome = 0, interestIncome = 0, retirementDistributions = 0 } = year.income;
+      if (earnedIncome + interestIncome + retirementDistributions > ordinaryIncome) {
+        return `earnedIncome, interestIncome and retirementDistributions are part of ordinaryIncome (${year.taxYear})`;
+      }
+      const { filingStatus, aca } = { ...payload.household, ...year.household };
+      if (filingStatus && !FILING_STATUSES.includes(filingStatus)) {
+        return `filingStatus must be one of: ${FILING_STATUSES.join(', ')}`;
+      }
+      if (aca && !(Number(aca.benchmarkPremium) > 0)) {
+        return `household.aca requires a positive benchmarkPremium (${year.taxYear})`;
+      }
+    }
+
+    const taxYears = years.map(y => y.taxYear);
+    if (new Set(taxYears).size !== taxYears.length) return 'tax years must be unique';
+    return null;
+  }
+
+  /**
+   * Validate deduction inputs: amounts are numbers, deductionType one of
+   * DEDUCTION_TYPES, charitableCarryforward a number or a list of
+   * { year, cash, property }. Returns an error message or null.
+   */
+  validateDeductions(deductions, taxYear = null) {
+    const where = taxYear === null ? '' : ` (${taxYear})`;
+    if (!isPlainObject(deductions)) return `deductions must be an object${where}`;
+    for (const [key, value] of Object.entries(deductions)) {
+      if (key === 'deductionType') {
+        if (!DEDUCTION_TYPES.includes(value)) return `deductionType must be one of: ${DEDUCTION_TYPES.join(', ')}`;
+      } else if (key === 'charitableCarryforward' && Array.isArray(value)) {
+        const valid = value.every(entry => isPlainObject(entry) && Number.isInteger(entry.year)
+          && ['cash', 'property'].every(type => entry[type] === undefined || isFiniteNumber(entry[type])));
+        if (!valid) return `deductions.charitableCarryforward entries need an integer year and numeric cash/property${where}`;
+      } else if (!isFiniteNumber(value) && !(key === 'appreciatedStockBasis' && value === null)) {
+        return `deductions.${key} must be a number${where}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Per-year inputs from either a single-year payload or years[].
+   */
+  getYearInputs(payload) {
+    if (Array.isArray(payload.years)) return payload.years;
+    if (payload.taxYear !== undefined || payload.income) {
+      return [{
+        taxYear: payload.taxYear,
+        income: payload.income,
+        deductions: payload.deductions,
+        amtCreditCarryforward: payload.amtCreditCarryforward,
+      }];
+    }
+    return [];
+  }
+
+  /**
+   * Registry honoring payload assumptions (indexing rate, TCJA sunset,
+   * enhanced ACA credits).
+   */
+  getRegistry(assumptions = {}) {
+    const { taxIndexingRate, tcjaSunset, acaEnhancedCredits } = assumptions;
+    const overrides = {};
+    if (taxIndexingRate !== undefined) overrides.indexingRate = taxIndexingRate;
+    if (tcjaSunset !== undefined) overrides.tcjaSunset = tcjaSunset;
+    if (acaEnhancedCredits !== undefined) overrides.acaEnhancedCredits = acaEnhancedCredits;
+    return Object.keys(overrides).length > 0
+      ? this.taxRuleRegistry.withOptions(overrides)
+      : this.taxRuleRegistry;
+  }
+
+  /**
+   * Estimate every year in the payload.
+   *
+   * @param {Object} payload - { household, assumptions, magiHistory, years: [{ taxYear, income, deductions, household }] }
+   *   or a single year { taxYear, income, deductions, household }
+   * @returns {Object} { years: [...], totals }
+   */
+  estimate(payload) {
+    const registry = this.getRegistry(payload.assumptions);
+    const years = this.getYearInputs(payload)
+      .slice()
+      .sort((a, b) => a.taxYear - b.taxYear);
+
+    // AMT credit generated in one year is available in the next; IRMAA
+    // looks back two years, to earlier payload years or magiHistory
+    let amtCreditCarryforward = payload.amtCreditCarryforward || 0;
+    const magiHistory = { ...(payload.magiHistory || {}) };
+    const results = years.map(year => {
+      const household = { ...payload.household, ...year.household };
+      const estimate = this.estimateYear({
+        taxYear: year.taxYear,
+        income: year.income,
+        household,
+        deductions: year.deductions || payload.deductions || {},
+        amtCreditCarryforward: year.amtCreditCarryforward ?? amtCreditCarryforward,
+        irmaaMagi: magiHistory[year.taxYear - 2] ?? null,
+        registry,
+      });
+      amtCreditCarryforward = estimate.amt.creditCarryforward;
+      magiHistory[year.taxYear] = estimate.summary.magi;
+      return estimate;
+    });
+
+    return {
+      years: results,
+      totals: {
+        federalTax: results.reduce((sum, y) => sum + y.summary.federalTax, 0),
+        stateTax: results.reduce((sum, y) => sum + y.summary.stateTax + y.summary.localTax, 0),
+        irmaa: results.reduce((sum, y) => sum + y.summary.irmaa, 0),
+        premiumTaxCredit: results.reduce((sum, y) => sum + y.summary.premiumTaxCredit, 0),
+        totalTax: results.reduce((sum, y) => sum + y.summary.totalTax, 0),
+      },
+    };
+  }
+
+  /**
+   * Line-by-line estimate for one tax year.
+   */
+  estimateYear({
+    taxYear,
+    income,
+    household,
+    deductions = {},
+    amtCreditCarryforward = 0,
+    irmaaMagi = null,
+    registry = this.taxRuleRegistry,
+  }) {
+    const calculator = new TaxCalculator(taxYear, { registry });
+    // Qualifying surviving spouses use the joint brackets and deduction
+    const filingStatus = household.filingStatus === 'qualifying_widow'
+      ? 'married_joint'
+      : household.filingStatus || 'married_joint';
+    const filer = { ...household, filingStatus };
+    const options = { deductions, amtCreditCarryforward, irmaaMagi };
+    const result = calculator.calculateTax(income, filer, options);
+
+    const probe = calculator.calculateTax(
+      { ...income, ordinaryIncome: (income.ordinaryIncome || 0) + MARGINAL_PROBE },
+      filer,
+      options
+    );
+
+    const {
+      ordinaryIncome = 0,
+      longTermCapitalGains = 0,
+      qualifiedDividends = 0,
+      socialSecurity = 0,
+      municipalBondInterest = 0,
+      earnedIncome = 0,
+      interestIncome = 0,
+      retirementDistributions = 0,
+      pensionIncome = 0,
+    } = income;
+
+    const preferentialIncome = longTermCapitalGains + qualifiedDividends;
+    const ordinaryTaxable = Math.max(0, result.taxableIncome - preferentialIncome);
+    const otherIncome = ordinaryIncome - earnedIncome - interestIncome - retirementDistributions;
+    const personalExemptions = calculator.getPersonalExemptions(filingStatus, household.dependents || 0);
+
+    const lines = [
+      { line: '1z', label: 'Wages, salaries, tips', amount: earnedIncome },
+      { line: '2a', label: 'Tax-exempt interest', amount: municipalBondInterest },
+      { line: '2b', label: 'Taxable interest', amount: interestIncome },
+      { line: '3a', label: 'Qualified dividends', amount: qualifiedDividends },
+      { line: '4b', label: 'IRA distributions, taxable amount', amount: retirementDistributions - pensionIncome },
+      { line: '5b', label: 'Pensions and annuities, taxable amount', amount: pensionIncome },
+      { line: '6a', label: 'Social Security benefits', amount: socialSecurity },
+      { line: '6b', label: 'Social Security benefits, taxable amount', amount: result.taxableSocialSecurity },
+      { line: '7', label: 'Capital gain', amount: longTermCapitalGains },
+      { line: '8', label: 'Other income', amount: otherIncome },
+      { line: '9', label: 'Total income', amount: result.agi },
+      { line: '11', label: 'Adjusted gross income', amount: result.agi },
+      { line: '12', label: `${result.deduction.method === 'itemized' ? 'Itemized' : 'Standard'} deduction`, amount: result.deduction.amount },
+      ...(personalExemptions > 0
+        ? [{ line: '12b', label: 'Personal exemptions', amount: personalExemptions }]
+        : []),
+      { line: '15', label: 'Taxable income', amount: result.taxableIncome },
+      { line: '16', label: 'Tax', amount: result.regularTax },
+      { line: '17', label: 'Alternative minimum tax (Schedule 2)', amount: result.amt.amt },
+      { line: '20', label: 'Prior year minimum tax credit (Schedule 3)', amount: result.amt.creditUsed },
+      { line: '22', label: 'Income tax after credits', amount: result.federalTax },
+      { line: '23', label: 'Net investment income tax (Schedule 2)', amount: result.niit },
+      { line: '24', label: 'Total federal tax', amount: result.federalTax + result.niit },
+      ...(result.aca.applies
+        ? [{ line: '31', label: 'Net premium tax credit (Form 8962)', amount: result.aca.premiumTaxCredit }]
+        : []),
+    ];
+
+    return {
+      taxYear,
+      rulesSource: result.rulesSource,
+      filingStatus,
+      lines,
+      bracketFill: {
+        ordinary: this.fillBrackets(ordinaryTaxable, 0, calculator.federalBrackets[filingStatus]),
+        capitalGains: this.fillBrackets(
+          Math.min(preferentialIncome, result.taxableIncome),
+          ordinaryTaxable,
+          calculator.ltcgBrackets[filingStatus] || calculator.ltcgBrackets.single
+        ),
+      },
+      amt: result.amt,
+      niit: {
+        tax: result.niit,
+        investmentIncome: preferentialIncome,
+        threshold: calculator.niitThreshold[filingStatus],
+        magiOverThreshold: Math.max(0, result.agi - calculator.niitThreshold[filingStatus]),
+      },
+      irmaa: {
+        // Charged this year on the lookback MAGI
+        ...result.irmaa,
+        // Tier this year's MAGI sets for premiums two years out
+        proximity: result.irmaaProximity,
+      },
+      aca: result.aca,
+      state: result.stateTaxDetail,
+      rates: {
+        marginalBracket: result.marginalRate,
+        marginalIncremental: ((probe.totalTax - result.totalTax) / MARGINAL_PROBE) * 100,
+        effective: result.effectiveRate,
+        effectiveFederal: result.agi > 0 ? ((result.federalTax + result.niit) / result.agi) * 100 : 0,
+      },
+      summary: {
+        agi: result.agi,
+        magi: result.magi,
+        taxableIncome: result.taxableIncome,
+        federalTax: result.federalTax + result.niit,
+        stateTax: result.stateTax,
+        localTax: result.localTax,
+        irmaa: result.irmaa.totalAnnual,
+        premiumTaxCredit: result.aca.premiumTaxCredit,
+        totalTax: result.totalTax,
+      },
+    };
+  }
+
+  /**
+   * How much of `amount` falls in each bracket when stacked on `startAt`.
+   */
+  fillBrackets(amount, startAt, brackets) {
+    return brackets.map((bracket, i) => {
+      const top = i < brackets.length - 1 ? brackets[i + 1].threshold : Infinity;
+      const from = Math.max(bracket.threshold, startAt);
+      const filled = Math.max(0, Math.min(top, startAt + amount) - from);
+      return {
+        rate: bracket.rate * 100,
+        floor: bracket.threshold,
+        ceiling: Number.isFinite(top) ? top : null,
+        income: filled,
+        tax: filled * bracket.rate,
+        remaining: Number.isFinite(top) ? Math.max(0, top - Math.max(from, startAt + amount)) : null,
+      };
+    });
+  }
+
+  /**
+   * Compare two payloads year by year ("what if I sell this?"). The
+   * proposed payload inherits household, assumptions and history from base.
+   *
+   * @returns {Object} { base, proposed, diff: [{ taxYear, lines, summary, rates }], totals }
+   */
+  compare(basePayload, proposedPayload) {
+    const base = this.estimate(basePayload);
+    const proposed = this.estimate({
+      magiHistory: basePayload.magiHistory,
+      amtCreditCarryforward: basePayload.amtCreditCarryforward,
+      ...proposedPayload,
+      household: { ...basePayload.household, ...proposedPayload.household },
+      assumptions: proposedPayload.assumptions || basePayload.assumptions,
+    });
+
+    const baseByYear = new Map(base.years.map(y => [y.taxYear, y]));
+    const diff = proposed.years
+      .filter(year => baseByYear.has(year.taxYear))
+      .map(year => {
+        const before = baseByYear.get(year.taxYear);
+        const beforeLines = new Map(before.lines.map(l => [l.line, l.amount]));
+        return {
+          taxYear: year.taxYear,
+          lines: year.lines
+            .map(l => ({ line: l.line, label: l.label, base: beforeLines.get(l.line) ?? 0, proposed: l.amount }))
+            .map(l => ({ ...l, change: l.proposed - l.base }))
+            .filter(l => l.change !== 0),
+          summary: this.diffObject(before.summary, year.summary),
+          rates: this.diffObject(before.rates, year.rates),
+          irmaaTier: {
+            premiumYear: year.irmaa.proximity.premiumYear,
+            base: before.irmaa.proximity.tier,
+            proposed: year.irmaa.proximity.tier,
+          },
+        };
+      });
+
+    return {
+      base,
+      proposed,
+      diff,
+      totals: this.diffObject(base.totals, proposed.totals),
+    };
+  }
+
+  diffObject(before, after) {
+    return Object.fromEntries(Object.keys(after).map(key => [
+      key,
+      { base: before[key], proposed: after[key], change: after[key] - before[key] },
+    ]));
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+export default TaxEstimateService;
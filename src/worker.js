@@ -0,0 +1,38 @@
+/**
+ * Job Worker
+ *
+ * Standalone process that executes background jobs from the job_queue
+ * table (see services/job-queue-service.js):
+ * - plan_run: queued plan runs (deterministic and Monte Carlo)
+ * - monte_carlo: background Monte Carlo simulations
+ *
+ * Run one or more: `npm run worker`. Jobs are claimed with SKIP LOCKED, so
+ * workers can be scaled horizontally.
+ */
+
+import pool from './db/pool.js';
+import { JobWorker } from './services/job-worker.js';
+import planRun from './jobs/plan-run.js';
+import monteCarloRun from './jobs/monte-carlo-run.js';
+
+const worker = new JobWorker({
+  handlers: {
+    plan_run: planRun,
+    monte_carlo: monteCarloRun,
+  },
+  pollIntervalMs: parseInt(process.env.WORKER_POLL_INTERVAL_MS || '5000'),
+});
+
+console.log('[Worker] Starting job worker...');
+await worker.start();
+
+// Finish (or hand back) the current job before exiting
+async function shutdown() {
+  console.log('\n[Worker] Shutting down...');
+  await worker.stop();
+  await pool.end();
+  process.exit(0);
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
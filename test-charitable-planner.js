@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * Test Charitable Planner
+ *
+ * Compares QCDs, appreciated stock, DAF bunching and a CRT for
+ * multi-year giving goals.
+ */
+
+import { CharitablePlanner } from './src/calculation/charitable-planner.js';
+import { CharitablePlanningService } from './src/services/charitable-planning-service.js';
+
+console.log('🧪 Charitable Planner Test Suite\n');
+
+const planner = new CharitablePlanner();
+
+const lots = [
+  { id: 'vti-2009', symbol: 'VTI', quantity: 600, market_value: 180000, cost_basis: 30000, acquisition_date: '2009-03-15' },
+  { id: 'aapl-2015', symbol: 'AAPL', quantity: 300, market_value: 70000, cost_basis: 35000, acquisition_date: '2015-06-01' },
+  { id: 'bnd-2025', symbol: 'BND', quantity: 500, market_value: 36000, cost_basis: 37000, acquisition_date: '2025-11-01' },
+];
+
+function printComparison(result) {
+  console.log('| Vehicle           | To Charity (PV) | Tax Savings | Gains Tax Avoided | After-Tax Cost | Cost per $1 |');
+  console.log('|-------------------|-----------------|-------------|-------------------|----------------|-------------|');
+  result.vehicles.forEach(v => {
+    const name = v.vehicle + (v.cycleYears ? ` (${v.cycleYears}y)` : '');
+    const cost = v.feasible && v.costPerDollar !== null ? `$${v.costPerDollar.toFixed(3)}` : 'n/a';
+    console.log(`| ${name.padEnd(17)} | $${Math.round(v.toCharity).toLocaleString().padStart(14)} | $${Math.round(v.taxSavings).toLocaleString().padStart(10)} | $${Math.round(v.capitalGainsTaxAvoided + v.deferredTaxAvoided).toLocaleString().padStart(16)} | $${Math.round(v.afterTaxCost).toLocaleString().padStart(13)} | ${cost.padStart(11)} |`);
+  });
+  result.vehicles.filter(v => !v.feasible).forEach(v => console.log(`  ${v.vehicle}: ${v.reason}`));
+  const { recommendation } = result;
+  console.log(`\nRecommended: ${recommendation.title} ($${recommendation.costPerDollar.toFixed(3)} per $1, saves $${Math.round(recommendation.savingsVsCash).toLocaleString()} vs cash)`);
+}
+
+// Test Case 1: RMD-age couple giving $20K a year
+console.log('═══════════════════════════════════════════════════════════');
+console.log('Test 1: Couple 74/72, $45K RMD, $20K/yr Giving 2026-2029 (AZ)');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const retirees = planner.compare({
+  startYear: 2026,
+  years: 4,
+  annualGiving: 20000,
+  household: { state: 'AZ', filingStatus: 'married_joint', age1: 74, age2: 72 },
+  income: { ordinaryIncome: 20000, interestIncome: 20000, qualifiedDividends: 12000, socialSecurity: 62000 },
+  rmd: 45000,
+  deductions: { propertyTax: 7000, stateIncomeTax: 3000 },
+  lots,
+  crt: false,
+});
+printComparison(retirees);
+
+const qcd = retirees.vehicles.find(v => v.vehicle === 'qcd');
+console.log('\nQCD schedule:');
+console.log('| Year | QCD       | Deduction | Tax Savings |');
+console.log('|------|-----------|-----------|-------------|');
+qcd.schedule.forEach(y => {
+  console.log(`| ${y.year} | $${Math.round(y.qcd).toLocaleString().padStart(8)} | ${y.deductionMethod.padEnd(9)} | $${Math.round(y.taxSavings).toLocaleString().padStart(10)} |`);
+});
+
+// Test Case 2: Pre-RMD high earners with a large pledge
+console.log('\n\n═══════════════════════════════════════════════════════════');
+console.log('Test 2: Couple 58/56, $400K Income, $40K/yr Giving 2026-2031 (CA)');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const earners = planner.compare({
+  startYear: 2026,
+  years: 6,
+  annualGiving: 40000,
+  household: { state: 'CA', filingStatus: 'married_joint', age1: 58, age2: 56 },
+  income: { ordinaryIncome: 400000, earnedIncome: 400000, qualifiedDividends: 15000 },
+  deductions: { propertyTax: 18000, stateIncomeTax: 30000, mortgageInterest: 9000 },
+  lots,
+  bunchingYears: [2, 3],
+  crt: { payoutRate: 0.05, termYears: 20, amount: 150000 },
+});
+printComparison(earners);
+
+const daf = earners.vehicles.find(v => v.vehicle === 'daf_bunching');
+console.log(`\nDAF cycles tried: ${daf.cycles.map(c => `${c.cycleYears}y $${c.costPerDollar.toFixed(3)}`).join(', ')}`);
+const crt = earners.vehicles.find(v => v.vehicle === 'crt');
+console.log(`CRT remainder factor: ${(crt.remainderFactor * 100).toFixed(1)}%, funded from lots: $${Math.round(crt.funding.fromLots).toLocaleString()}, remainder to charity: $${Math.round(crt.remainderToCharity).toLocaleString()}`);
+
+// Test Case 3: Goal-driven schedule
+console.log('\n\n═══════════════════════════════════════════════════════════');
+console.log('Test 3: Charitable Goal ($90K by 2028) → Giving Schedule');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const service = new CharitablePlanningService();
+const goal = { id: 'goal-1', goal_type: 'charitable', goal_name: 'Alma mater pledge', target_amount: 90000, target_date: '2028-12-31', metadata: {} };
+const schedule = service.getGivingSchedule(goal, { startYear: 2026 });
+console.log(`Schedule: ${schedule.years} years × $${Math.round(schedule.annualGiving[0]).toLocaleString()} starting ${schedule.startYear} (expected 3 × $30,000)`);
+console.log(`Non-charitable goal rejected: ${service.validate({ ...goal, goal_type: 'retirement' }, { household: { age1: 70 } })}`);
+
+console.log('\n✅ Charitable Planner Test Complete!\n');
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * Test Goal Funding
+ *
+ * Schedules a household's goals, checks that lower-priority goals cannot
+ * spend money reserved for higher-priority ones, then reports each goal's
+ * probability of being funded across Monte Carlo paths.
+ */
+
+import { scheduleGoals, createGoalLedger } from './src/calculation/goal-funding.js';
+import { MonteCarloService } from './src/services/monte-carlo-service.js';
+
+console.log('🧪 Goal Funding Test Suite\n');
+
+const fmt = (n) => `$${Math.round(n).toLocaleString()}`;
+const pct = (n) => `${(n * 100).toFixed(1)}%`;
+
+// Stored goals rows, as loadHouseholdScenario passes them
+const goals = [
+  { id: 'g-college', goal_type: 'education', goal_name: 'College (Maya)', priority: 1, target_date: '2031-08-15',
+    metadata: { years: 4, annualAmount: 35000, inflationRate: 0.05 } },
+  { id: 'g-lake', goal_type: 'major_purchase', goal_name: 'Lake house', priority: 3, target_amount: 300000, target_date: '2029-05-01' },
+  { id: 'g-legacy', goal_type: 'legacy', goal_name: 'Legacy for kids', priority: 2, target_amount: 400000 },
+  { id: 'g-retire', goal_type: 'retirement', goal_name: 'Retirement income', priority: 1 },
+  { id: 'g-boat', goal_type: 'major_purchase', goal_name: 'Boat', priority: 4, target_amount: 80000, target_date: '2070-01-01' },
+  { id: 'g-old', goal_type: 'other', goal_name: 'Retired goal', priority: 2, target_amount: 50000, active: false },
+];
+const options = { startYear: 2026, years: 30, inflationRate: 0.03 };
+
+// Test Case 1: Schedules
+console.log('═══════════════════════════════════════════════════════════');
+console.log('Test 1: Goal Schedules (2026 start, 30 years, 3% inflation)');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+console.log('| Order | Goal             | Priority | Payments                                                     | In Horizon |');
+console.log('|-------|------------------|----------|--------------------------------------------------------------|------------|');
+scheduleGoals(goals, options).forEach(({ goal, legacy, inHorizon, payments }, i) => {
+  const schedule = payments.map(p => `${options.startYear + p.yearIndex} ${fmt(p.amount)}`).join(', ') || '-';
+  console.log(`| ${String(i + 1).padEnd(5)} | ${goal.name.padEnd(16)} | ${String(goal.priority).padEnd(8)} | ${`${legacy ? 'keep ' : ''}${schedule}`.padEnd(60)} | ${String(inHorizon).padEnd(10)} |`);
+});
+console.log('(Expected: college 2031-2034 at 5% tuition inflation; lake house 2029; legacy kept at the end (2055);');
+console.log(' retirement and inactive goals skipped; the 2070 boat is outside the horizon with no payments)');
+
+// Test Case 2: Priority reserve
+console.log('\n\n═══════════════════════════════════════════════════════════');
+console.log('Test 2: Priority Order Within One Path');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const ledgerGoals = goals.filter(g => g.id !== 'g-legacy');
+const ledger = createGoalLedger(ledgerGoals, options);
+const runPath = (label, available) => {
+  ledger.reset();
+  let portfolio = available;
+  for (let year = 0; year < 30; year++) portfolio -= ledger.fund(year, portfolio).paid;
+  ledger.finish(portfolio);
+  const outcome = ledger.summarize().map((o, i) => {
+    const { name, inHorizon } = ledger.goals[i];
+    if (!inHorizon) return `${name} outside horizon`;
+    return o.failYear === null ? `${name} funded` : `${name} short ${fmt(o.required - o.paid)} (${options.startYear + o.failYear})`;
+  });
+  console.log(`  ${label.padEnd(28)} → ${outcome.join('; ')}`);
+};
+runPath('$800k available', 800000);
+runPath('$350k available', 350000);
+runPath('$150k available', 150000);
+console.log('(Expected: $800k funds both; at $350k the lake house gets only what exceeds college\'s ~$190k reserve;');
+console.log(' at $150k the lake house gets nothing and college runs short in its last year)');
+
+// Test Case 3: Monte Carlo
+console.log('\n\n═══════════════════════════════════════════════════════════');
+console.log('Test 3: Goal Probabilities Across Paths');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const service = new MonteCarloService({ threads: 0 });
+const scenario = {
+  people: [{ firstName: 'Dana', dateOfBirth: '1972-02-10', relationship: 'primary' }],
+  accounts: [{ id: '1', account_type: 'taxable', current_value: 2000000 }],
+  incomeStreams: [],
+  expenseStreams: [{ category: 'living', amount: 6000, frequency: 'monthly' }],
+  assumptions: { stockAllocation: 0.6, inflationRate: 0.03, taxAlpha: 0 },
+};
+
+const base = await service.runSimulation('test-goal-funding', scenario, {
+  simulations: 2000, years: 30, startDate: '2026-01-01', seed: 11, stressTests: false,
+});
+const withGoals = await service.runSimulation('test-goal-funding', { ...scenario, goals }, {
+  simulations: 2000, years: 30, startDate: '2026-01-01', seed: 11, stressTests: false,
+});
+
+console.log('| Goal             | Priority | Required     | Funded  | Expected Shortfall | Funded Ratio | First Fails | Median Fail |');
+console.log('|------------------|----------|--------------|---------|--------------------|--------------|-------------|-------------|');
+for (const goal of withGoals.analysis.goals) {
+  const probability = goal.probability === null ? 'n/a' : pct(goal.probability);
+  const ratio = goal.fundedRatio === null ? 'n/a' : pct(goal.fundedRatio);
+  console.log(`| ${goal.name.padEnd(16)} | ${String(goal.priority).padEnd(8)} | ${fmt(goal.required).padStart(12)} | ${probability.padStart(7)} | ${fmt(goal.expectedShortfall).padStart(18)} | ${ratio.padStart(12)} | ${String(goal.earliestFailureYear ?? '-').padStart(11)} | ${String(goal.medianFailureYear ?? '-').padStart(11)} |`);
+}
+console.log(`\nAll goals funded: ${pct(withGoals.analysis.probabilities.allGoalsFunded)}`);
+console.log(`Portfolio success: ${pct(base.analysis.successRate)} without goals, ${pct(withGoals.analysis.successRate)} with goals`);
+console.log('(Expected: college (priority 1) is funded most often, the lake house (3) less, the legacy in between or below;');
+console.log(' the boat is outside the horizon (n/a); paying goals lowers the portfolio success rate)');
+
+const graph = await service.runSimulation('test-goal-funding', {
+  ...scenario,
+  goals,
+  assumptions: { ...scenario.assumptions, state: 'AZ' },
+}, { mode: 'planning_graph', simulations: 100, years: 30, startDate: '2026-01-01', seed: 11, stressTests: false });
+console.log(`\nPlanning graph: ${graph.analysis.goals.filter(g => g.probability !== null)
+  .map(g => `${g.name} ${pct(g.probability)}`).join(', ')}`);
+console.log('(Expected: goals are withdrawn, taxed, and funded in the same priority order in the tax-aware engine)');
+
+console.log('\n✅ Goal Funding Test Complete!\n');
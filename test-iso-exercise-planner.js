@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * Test ISO Exercise Planner
+ *
+ * Validates AMT-aware sizing of incentive stock option exercises.
+ */
+
+import { ISOExercisePlanner } from './src/calculation/iso-exercise-planner.js';
+
+console.log('🧪 ISO Exercise Planner Test Suite\n');
+
+const planner = new ISOExercisePlanner();
+
+const household = { state: 'CA', filingStatus: 'married_joint', age1: 38, age2: 36 };
+const income = { ordinaryIncome: 250000, earnedIncome: 250000 };
+const deductions = { mortgageInterest: 20000, mortgageBalance: 600000, propertyTax: 9000 };
+
+// Test Case 1: Maximum shares before AMT
+console.log('═══════════════════════════════════════════════════════════');
+console.log('Test 1: Max Shares Before AMT (CA couple, $250K wages, 2025)');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const grant = { strikePrice: 2, fairMarketValue: 30 };
+
+console.log('| AMT Budget | Shares  | Bargain Element | AMT      | Added Fed Tax | Cost to Exercise |');
+console.log('|------------|---------|-----------------|----------|---------------|------------------|');
+[0, 5000, 25000].forEach(amtBudget => {
+  const result = planner.findMaxShares({
+    income,
+    household,
+    deductions,
+    taxYear: 2025,
+    ...grant,
+    sharesAvailable: 20000,
+    amtBudget,
+  });
+  console.log(`| $${amtBudget.toLocaleString().padStart(9)} | ${result.shares.toLocaleString().padStart(7)} | $${Math.round(result.bargainElement).toLocaleString().padStart(14)} | $${Math.round(result.amt).toLocaleString().padStart(7)} | $${Math.round(result.additionalTax).toLocaleString().padStart(12)} | $${Math.round(result.costToExercise).toLocaleString().padStart(15)} |`);
+});
+
+// Test Case 2: Multi-year schedule with expiration
+console.log('\n\n═══════════════════════════════════════════════════════════');
+console.log('Test 2: Multi-Year Exercise Plan (20,000 shares, expires 2029)');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const plan = planner.planExercises({
+  grant: { shares: 20000, ...grant, fmvGrowthRate: 0.10, expirationYear: 2029 },
+  years: [2025, 2026, 2027, 2028, 2029].map(taxYear => ({ taxYear, income, deductions })),
+  household,
+  amtBudget: 0,
+});
+
+console.log('| Year | FMV     | Shares  | AMT      | Credit Used | Credit Carryforward |');
+console.log('|------|---------|---------|----------|-------------|---------------------|');
+plan.schedule.forEach(year => {
+  console.log(`| ${year.taxYear} | $${year.fairMarketValue.toFixed(2).padStart(6)} | ${year.shares.toLocaleString().padStart(7)} | $${Math.round(year.amt).toLocaleString().padStart(7)} | $${Math.round(year.amtCreditUsed).toLocaleString().padStart(10)} | $${Math.round(year.amtCreditCarryforward).toLocaleString().padStart(18)} |${year.forced ? ' forced' : ''}`);
+});
+
+console.log(`\nShares exercised: ${plan.sharesExercised.toLocaleString()} (remaining ${plan.sharesRemaining.toLocaleString()})`);
+console.log(`Total AMT paid: $${Math.round(plan.totalAMT).toLocaleString()}`);
+console.log(`Total cost to exercise: $${Math.round(plan.totalCostToExercise).toLocaleString()}`);
+
+console.log('\n✅ ISO Exercise Planner Test Complete!\n');
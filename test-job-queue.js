@@ -0,0 +1,311 @@
+#!/usr/bin/env node
+/**
+ * Test Job Worker
+ *
+ * Runs the background job worker against an in-memory queue with the same
+ * semantics as job_queue (claim, progress, cancel, retry with attempts,
+ * release, stale recovery, lost leases), using real Monte Carlo runs as the
+ * work.
+ */
+
+import { JobWorker } from './src/services/job-worker.js';
+import { JobCancelledError } from './src/services/job-queue-service.js';
+import { MonteCarloService } from './src/services/monte-carlo-service.js';
+
+console.log('🧵 Job Worker Test\n');
+
+// In-memory stand-in for jobQueue (see job-queue-service.js for the SQL)
+function createMemoryQueue() {
+  const jobs = new Map();
+  let nextId = 1;
+  // Progress and settling match only while the worker holds the job
+  const held = (id, workerId) => {
+    const job = jobs.get(id);
+    return job.status === 'running' && job.locked_by === workerId ? job : null;
+  };
+
+  return {
+    jobs,
+    progressLog: [],
+
+    async enqueue(jobType, payload = {}, { planRunId = null, maxAttempts = 3 } = {}) {
+      const job = {
+        id: `job-${nextId++}`, job_type: jobType, payload, plan_run_id: planRunId,
+        status: 'queued', progress_percentage: 0, cancel_requested: false,
+        attempts: 0, max_attempts: maxAttempts, locked_by: null, heartbeat_at: null,
+        result: null, error_message: null,
+      };
+      jobs.set(job.id, job);
+      return { ...job };
+    },
+    async claimNext(workerId) {
+      const job = [...jobs.values()].find(j => j.status === 'queued');
+      if (!job) return null;
+      Object.assign(job, { status: 'running', attempts: job.attempts + 1, locked_by: workerId, heartbeat_at: Date.now() });
+      return { ...job };
+    },
+    async heartbeat(id) {
+      jobs.get(id).heartbeat_at = Date.now();
+    },
+    async updateProgress(id, workerId, percentage) {
+      const job = held(id, workerId);
+      if (!job) return null;
+      job.progress_percentage = Math.max(job.progress_percentage, percentage);
+      this.progressLog.push(percentage);
+      return !job.cancel_requested;
+    },
+    async complete(id, workerId, result) {
+      const job = held(id, workerId);
+      if (!job) return null;
+      return { ...Object.assign(job, { status: 'complete', progress_percentage: 100, result, error_message: null, locked_by: null }) };
+    },
+    async fail(id, workerId, error, { retryable = true } = {}) {
+      const job = held(id, workerId);
+      if (!job) return null;
+      const retry = retryable && job.attempts < job.max_attempts;
+      return { ...Object.assign(job, { status: retry ? 'queued' : 'failed', error_message: error.message, locked_by: null }) };
+    },
+    async markCancelled(id, workerId) {
+      const job = held(id, workerId);
+      if (!job) return null;
+      return { ...Object.assign(job, { status: 'cancelled', locked_by: null }) };
+    },
+    async release(id, workerId) {
+      const job = held(id, workerId);
+      if (!job) return null;
+      return { ...Object.assign(job, { status: 'queued', attempts: Math.max(job.attempts - 1, 0), locked_by: null }) };
+    },
+    async cancel(id) {
+      const job = jobs.get(id);
+      if (!['queued', 'running'].includes(job.status)) return null;
+      if (job.status === 'queued') job.status = 'cancelled';
+      job.cancel_requested = true;
+      return { ...job };
+    },
+    async retry(id) {
+      const job = jobs.get(id);
+      if (!['failed', 'cancelled'].includes(job.status)) return null;
+      return { ...Object.assign(job, { status: 'queued', attempts: 0, progress_percentage: 0, cancel_requested: false, error_message: null }) };
+    },
+    async recoverStale(staleAfterSeconds = 120) {
+      const cutoff = Date.now() - staleAfterSeconds * 1000;
+      return [...jobs.values()]
+        .filter(j => j.status === 'running' && j.heartbeat_at < cutoff)
+        .map(j => ({ ...Object.assign(j, { status: j.attempts < j.max_attempts ? 'queued' : 'failed', error_message: 'Worker stopped responding', locked_by: null }) }));
+    },
+  };
+}
+
+const scenario = {
+  people: [{ firstName: 'John', lastName: 'Smith', dateOfBirth: '1958-03-15', relationship: 'primary' }],
+  accounts: [{ id: '1', account_type: 'taxable', current_value: 1200000 }],
+  incomeStreams: [{ type: 'social_security', amount: 36000, frequency: 'annual' }],
+  expenseStreams: [{ amount: 7000, frequency: 'monthly' }],
+  assumptions: { stockAllocation: 0.6, inflationRate: 0.03 },
+};
+
+// One thread keeps progress on exact 1% steps however many cores the machine has
+const monteCarlo = new MonteCarloService({ threads: 1 });
+let pathsRun = 0;
+
+// Mirrors jobs/monte-carlo-run.js without the return model lookup
+const monteCarloHandler = {
+  settled: [],
+  async run(job, { reportProgress }) {
+    pathsRun = 0;
+    const result = await monteCarlo.runSimulation(job.payload.scenarioId, scenario, {
+      simulations: job.payload.simulations,
+      years: 30,
+      stressTests: false,
+      onProgress: async (fraction) => {
+        pathsRun = Math.round(fraction * job.payload.simulations);
+        await reportProgress(fraction);
+      },
+    });
+    return { successRate: result.analysis.successRate, simulations: result.simulations };
+  },
+  async onSettled(job) {
+    this.settled.push(job.status);
+  },
+};
+
+const fmtPct = (v) => `${(v * 100).toFixed(1)}%`;
+
+try {
+  // ==========================================================================
+  // PROGRESS
+  // ==========================================================================
+  console.log('═══════════════════════════════════════════════════════');
+  console.log('Progress and Completion');
+  console.log('═══════════════════════════════════════════════════════\n');
+
+  const queue = createMemoryQueue();
+  const worker = new JobWorker({ queue, handlers: { monte_carlo: monteCarloHandler }, workerId: 'test-worker', progressIntervalMs: 0 });
+
+  const job = await queue.enqueue('monte_carlo', { scenarioId: 'test-progress', simulations: 2000 });
+  const done = await worker.runNext();
+
+  console.log('| Job   | Status   | Attempts | Progress Reports | Last Report | Success Rate |');
+  console.log('|-------|----------|----------|------------------|-------------|--------------|');
+  console.log(`| ${job.id} | ${done.status.padEnd(8)} | ${String(done.attempts).padEnd(8)} | ${String(queue.progressLog.length).padEnd(16)} | ${String(queue.progressLog.at(-1)).padEnd(11)} | ${fmtPct(done.result.successRate).padEnd(12)} |`);
+  console.log(`(Expected: complete on attempt 1, ~100 reports (every 1% of 2,000 paths) capped at 99 until completion sets 100 -> ${done.progress_percentage})`);
+  console.log(`Queue empty afterwards: ${(await worker.runNext()) === null}`);
+
+  // ==========================================================================
+  // CANCELLATION
+  // ==========================================================================
+  console.log('\n═══════════════════════════════════════════════════════');
+  console.log('Cancellation');
+  console.log('═══════════════════════════════════════════════════════\n');
+
+  const cancelQueue = createMemoryQueue();
+  const cancelWorker = new JobWorker({ queue: cancelQueue, handlers: { monte_carlo: monteCarloHandler }, progressIntervalMs: 0 });
+
+  // Running job: the client cancels once 30% is reported
+  const running = await cancelQueue.enqueue('monte_carlo', { scenarioId: 'test-cancel', simulations: 2000 });
+  const updateProgress = cancelQueue.updateProgress.bind(cancelQueue);
+  cancelQueue.updateProgress = async (id, workerId, percentage) => {
+    if (percentage >= 30) await cancelQueue.cancel(id);
+    return updateProgress(id, workerId, percentage);
+  };
+  const cancelled = await cancelWorker.runNext();
+
+  // Queued job: cancelled before any worker claims it
+  const queued = await cancelQueue.enqueue('monte_carlo', { scenarioId: 'test-cancel-queued', simulations: 2000 });
+  const cancelledQueued = await cancelQueue.cancel(queued.id);
+
+  console.log('| Job           | Status    | Paths Run    | Progress |');
+  console.log('|---------------|-----------|--------------|----------|');
+  console.log(`| running       | ${cancelled.status.padEnd(9)} | ${`${pathsRun} / 2000`.padEnd(12)} | ${String(cancelled.progress_percentage).padEnd(8)} |`);
+  console.log(`| still queued  | ${cancelledQueued.status.padEnd(9)} | ${'0 / 2000'.padEnd(12)} | ${String(cancelledQueued.progress_percentage).padEnd(8)} |`);
+  console.log('(Expected: the running job stops at 30% (600 paths); the queued job is never claimed)');
+  console.log(`Claimable after cancel: ${(await cancelWorker.runNext()) !== null}`);
+  console.log(`Cancelling a finished job: ${(await cancelQueue.cancel(running.id)) === null ? 'rejected' : 'accepted'}`);
+  console.log(`JobCancelledError message: "${new JobCancelledError(running.id).message}"`);
+
+  // ==========================================================================
+  // RETRY
+  // ==========================================================================
+  console.log('\n═══════════════════════════════════════════════════════');
+  console.log('Failure and Retry');
+  console.log('═══════════════════════════════════════════════════════\n');
+
+  let flakyCalls = 0;
+  const handlers = {
+    // Fails twice (e.g. a dropped data lake connection), then succeeds
+    flaky: { async run() { flakyCalls++; if (flakyCalls < 3) throw new Error(`Transient failure ${flakyCalls}`); return { ok: true }; } },
+    broken: { async run() { throw new Error('Always fails'); } },
+    invalid: { async run() { const error = new Error('Plan run not found'); error.retryable = false; throw error; } },
+  };
+  const retryQueue = createMemoryQueue();
+  const retryWorker = new JobWorker({ queue: retryQueue, handlers });
+
+  const attemptsTable = [];
+  for (const [type, options] of [['flaky', {}], ['broken', { maxAttempts: 2 }], ['invalid', {}], ['unknown', {}]]) {
+    await retryQueue.enqueue(type, {}, options);
+    const statuses = [];
+    let settled;
+    do {
+      settled = await retryWorker.runNext();
+      statuses.push(settled.status);
+    } while (settled.status === 'queued');
+    attemptsTable.push({ type, statuses, settled });
+  }
+
+  // Manual retry from the API gives a fresh set of attempts
+  const brokenJob = attemptsTable.find(row => row.type === 'broken').settled;
+  const retried = await retryQueue.retry(brokenJob.id);
+  attemptsTable.push({ type: 'broken (retried)', statuses: [retried.status], settled: retried });
+
+  console.log('| Job Type         | Outcomes by Attempt          | Attempts | Error                           |');
+  console.log('|------------------|------------------------------|----------|---------------------------------|');
+  attemptsTable.forEach(({ type, statuses, settled }) => {
+    console.log(`| ${type.padEnd(16)} | ${statuses.join(' -> ').padEnd(28)} | ${`${settled.attempts}/${settled.max_attempts}`.padEnd(8)} | ${(settled.error_message || '').padEnd(31)} |`);
+  });
+  console.log('(Expected: flaky succeeds on attempt 3; broken fails after 2; non-retryable and unknown types fail at once; retry requeues with 0 attempts)');
+
+  // ==========================================================================
+  // SHUTDOWN AND STALE RECOVERY
+  // ==========================================================================
+  console.log('\n═══════════════════════════════════════════════════════');
+  console.log('Shutdown and Stale Recovery');
+  console.log('═══════════════════════════════════════════════════════\n');
+
+  const shutdownQueue = createMemoryQueue();
+  const shutdownWorker = new JobWorker({ queue: shutdownQueue, handlers: { monte_carlo: monteCarloHandler }, progressIntervalMs: 0, pollIntervalMs: 10 });
+  await shutdownQueue.enqueue('monte_carlo', { scenarioId: 'test-shutdown', simulations: 5000 });
+
+  // SIGTERM arrives once the run reaches 20%
+  let stopped = null;
+  const recordProgress = shutdownQueue.updateProgress.bind(shutdownQueue);
+  shutdownQueue.updateProgress = async (id, workerId, percentage) => {
+    if (percentage >= 20 && !stopped) stopped = shutdownWorker.stop();
+    return recordProgress(id, workerId, percentage);
+  };
+
+  monteCarloHandler.settled = [];
+  await shutdownWorker.start();
+  while (!stopped) await new Promise(resolve => setTimeout(resolve, 5));
+  await stopped;
+  const released = [...shutdownQueue.jobs.values()][0];
+  console.log(`Stopped mid-run: ${released.status} with ${released.attempts} attempts counted after ${pathsRun} of 5000 paths (settled hooks: ${monteCarloHandler.settled.join(', ')})`);
+
+  // A job whose worker stopped heartbeating three minutes ago
+  const staleQueue = createMemoryQueue();
+  const stale = await staleQueue.enqueue('monte_carlo', { scenarioId: 'test-stale', simulations: 200 });
+  await staleQueue.claimNext('crashed-worker');
+  staleQueue.jobs.get(stale.id).heartbeat_at = Date.now() - 180000;
+
+  const recoverWorker = new JobWorker({ queue: staleQueue, handlers: { monte_carlo: monteCarloHandler }, progressIntervalMs: 0 });
+  const recovered = await recoverWorker.recoverStaleJobs();
+  const rerun = await recoverWorker.runNext();
+  console.log(`Stale job: ${recovered.map(j => j.status).join(', ')} -> ${rerun.status} on attempt ${rerun.attempts}`);
+  console.log('(Expected: a stopped worker hands its job back without using an attempt; a stale job is requeued and finished on attempt 2)');
+
+  // ==========================================================================
+  // LOST LEASE
+  // ==========================================================================
+  console.log('\n═══════════════════════════════════════════════════════');
+  console.log('Lost Lease');
+  console.log('═══════════════════════════════════════════════════════\n');
+
+  // worker-a stalls (e.g. a long GC pause) until its job is recovered and
+  // finished by worker-b, then wakes up and reports progress or its result
+  const leaseQueue = createMemoryQueue();
+  const leaseHandler = {
+    settled: [],
+    async run(job, { reportProgress }) {
+      if (job.locked_by === 'worker-a') {
+        leaseQueue.jobs.get(job.id).heartbeat_at = Date.now() - 180000;
+        await workerB.recoverStaleJobs();
+        await workerB.runNext();
+      }
+      for (let step = 1; step <= job.payload.steps; step++) await reportProgress(step / (job.payload.steps + 1));
+      return { ranBy: job.locked_by };
+    },
+    async onSettled(job) {
+      this.settled.push(job.status === 'complete' ? `complete (${job.result.ranBy})` : job.status);
+    },
+  };
+  const workerA = new JobWorker({ queue: leaseQueue, handlers: { lease: leaseHandler }, workerId: 'worker-a', progressIntervalMs: 0 });
+  const workerB = new JobWorker({ queue: leaseQueue, handlers: { lease: leaseHandler }, workerId: 'worker-b', progressIntervalMs: 0 });
+
+  console.log('| Stale Worker Wakes To | worker-a Returns | Job Status | Result From | Settled Hooks               |');
+  console.log('|-----------------------|------------------|------------|-------------|-----------------------------|');
+  for (const [label, steps] of [['report progress', 2], ['complete', 0]]) {
+    leaseHandler.settled = [];
+    workerB.lastRecovery = 0;
+    const leased = await leaseQueue.enqueue('lease', { steps });
+    const outcome = await workerA.runNext();
+    const final = leaseQueue.jobs.get(leased.id);
+    console.log(`| ${label.padEnd(21)} | ${String(outcome).padEnd(16)} | ${final.status.padEnd(10)} | ${final.result.ranBy.padEnd(11)} | ${leaseHandler.settled.join(', ').padEnd(27)} |`);
+  }
+  console.log('(Expected: worker-a gets null and writes nothing; the job stays complete with worker-b\'s result, hooks fire only for the recovery and worker-b)');
+
+  console.log('\n✅ Job Worker Test Complete!\n');
+
+} catch (error) {
+  console.error('\n❌ Test Failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+}
@@ -5,7 +5,7 @@
  * Runs a test simulation with sample scenario data.
  */
 
-import { MonteCarloService } from './src/services/monte-carlo-service.js';
+import { MonteCarloService, samplePathRows } from './src/services/monte-carlo-service.js';
 
 console.log('🎲 Monte Carlo Simulation Test\n');
 
@@ -146,6 +146,224 @@ try {
   console.log(`\nExecution Time:        ${(result.duration / 1000).toFixed(2)} seconds`);
   console.log(`Simulations/sec:       ${Math.round(result.simulations / (result.duration / 1000)).toLocaleString()}`);
 
+  console.log('\n\n═══════════════════════════════════════════════════════════');
+  console.log('Planning Graph Mode (tax-aware withdrawals, RMDs, Roth conversions)');
+  console.log('═══════════════════════════════════════════════════════════\n');
+
+  // Same household; Social Security gets its COLA, which simple mode folds
+  // into the inflation-adjusted withdrawal
+  const graphResult = await service.runSimulation(scenarioId, {
+    ...scenario,
+    incomeStreams: scenario.incomeStreams.map(stream => ({ ...stream, growthRate: 0.03 })),
+    assumptions: { ...scenario.assumptions, rothConversionBudget: 50000, state: 'AZ' },
+  }, {
+    mode: 'planning_graph',
+    simulations: 2000,
+    years: 30,
+    startDate: '2026-01-01',
+  });
+  const graph = graphResult.analysis;
+  const fmt = (n) => `$${Math.round(n).toLocaleString()}`;
+
+  console.log(`\nSuccess Rate:          ${(graph.successRate * 100).toFixed(1)}% (simple mode: ${(result.analysis.successRate * 100).toFixed(1)}%)`);
+  console.log(`Median Ending Value:   ${fmt(graph.median)}`);
+  console.log(`Median Lifetime Taxes: ${fmt(graph.lifetime.medianTaxes)}`);
+  console.log(`Median RMDs:           ${fmt(graph.lifetime.medianRmds)}`);
+  console.log(`Median Roth Conversions: ${fmt(graph.lifetime.medianRothConversions)}\n`);
+
+  console.log('| Year | 5th        | 25th       | Median     | 75th       | 95th       |');
+  console.log('|------|------------|------------|------------|------------|------------|');
+  graph.bands.filter((b, i) => i % 5 === 0 || i === graph.bands.length - 1).forEach(b => {
+    console.log(`| ${b.year} | ${fmt(b.p5).padStart(10)} | ${fmt(b.p25).padStart(10)} | ${fmt(b.p50).padStart(10)} | ${fmt(b.p75).padStart(10)} | ${fmt(b.p95).padStart(10)} |`);
+  });
+
+  const pathsPerSecond = graphResult.simulations / (graphResult.duration / 1000);
+  console.log(`\nExecution Time:        ${(graphResult.duration / 1000).toFixed(2)} seconds (${Math.round(pathsPerSecond)} paths/sec)`);
+  console.log(`10,000 paths:          ~${Math.round(10000 / pathsPerSecond)} seconds`);
+
+  console.log('\n\n═══════════════════════════════════════════════════════════');
+  console.log('Return Models (correlated asset classes, fat tails, holdings)');
+  console.log('═══════════════════════════════════════════════════════════\n');
+
+  // Seeded "Conservative 2024" capital market assumptions with skewed fat tails
+  const conservative2024 = {
+    model_name: 'Conservative 2024 (skewed t)',
+    expected_returns: {
+      us_equity_large: 0.085, us_equity_small: 0.095, intl_equity_developed: 0.080, intl_equity_emerging: 0.090,
+      fixed_income_core: 0.040, fixed_income_high_yield: 0.055, real_estate: 0.070, commodities: 0.045, cash: 0.030,
+    },
+    covariance_matrix: {
+      rows: ['us_equity_large', 'us_equity_small', 'intl_equity_developed', 'intl_equity_emerging',
+        'fixed_income_core', 'fixed_income_high_yield', 'real_estate', 'commodities', 'cash'],
+      matrix: [
+        [0.0400, 0.0350, 0.0320, 0.0280, 0.0020, 0.0100, 0.0250, 0.0150, 0.0000],
+        [0.0350, 0.0500, 0.0350, 0.0300, 0.0015, 0.0120, 0.0280, 0.0180, 0.0000],
+        [0.0320, 0.0350, 0.0380, 0.0320, 0.0018, 0.0110, 0.0230, 0.0160, 0.0000],
+        [0.0280, 0.0300, 0.0320, 0.0550, 0.0010, 0.0140, 0.0240, 0.0200, 0.0000],
+        [0.0020, 0.0015, 0.0018, 0.0010, 0.0025, 0.0080, 0.0015, 0.0005, 0.0005],
+        [0.0100, 0.0120, 0.0110, 0.0140, 0.0080, 0.0180, 0.0120, 0.0090, 0.0003],
+        [0.0250, 0.0280, 0.0230, 0.0240, 0.0015, 0.0120, 0.0350, 0.0180, 0.0002],
+        [0.0150, 0.0180, 0.0160, 0.0200, 0.0005, 0.0090, 0.0180, 0.0300, 0.0001],
+        [0.0000, 0.0000, 0.0000, 0.0000, 0.0005, 0.0003, 0.0002, 0.0001, 0.0001],
+      ],
+    },
+    fat_tail_params: { distribution: 'skewed_t', degreesOfFreedom: 5, skew: -0.3 },
+  };
+
+  const withLots = (allocation) => scenario.accounts.map(account => ({
+    ...account,
+    lots: Object.entries(allocation).map(([assetClass, weight]) => ({ asset_class: assetClass, market_value: account.current_value * weight })),
+  }));
+  const portfolios = {
+    'Growth (lots)': withLots({ us_equity: 0.55, intl_equity: 0.30, real_estate: 0.15 }),
+    'Balanced (lots)': withLots({ us_equity: 0.40, intl_equity: 0.15, bonds: 0.40, cash: 0.05 }),
+    'Income (lots)': withLots({ us_equity: 0.15, bonds: 0.65, cash: 0.20 }),
+  };
+
+  console.log('| Portfolio        | Exp. Return | Volatility | Success | Median       | 95th %ile    |');
+  console.log('|------------------|-------------|------------|---------|--------------|--------------|');
+  let repaired = false;
+  for (const [label, accounts] of Object.entries(portfolios)) {
+    const run = await service.runSimulation(scenarioId, { ...scenario, accounts }, {
+      simulations: 2000,
+      years: 30,
+      returnModel: conservative2024,
+    });
+    const { portfolio } = run.analysis.returnModel;
+    repaired = run.analysis.returnModel.repaired;
+    console.log(`| ${label.padEnd(16)} | ${(portfolio.expectedReturn * 100).toFixed(2).padStart(10)}% | ${(portfolio.volatility * 100).toFixed(2).padStart(9)}% | ${(run.analysis.successRate * 100).toFixed(1).padStart(6)}% | ${fmt(run.analysis.median).padStart(12)} | ${fmt(run.analysis.percentile95).padStart(12)} |`);
+  }
+  console.log(`\nCovariance repaired to positive semidefinite: ${repaired ? 'yes' : 'no'}`);
+
+  // Bonds in the IRA, equities in the Roth: account types grow differently
+  const located = await service.runSimulation(scenarioId, {
+    ...scenario,
+    accounts: [
+      { ...scenario.accounts[0], lots: [{ asset_class: 'us_equity', market_value: 300000 }, { asset_class: 'intl_equity', market_value: 200000 }] },
+      { ...scenario.accounts[1], lots: [{ asset_class: 'bonds', market_value: 800000 }] },
+      { ...scenario.accounts[2], lots: [{ asset_class: 'us_equity_small', market_value: 200000 }] },
+    ],
+    incomeStreams: scenario.incomeStreams.map(stream => ({ ...stream, growthRate: 0.03 })),
+    assumptions: { ...scenario.assumptions, state: 'AZ' },
+  }, {
+    mode: 'planning_graph',
+    simulations: 500,
+    years: 30,
+    startDate: '2026-01-01',
+    returnModel: conservative2024,
+  });
+  console.log(`Planning graph, asset location (500 paths): ${(located.analysis.successRate * 100).toFixed(1)}% success, median ${fmt(located.analysis.median)}`);
+  console.log('(Expected: volatility, median and 95th percentile fall from Growth to Income)');
+
+  console.log('\n\n═══════════════════════════════════════════════════════════');
+  console.log('Historical Bootstrap and Sequence-of-Returns Stress Tests');
+  console.log('═══════════════════════════════════════════════════════════\n');
+
+  const bootstrap = await service.runSimulation(scenarioId, scenario, {
+    simulations: 2000,
+    years: 30,
+    returnMethod: 'bootstrap',
+    blockLength: 24,
+  });
+  const graphBootstrap = await service.runSimulation(scenarioId, {
+    ...scenario,
+    incomeStreams: scenario.incomeStreams.map(stream => ({ ...stream, growthRate: 0.03 })),
+    assumptions: { ...scenario.assumptions, state: 'AZ' },
+  }, {
+    mode: 'planning_graph',
+    simulations: 500,
+    years: 30,
+    startDate: '2026-01-01',
+    returnMethod: 'bootstrap',
+  });
+
+  console.log(`History: ${bootstrap.analysis.returnModel.name} (${(bootstrap.analysis.returnModel.portfolio.expectedReturn * 100).toFixed(2)}% mean, ${(bootstrap.analysis.returnModel.portfolio.volatility * 100).toFixed(2)}% vol)`);
+  console.log(`Simple mode success:   parametric ${(result.analysis.successRate * 100).toFixed(1)}%, bootstrap ${(bootstrap.analysis.successRate * 100).toFixed(1)}%`);
+  console.log(`Planning graph success: parametric ${(graph.successRate * 100).toFixed(1)}%, bootstrap ${(graphBootstrap.analysis.successRate * 100).toFixed(1)}%\n`);
+
+  console.log('| Retire In | Sequence                          | Simple             | Planning Graph     |');
+  console.log('|-----------|-----------------------------------|--------------------|--------------------|');
+  const outcome = (t) => (t.success ? `ok ${fmt(t.endingValue)}` : `fails yr ${t.yearsLasted}`);
+  bootstrap.analysis.stressTests.forEach((t, i) => {
+    const g = graphBootstrap.analysis.stressTests[i];
+    console.log(`| ${String(t.startYear).padEnd(9)} | ${t.label.padEnd(33)} | ${outcome(t).padEnd(18)} | ${outcome(g).padEnd(18)} |`);
+  });
+  console.log('(Expected: 1966 is the worst start; the planning graph, which pays taxes, fails more sequences than simple mode)');
+
+  console.log('\n\n═══════════════════════════════════════════════════════════');
+  console.log('Reproducible Seeds and Worker Threads');
+  console.log('═══════════════════════════════════════════════════════════\n');
+
+  const seeded = [
+    ['Simple, parametric', scenario, { simulations: 2000 }],
+    ['Simple, bootstrap', scenario, { simulations: 1000, returnMethod: 'bootstrap' }],
+    ['Graph, stochastic mortality', {
+      ...scenario,
+      assumptions: { ...scenario.assumptions, state: 'AZ', mortality: 'stochastic' },
+    }, { simulations: 200, mode: 'planning_graph', startDate: '2026-01-01' }],
+  ];
+
+  const reproduced = [];
+  console.log('| Run                         | Threads | Seed     | Success | Median       | Time    |');
+  console.log('|-----------------------------|---------|----------|---------|--------------|---------|');
+  for (const [label, seededScenario, options] of seeded) {
+    const runs = [];
+    for (const [threads, seed] of [[0, 20240601], [1, 20240601], [3, 20240601], [1, 20240602]]) {
+      const run = await service.runSimulation(scenarioId, seededScenario, { ...options, years: 30, seed, threads, stressTests: false });
+      runs.push(run);
+      console.log(`| ${label.padEnd(27)} | ${String(threads).padEnd(7)} | ${String(seed).padEnd(8)} | ${`${(run.analysis.successRate * 100).toFixed(1)}%`.padEnd(7)} | ${fmt(run.analysis.median).padStart(12)} | ${`${run.duration}ms`.padEnd(7)} |`);
+    }
+    const same = runs.slice(1, 3).every(run => run.analysis.median === runs[0].analysis.median
+      && run.analysis.successRate === runs[0].analysis.successRate
+      && run.analysis.averageEnding === runs[0].analysis.averageEnding);
+    reproduced.push(`${label}: ${same ? 'identical' : 'DIFFERS'}`);
+  }
+  console.log(`\nSame seed on 0, 1 and 3 threads: ${reproduced.join('; ')}`);
+  console.log('(Expected: seed 20240601 gives identical results on 0, 1 and 3 threads; seed 20240602 differs)');
+
+  console.log('\n\n═══════════════════════════════════════════════════════════');
+  console.log('Percentile Time Series and Sample Paths');
+  console.log('═══════════════════════════════════════════════════════════\n');
+
+  const fan = await service.runSimulation(scenarioId, {
+    ...scenario,
+    assumptions: { ...scenario.assumptions, state: 'AZ' },
+  }, { simulations: 300, years: 20, mode: 'planning_graph', startDate: '2026-01-01', seed: 20240601, threads: 0, stressTests: false });
+  const { timeseries, samplePaths } = fan.analysis;
+
+  for (const dimension of ['portfolio_value', 'spending_funded', 'taxes_total']) {
+    const rows = timeseries.filter(r => r.dimension === dimension);
+    const value = (period, percentile) => rows.find(r => r.time_period === period && r.percentile === percentile).value;
+    console.log(`${dimension} (${rows.length} rows)`);
+    console.log('| Period  | p5           | p25          | p50          | p75          | p95          |');
+    console.log('|---------|--------------|--------------|--------------|--------------|--------------|');
+    for (const period of ['2026-12', '2030-12', '2035-12', '2040-12', '2045-12']) {
+      console.log(`| ${period} | ${[5, 25, 50, 75, 95].map(p => fmt(value(period, p)).padStart(12)).join(' | ')} |`);
+    }
+    console.log('');
+  }
+  console.log('(Expected: 140 rows per dimension (20 years x 7 percentiles); each row ordered p5 <= ... <= p95; spending p50 near the inflated expenses)');
+
+  console.log('\n| Rank | Path | Ending Value | Year 10 Value | Year 10 Spending | Year 10 Taxes |');
+  console.log('|------|------|--------------|---------------|------------------|---------------|');
+  for (const path of samplePaths) {
+    const point = path.points[9];
+    console.log(`| p${String(path.percentile).padEnd(3)} | ${String(path.pathIndex).padEnd(4)} | ${fmt(path.endingValue).padStart(12)} | ${fmt(point.portfolio_value).padStart(13)} | ${fmt(point.spending_funded).padStart(16)} | ${fmt(point.taxes_total).padStart(13)} |`);
+  }
+  console.log(`\nSample path rows for projection_timeseries: ${samplePathRows(samplePaths).length}`);
+  console.log('(Expected: ending values rise with rank; 5 paths x 20 years x 3 dimensions = 300 rows)');
+
+  const midYear = await service.runSimulation(scenarioId, {
+    ...scenario,
+    assumptions: { ...scenario.assumptions, state: 'AZ' },
+  }, { simulations: 50, years: 3, mode: 'planning_graph', startDate: '2026-07-01', seed: 20240601, threads: 0, stressTests: false });
+  const medianPeriods = midYear.analysis.timeseries
+    .filter(r => r.dimension === 'portfolio_value' && r.percentile === 50)
+    .map(r => r.time_period);
+  console.log(`
+July 2026 start: bands ${midYear.analysis.bands.map(b => b.year).join(', ')}; timeseries ${medianPeriods.join(', ')}`);
+  console.log('(Expected: each band is labelled with the year of its timeseries period: 2027, 2028, 2029)');
+
   console.log('\n✅ Monte Carlo Service Test Complete!\n');
 
 } catch (error) {
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * Test Pensions and Annuities
+ *
+ * Validates joint-and-survivor payments, COLA, exclusion ratios and the
+ * Simplified Method, then runs lump-sum and SPIA/DIA decisions through the
+ * planning graph.
+ */
+
+import {
+  getPensionPayment,
+  getMonthlyExclusion,
+  compareLumpSum,
+  quoteAnnuity,
+} from './src/calculation/pension-annuity.js';
+import { PensionService } from './src/services/pension-service.js';
+
+console.log('🧪 Pension & Annuity Test Suite\n');
+
+const fmt = (n) => `$${Math.round(n).toLocaleString()}`;
+const pct = (n) => `${(n * 100).toFixed(1)}%`;
+
+const couple = [
+  { id: 'ray', firstName: 'Ray', dateOfBirth: '1960-05-10', deathAge: 78 },
+  { id: 'lin', firstName: 'Lin', dateOfBirth: '1963-09-02', deathAge: 92 },
+];
+
+// Test Case 1: Survivor options and COLA
+console.log('═══════════════════════════════════════════════════════════');
+console.log('Test 1: Joint & Survivor Payments (Ray dies 2038)');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const base = { type: 'pension', personId: 'ray', amount: 4000, frequency: 'monthly', startDate: '2026-01-01' };
+const options = {
+  'Single life, 2% COLA': { ...base, growthRate: 0.02 },
+  'J&S 50%, level': { ...base, survivorPercent: 0.5 },
+  'J&S 100%, level': { ...base, amount: 3600, survivorPercent: 1 },
+  'Joint & 2/3': { ...base, amount: 3800, survivorPercent: 2 / 3, reduceOnFirstDeath: true },
+  'Life + 15 yrs certain': { ...base, amount: 3850, periodCertainYears: 15 },
+};
+
+console.log('| Option                 | 2026      | 2037      | 2039      | 2039 Status    |');
+console.log('|------------------------|-----------|-----------|-----------|----------------|');
+for (const [label, stream] of Object.entries(options)) {
+  const [a, b, c] = ['2026-06-01', '2037-06-01', '2039-06-01'].map(d => getPensionPayment(stream, d, { people: couple }));
+  console.log(`| ${label.padEnd(22)} | ${fmt(a.amount).padStart(9)} | ${fmt(b.amount).padStart(9)} | ${fmt(c.amount).padStart(9)} | ${c.status.padEnd(14)} |`);
+}
+console.log('(Expected: single life stops, J&S 50% halves, period certain pays in full until 2041)');
+
+// Test Case 2: Exclusion ratios
+console.log('\n\n═══════════════════════════════════════════════════════════');
+console.log('Test 2: Tax-Free Recovery of Basis');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const nonQualified = { type: 'annuity', personId: 'ray', amount: 1500, frequency: 'monthly', startDate: '2026-01-01', costBasis: 200000, qualified: false };
+const qualifiedPension = { ...base, costBasis: 60000 };
+
+console.log('| Contract                      | Method        | Tax-Free/mo | Payments | 2026 Taxable/mo |');
+console.log('|-------------------------------|---------------|-------------|----------|-----------------|');
+[['Non-qualified annuity ($200k)', nonQualified], ['Pension w/ $60k after-tax', qualifiedPension]].forEach(([label, stream]) => {
+  const exclusion = getMonthlyExclusion(stream, { annuitant: couple[0] });
+  const payment = getPensionPayment(stream, '2026-06-01', { people: couple });
+  console.log(`| ${label.padEnd(29)} | ${exclusion.method.padEnd(13)} | ${fmt(exclusion.monthly).padStart(11)} | ${String(exclusion.payments).padStart(8)} | ${fmt(payment.taxable).padStart(15)} |`);
+});
+const afterRecovery = getPensionPayment(qualifiedPension, '2048-06-01', { people: [{ ...couple[0], deathAge: 95 }] });
+console.log(`\nPension after basis recovered (2048): ${fmt(afterRecovery.taxable)} taxable, ${fmt(afterRecovery.taxFree)} tax-free`);
+console.log('(Expected: General Rule uses the Table V multiple of 20.0 at 65; Simplified Method spreads basis over 260 payments)');
+
+// Test Case 3: Lump sum vs. annuity
+console.log('\n\n═══════════════════════════════════════════════════════════');
+console.log('Test 3: Lump Sum vs. Annuity');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const pension = { ...base, survivorPercent: 0.5 };
+console.log('| Lump Sum   | Expected Value | Implied Rate | Payout Rate | Runs Out At | Preferred |');
+console.log('|------------|----------------|--------------|-------------|-------------|-----------|');
+[550000, 700000, 850000].forEach(lumpSum => {
+  const c = compareLumpSum({ lumpSum, stream: pension, people: couple, discountRate: 0.05 });
+  console.log(`| ${fmt(lumpSum).padStart(10)} | ${fmt(c.expectedValue).padStart(14)} | ${pct(c.impliedRate).padStart(12)} | ${pct(c.payoutRate).padStart(11)} | ${String(c.lumpSumDepletionAge ?? 'never').padStart(11)} | ${c.preferred.padEnd(9)} |`);
+});
+
+const service = new PensionService();
+const scenario = {
+  people: couple,
+  accounts: [
+    { id: '1', account_type: 'taxable', current_value: 300000 },
+    { id: '2', account_type: 'ira_traditional', current_value: 500000 },
+  ],
+  incomeStreams: [pension],
+  expenseStreams: [{ category: 'living', amount: 7000, frequency: 'monthly', description: 'Living expenses' }],
+  assumptions: { state: 'AZ', filingStatus: 'married_joint', inflationRate: 0.03, portfolioReturn: 0.05 },
+};
+
+const inPlan = await service.compareLumpSum(scenario, pension, { lumpSum: 700000, endDate: '2055-12-01' });
+console.log('\n| In Plan ($700k) | After-Tax Income (PV) | Taxes (PV)  | Ending Portfolio (PV) | Depleted |');
+console.log('|-----------------|-----------------------|-------------|-----------------------|----------|');
+Object.entries(inPlan.projections).forEach(([label, p]) => {
+  console.log(`| ${label.padEnd(15)} | ${fmt(p.lifetimeAfterTaxIncome).padStart(21)} | ${fmt(p.lifetimeTaxes).padStart(11)} | ${fmt(p.endingPortfolio).padStart(21)} | ${(p.depletionDate || 'never').padStart(8)} |`);
+});
+console.log(`Preferred in plan: ${inPlan.preferred}`);
+
+// Test Case 4: SPIA/DIA purchase
+console.log('\n\n═══════════════════════════════════════════════════════════');
+console.log('Test 4: SPIA / DIA Quotes and Purchase in the Plan');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+console.log('| Product                     | Monthly Income | Payout Rate |');
+console.log('|-----------------------------|----------------|-------------|');
+[
+  ['SPIA at 66, single', { age: 66 }],
+  ['SPIA at 66, J&S 100%', { age: 66, survivorAge: 63, survivorPercent: 1 }],
+  ['SPIA at 66, 2% COLA', { age: 66, colaRate: 0.02 }],
+  ['DIA at 66, income at 80', { age: 66, incomeStartAge: 80 }],
+].forEach(([label, params]) => {
+  const q = quoteAnnuity({ premium: 200000, ...params });
+  console.log(`| ${label.padEnd(27)} | ${fmt(q.monthlyIncome).padStart(14)} | ${pct(q.payoutRate).padStart(11)} |`);
+});
+
+const noPension = { ...scenario, incomeStreams: [] };
+const purchase = await service.planPurchase(noPension, {
+  premium: 200000,
+  personId: 'ray',
+  purchaseDate: '2026-06-01',
+  survivorPercent: 1,
+  accountType: 'ira_traditional',
+  endDate: '2055-12-01',
+});
+console.log(`\n${purchase.stream.description}: ${fmt(purchase.stream.amount)}/mo from ${purchase.stream.startDate}`);
+console.log('| Plan            | After-Tax Income (PV) | Ending Portfolio (PV) | Depleted |');
+console.log('|-----------------|-----------------------|-----------------------|----------|');
+Object.entries(purchase.projections).forEach(([label, p]) => {
+  console.log(`| ${`${label} SPIA`.padEnd(15)} | ${fmt(p.lifetimeAfterTaxIncome).padStart(21)} | ${fmt(p.endingPortfolio).padStart(21)} | ${(p.depletionDate || 'never').padStart(8)} |`);
+});
+console.log(`Preferred: ${purchase.preferred}`);
+
+console.log('\n✅ Pension & Annuity Test Complete!\n');
@@ -0,0 +1,278 @@
+#!/usr/bin/env node
+/**
+ * Test Plan Run Job
+ *
+ * Runs stored plan runs through the worker's job handler (jobs/plan-run.js)
+ * with the database helpers replaced by in-memory rows, checking that the
+ * household's stored tax settings, the assumption set, the stored
+ * tax_rule_sets and the taxable accounts' lots reach the projection, and
+ * that the projection's recommendations are stored for the run.
+ */
+
+import { planRuns, assumptionSets, taxRuleSets } from './src/services/planning-service.js';
+import {
+  households,
+  accounts,
+  incomeStreams,
+  expenseStreams,
+  goals,
+  taxProfiles,
+} from './src/services/household-service.js';
+import { PlanningGraphService } from './src/services/planning-graph-service.js';
+import { normalizeTaxOptions } from './src/calculation/tax-options.js';
+import planRunJob from './src/jobs/plan-run.js';
+
+console.log('🧪 Plan Run Job Test\n');
+
+const fmt = (n) => `$${Math.round(n).toLocaleString()}`;
+
+// ============================================================================
+// IN-MEMORY ROWS
+// ============================================================================
+
+// Rows by table, shaped like the SELECTs in planning-service.js / household-service.js
+const db = {
+  planRuns: new Map(),
+  assumptionSets: new Map(),
+  households: new Map(),
+  taxProfiles: new Map(),
+  taxRuleSets: [],
+  results: new Map(),
+  recommendations: [],
+};
+
+planRuns.getById = async (id) => db.planRuns.get(id) || null;
+planRuns.updateResults = async (id, results) => { db.results.set(id, results); };
+planRuns.addRecommendations = async (runId, recommendations) => {
+  const rows = recommendations.map(rec => ({
+    plan_run_id: runId, category: rec.category, title: rec.title, description: rec.description,
+    impact_estimate: rec.impactEstimate || {}, confidence_score: rec.confidenceScore ?? null, priority: rec.priority ?? 3,
+  }));
+  db.recommendations.push(...rows);
+  return rows;
+};
+planRuns.getRecommendations = async (runId) => db.recommendations.filter(row => row.plan_run_id === runId);
+assumptionSets.getById = async (id) => db.assumptionSets.get(id) || null;
+households.getFullGraph = async (id) => db.households.get(id) || null;
+incomeStreams.listByHousehold = async (id) => db.households.get(id)?.incomeRows || [];
+expenseStreams.listByHousehold = async (id) => db.households.get(id)?.expenseRows || [];
+goals.listByHousehold = async () => [];
+taxProfiles.getLatest = async (id) => db.taxProfiles.get(id) || null;
+accounts.listTaxableLots = async (id) => db.households.get(id)?.lotRows || [];
+taxRuleSets.listRules = async () => db.taxRuleSets;
+
+// The job's scenario and projection, captured on their way through the graph
+let projected = null;
+const generatePlanningGraph = PlanningGraphService.prototype.generatePlanningGraph;
+PlanningGraphService.prototype.generatePlanningGraph = async function (scenarioId, scenario, options) {
+  const entries = await generatePlanningGraph.call(this, scenarioId, scenario, options);
+  projected = { service: this, scenario, entries };
+  return entries;
+};
+
+let nextId = 1;
+function storePlanRun({ household, taxProfile = null, taxOptions = {}, horizonYears = 3 }) {
+  const id = `run-${nextId++}`;
+  db.households.set(id, household);
+  if (taxProfile) db.taxProfiles.set(id, taxProfile);
+  db.assumptionSets.set(id, {
+    id, inflation_cpi: '0.0300', healthcare_inflation: '0.0500',
+    withdrawal_policy: 'constant', withdrawal_policy_params: {}, tax_options: taxOptions,
+  });
+  db.planRuns.set(id, {
+    id, run_type: 'deterministic', household_id: id, scenario_id: `scenario-${id}`,
+    assumption_set_id: id, horizon_years: horizonYears,
+  });
+  return id;
+}
+
+async function runStored(id) {
+  await planRunJob.run({ plan_run_id: id }, { reportProgress: async () => {} });
+  return projected;
+}
+
+// Retirees spending $180k/yr: Social Security plus IRA withdrawals
+const couple = (people) => ({
+  people,
+  accounts: [
+    { id: 'acct-ira', account_type: 'ira_traditional', tax_treatment: 'deferred', current_value: '1500000.00' },
+  ],
+  tax_locality: null,
+  incomeRows: [{
+    id: 'ss-1', income_type: 'social_security', base_amount: '42000', amount_frequency: 'annual',
+    growth_rate: '0.025', tax_character: 'social_security', start_date: '2020-01-01', end_date: null,
+  }],
+  expenseRows: [{ description: 'Living', base_amount: '15000', amount_frequency: 'monthly' }],
+});
+const person = (first, dob, extra = {}) => ({
+  id: `p-${first}`, first_name: first, last_name: 'Test', date_of_birth: dob, metadata: {}, ...extra,
+});
+
+try {
+  // ==========================================================================
+  // HOUSEHOLD TAX SETTINGS
+  // ==========================================================================
+  console.log('═══════════════════════════════════════════════════════════');
+  console.log('Test 1: Household Tax Settings and Assumption Set Tax Options');
+  console.log('═══════════════════════════════════════════════════════════\n');
+
+  const cases = [
+    ['CA couple (tax profile)', storePlanRun({
+      household: couple([person('Ada', '1955-04-02', { relationship: 'primary' }), person('Ben', '1957-08-19', { relationship: 'spouse' })]),
+      taxProfile: { filing_status: 'married_joint', primary_state: 'CA', tax_year: 2025 },
+    })],
+    ['CA couple, TCJA sunset', storePlanRun({
+      household: couple([person('Ada', '1955-04-02', { relationship: 'primary' }), person('Ben', '1957-08-19', { relationship: 'spouse' })]),
+      taxProfile: { filing_status: 'married_joint', primary_state: 'CA', tax_year: 2025 },
+      taxOptions: { tcjaSunset: true, taxIndexingRate: 0.02 },
+    })],
+    ['NY widow (no profile)', storePlanRun({
+      household: couple([person('Cora', '1950-01-15', { relationship: 'primary', state_residence: 'NY' })]),
+    })],
+    ['TX couple, widow profile', storePlanRun({
+      household: couple([person('Dev', '1956-11-30', { relationship: 'primary' }), person('Eve', '1956-03-03', { relationship: 'spouse' })]),
+      taxProfile: { filing_status: 'qualifying_widow', primary_state: 'TX', tax_year: 2025 },
+    })],
+    ['Couple, nothing stored', storePlanRun({
+      household: couple([person('Finn', '1955-06-06'), person('Gia', '1958-02-14')]),
+    })],
+  ];
+
+  console.log('| Household                  | State | Filing Status | Tax Options                     | Full-Year Tax  | State Tax |');
+  console.log('|----------------------------|-------|---------------|---------------------------------|----------------|-----------|');
+  for (const [label, id] of cases) {
+    const { scenario, entries } = await runStored(id);
+    const { state, filingStatus, tcjaSunset, taxIndexingRate } = scenario.assumptions;
+    // The first full calendar year (runs start this month)
+    const december = entries.filter(e => e.month_date.endsWith('-12-01'))[1];
+    const options = tcjaSunset === undefined ? '-' : `tcjaSunset ${tcjaSunset}, indexing ${taxIndexingRate}`;
+    console.log(`| ${label.padEnd(26)} | ${(state || '(AZ)').padEnd(5)} | ${filingStatus.padEnd(13)} | ${options.padEnd(31)} | ${fmt(december.total_tax).padStart(14)} | ${fmt(december.state_tax).padStart(9)} |`);
+  }
+  console.log('(Expected: CA and NY from the profile / state of residence; a widow alone files single; a qualifying widow');
+  console.log(' uses joint brackets with no TX tax; TCJA sunset raises the federal tax; nothing stored falls back to AZ married_joint)');
+
+  console.log('\nTax option validation:');
+  for (const [label, options] of [
+    ['valid', { tcjaSunset: true, acaMagiLimit: 90000, householdSize: null }],
+    ['string number', { taxIndexingRate: '0.02' }],
+    ['unknown key', { harvestLosses: true }],
+    ['not an object', ['tcjaSunset']],
+  ]) {
+    try {
+      console.log(`  ${label.padEnd(14)} → ${JSON.stringify(normalizeTaxOptions(options))}`);
+    } catch (error) {
+      console.log(`  ${label.padEnd(14)} → rejected: ${error.message}`);
+    }
+  }
+  console.log('(Expected: unset values dropped; strings, unknown keys and arrays rejected)');
+
+  // ==========================================================================
+  // TAX RULE SETS
+  // ==========================================================================
+  console.log('\n\n═══════════════════════════════════════════════════════════');
+  console.log('Test 2: Stored Tax Rule Sets');
+  console.log('═══════════════════════════════════════════════════════════\n');
+
+  const caCouple = () => storePlanRun({
+    household: couple([person('Ada', '1955-04-02', { relationship: 'primary' }), person('Ben', '1957-08-19', { relationship: 'spouse' })]),
+    taxProfile: { filing_status: 'married_joint', primary_state: 'CA', tax_year: 2025 },
+  });
+  const ruleRuns = [];
+  const runWithRules = async (label) => {
+    const { service, entries } = await runStored(caCouple());
+    ruleRuns.push({ label, loaded: service.taxRuleRegistry.listRuleSets().length, entries });
+  };
+  await runWithRules('Statutory tables only');
+
+  // A published rule set for next year: a larger joint standard deduction
+  const nextYear = new Date().getFullYear() + 1;
+  db.taxRuleSets = [{
+    id: 'trs-1', jurisdiction: 'federal', tax_year: nextYear, version: '1',
+    rules_json: { standard_deduction: { married_joint: 60000 } },
+  }];
+  await runWithRules(`${nextYear} federal rule set stored`);
+
+  console.log('| Tax Rules                      | Rule Sets Loaded | Full-Year Tax | Federal Tax |');
+  console.log('|--------------------------------|------------------|---------------|-------------|');
+  for (const { label, loaded, entries } of ruleRuns) {
+    const december = entries.filter(e => e.month_date.endsWith('-12-01'))[1];
+    console.log(`| ${label.padEnd(30)} | ${String(loaded).padEnd(16)} | ${fmt(december.total_tax).padStart(13)} | ${fmt(december.federal_tax).padStart(11)} |`);
+  }
+  console.log(`(Expected: the stored ${nextYear} rule set is loaded for the run and its $60,000 deduction lowers the federal tax)`);
+
+  // ==========================================================================
+  // TAXABLE LOTS
+  // ==========================================================================
+  console.log('\n\n═══════════════════════════════════════════════════════════');
+  console.log('Test 3: Taxable Account Lots');
+  console.log('═══════════════════════════════════════════════════════════\n');
+
+  db.taxRuleSets = [];
+
+  // A single retiree living off a $2M brokerage account held in two lots
+  const brokerage = (basisRatio) => ({
+    ...couple([person('Hal', '1954-09-09', { relationship: 'primary' })]),
+    accounts: [{ id: 'acct-brokerage', account_type: 'taxable', tax_treatment: 'taxable', current_value: '2000000.00' }],
+    lotRows: basisRatio === null ? [] : ['VTI', 'VXUS'].map((symbol, i) => ({
+      id: `lot-${i + 1}`, account_id: 'acct-brokerage', symbol, quantity: '5000',
+      market_value: '1000000.00', cost_basis: String(1000000 * basisRatio), acquisition_date: '2012-03-01',
+    })),
+  });
+
+  console.log('| Lots                           | Lots Loaded | Full-Year Tax | Federal Tax |');
+  console.log('|--------------------------------|-------------|---------------|-------------|');
+  for (const [label, basisRatio] of [
+    ['None (30% gain estimate)', null],
+    ['Basis 95% of value', 0.95],
+    ['Basis 10% of value', 0.10],
+  ]) {
+    const { scenario, entries } = await runStored(storePlanRun({
+      household: brokerage(basisRatio),
+      taxProfile: { filing_status: 'single', primary_state: 'TX', tax_year: 2025 },
+    }));
+    const loaded = scenario.accounts.reduce((n, account) => n + (account.lots?.length || 0), 0);
+    const december = entries.filter(e => e.month_date.endsWith('-12-01'))[1];
+    console.log(`| ${label.padEnd(30)} | ${String(loaded).padEnd(11)} | ${fmt(december.total_tax).padStart(13)} | ${fmt(december.federal_tax).padStart(11)} |`);
+  }
+  console.log('(Expected: the stored lots reach the projection; high-basis lots realize little gain and owe less than');
+  console.log(' the estimate, low-basis lots realize mostly gain and owe more)');
+
+  // ==========================================================================
+  // RECOMMENDATIONS
+  // ==========================================================================
+  console.log('\n\n═══════════════════════════════════════════════════════════');
+  console.log('Test 4: Gain Harvesting Recommendation (GET /runs/:id/recommendations)');
+  console.log('═══════════════════════════════════════════════════════════\n');
+
+  // Modest spending leaves room in the 0% bracket for low-basis lots
+  const harvester = () => ({
+    ...brokerage(0.10),
+    people: [person('Ida', '1959-05-05', { relationship: 'primary' }), person('Jon', '1960-07-07', { relationship: 'spouse' })],
+    expenseRows: [{ description: 'Living', base_amount: '6000', amount_frequency: 'monthly' }],
+  });
+
+  console.log('| Tax Options              | Recommendations | Title                                      | Gain Harvested |');
+  console.log('|--------------------------|-----------------|--------------------------------------------|----------------|');
+  for (const [label, taxOptions] of [
+    ['(none)', {}],
+    ['gainHarvesting: true', { gainHarvesting: true }],
+  ]) {
+    const id = storePlanRun({
+      household: harvester(),
+      taxProfile: { filing_status: 'married_joint', primary_state: 'TX', tax_year: 2025 },
+      taxOptions,
+    });
+    await runStored(id);
+    const stored = await planRuns.getRecommendations(id);
+    const harvest = stored.find(row => row.title.startsWith('Harvest'));
+    console.log(`| ${label.padEnd(24)} | ${String(stored.length).padEnd(15)} | ${(harvest?.title || '-').padEnd(42)} | ${(harvest ? fmt(harvest.impact_estimate.basis_step_up) : '-').padStart(14)} |`);
+  }
+  console.log('(Expected: only the assumption set with gainHarvesting stores the recommendation for its run)');
+
+  console.log('\n✅ Plan Run Job Test Complete!\n');
+
+} catch (error) {
+  console.error('\n❌ Test Failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+}
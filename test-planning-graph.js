@@ -195,4 +195,173 @@ console.log(`\nTotal Withdrawals:   $${Math.round(totalWithdrawals).toLocaleStri
 console.log(`Total Taxes Paid:    $${Math.round(totalTaxes).toLocaleString()}`);
 console.log(`Average Tax Rate:    ${((totalTaxes / totalWithdrawals) * 100).toFixed(2)}%`);
 
+// Early retirees with taxable lots: harvest gains in the 0% bracket
+console.log('\n\n═══════════════════════════════════════════════════════════');
+console.log('Gain Harvesting: Early Retirees (age 61/59, ACA until 65)');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const harvestScenario = {
+  ...scenario,
+  people: [
+    { firstName: 'Ana', lastName: 'Reyes', dateOfBirth: '1963-02-10', relationship: 'primary' },
+    { firstName: 'Luis', lastName: 'Reyes', dateOfBirth: '1965-09-30', relationship: 'spouse' },
+  ],
+  accounts: [
+    {
+      id: '1',
+      account_type: 'taxable',
+      current_value: 600000,
+      lots: [
+        { id: 'lot-1', symbol: 'VTI', quantity: 2000, cost_basis: 120000, market_value: 450000, acquisition_date: '2008-05-01' },
+        { id: 'lot-2', symbol: 'BND', quantity: 2000, cost_basis: 140000, market_value: 150000, acquisition_date: '2019-03-12' },
+      ],
+    },
+    { id: '2', account_type: 'ira_traditional', current_value: 700000 },
+  ],
+  incomeStreams: [],
+  expenseStreams: [{ category: 'living', amount: 6000, frequency: 'monthly', description: 'Living expenses', isDiscretionary: false }],
+  assumptions: {
+    ...scenario.assumptions,
+    charitableGiving: 0,
+    rothConversionBudget: 0,
+    gainHarvesting: true,
+    acaMagiLimit: 120000,
+  },
+};
+
+const harvestEntries = await service.generatePlanningGraph('test-scenario-002', harvestScenario, {
+  startDate: '2025-01-01',
+  endDate: '2027-12-31',
+});
+
+console.log('\n| Year | Notes |');
+console.log('|------|-------|');
+harvestEntries
+  .filter(e => e.month_date.endsWith('-12-01'))
+  .forEach(e => console.log(`| ${e.month_date.substring(0, 4)} | ${e.notes} |`));
+
+const recommendation = service.buildGainHarvestingRecommendation(harvestEntries, harvestScenario.assumptions);
+console.log(`\nRecommendation: ${recommendation.title}`);
+console.log(`  ${recommendation.description}`);
+recommendation.impactEstimate.schedule.forEach(y => {
+  console.log(`  ${y.year}: $${y.gain.toLocaleString()} gain (limited by ${y.limitedBy})`);
+});
+
+// Lots in one brokerage account, none in the other: only market growth is gain
+console.log('\n\n═══════════════════════════════════════════════════════════');
+console.log('Taxable Lots: Accounts With and Without Lots (AZ, single)');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const lotAccount = {
+  id: 'brokerage',
+  account_type: 'taxable',
+  current_value: 100000,
+  lots: [{ id: 'lot-1', symbol: 'VTI', quantity: 400, cost_basis: 100000, market_value: 100000, acquisition_date: '2024-06-03' }],
+};
+const jointAccount = { id: 'joint', account_type: 'taxable', current_value: 900000 };
+const lotScenario = {
+  people: [{ firstName: 'Jo', lastName: 'Park', dateOfBirth: '1958-04-01', relationship: 'primary' }],
+  incomeStreams: [],
+  expenseStreams: [{ category: 'living', amount: 5000, frequency: 'monthly', description: 'Living expenses' }],
+  assumptions: { state: 'AZ', filingStatus: 'single', portfolioReturn: 0.05, inflationRate: 0.03, charitableGiving: 0, rothConversionBudget: 0 },
+};
+
+console.log('| Taxable Accounts               | Lots                      | 2025 Draw | 2025 Tax |');
+console.log('|--------------------------------|---------------------------|-----------|----------|');
+for (const [label, lotAccounts] of [
+  ['$100k lot only', [lotAccount]],
+  ['$100k lot + $900k without lots', [lotAccount, jointAccount]],
+  ['$1M without lots', [{ ...lotAccount, lots: undefined }, jointAccount]],
+]) {
+  const entries = await service.generatePlanningGraph('test-scenario-lots', { ...lotScenario, accounts: lotAccounts }, {
+    startDate: '2025-01-01',
+    endDate: '2025-12-31',
+    quiet: true,
+  });
+  const december = entries.find(e => e.month_date === '2025-12-01');
+  const lots = service.collectTaxLots(lotAccounts)?.map(lot => lot.id).join(', ') || '(30% gain estimate)';
+  console.log(`| ${label.padEnd(30)} | ${lots.padEnd(25)} | $${Math.round(december.taxable_withdrawals).toLocaleString().padStart(8)} | $${Math.round(december.total_tax).toLocaleString().padStart(7)} |`);
+}
+console.log('(Expected: the $100k lot at full basis covers the draw tax-free with or without the second account;');
+console.log(' the estimated lot for the account without lots is only sold once the $100k lot is used up)');
+
+// RMDs beyond a year's spending are reinvested at full basis, not as gain
+const rmdEntries = await service.generatePlanningGraph('test-scenario-lots-rmd', {
+  ...lotScenario,
+  people: [{ firstName: 'Jo', lastName: 'Park', dateOfBirth: '1949-04-01', relationship: 'primary' }],
+  accounts: [lotAccount, { id: 'ira', account_type: 'ira_traditional', current_value: 1500000 }],
+}, {
+  startDate: '2025-01-01',
+  endDate: '2026-12-31',
+  quiet: true,
+  spendingPolicy: { next: ({ yearIndex }) => ({ withdrawal: yearIndex === 0 ? 0 : 160000 }) },
+});
+console.log('\nRMD surplus reinvested in 2025, $160k spent in 2026:');
+rmdEntries
+  .filter(e => e.month_date.endsWith('-12-01'))
+  .forEach(e => console.log(`  ${e.month_date.substring(0, 4)}: taxable $${Math.round(e.taxable_balance).toLocaleString()}, sold $${Math.round(e.taxable_withdrawals).toLocaleString()}, tax $${Math.round(e.total_tax).toLocaleString()}`));
+console.log('(Expected: 2026 tax is on the RMD alone, ~$8,300; the reinvested surplus sells at its basis)');
+
+// First death: filing status, survivor benefits, IRA rollover, widow's penalty
+console.log('\n\n═══════════════════════════════════════════════════════════');
+console.log('Survivor Transition: Ray dies mid-2034');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const survivorScenario = {
+  people: [
+    { id: 'ray', firstName: 'Ray', dateOfBirth: '1958-05-10', deathYear: 2034 },
+    { id: 'lin', firstName: 'Lin', dateOfBirth: '1960-09-02', deathAge: 92 },
+  ],
+  accounts: [
+    { id: 'a1', account_type: 'taxable', current_value: 300000, owner_person_id: 'lin' },
+    { id: 'a2', account_type: 'ira_traditional', current_value: 1200000, owner_person_id: 'ray' },
+  ],
+  incomeStreams: [
+    { type: 'social_security', personId: 'ray', amount: 3600, frequency: 'monthly', startDate: '2026-01-01', growthRate: 0.025 },
+    { type: 'social_security', personId: 'lin', amount: 1800, frequency: 'monthly', startDate: '2026-01-01', growthRate: 0.025 },
+    { type: 'pension', personId: 'ray', amount: 2500, frequency: 'monthly', startDate: '2026-01-01', survivorPercent: 0.5 },
+  ],
+  expenseStreams: [{ category: 'living', amount: 9000, frequency: 'monthly', description: 'Living expenses' }],
+  assumptions: { state: 'AZ', filingStatus: 'married_joint', portfolioReturn: 0.05, inflationRate: 0.03 },
+};
+
+const survivorEntries = await service.generatePlanningGraph('test-scenario-003', survivorScenario, {
+  startDate: '2026-01-01',
+  quiet: true,
+});
+
+console.log('| Month   | Income/mo | Filing         | Ages    | Annual Tax | Widow\'s Penalty |');
+console.log('|---------|-----------|----------------|---------|------------|-----------------|');
+survivorEntries
+  .filter(e => {
+    const year = parseInt(e.month_date.substring(0, 4));
+    return e.transitions.length > 0 || (e.month_date.endsWith('-12-01') && year >= 2033 && year <= 2036);
+  })
+  .forEach(e => {
+    const ages = [e.age_primary ?? '-', e.age_secondary ?? '-'].join('/');
+    console.log(`| ${e.month_date.substring(0, 7)} | $${Math.round(e.total_income).toLocaleString().padStart(8)} | ${e.filing_status.padEnd(14)} | ${ages.padEnd(7)} | $${Math.round(e.total_tax).toLocaleString().padStart(9)} | $${Math.round(e.widow_penalty).toLocaleString().padStart(14)} |`);
+  });
+survivorEntries.flatMap(e => e.transitions).forEach(t => console.log(`\n${t.message}`));
+console.log(`Projection ends ${survivorEntries[survivorEntries.length - 1].month_date} (Lin at 92)`);
+console.log('(Expected: Ray\'s $3,600 SS replaces Lin\'s $1,800, pension halves, joint return for 2034, single from 2035)');
+
+const widowPenalty = service.buildWidowPenaltyRecommendation(survivorEntries);
+console.log(`\nRecommendation: ${widowPenalty.title}`);
+console.log(`  ${widowPenalty.description}`);
+
+let seed = 42;
+const seeded = () => {
+  seed = (seed * 16807) % 2147483647;
+  return (seed - 1) / 2147483646;
+};
+console.log('\nStochastic mortality (Single Life Table rates):');
+for (let run = 1; run <= 3; run++) {
+  const entries = await service.generatePlanningGraph(`test-scenario-stochastic-${run}`, {
+    ...survivorScenario,
+    assumptions: { ...survivorScenario.assumptions, mortality: 'stochastic' },
+  }, { startDate: '2026-01-01', quiet: true, random: seeded });
+  const deaths = entries.flatMap(e => e.transitions).map(t => `${t.personId} ${t.dateOfDeath}`);
+  console.log(`  Run ${run}: ${deaths.join(', ') || 'no death before the last'}; ends ${entries[entries.length - 1].month_date}`);
+}
+
 console.log('\n✅ Planning Graph Test Complete!\n');
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/**
+ * Test RMD Engine
+ *
+ * Validates lifetime divisors (Uniform vs Joint Life), Roth plan
+ * exemptions and inherited-account schedules.
+ */
+
+import {
+  UNIFORM_LIFETIME_TABLE,
+  calculateRMDs,
+  checkInheritedIRARule,
+  getJointLifeFactor,
+  projectInheritedRMDs,
+} from './src/calculation/rmd-engine.js';
+import { planRMDDistributions } from './src/calculation/rmd-distribution-planner.js';
+
+console.log('🧪 RMD Engine Test Suite\n');
+
+const fmt = (n) => `$${Math.round(n).toLocaleString()}`;
+
+// Test Case 1: Joint Life table vs Uniform
+console.log('═══════════════════════════════════════════════════════════');
+console.log('Test 1: Lifetime Divisors (Joint Life for Spouses >10 Years Younger)');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+console.log('| Owner | Uniform | Joint (spouse -10) | Joint (spouse -15) | Joint (spouse -20) |');
+console.log('|-------|---------|--------------------|--------------------|--------------------|');
+[73, 75, 80, 85, 90].forEach(age => {
+  console.log(`| ${age}    | ${String(UNIFORM_LIFETIME_TABLE[age]).padStart(7)} | ${String(getJointLifeFactor(age, age - 10)).padStart(18)} | ${String(getJointLifeFactor(age, age - 15)).padStart(18)} | ${String(getJointLifeFactor(age, age - 20)).padStart(18)} |`);
+});
+
+const couple = [
+  { id: 'p1', legal_name: 'Robert', birth_date: '1950-05-01', relationship: 'primary', is_primary: true },
+  { id: 'p2', legal_name: 'Linda', birth_date: '1966-02-01', relationship: 'spouse' },
+];
+const coupleAccounts = [
+  { id: 'ira-1', owner_person_id: 'p1', account_name: 'Robert IRA', account_type: 'ira_traditional', tax_treatment: 'tax_deferred', balance: 1000000, metadata: { spouseSoleBeneficiary: true } },
+  { id: '401k-1', owner_person_id: 'p1', account_name: 'Robert 401(k)', account_type: '401k', tax_treatment: 'tax_deferred', balance: 400000 },
+  { id: 'roth401k-1', owner_person_id: 'p1', account_name: 'Robert Roth 401(k)', account_type: 'roth_401k', tax_treatment: 'tax_free', balance: 200000 },
+];
+
+console.log('\nRobert (75 in 2025), Linda 16 years younger, sole beneficiary of the IRA only:');
+console.log('| Year | Account            | Table            | Factor | RMD        |');
+console.log('|------|--------------------|------------------|--------|------------|');
+[2023, 2025].forEach(year => {
+  calculateRMDs({ asOfDate: new Date(year - 1, 11, 31), people: couple, accounts: coupleAccounts }).forEach(r => {
+    console.log(`| ${year} | ${r.account_name.padEnd(18)} | ${r.life_expectancy_table.padEnd(16)} | ${String(r.life_expectancy_factor).padStart(6)} | ${fmt(r.rmd_amount).padStart(10)} |`);
+  });
+});
+console.log('(Roth 401(k) listed in 2023 only: exempt from lifetime RMDs from 2024)');
+
+// Test Case 2: Inherited account rules
+console.log('\n\n═══════════════════════════════════════════════════════════');
+console.log('Test 2: Inherited Accounts by Beneficiary Type (2026 RMD)');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const heirs = [
+  { id: 'h1', legal_name: 'Adult child', birth_date: '1972-01-01' },
+  { id: 'h2', legal_name: 'Disabled child', birth_date: '1980-01-01' },
+  { id: 'h3', legal_name: 'Minor grandchild', birth_date: '2012-01-01' },
+  { id: 'h4', legal_name: 'Surviving spouse', birth_date: '1962-01-01' },
+  { id: 'h5', legal_name: 'Estate', birth_date: '1900-01-01' },
+];
+const inheritedFrom = (decedentBirthDate, decedentDeathDate, extra) => ({ decedentBirthDate, decedentDeathDate, ...extra });
+const inherited = [
+  { id: 'inh-a', owner_person_id: 'h1', account_name: 'After RBD', inherited: inheritedFrom('1944-06-01', '2022-08-01', { beneficiaryType: 'designated' }) },
+  { id: 'inh-b', owner_person_id: 'h1', account_name: 'Before RBD', inherited: inheritedFrom('1958-06-01', '2023-03-01', { beneficiaryType: 'designated' }) },
+  { id: 'inh-c', owner_person_id: 'h2', account_name: 'Disabled EDB', inherited: inheritedFrom('1950-06-01', '2024-02-01', { beneficiaryType: 'eligible_designated', eligibleReason: 'disabled' }) },
+  { id: 'inh-d', owner_person_id: 'h3', account_name: 'Minor child', inherited: inheritedFrom('1955-06-01', '2024-02-01', { beneficiaryType: 'eligible_designated', eligibleReason: 'minor_child' }) },
+  { id: 'inh-e', owner_person_id: 'h4', account_name: 'Spouse remains', inherited: inheritedFrom('1958-06-01', '2024-09-01', { beneficiaryType: 'spouse', spousalElection: 'remain_beneficiary' }) },
+  { id: 'inh-f', owner_person_id: 'h4', account_name: 'Spouse rollover', inherited: inheritedFrom('1958-06-01', '2024-09-01', { beneficiaryType: 'spouse', spousalElection: 'rollover' }) },
+  { id: 'inh-g', owner_person_id: 'h5', account_name: 'Estate, before RBD', inherited: inheritedFrom('1960-06-01', '2023-05-01', { beneficiaryType: 'non_designated' }) },
+].map(acc => ({ ...acc, account_type: 'ira_traditional', tax_treatment: 'tax_deferred', is_inherited: true, balance: 500000 }));
+
+const rmds2026 = calculateRMDs({ asOfDate: new Date(2025, 11, 31), people: heirs, accounts: inherited });
+console.log('| Account            | Rule                     | Factor | RMD        | Empty By |');
+console.log('|--------------------|--------------------------|--------|------------|----------|');
+rmds2026.forEach(r => {
+  console.log(`| ${r.account_name.padEnd(18)} | ${r.rule.padEnd(24)} | ${String(r.life_expectancy_factor ?? '-').padStart(6)} | ${fmt(r.rmd_amount).padStart(10)} | ${String(r.must_empty_by ?? '-').padStart(8)} |`);
+});
+console.log('(Spouse rollover is treated as the spouse\'s own IRA: no RMD until age 75)');
+
+// Test Case 3: 10-year schedule with annual RMDs
+console.log('\n\n═══════════════════════════════════════════════════════════');
+console.log('Test 3: 10-Year Rule With Annual RMDs (Decedent Past RBD, Died 2022)');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const schedule = projectInheritedRMDs(inherited[0], heirs[0], { startYear: 2023, endYear: 2035, growthRate: 0.06 });
+console.log('| Year | Rule              | Factor | Balance     | RMD        | Note   |');
+console.log('|------|-------------------|--------|-------------|------------|--------|');
+schedule.forEach(y => {
+  const note = y.waived ? 'waived' : (y.year === y.must_empty_by ? 'final' : '');
+  console.log(`| ${y.year} | ${y.rule.padEnd(17)} | ${String(y.factor ?? '-').padStart(6)} | ${fmt(y.prior_year_balance).padStart(11)} | ${fmt(y.rmd_amount).padStart(10)} | ${note.padEnd(6)} |`);
+});
+
+const check = checkInheritedIRARule({ ...inherited[0], balance: 450000 }, '2022-08-01', new Date(2031, 5, 1), heirs[0]);
+console.log(`\nDeadline check in 2031: ${check.status} (${check.message}), annual RMD ${fmt(check.annual_rmd)}`);
+
+// Test Case 4: Distribution planner
+console.log('\n\n═══════════════════════════════════════════════════════════');
+console.log('Test 4: 2026 Distribution Plan as of Nov 15 (Aggregation + YTD)');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const household = [
+  { id: 'r1', legal_name: 'Margaret', birth_date: '1950-04-10', relationship: 'primary', is_primary: true },
+  { id: 'r2', legal_name: 'Tom', birth_date: '1953-09-02', relationship: 'spouse' },
+];
+const planAccounts = [
+  { id: 'ira-a', owner_person_id: 'r1', account_name: 'Schwab IRA', account_type: 'ira_traditional', tax_treatment: 'tax_deferred', balance: 600000, current_value: 640000 },
+  { id: 'ira-b', owner_person_id: 'r1', account_name: 'Vanguard IRA', account_type: 'ira_traditional', tax_treatment: 'tax_deferred', balance: 300000, current_value: 310000 },
+  { id: '401k-m', owner_person_id: 'r1', account_name: 'Margaret 401(k)', account_type: '401k', tax_treatment: 'tax_deferred', balance: 250000, current_value: 255000 },
+  { id: 'inh-m', owner_person_id: 'r1', account_name: 'Inherited IRA', account_type: 'ira_traditional', tax_treatment: 'tax_deferred', is_inherited: true, balance: 200000, current_value: 205000,
+    inherited: { decedentBirthDate: '1940-01-15', decedentDeathDate: '2023-06-01', beneficiaryType: 'designated' } },
+  { id: 'ira-t', owner_person_id: 'r2', account_name: 'Tom IRA', account_type: 'ira_traditional', tax_treatment: 'tax_deferred', balance: 400000, current_value: 420000 },
+];
+const planLots = [
+  { account_id: 'ira-a', asset_class: 'us_equity', market_value: 600000 },
+  { account_id: 'ira-a', asset_class: 'cash', market_value: 40000 },
+  { account_id: 'ira-b', asset_class: 'bonds', market_value: 300000 },
+  { account_id: 'ira-b', asset_class: 'cash', market_value: 10000 },
+  { account_id: '401k-m', asset_class: 'us_equity', market_value: 255000 },
+];
+const planTransactions = [
+  { account_id: 'ira-a', transaction_date: '2026-03-15', transaction_type: 'WITHDRAWAL', amount: -10000 },
+  { account_id: '401k-m', transaction_date: '2026-06-30', transaction_type: 'WITHDRAWAL', amount: -10163 },
+  { account_id: 'ira-a', transaction_date: '2026-04-01', transaction_type: 'DIVIDEND', amount: 2500 },
+  { account_id: 'ira-b', transaction_date: '2025-12-20', transaction_type: 'WITHDRAWAL', amount: -9000 },
+];
+
+['highest_cash', 'least_tax_efficient'].forEach(strategy => {
+  const plan = planRMDDistributions({
+    year: 2026,
+    asOfDate: '2026-11-15',
+    people: household,
+    accounts: planAccounts,
+    lots: planLots,
+    transactions: planTransactions,
+    strategy,
+  });
+
+  console.log(`Strategy: ${strategy}`);
+  console.log('| Person   | Group         | Required   | Taken      | Remaining  | Deadline   | Status    | Proposed From                      |');
+  console.log('|----------|---------------|------------|------------|------------|------------|-----------|------------------------------------|');
+  plan.groups.forEach(g => {
+    const from = g.accounts.filter(a => a.proposed > 0.5)
+      .map(a => `${a.account_name} ${fmt(a.proposed)}${a.requires_sale ? '*' : ''}`).join(', ') || '-';
+    console.log(`| ${g.person_name.padEnd(8)} | ${g.group.split(':')[0].padEnd(13)} | ${fmt(g.required).padStart(10)} | ${fmt(g.taken).padStart(10)} | ${fmt(g.remaining).padStart(10)} | ${g.deadline.toISOString().slice(0, 10)} | ${g.status.padEnd(9)} | ${from.padEnd(34)} |`);
+  });
+  console.log(`Total remaining ${fmt(plan.totals.remaining)}, penalty exposure ${fmt(plan.totals.penaltyExposure)} (* requires selling holdings)\n`);
+  if (strategy === 'highest_cash') plan.alerts.forEach(a => console.log(`  ⚠️  [${a.severity}] ${a.message}`));
+  console.log('');
+});
+
+console.log('✅ RMD Engine Test Complete!\n');
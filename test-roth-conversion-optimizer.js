@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * Test Roth Conversion Optimizer
+ *
+ * Validates horizon-wide conversion schedules against no conversions.
+ */
+
+import { RothConversionOptimizer } from './src/calculation/roth-conversion-optimizer.js';
+
+console.log('🧪 Roth Conversion Optimizer Test Suite\n');
+
+const optimizer = new RothConversionOptimizer();
+
+const baseParams = {
+  startYear: 2025,
+  years: 30,
+  household: { state: 'AZ', filingStatus: 'married_joint', age1: 62, age2: 60 },
+  accounts: { taxable: 600000, taxableBasis: 400000, ira_traditional: 2000000, ira_roth: 100000 },
+  socialSecurity: [
+    { person: 1, startAge: 70, annualBenefit: 48000 },
+    { person: 2, startAge: 67, annualBenefit: 30000 },
+  ],
+  annualSpending: 110000,
+  survivor: { deceased: 1, deathYear: 2047 },
+  heirsTaxRate: 0.32,
+};
+
+function printResult(result) {
+  console.log('| Phase               | Years     | Conversions  | Top Bracket |');
+  console.log('|---------------------|-----------|--------------|-------------|');
+  Object.entries(result.strategy).forEach(([phase, { years, totalConversions, topBracketFilled }]) => {
+    const span = `${years[0]}-${years[years.length - 1]}`;
+    console.log(`| ${phase.padEnd(19)} | ${span} | $${Math.round(totalConversions).toLocaleString().padStart(11)} | ${(topBracketFilled === null ? '-' : `${topBracketFilled}%`).padStart(11)} |`);
+  });
+
+  const { withConversions: withConv, withoutConversions: without, savings } = result;
+  console.log('\n|                   | No Conversions | Optimized    |');
+  console.log('|-------------------|----------------|--------------|');
+  console.log(`| Lifetime tax      | $${Math.round(without.lifetimeTax).toLocaleString().padStart(13)} | $${Math.round(withConv.lifetimeTax).toLocaleString().padStart(11)} |`);
+  console.log(`| Heirs' tax        | $${Math.round(without.heirsTax).toLocaleString().padStart(13)} | $${Math.round(withConv.heirsTax).toLocaleString().padStart(11)} |`);
+  console.log(`| After-tax legacy  | $${Math.round(without.afterTaxLegacy).toLocaleString().padStart(13)} | $${Math.round(withConv.afterTaxLegacy).toLocaleString().padStart(11)} |`);
+  console.log(`\nTotal tax savings: $${Math.round(savings.total).toLocaleString()} (present value $${Math.round(savings.presentValue).toLocaleString()})`);
+}
+
+// Test Case 1: Unconstrained
+console.log('═══════════════════════════════════════════════════════════');
+console.log('Test 1: Couple 62/60, $2M IRA, SS at 70/67, survivor from 2048');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const unconstrained = optimizer.optimize(baseParams);
+printResult(unconstrained);
+
+console.log('\nFirst ten years:');
+console.log('| Year | Phase               | Conversion | Bracket | IRMAA Tier | Total Tax |');
+console.log('|------|---------------------|------------|---------|------------|-----------|');
+unconstrained.schedule.slice(0, 10).forEach(y => {
+  console.log(`| ${y.taxYear} | ${y.phase.padEnd(19)} | $${Math.round(y.conversion).toLocaleString().padStart(9)} | ${String(y.ordinaryBracketRate).padStart(6)}% | ${String(y.irmaaTier).padStart(10)} | $${Math.round(y.totalTax).toLocaleString().padStart(8)} |`);
+});
+
+// Test Case 2: Constrained (24% cap, IRMAA tier 1, tax paid from cash)
+console.log('\n\n═══════════════════════════════════════════════════════════');
+console.log('Test 2: Same Household, ≤24% Bracket, IRMAA Tier 1, Tax From Cash');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const constrained = optimizer.optimize({
+  ...baseParams,
+  maxBracketRate: 0.24,
+  maxIRMAATier: 1,
+  payTaxFromCash: true,
+});
+printResult(constrained);
+
+const withheld = constrained.schedule.reduce((sum, y) => sum + y.withheld, 0);
+const maxTier = Math.max(...constrained.schedule.filter(y => y.conversion > 0 && y.irmaaApplies).map(y => y.irmaaTier));
+console.log(`Tax withheld from conversions: $${Math.round(withheld).toLocaleString()} (expected $0)`);
+console.log(`Highest IRMAA tier in Medicare-lookback conversion years: ${maxTier} (expected 1)`);
+
+console.log('\n✅ Roth Conversion Optimizer Test Complete!\n');
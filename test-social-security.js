@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * Test Social Security Claiming
+ *
+ * Validates benefit factors, spousal/survivor benefits and the earnings
+ * test, then scores every claiming-age combination through the planning
+ * graph.
+ */
+
+import {
+  getFullRetirementAge,
+  getRetirementFactor,
+  getSpousalFactor,
+  getSurvivorFactor,
+  projectSocialSecurity,
+} from './src/calculation/social-security.js';
+import { SocialSecurityService } from './src/services/social-security-service.js';
+
+console.log('🧪 Social Security Claiming Test Suite\n');
+
+const fmt = (n) => `$${Math.round(n).toLocaleString()}`;
+const pct = (n) => `${(n * 100).toFixed(1)}%`;
+
+// Test Case 1: Benefit factors
+console.log('═══════════════════════════════════════════════════════════');
+console.log('Test 1: Benefit Factors by Claiming Age (FRA 67)');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const fra = getFullRetirementAge(1962);
+console.log(`FRA: born 1943-1954 → ${getFullRetirementAge(1950) / 12}, born 1957 → ${getFullRetirementAge(1957) / 12}, born 1962 → ${fra / 12}\n`);
+console.log('| Claim Age | Own    | Spousal | Survivor |');
+console.log('|-----------|--------|---------|----------|');
+[60, 62, 64, 66, 67, 68, 70].forEach(age => {
+  const own = age >= 62 ? pct(getRetirementFactor(age * 12, fra)) : '-';
+  const spousal = age >= 62 ? pct(getSpousalFactor(age * 12, fra)) : '-';
+  console.log(`| ${String(age).padEnd(9)} | ${own.padStart(6)} | ${spousal.padStart(7)} | ${pct(getSurvivorFactor(age * 12, fra)).padStart(8)} |`);
+});
+console.log('(Expected: own 70% at 62, 124% at 70; spousal 32.5% of PIA at 62; survivor 71.5% at 60)');
+
+// Test Case 2: Couple projection
+console.log('\n\n═══════════════════════════════════════════════════════════');
+console.log('Test 2: Couple Projection (Earnings Test, Spousal, Survivor Step-Up)');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const couple = [
+  { id: 'dan', name: 'Dan', dateOfBirth: '1964-03-15', pia: 3400, deathAge: 84, claimingAge: 62,
+    earnings: [{ amount: 90000, startDate: '2020-01-01', endDate: '2027-06-30' }] },
+  { id: 'eve', name: 'Eve', dateOfBirth: '1966-07-22', pia: 1200, deathAge: 93, claimingAge: 62 },
+];
+const projection = projectSocialSecurity({ people: couple, startYear: 2026, colaRate: 0.025 });
+
+console.log('| Year | Dan Own   | Dan Withheld | Eve Own   | Eve Spousal | Eve Survivor | Household |');
+console.log('|------|-----------|--------------|-----------|-------------|--------------|-----------|');
+projection.years
+  .filter(y => y.year <= 2032 || y.year === 2048 || y.year === 2049)
+  .forEach(y => {
+    const [dan, eve] = y.people;
+    console.log(`| ${y.year} | ${fmt(dan.own).padStart(9)} | ${fmt(dan.withheld).padStart(12)} | ${fmt(eve.own).padStart(9)} | ${fmt(eve.spousal).padStart(11)} | ${fmt(eve.survivor).padStart(12)} | ${fmt(y.total).padStart(9)} |`);
+  });
+projection.people.forEach(p => {
+  console.log(`${p.name}: claims ${p.claimDate} at ${fmt(p.monthlyAtClaim)}/mo, ${p.withheldMonths} months withheld, survivor benefit ${fmt(p.survivorMonthly)}/mo (today's $)`);
+});
+console.log('(Dan claims while working: 2026-2027 benefits withheld, recredited at FRA; Eve steps up to survivor in 2048)');
+
+// Test Case 3: Optimizer through the planning graph
+const service = new SocialSecurityService();
+const scenario = {
+  people: couple.map(({ claimingAge, earnings, ...person }) => ({ ...person, firstName: person.name })),
+  accounts: [
+    { id: '1', account_type: 'taxable', current_value: 400000 },
+    { id: '2', account_type: 'ira_traditional', current_value: 900000 },
+    { id: '3', account_type: 'ira_roth', current_value: 150000 },
+  ],
+  incomeStreams: [
+    { type: 'salary', personId: 'dan', amount: 90000, frequency: 'annual', startDate: '2020-01-01', endDate: '2027-06-30' },
+  ],
+  expenseStreams: [{ category: 'living', amount: 7500, frequency: 'monthly', description: 'Living expenses' }],
+  assumptions: { state: 'AZ', filingStatus: 'married_joint', inflationRate: 0.03 },
+};
+
+for (const portfolioReturn of [0.07, 0.04]) {
+  console.log('\n\n═══════════════════════════════════════════════════════════');
+  console.log(`Test 3: Claiming Optimizer, ${pct(portfolioReturn)} Portfolio Return`);
+  console.log('═══════════════════════════════════════════════════════════\n');
+
+  const result = await service.optimize(
+    { ...scenario, assumptions: { ...scenario.assumptions, portfolioReturn } },
+    { startYear: 2026, colaRate: 0.025 }
+  );
+
+  console.log(`Evaluated ${result.strategiesEvaluated} claiming-age combinations\n`);
+  console.log('| Rank | Dan | Eve | Lifetime Benefits | After-Tax Income (PV) | Ending Portfolio (PV) | Depleted |');
+  console.log('|------|-----|-----|-------------------|-----------------------|-----------------------|----------|');
+  const rows = [...result.strategies.slice(0, 5), result.baselines.fullRetirementAge, result.baselines.earliest]
+    .filter((s, i, all) => all.indexOf(s) === i);
+  rows.forEach(s => {
+    console.log(`| ${String(s.rank).padStart(4)} | ${String(s.claimingAges[0]).padStart(3)} | ${String(s.claimingAges[1]).padStart(3)} | ${fmt(s.lifetimeBenefits).padStart(17)} | ${fmt(s.lifetimeAfterTaxIncome).padStart(21)} | ${fmt(s.endingPortfolio).padStart(21)} | ${(s.depletionDate || 'never').padStart(8)} |`);
+  });
+  console.log(`\n${result.recommendation}`);
+}
+
+console.log('\nRequest size:');
+for (const [label, people, stepMonths] of [
+  ['couple, monthly', scenario.people, 1],
+  ['couple, semiannual', scenario.people, 6],
+  ['one claimant, monthly', scenario.people.slice(0, 1), 1],
+]) {
+  console.log(`  ${label.padEnd(22)} → ${service.validate({ ...scenario, people }, { startYear: 2026, stepMonths }) || 'ok'}`);
+}
+console.log('(Expected: a couple stepping monthly exceeds the per-request limit; coarser steps or one claimant are scored)');
+
+console.log('\n✅ Social Security Claiming Test Complete!\n');
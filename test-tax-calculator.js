@@ -6,6 +6,7 @@
  */
 
 import { TaxCalculator } from './src/calculation/tax-calculator.js';
+import { TaxRuleRegistry } from './src/calculation/tax-rules.js';
 
 console.log('🧪 Tax Calculator Test Suite\n');
 
@@ -159,4 +160,228 @@ console.log(`| Retired AZ | $${Math.round(result1.agi).toLocaleString().padStart
 console.log(`| High CA    | $${Math.round(result2.agi).toLocaleString().padStart(9)} | $${Math.round(result2.totalTax).toLocaleString().padStart(9)} | ${result2.effectiveRate.toFixed(2).padStart(6)}% |`);
 console.log(`| UHNW NY    | $${Math.round(result3.agi).toLocaleString().padStart(9)} | $${Math.round(result3.totalTax).toLocaleString().padStart(9)} | ${result3.effectiveRate.toFixed(2).padStart(6)}% |`);
 
+// Test Case 4: Same household across tax years (registry + indexing + sunset)
+console.log('\n\n═══════════════════════════════════════════════════════════');
+console.log('Test 4: Retired Couple Across Tax Years (2023-2030)');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const sunsetRegistry = new TaxRuleRegistry({ tcjaSunset: true });
+
+console.log('| Year | Rules     | Std Ded | 22% Starts | Federal Tax | Sunset Tax |');
+console.log('|------|-----------|---------|------------|-------------|------------|');
+for (let year = 2023; year <= 2030; year++) {
+  const yearCalc = new TaxCalculator(year);
+  const sunsetCalc = new TaxCalculator(year, { registry: sunsetRegistry });
+  const current = yearCalc.calculateTax(test1Income, test1Household);
+  const sunset = sunsetCalc.calculateTax(test1Income, test1Household);
+  const bracket22 = yearCalc.federalBrackets.married_joint[2].threshold;
+
+  console.log(`| ${year} | ${current.rulesSource.padEnd(9)} | $${yearCalc.standardDeduction.married_joint.toLocaleString().padStart(6)} | $${bracket22.toLocaleString().padStart(9)} | $${Math.round(current.federalTax).toLocaleString().padStart(10)} | $${Math.round(sunset.federalTax).toLocaleString().padStart(9)} |`);
+}
+
+// Test Case 5: Social Security taxation by filing status (Pub 915 Worksheet 1)
+console.log('\n\n═══════════════════════════════════════════════════════════');
+console.log('Test 5: Taxable Social Security by Filing Status (Pub 915)');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const ssIncome = {
+  ordinaryIncome: 28000,       // IRA distributions
+  socialSecurity: 30000,
+  municipalBondInterest: 6000, // Counts toward provisional income
+};
+
+const ssHouseholds = [
+  { label: 'Single', filingStatus: 'single' },
+  { label: 'Head of Household', filingStatus: 'head_of_household' },
+  { label: 'Married Joint', filingStatus: 'married_joint', age2: 67 },
+  { label: 'MFS (lived apart)', filingStatus: 'married_separate', livedWithSpouse: false },
+  { label: 'MFS (lived together)', filingStatus: 'married_separate', livedWithSpouse: true },
+];
+
+console.log('| Filing Status        | Provisional | Base    | Taxable SS | % Taxable |');
+console.log('|----------------------|-------------|---------|------------|-----------|');
+ssHouseholds.forEach(({ label, ...household }) => {
+  const result = calculator.calculateTax(ssIncome, { state: 'FL', age1: 67, age2: null, ...household });
+  const ws = result.socialSecurityWorksheet;
+  console.log(`| ${label.padEnd(20)} | $${Math.round(ws.provisionalIncome).toLocaleString().padStart(10)} | $${ws.baseAmount.toLocaleString().padStart(6)} | $${Math.round(ws.taxableBenefits).toLocaleString().padStart(9)} | ${ws.taxablePercent.toFixed(1).padStart(8)}% |`);
+});
+
+const singleWorksheet = calculator.calculateTax(ssIncome, { state: 'FL', filingStatus: 'single', age1: 67 }).socialSecurityWorksheet;
+console.log('\nWorksheet 1 (single filer):');
+Object.entries(singleWorksheet.lines).forEach(([line, value]) => {
+  console.log(`  ${line.padEnd(7)}: $${Math.round(value).toLocaleString()}`);
+});
+
+// Test Case 6: State and local income tax
+console.log('\n\n═══════════════════════════════════════════════════════════');
+console.log('Test 6: State & Local Tax (retired couple, both 67)');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const stateIncome = {
+  ordinaryIncome: 90000,
+  retirementDistributions: 60000, // IRA distributions
+  pensionIncome: 20000,
+  earnedIncome: 30000,            // Part-time consulting
+  longTermCapitalGains: 15000,
+  qualifiedDividends: 5000,
+  socialSecurity: 45000,
+};
+
+const stateHouseholds = [
+  { state: 'AZ' },
+  { state: 'CA' },
+  { state: 'CO' },
+  { state: 'GA' },
+  { state: 'IL' },
+  { state: 'MN' },
+  { state: 'NJ' },
+  { state: 'NY' },
+  { state: 'NY', locality: 'NYC' },
+  { state: 'NY', locality: 'Yonkers' },
+  { state: 'PA', locality: 'Philadelphia' },
+  { state: 'OH', locality: 'Columbus' },
+  { state: 'MD', locality: 'Montgomery County' },
+  { state: 'OR' },
+  { state: 'TX' },
+];
+
+console.log('| Jurisdiction             | SS Excl  | Ret. Excl | State Taxable | State Tax | Local Tax |');
+console.log('|--------------------------|----------|-----------|---------------|-----------|-----------|');
+stateHouseholds.forEach(({ state, locality }) => {
+  const result = calculator.calculateTax(stateIncome, {
+    state,
+    locality,
+    filingStatus: 'married_joint',
+    age1: 67,
+    age2: 67,
+  });
+  const detail = result.stateTaxDetail;
+  const label = detail.locality ? `${state} - ${detail.locality}` : detail.stateName;
+  console.log(`| ${label.padEnd(24)} | $${Math.round(detail.subtractions.socialSecurity).toLocaleString().padStart(7)} | $${Math.round(detail.subtractions.retirement).toLocaleString().padStart(8)} | $${Math.round(detail.stateTaxableIncome).toLocaleString().padStart(12)} | $${Math.round(result.stateTax).toLocaleString().padStart(8)} | $${Math.round(result.localTax).toLocaleString().padStart(8)} |`);
+});
+
+const statuses = ['single', 'married_joint', 'married_separate', 'head_of_household'];
+console.log('\nNew York tax by filing status ($150,000 wages):');
+statuses.forEach(filingStatus => {
+  const result = calculator.calculateTax(
+    { ordinaryIncome: 150000, earnedIncome: 150000 },
+    { state: 'NY', locality: 'NYC', filingStatus, age1: 45 }
+  );
+  console.log(`  ${filingStatus.padEnd(18)}: state $${Math.round(result.stateTax).toLocaleString()}, NYC $${Math.round(result.localTax).toLocaleString()}`);
+});
+
+// Test Case 7: Itemized vs standard deduction
+console.log('\n\n═══════════════════════════════════════════════════════════');
+console.log('Test 7: Itemized Deductions (California couple, both 58)');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const itemizedIncome = { ordinaryIncome: 520000, earnedIncome: 520000, qualifiedDividends: 30000 };
+const itemizedHousehold = { state: 'CA', filingStatus: 'married_joint', age1: 58, age2: 58 };
+const itemizedInputs = {
+  mortgageInterest: 36000,
+  mortgageBalance: 1000000,   // Only $750K of acquisition debt qualifies
+  propertyTax: 18000,
+  medicalExpenses: 12000,     // Below the 7.5% AGI floor
+  charitableCash: 15000,
+  dafStock: 60000,            // Appreciated stock to a donor-advised fund
+  appreciatedStockBasis: 15000,
+};
+
+console.log('| Year | Method   | Itemized  | SALT Cap | SALT Ded | Charitable | Limitation | Federal Tax |');
+console.log('|------|----------|-----------|----------|----------|------------|------------|-------------|');
+[2024, 2025, 2026, 2030].forEach(year => {
+  const result = new TaxCalculator(year).calculateTax(itemizedIncome, itemizedHousehold, { deductions: itemizedInputs });
+  const detail = result.deduction.itemizedDetail;
+  console.log(`| ${year} | ${result.deduction.method.padEnd(8)} | $${Math.round(detail.total).toLocaleString().padStart(8)} | $${Math.round(detail.salt.cap).toLocaleString().padStart(7)} | $${Math.round(detail.salt.deductible).toLocaleString().padStart(7)} | $${Math.round(detail.charitable.deductible).toLocaleString().padStart(9)} | $${Math.round(detail.limitation).toLocaleString().padStart(9)} | $${Math.round(result.federalTax).toLocaleString().padStart(10)} |`);
+});
+
+const standardOnly = calculator.calculateTax(itemizedIncome, itemizedHousehold, { deductions: { deductionType: 'standard' } });
+const withItemized = calculator.calculateTax(itemizedIncome, itemizedHousehold, { deductions: itemizedInputs });
+console.log(`\n2024 federal tax saved by itemizing: $${Math.round(standardOnly.federalTax - withItemized.federalTax).toLocaleString()}`);
+console.log(`Capital gains avoided by gifting stock: $${Math.round(withItemized.deduction.itemizedDetail.charitable.capitalGainsAvoided).toLocaleString()}`);
+
+// Test Case 8: Alternative Minimum Tax
+console.log('\n\n═══════════════════════════════════════════════════════════');
+console.log('Test 8: Alternative Minimum Tax (married, $300K wages, no state tax)');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const amtHousehold = { state: 'TX', filingStatus: 'married_joint', age1: 45, age2: 44 };
+const amtCalculator = new TaxCalculator(2025);
+
+console.log('| ISO Spread | AMTI       | Exemption | Regular Tax | TMT       | AMT      | Credit Generated |');
+console.log('|------------|------------|-----------|-------------|-----------|----------|------------------|');
+[0, 100000, 300000, 1000000].forEach(isoBargainElement => {
+  const result = amtCalculator.calculateTax({ ordinaryIncome: 300000, earnedIncome: 300000, isoBargainElement }, amtHousehold);
+  const { amt } = result;
+  console.log(`| $${isoBargainElement.toLocaleString().padStart(9)} | $${Math.round(amt.amti).toLocaleString().padStart(9)} | $${Math.round(amt.exemption).toLocaleString().padStart(8)} | $${Math.round(result.regularTax).toLocaleString().padStart(10)} | $${Math.round(amt.tentativeMinimumTax).toLocaleString().padStart(8)} | $${Math.round(amt.amt).toLocaleString().padStart(7)} | $${Math.round(amt.creditGenerated).toLocaleString().padStart(15)} |`);
+});
+
+const noISO = amtCalculator.calculateTax({ ordinaryIncome: 300000, earnedIncome: 300000 }, amtHousehold);
+console.log(`\nISO spread before AMT applies: $${noISO.amt.headroom.toLocaleString()}`);
+
+const creditYear = amtCalculator.calculateTax(
+  { ordinaryIncome: 300000, earnedIncome: 300000 },
+  amtHousehold,
+  { amtCreditCarryforward: 20000 }
+);
+console.log(`Prior AMT credit $20,000: used $${Math.round(creditYear.amt.creditUsed).toLocaleString()}, carried forward $${Math.round(creditYear.amt.creditCarryforward).toLocaleString()}`);
+
+const sunsetAMT = new TaxCalculator(2026).calculateTax(
+  { ordinaryIncome: 300000, earnedIncome: 300000, isoBargainElement: 300000 },
+  amtHousehold
+);
+console.log(`2026 AMT on $300,000 spread (50% exemption phase-out): $${Math.round(sunsetAMT.amt.amt).toLocaleString()}`);
+
+// Test Case 9: ACA premium tax credit
+console.log('\n\n═══════════════════════════════════════════════════════════');
+console.log('Test 9: ACA Premium Tax Credit (couple 60/59, $24K benchmark, AZ)');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const acaHousehold = {
+  state: 'AZ',
+  filingStatus: 'married_joint',
+  age1: 60,
+  age2: 59,
+  aca: { benchmarkPremium: 24000 },
+};
+
+console.log('| Year | IRA Income | FPL %  | Applicable % | Credit    | Net Premium | Total Tax  |');
+console.log('|------|------------|--------|--------------|-----------|-------------|------------|');
+[2025, 2026].forEach(year => {
+  const acaCalculator = new TaxCalculator(year);
+  [40000, 70000, 84000, 85000, 120000].forEach(ira => {
+    const result = acaCalculator.calculateTax({ ordinaryIncome: ira, retirementDistributions: ira }, acaHousehold);
+    const { aca } = result;
+    console.log(`| ${year} | $${ira.toLocaleString().padStart(9)} | ${aca.fplPercent.toFixed(0).padStart(5)}% | ${(aca.applicablePercentage * 100).toFixed(2).padStart(11)}% | $${Math.round(aca.premiumTaxCredit).toLocaleString().padStart(8)} | $${Math.round(aca.netPremium).toLocaleString().padStart(10)} | $${Math.round(result.totalTax).toLocaleString().padStart(9)} |`);
+  });
+});
+
+const nearCliff = new TaxCalculator(2026).calculateTax({ ordinaryIncome: 80000, retirementDistributions: 80000 }, acaHousehold);
+console.log(`
+2026 headroom below the cliff: $${Math.round(new TaxCalculator(2026).getACAHeadroom(nearCliff.aca)).toLocaleString()}`);
+console.log(`Alert: ${nearCliff.aca.alert}`);
+
+// Test Case 10: Charitable carryforward
+console.log('\n\n═══════════════════════════════════════════════════════════');
+console.log('Test 10: Charitable Carryforward (2025 gifts above the AGI limits)');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const givingHousehold = { state: 'TX', filingStatus: 'married_joint', age1: 66, age2: 64 };
+let givingCarryforward = [];
+console.log('| Year | AGI       | Gifts     | Cash Deducted | Property Deducted | Carried Cash | Carried Property | Expired   |');
+console.log('|------|-----------|-----------|---------------|-------------------|--------------|------------------|-----------|');
+for (let year = 2025; year <= 2031; year++) {
+  const agi = year === 2025 ? 200000 : 100000;
+  const gifts = year === 2025 ? { charitableCash: 150000, dafStock: 250000 } : {};
+  const result = new TaxCalculator(year).calculateTax({ ordinaryIncome: agi }, givingHousehold, {
+    deductions: { ...gifts, charitableCarryforward: givingCarryforward, deductionType: 'itemized' },
+  });
+  const { charitable } = result.deduction.itemizedDetail;
+  givingCarryforward = result.deduction.charitableCarryforward;
+  const carried = (key) => givingCarryforward.reduce((sum, entry) => sum + entry[key], 0);
+  console.log(`| ${year} | $${Math.round(result.agi).toLocaleString().padStart(8)} | $${Math.round((gifts.charitableCash || 0) + (gifts.dafStock || 0)).toLocaleString().padStart(8)} | $${Math.round(charitable.cash).toLocaleString().padStart(12)} | $${Math.round(charitable.property).toLocaleString().padStart(16)} | $${Math.round(carried('cash')).toLocaleString().padStart(11)} | $${Math.round(carried('property')).toLocaleString().padStart(15)} | $${Math.round(charitable.carryforwardExpired).toLocaleString().padStart(8)} |`);
+}
+console.log('(Expected: 2025 cash capped at 60% of AGI with no room left for stock; the carried stock is deducted');
+console.log(' at 30% of AGI ($30K/yr), not the 60% cash limit; what is left after 2030 (five years) expires)');
+
 console.log('\n✅ Tax Calculator Test Complete!\n');
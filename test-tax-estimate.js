@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * Test Tax Estimate Service
+ *
+ * Validates line-by-line estimates and what-if comparisons behind
+ * POST /api/v1/tax/estimate.
+ */
+
+import { TaxEstimateService } from './src/services/tax-estimate-service.js';
+
+console.log('🧪 Tax Estimate Test Suite\n');
+
+const service = new TaxEstimateService();
+
+const household = { state: 'AZ', filingStatus: 'married_joint', age1: 67, age2: 65 };
+const basePayload = {
+  household,
+  magiHistory: { 2023: 150000, 2024: 152000 },
+  years: [2025, 2026, 2027].map(taxYear => ({
+    taxYear,
+    income: {
+      ordinaryIncome: 90000,
+      retirementDistributions: 60000,
+      pensionIncome: 30000,
+      interestIncome: 5000,
+      qualifiedDividends: 12000,
+      longTermCapitalGains: 8000,
+      socialSecurity: 52000,
+      municipalBondInterest: 4000,
+    },
+  })),
+};
+
+// Test Case 1: Line-by-line estimate
+console.log('═══════════════════════════════════════════════════════════');
+console.log('Test 1: 1040 Line-by-Line (retired couple, Arizona, 2025)');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+console.log('Validation:', service.validatePayload(basePayload) || 'ok');
+console.log('Invalid payload:', service.validatePayload({ taxYear: 2025 }));
+for (const [label, payload] of [
+  ['string income', { taxYear: 2025, income: { ordinaryIncome: '90000' } }],
+  ['null year', { years: [null] }],
+  ['string deduction', { taxYear: 2025, income: { ordinaryIncome: 90000 }, deductions: { propertyTax: '8000' } }],
+  ['bad carryforward entry', { taxYear: 2025, income: { ordinaryIncome: 90000 }, deductions: { charitableCarryforward: [{ year: '2023', cash: 5000 }] } }],
+  ['unknown deductionType', { years: [{ taxYear: 2025, income: { ordinaryIncome: 90000 }, deductions: { deductionType: 'both' } }] }],
+]) {
+  console.log(`Invalid payload (${label}):`, service.validatePayload(payload));
+}
+console.log('(Expected: every invalid payload is rejected with a message, answered 400 rather than estimated or thrown)');
+console.log('Carryforward by year:', service.validatePayload({
+  taxYear: 2025, income: { ordinaryIncome: 90000 }, deductions: { charitableCarryforward: [{ year: 2023, cash: 5000, property: 8000 }] },
+}) || 'ok');
+
+const estimate = service.estimate(basePayload);
+const year2025 = estimate.years[0];
+
+console.log('\n| Line | Description                                  | Amount     |');
+console.log('|------|----------------------------------------------|------------|');
+year2025.lines.forEach(({ line, label, amount }) => {
+  console.log(`| ${line.padEnd(4)} | ${label.padEnd(44)} | $${Math.round(amount).toLocaleString().padStart(9)} |`);
+});
+
+console.log('\nOrdinary bracket fill:');
+year2025.bracketFill.ordinary.filter(b => b.income > 0 || b.remaining > 0).slice(0, 4).forEach(b => {
+  console.log(`  ${String(b.rate).padStart(2)}%: $${Math.round(b.income).toLocaleString()} filled, $${b.remaining === null ? '∞' : Math.round(b.remaining).toLocaleString()} room`);
+});
+
+const { proximity } = year2025.irmaa;
+console.log(`\nIRMAA charged on ${year2025.irmaa.lookbackYear} MAGI: tier ${year2025.irmaa.bracket}`);
+console.log(`${proximity.premiumYear} premiums: tier ${proximity.tier}, $${Math.round(proximity.distanceToNextTier).toLocaleString()} from next tier`);
+console.log(`Marginal rate: ${year2025.rates.marginalBracket}% bracket, ${year2025.rates.marginalIncremental.toFixed(1)}% incremental`);
+console.log(`Effective rate: ${year2025.rates.effective.toFixed(2)}%`);
+
+// Test Case 2: Multi-year totals
+console.log('\n\n═══════════════════════════════════════════════════════════');
+console.log('Test 2: Multi-Year Estimate (2025-2027)');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+console.log('| Year | AGI       | Taxable   | Federal   | State    | IRMAA   | Total     |');
+console.log('|------|-----------|-----------|-----------|----------|---------|-----------|');
+estimate.years.forEach(({ taxYear, summary }) => {
+  console.log(`| ${taxYear} | $${Math.round(summary.agi).toLocaleString().padStart(8)} | $${Math.round(summary.taxableIncome).toLocaleString().padStart(8)} | $${Math.round(summary.federalTax).toLocaleString().padStart(8)} | $${Math.round(summary.stateTax).toLocaleString().padStart(7)} | $${Math.round(summary.irmaa).toLocaleString().padStart(6)} | $${Math.round(summary.totalTax).toLocaleString().padStart(8)} |`);
+});
+
+// Test Case 3: What if we sell $150K of appreciated stock in 2025?
+console.log('\n\n═══════════════════════════════════════════════════════════');
+console.log('Test 3: Diff Mode ("what if I sell $150K of stock in 2025?")');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const proposedPayload = {
+  years: basePayload.years.map(year => year.taxYear === 2025
+    ? { ...year, income: { ...year.income, longTermCapitalGains: year.income.longTermCapitalGains + 150000 } }
+    : year),
+};
+
+const comparison = service.compare(basePayload, proposedPayload);
+comparison.diff.forEach(({ taxYear, lines, summary, irmaaTier }) => {
+  console.log(`${taxYear}:`);
+  lines.forEach(l => console.log(`  Line ${l.line.padEnd(3)} ${l.label.padEnd(44)} ${l.change >= 0 ? '+' : '-'}$${Math.abs(Math.round(l.change)).toLocaleString()}`));
+  console.log(`  Total tax change: $${Math.round(summary.totalTax.change).toLocaleString()} (${irmaaTier.premiumYear} IRMAA tier ${irmaaTier.base} → ${irmaaTier.proposed})`);
+});
+console.log(`\nTotal tax cost of the sale: $${Math.round(comparison.totals.totalTax.change).toLocaleString()}`);
+
+// Test Case 4: Qualifying surviving spouse
+console.log('\n\n═══════════════════════════════════════════════════════════');
+console.log('Test 4: Filing Statuses (2025, same income)');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+console.log('| Filing Status     | Validation | Brackets      | Deduction | Federal Tax |');
+console.log('|-------------------|------------|---------------|-----------|-------------|');
+for (const filingStatus of ['married_joint', 'qualifying_widow', 'single']) {
+  const payload = { ...basePayload, household: { ...household, filingStatus, age2: null }, years: basePayload.years.slice(0, 1) };
+  const [year] = service.estimate(payload).years;
+  const deduction = year.lines.find(l => l.line === '12').amount;
+  console.log(`| ${filingStatus.padEnd(17)} | ${(service.validatePayload(payload) || 'ok').padEnd(10)} | ${year.filingStatus.padEnd(13)} | $${Math.round(deduction).toLocaleString().padStart(8)} | $${Math.round(year.summary.federalTax).toLocaleString().padStart(10)} |`);
+}
+console.log('(Expected: a qualifying surviving spouse is estimated on the joint brackets and deduction, not rejected or thrown)');
+
+console.log('\n✅ Tax Estimate Test Complete!\n');
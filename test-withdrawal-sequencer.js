@@ -186,6 +186,191 @@ console.log(`  Base Tax:             $${Math.round(result3.taxes.totalTax).toLoc
 console.log(`  Conversion Tax:       $${Math.round(result3.rothConversion.additionalTax).toLocaleString()}`);
 console.log(`  Total Tax:            $${Math.round(result3.taxes.totalTax + result3.rothConversion.additionalTax).toLocaleString()}`);
 
+// Test Case 4: Charitable bunching via donor-advised fund
+console.log('\n\n═══════════════════════════════════════════════════════════');
+console.log('Test 4: Charitable Bunching ($20K/year giving, 2025-2030)');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const test4Accounts = {
+  taxable: 0,
+  ira_traditional: 2000000,
+  ira_roth: 300000,
+  '401k_traditional': 0,
+};
+
+const test4Needs = {
+  targetSpending: 160000,
+  otherIncome: 50000,
+  allowRothWithdrawals: false,
+  charitableGiving: 20000,
+  taxLossHarvesting: 0,
+  rothConversionBudget: 0,
+};
+
+const test4Household = {
+  state: 'AZ',
+  filingStatus: 'married_joint',
+  age1: 66,
+  age2: 64,
+};
+
+const bunching = sequencer.analyzeCharitableBunching(test4Accounts, test4Needs, test4Household, {
+  years: 6,
+  startYear: 2025,
+  deductions: { mortgageInterest: 9000, propertyTax: 7000 },
+});
+
+console.log('| Strategy      | Deduction by Year | Total Tax  | Savings vs Annual |');
+console.log('|---------------|-------------------|------------|-------------------|');
+bunching.strategies.forEach(strategy => {
+  const methods = strategy.schedule.map(y => (y.deductionMethod === 'itemized' ? 'I' : 'S')).join(' ');
+  console.log(`| ${strategy.strategy.padEnd(13)} | ${methods.padEnd(17)} | $${Math.round(strategy.totalTax).toLocaleString().padStart(9)} | $${Math.round(strategy.taxSavings).toLocaleString().padStart(16)} |`);
+});
+console.log(`\nRecommended: ${bunching.recommended} (saves $${Math.round(bunching.taxSavings).toLocaleString()} over ${bunching.years} years)`);
+
+// Test Case 5: IRMAA two-year lookback and cliff-aware Roth conversions
+console.log('\n\n═══════════════════════════════════════════════════════════');
+console.log('Test 5: IRMAA Lookback & Cliff Alerts (couple 66/64, Roth conversions)');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const test5Accounts = {
+  taxable: 0,
+  ira_traditional: 1500000,
+  ira_roth: 100000,
+  '401k_traditional': 0,
+};
+
+const test5Needs = {
+  targetSpending: 240000,
+  otherIncome: 60000,
+  rothConversionBudget: 200000,
+};
+
+const test5Household = {
+  state: 'AZ',
+  filingStatus: 'married_joint',
+  age1: 66,
+  age2: 64,
+};
+
+const lookbackYears = sequencer.simulateMultiYear(test5Accounts, test5Needs, test5Household, 4, 2025, {
+  magiHistory: { 2023: 260000, 2024: 180000 },
+  irmaaBuffer: 2000,
+});
+
+console.log('| Year | MAGI      | IRMAA On  | IRMAA Paid | Roth Conv.  | Capped By | Headroom Left |');
+console.log('|------|-----------|-----------|------------|-------------|-----------|---------------|');
+lookbackYears.forEach(({ taxes, magi, rothConversion, optimization }) => {
+  console.log(`| ${taxes.taxYear} | $${Math.round(magi).toLocaleString().padStart(8)} | ${taxes.irmaa.lookbackYear} MAGI | $${Math.round(taxes.irmaa.totalAnnual).toLocaleString().padStart(9)} | $${Math.round(rothConversion.amount).toLocaleString().padStart(10)} | ${(rothConversion.limitedBy || '-').padEnd(9)} | $${Math.round(optimization.irmaaHeadroom).toLocaleString().padStart(12)} |`);
+});
+
+const cliffPlan = sequencer.optimizeWithdrawals(
+  test5Accounts,
+  { ...test5Needs, targetSpending: 225000, rothConversionBudget: 0 },
+  test5Household,
+  { taxYear: 2025 }
+);
+console.log('\nAlerts near the cliff:');
+cliffPlan.irmaaAlerts.forEach(alert => console.log(`  ⚠️  ${alert.message}`));
+
+// Test Case 6: Tax-lot selection for taxable withdrawals
+console.log('\n\n═══════════════════════════════════════════════════════════');
+console.log('Test 6: Tax-Lot Selection ($150K from taxable, age 62)');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const test6Lots = [
+  { id: 'lot-1', symbol: 'VTI', quantity: 400, cost_basis: 40000, market_value: 110000, acquisition_date: '2012-03-15' },
+  { id: 'lot-2', symbol: 'VTI', quantity: 250, cost_basis: 62000, market_value: 68000, acquisition_date: '2021-06-01' },
+  { id: 'lot-3', symbol: 'VXUS', quantity: 900, cost_basis: 72000, market_value: 54000, acquisition_date: '2022-01-10' },
+  { id: 'lot-4', symbol: 'NVDA', quantity: 150, cost_basis: 30000, market_value: 48000, acquisition_date: '2025-05-20' },
+  { id: 'lot-5', symbol: 'ARKK', quantity: 600, cost_basis: 36000, market_value: 27000, acquisition_date: '2025-02-03' },
+];
+
+const test6Accounts = {
+  taxable: 307000,
+  ira_traditional: 900000,
+  ira_roth: 150000,
+  '401k_traditional': 0,
+};
+
+const test6Needs = { targetSpending: 190000, otherIncome: 40000 };
+const test6Household = { state: 'AZ', filingStatus: 'married_joint', age1: 62, age2: 60 };
+
+console.log('| Method      | ST Gain    | LT Gain    | Loss Ded. | Carryforward | Federal Tax |');
+console.log('|-------------|------------|------------|-----------|--------------|-------------|');
+['fifo', 'hifo', 'loss_first', 'specific_id'].forEach(method => {
+  const plan = sequencer.optimizeWithdrawals(test6Accounts, test6Needs, test6Household, {
+    taxYear: 2025,
+    taxLots: test6Lots,
+    lotSelection: { method, specificLotIds: ['lot-4', 'lot-1'] },
+  });
+  const carryforward = plan.capitalLossCarryforward.shortTerm + plan.capitalLossCarryforward.longTerm;
+  console.log(`| ${method.padEnd(11)} | $${Math.round(plan.lotSale.shortTermGain).toLocaleString().padStart(9)} | $${Math.round(plan.lotSale.longTermGain).toLocaleString().padStart(9)} | $${Math.round(plan.capitalGains.lossDeduction).toLocaleString().padStart(8)} | $${Math.round(carryforward).toLocaleString().padStart(11)} | $${Math.round(plan.taxes.federalTax).toLocaleString().padStart(10)} |`);
+});
+
+const lotYears = sequencer.simulateMultiYear(test6Accounts, test6Needs, test6Household, 3, 2025, {
+  taxLots: test6Lots,
+  lotSelection: { method: 'loss_first' },
+  capitalLossCarryforward: { shortTerm: 0, longTerm: 5000 },
+});
+console.log('\nLoss-first over three years (losses carried forward):');
+lotYears.forEach(({ taxYear, lotSale, capitalLossCarryforward, remainingLots }) => {
+  const sold = lotSale ? lotSale.sales.map(sale => `${sale.lotId} (${sale.term})`).join(', ') : 'none';
+  console.log(`  ${taxYear}: sold ${sold}; carryforward ST $${Math.round(capitalLossCarryforward.shortTerm).toLocaleString()} / LT $${Math.round(capitalLossCarryforward.longTerm).toLocaleString()}; lots remaining: ${remainingLots.length}`);
+});
+
+// Test Case 7: 0% long-term capital gains harvesting
+console.log('\n\n═══════════════════════════════════════════════════════════');
+console.log('Test 7: 0% LTCG Gain Harvesting (basis reset, ACA cap, Social Security)');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const test7Lots = [
+  { id: 'lot-a', symbol: 'VTI', quantity: 1200, cost_basis: 60000, market_value: 300000, acquisition_date: '2009-04-01' },
+  { id: 'lot-b', symbol: 'VXUS', quantity: 1500, cost_basis: 95000, market_value: 105000, acquisition_date: '2016-08-15' },
+];
+const test7Accounts = { taxable: 405000, ira_traditional: 600000, ira_roth: 50000, '401k_traditional': 0 };
+
+const harvestCases = [
+  { label: 'Age 62, no ACA', household: { state: 'AZ', filingStatus: 'married_joint', age1: 62, age2: 61 }, options: {} },
+  { label: 'Age 62, ACA $84K', household: { state: 'AZ', filingStatus: 'married_joint', age1: 62, age2: 61 }, options: { acaMagiLimit: 84000 } },
+  { label: 'Age 68, $60K SS', household: { state: 'AZ', filingStatus: 'married_joint', age1: 68, age2: 67 }, options: {}, socialSecurity: 60000 },
+];
+
+console.log('| Case             | Capacity   | Limited By      | Harvested  | Basis Reset | Federal Tax |');
+console.log('|------------------|------------|-----------------|------------|-------------|-------------|');
+harvestCases.forEach(({ label, household, options, socialSecurity = 0 }) => {
+  const plan = sequencer.optimizeWithdrawals(
+    test7Accounts,
+    { targetSpending: 70000 + socialSecurity, otherIncome: socialSecurity },
+    household,
+    { taxYear: 2025, taxLots: test7Lots, gainHarvesting: true, ...options }
+  );
+  const harvest = plan.gainHarvest;
+  console.log(`| ${label.padEnd(16)} | $${Math.round(harvest.capacity).toLocaleString().padStart(9)} | ${harvest.limitedBy.padEnd(15)} | $${Math.round(harvest.gain).toLocaleString().padStart(9)} | $${Math.round(harvest.basisStepUp).toLocaleString().padStart(10)} | $${Math.round(plan.taxes.federalTax).toLocaleString().padStart(10)} |`);
+});
+
+// Test Case 8: Roth conversions that preserve the ACA premium tax credit
+console.log('\n\n═══════════════════════════════════════════════════════════');
+console.log('Test 8: ACA-Aware Roth Conversions (couple 61/60, 2026, $26K benchmark)');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const test8Accounts = { taxable: 0, ira_traditional: 900000, ira_roth: 0, '401k_traditional': 0 };
+const test8Needs = { targetSpending: 70000, otherIncome: 0, rothConversionBudget: 150000 };
+
+console.log('| Coverage             | Conversion | Capped By | PTC Lost  | Credit Kept | ACA Headroom |');
+console.log('|----------------------|------------|-----------|-----------|-------------|--------------|');
+[
+  { label: 'No marketplace plan', household: { state: 'AZ', filingStatus: 'married_joint', age1: 61, age2: 60 }, options: {} },
+  { label: 'ACA, below cliff', household: { state: 'AZ', filingStatus: 'married_joint', age1: 61, age2: 60, aca: { benchmarkPremium: 26000 } }, options: {} },
+  { label: 'ACA, target 250% FPL', household: { state: 'AZ', filingStatus: 'married_joint', age1: 61, age2: 60, aca: { benchmarkPremium: 26000 } }, options: { acaFplTarget: 250 } },
+].forEach(({ label, household, options }) => {
+  const plan = sequencer.optimizeWithdrawals(test8Accounts, test8Needs, household, { taxYear: 2026, ...options });
+  const { rothConversion } = plan;
+  const headroom = plan.optimization.acaHeadroom;
+  console.log(`| ${label.padEnd(20)} | $${Math.round(rothConversion.amount).toLocaleString().padStart(9)} | ${(rothConversion.limitedBy || '-').padEnd(9)} | $${Math.round(rothConversion.premiumTaxCreditLost || 0).toLocaleString().padStart(8)} | $${Math.round(plan.taxes.aca.premiumTaxCredit).toLocaleString().padStart(10)} | ${Number.isFinite(headroom) ? `$${Math.round(headroom).toLocaleString().padStart(11)}` : '           -'} |`);
+  plan.acaAlerts.forEach(alert => console.log(`|   ⚠️  ${alert.message}`));
+});
+
 console.log('\n\n═══════════════════════════════════════════════════════════');
 console.log('Summary of Strategies');
 console.log('═══════════════════════════════════════════════════════════\n');